@@ -0,0 +1,76 @@
+-- Minimal Supabase stand-in for a plain Postgres (14+) database, so the backend can run locally without a
+-- Supabase project. Applied by `npm run db:setup` before ../weekly_report_frontend/supabase_schema.sql.
+-- Provides what the schema and the backend rely on: the API roles, auth.users, auth.uid()/auth.jwt()
+-- (reading request.jwt.claims like PostgREST does) and public.profiles.
+-- Never apply this to a real Supabase project; those objects already exist there.
+
+create extension if not exists pgcrypto;
+
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then create role anon nologin; end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then create role authenticated nologin; end if;
+  if not exists (select 1 from pg_roles where rolname = 'service_role') then create role service_role nologin bypassrls; end if;
+end
+$$;
+
+-- The backend connects as the database owner and switches to "authenticated" per request (db.asUser)
+grant authenticated to current_user;
+
+create schema if not exists auth;
+create schema if not exists extensions;
+
+create table if not exists auth.users (
+  id uuid primary key default gen_random_uuid(),
+  email text unique,
+  raw_app_meta_data jsonb not null default '{}'::jsonb,
+  raw_user_meta_data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  last_sign_in_at timestamptz null
+);
+
+create or replace function auth.jwt()
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb;
+$$;
+
+create or replace function auth.uid()
+returns uuid
+language sql
+stable
+as $$
+  select nullif(
+    coalesce(nullif(current_setting('request.jwt.claim.sub', true), ''), auth.jwt() ->> 'sub'),
+    ''
+  )::uuid;
+$$;
+
+grant usage on schema auth, extensions, public to anon, authenticated, service_role;
+grant execute on function auth.jwt(), auth.uid() to anon, authenticated, service_role;
+
+-- Supabase grants table access to the API roles by default and relies on RLS
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+alter default privileges in schema public grant execute on functions to anon, authenticated, service_role;
+
+create table if not exists public.profiles (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  email text,
+  role text,
+  team_id text,
+  team_name text
+);
+
+alter table public.profiles enable row level security;
+
+drop policy if exists "select_own_profile" on public.profiles;
+create policy "select_own_profile"
+on public.profiles
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+grant all on public.profiles to anon, authenticated, service_role;
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * scripts/issueToken.js
+ *
+ * Mints a Supabase-style access token (HS256, signed with SUPABASE_JWT_SECRET) for local testing against the
+ * backend, e.g. with curl or by pasting it into the browser session. Development only.
+ *
+ * Usage:
+ *   node scripts/issueToken.js --user-id <uuid> --email manager@example.com --role manager [--hours 8]
+ *
+ * Required environment variables:
+ *   SUPABASE_JWT_SECRET
+ */
+const { signJwt, APP_ROLES } = require('../src/auth');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const secret = process.env.SUPABASE_JWT_SECRET || '';
+  const role = String(args.role || 'employee').toLowerCase();
+  if (!secret || !args['user-id'] || !APP_ROLES.includes(role)) {
+    // eslint-disable-next-line no-console
+    console.error(
+      `[issueToken] ERROR: requires SUPABASE_JWT_SECRET, --user-id and --role (${APP_ROLES.join('|')}).`
+    );
+    process.exit(1);
+  }
+  const hours = Number(args.hours) || 8;
+  const token = signJwt(
+    {
+      sub: args['user-id'],
+      email: args.email || undefined,
+      role: 'authenticated',
+      app_metadata: { role },
+      exp: Math.floor(Date.now() / 1000) + hours * 3600,
+    },
+    secret
+  );
+  // eslint-disable-next-line no-console
+  console.log(token);
+}
+
+main();
@@ -0,0 +1,24 @@
+const { createRouter, createServer } = require('./http');
+const reports = require('./routes/reports');
+const manager = require('./routes/manager');
+const teams = require('./routes/teams');
+const admin = require('./routes/admin');
+
+/**
+ * createApp - Wires the routes into an HTTP server.
+ *
+ * @param {{ db: Object, users: Object, authenticate: (req) => Promise<Object>, corsOrigins?: string[],
+ *   logger?: Pick<Console, 'error'> }} deps
+ * @returns {import('http').Server}
+ */
+function createApp({ db, users, authenticate, corsOrigins, logger }) {
+  const router = createRouter();
+  router.get('/health', async () => ({ status: 'ok' }), { auth: false });
+  reports.register(router, { db });
+  manager.register(router, { db });
+  teams.register(router, { db });
+  admin.register(router, { db, users });
+  return createServer({ router, authenticate, corsOrigins, logger });
+}
+
+module.exports = { createApp };
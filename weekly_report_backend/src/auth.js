@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { unauthorized } = require('./errors');
+
+// Application roles (auth.users app_metadata.role), as in the frontend and supabase_schema.sql
+const APP_ROLES = ['employee', 'manager', 'admin'];
+
+const b64url = (buf) => Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromB64url = (str) => Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * signJwt - Creates an HS256 token. Used by scripts/issueToken.js and the tests to stand in for Supabase Auth.
+ * @param {Object} payload
+ * @param {string} secret
+ * @returns {string}
+ */
+function signJwt(payload, secret) {
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(payload));
+  const sig = b64url(crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest());
+  return `${header}.${body}.${sig}`;
+}
+
+/**
+ * verifyJwt - Verifies an HS256 Supabase access token and returns its claims.
+ * Checks the signature, expiry/not-before and that it is a signed-in user's token (role "authenticated").
+ *
+ * @param {string} token
+ * @param {string} secret - the project's JWT secret
+ * @param {{ now?: number }} [opts] - now in seconds (for tests)
+ * @returns {Object} claims
+ * @throws {HttpError} 401 when the token is malformed, forged or expired
+ */
+function verifyJwt(token, secret, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw unauthorized('Malformed access token.');
+  const [header, body, sig] = parts;
+
+  let head;
+  let claims;
+  try {
+    head = JSON.parse(fromB64url(header).toString('utf8'));
+    claims = JSON.parse(fromB64url(body).toString('utf8'));
+  } catch {
+    throw unauthorized('Malformed access token.');
+  }
+  if (head?.alg !== 'HS256') throw unauthorized('Unsupported token algorithm.');
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const actual = fromB64url(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw unauthorized('Invalid access token.');
+  }
+  if (typeof claims.exp === 'number' && claims.exp <= now) throw unauthorized('Access token expired.');
+  if (typeof claims.nbf === 'number' && claims.nbf > now) throw unauthorized('Access token not yet valid.');
+  if (!claims.sub || claims.role !== 'authenticated') throw unauthorized('Not a signed-in user token.');
+  return claims;
+}
+
+/**
+ * toCaller - Maps verified claims to the caller object handlers receive.
+ * The role comes from app_metadata only (user_metadata is writable by the user).
+ * @returns {{ id: string, email: string|null, role: string, claims: Object }}
+ */
+function toCaller(claims) {
+  const role = String(claims?.app_metadata?.role || '').toLowerCase();
+  return {
+    id: claims.sub,
+    email: claims.email || null,
+    role: APP_ROLES.includes(role) ? role : 'employee',
+    claims,
+  };
+}
+
+/**
+ * createAuthenticator - Returns authenticate(req) -> caller.
+ * - With a JWT secret, tokens are verified locally (fast, works against a stand-in database).
+ * - Otherwise the token is checked with Supabase Auth using the service role client (auth.getUser).
+ *
+ * @param {{ jwtSecret?: string, supabaseAdmin?: import('@supabase/supabase-js').SupabaseClient|null }} opts
+ */
+function createAuthenticator({ jwtSecret, supabaseAdmin }) {
+  return async function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) throw unauthorized('Missing bearer token.');
+    const token = match[1].trim();
+
+    if (jwtSecret) {
+      return toCaller(verifyJwt(token, jwtSecret));
+    }
+
+    const { data, error } = await supabaseAdmin.auth.getUser(token);
+    if (error || !data?.user) throw unauthorized(error?.message || 'Invalid access token.');
+    const { user } = data;
+    // Same claim shape as a decoded token, so RLS impersonation (db.asUser) works identically
+    return toCaller({
+      sub: user.id,
+      email: user.email,
+      role: 'authenticated',
+      app_metadata: user.app_metadata || {},
+      user_metadata: user.user_metadata || {},
+    });
+  };
+}
+
+module.exports = { APP_ROLES, signJwt, verifyJwt, toCaller, createAuthenticator };
@@ -0,0 +1,34 @@
+/**
+ * loadConfig - Reads backend settings from the environment.
+ *
+ * DATABASE_URL              Postgres connection (Supabase "direct connection" string, or a local stand-in)
+ * SUPABASE_URL              Supabase project URL (optional with a stand-in database)
+ * SUPABASE_SERVICE_ROLE_KEY Service role key; used for Auth admin calls and token checks. Server-side only.
+ * SUPABASE_JWT_SECRET       JWT secret (Project settings > API); when set, tokens are verified locally
+ * CORS_ORIGIN               Allowed browser origin(s), comma separated (default http://localhost:3000)
+ * PORT                      Listen port (default 4000)
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function loadConfig(env = process.env) {
+  const config = {
+    port: Number(env.PORT) || 4000,
+    databaseUrl: env.DATABASE_URL || '',
+    supabaseUrl: (env.SUPABASE_URL || '').replace(/\/+$/, ''),
+    serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY || '',
+    jwtSecret: env.SUPABASE_JWT_SECRET || '',
+    corsOrigins: (env.CORS_ORIGIN || 'http://localhost:3000')
+      .split(',')
+      .map((o) => o.trim())
+      .filter(Boolean),
+  };
+
+  const problems = [];
+  if (!config.databaseUrl) problems.push('DATABASE_URL is required.');
+  if (!config.jwtSecret && !(config.supabaseUrl && config.serviceRoleKey)) {
+    problems.push('Set SUPABASE_JWT_SECRET, or SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, to verify access tokens.');
+  }
+  return { ...config, problems };
+}
+
+module.exports = { loadConfig };
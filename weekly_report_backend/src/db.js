@@ -0,0 +1,74 @@
+const { HttpError } = require('./errors');
+
+// Postgres errors that are the caller's fault, mapped to HTTP statuses
+const PG_STATUS = {
+  42501: [403, 'Row-level security denied the request.'], // insufficient_privilege / RLS violation
+  23505: [409, 'A conflicting record already exists.'], // unique_violation
+  23503: [400, 'A referenced record does not exist.'], // foreign_key_violation
+  23514: [400, 'A value is out of range.'], // check_violation
+  '22P02': [400, 'A value has an invalid format.'], // invalid_text_representation (e.g. bad uuid)
+  '22007': [400, 'A date has an invalid format.'], // invalid_datetime_format
+  '22008': [400, 'A date is out of range.'], // datetime_field_overflow
+  '22023': [400, 'A value is not valid here.'], // invalid_parameter_value (raised by RPCs)
+  P0002: [404, 'A referenced record was not found.'], // no_data_found (raised by RPCs)
+};
+
+function mapPgError(e) {
+  const mapped = e && PG_STATUS[e.code];
+  if (!mapped) return e;
+  const err = new HttpError(mapped[0], mapped[1], `PG_${e.code}`);
+  err.cause = e;
+  return err;
+}
+
+/**
+ * createDb - Wraps a pg Pool with the two ways the backend touches data.
+ *
+ * - asUser(caller, fn): runs fn in a transaction as the Postgres role "authenticated" with the caller's verified
+ *   JWT claims in request.jwt.claims, exactly like a PostgREST request. auth.uid(), auth.jwt() and every RLS policy
+ *   and security-definer RPC in supabase_schema.sql therefore apply to the caller.
+ * - asService(fn): runs fn with the pool's own (privileged) role, bypassing RLS. Only for operations the handler has
+ *   already authorized (admin endpoints, team directory, author lookups).
+ *
+ * fn receives query(text, params) -> rows.
+ *
+ * @param {import('pg').Pool} pool
+ */
+function createDb(pool) {
+  async function transaction(setup, fn) {
+    const client = await pool.connect();
+    const query = (text, params) => client.query(text, params).then((r) => r.rows);
+    try {
+      await client.query('begin');
+      await setup(client);
+      const result = await fn(query);
+      await client.query('commit');
+      return result;
+    } catch (e) {
+      await client.query('rollback').catch(() => {});
+      throw mapPgError(e);
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    asUser(caller, fn) {
+      return transaction(async (client) => {
+        await client.query(
+          "select set_config('request.jwt.claims', $1, true), set_config('request.jwt.claim.sub', $2, true)",
+          [JSON.stringify(caller.claims), caller.id]
+        );
+        await client.query('set local role authenticated');
+      }, fn);
+    },
+    asService(fn) {
+      return transaction(async () => {}, fn);
+    },
+    close() {
+      return pool.end();
+    },
+  };
+}
+
+module.exports = { createDb, mapPgError };
@@ -0,0 +1,20 @@
+/**
+ * HttpError - An error that maps to an HTTP response.
+ * Handlers throw these; the server turns them into `{ error, code }` JSON with the given status.
+ */
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || undefined;
+  }
+}
+
+const badRequest = (message) => new HttpError(400, message, 'BAD_REQUEST');
+const unauthorized = (message = 'Authentication required.') => new HttpError(401, message, 'UNAUTHORIZED');
+const forbidden = (message = 'You do not have access to this resource.') => new HttpError(403, message, 'FORBIDDEN');
+const notFound = (message = 'Not found.') => new HttpError(404, message, 'NOT_FOUND');
+const conflict = (message) => new HttpError(409, message, 'CONFLICT');
+
+module.exports = { HttpError, badRequest, unauthorized, forbidden, notFound, conflict };
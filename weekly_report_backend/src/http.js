@@ -0,0 +1,144 @@
+const http = require('http');
+const { HttpError, badRequest, forbidden, notFound } = require('./errors');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH']);
+
+// A malformed percent-escape (e.g. /reports/%E0%A4%A) is the client's mistake, not a server error
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw badRequest('Malformed URL path.');
+  }
+}
+
+/**
+ * createRouter - Minimal method + path router. Paths use ":name" segments (e.g. /reports/:id/items).
+ * Routes are matched in registration order, so register literal paths (/reports/search) before patterns.
+ *
+ * Each route is { method, path, handler, auth, roles }:
+ * - handler({ caller, params, query, body, req }) returns the JSON response body (or throws HttpError)
+ * - auth (default true) requires a verified Supabase access token
+ * - roles restricts the route to application roles (e.g. ['manager', 'admin'])
+ */
+function createRouter() {
+  const routes = [];
+
+  const add = (method) => (path, handler, opts = {}) => {
+    const segments = path.split('/').filter(Boolean);
+    routes.push({ method, path, segments, handler, auth: opts.auth !== false, roles: opts.roles || null });
+  };
+
+  function match(method, pathname) {
+    const parts = pathname.split('/').filter(Boolean).map(decodeSegment);
+    let pathMatched = false;
+    for (const route of routes) {
+      if (route.segments.length !== parts.length) continue;
+      const params = {};
+      const ok = route.segments.every((seg, i) => {
+        if (seg.startsWith(':')) {
+          params[seg.slice(1)] = parts[i];
+          return true;
+        }
+        return seg === parts[i];
+      });
+      if (!ok) continue;
+      pathMatched = true;
+      if (route.method === method) return { route, params };
+    }
+    return { route: null, pathMatched };
+  }
+
+  return { get: add('GET'), post: add('POST'), put: add('PUT'), patch: add('PATCH'), delete: add('DELETE'), match, routes };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large.', 'PAYLOAD_TOO_LARGE'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(badRequest('Request body must be JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  const payload = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    ...headers,
+    ...(payload ? { 'Content-Type': 'application/json; charset=utf-8' } : {}),
+  });
+  res.end(payload);
+}
+
+function corsHeaders(req, origins) {
+  const origin = req.headers.origin;
+  if (!origin || !(origins.includes('*') || origins.includes(origin))) return {};
+  return {
+    'Access-Control-Allow-Origin': origins.includes('*') ? '*' : origin,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Max-Age': '600',
+    Vary: 'Origin',
+  };
+}
+
+/**
+ * createServer - HTTP server dispatching to the router.
+ * Errors become JSON `{ error, code }`: HttpError keeps its status; anything else is logged and returned as 500.
+ *
+ * @param {{ router: ReturnType<typeof createRouter>, authenticate: (req) => Promise<Object>, corsOrigins?: string[],
+ *   logger?: Pick<Console, 'error'> }} opts
+ */
+function createServer({ router, authenticate, corsOrigins = [], logger = console }) {
+  return http.createServer(async (req, res) => {
+    const cors = corsHeaders(req, corsOrigins);
+    if (req.method === 'OPTIONS') {
+      send(res, 204, undefined, cors);
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const { route, params, pathMatched } = router.match(req.method, url.pathname);
+      if (!route) {
+        throw pathMatched ? new HttpError(405, 'Method not allowed.', 'METHOD_NOT_ALLOWED') : notFound('No such endpoint.');
+      }
+
+      const caller = route.auth ? await authenticate(req) : null;
+      if (route.roles && !route.roles.includes(caller?.role)) {
+        throw forbidden(`Requires role: ${route.roles.join(' or ')}.`);
+      }
+
+      const body = BODY_METHODS.has(req.method) ? await readJson(req) : {};
+      const query = Object.fromEntries(url.searchParams.entries());
+      const result = await route.handler({ caller, params, query, body, req });
+      send(res, 200, result === undefined ? { success: true } : result, cors);
+    } catch (e) {
+      if (e instanceof HttpError) {
+        send(res, e.status, { error: e.message, code: e.code }, cors);
+        return;
+      }
+      logger.error('[backend] unhandled error:', e);
+      send(res, 500, { error: 'Internal server error.', code: 'INTERNAL' }, cors);
+    }
+  });
+}
+
+module.exports = { createRouter, createServer };
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Weekly Report Platform reference backend.
+ * Implements the REACT_APP_API_BASE contract used by the frontend on top of Supabase Postgres.
+ * See README.md for configuration; never expose SUPABASE_SERVICE_ROLE_KEY to the browser.
+ */
+const { Pool } = require('pg');
+const { createClient } = require('@supabase/supabase-js');
+const { loadConfig } = require('./config');
+const { createDb } = require('./db');
+const { createAuthenticator } = require('./auth');
+const { createUserDirectory } = require('./users');
+const { createApp } = require('./app');
+
+function main() {
+  const config = loadConfig();
+  if (config.problems.length) {
+    // eslint-disable-next-line no-console
+    console.error(`[backend] configuration error:\n- ${config.problems.join('\n- ')}`);
+    process.exit(1);
+  }
+
+  const supabaseAdmin =
+    config.supabaseUrl && config.serviceRoleKey
+      ? createClient(config.supabaseUrl, config.serviceRoleKey, { auth: { persistSession: false, autoRefreshToken: false } })
+      : null;
+  const db = createDb(new Pool({ connectionString: config.databaseUrl }));
+  const app = createApp({
+    db,
+    users: createUserDirectory({ db, supabaseAdmin }),
+    authenticate: createAuthenticator({ jwtSecret: config.jwtSecret, supabaseAdmin }),
+    corsOrigins: config.corsOrigins,
+  });
+
+  app.listen(config.port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`[backend] listening on http://localhost:${config.port}`);
+  });
+
+  const shutdown = () => {
+    app.close(() => db.close().finally(() => process.exit(0)));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -0,0 +1,97 @@
+const { badRequest, notFound } = require('../errors');
+const { APP_ROLES } = require('../auth');
+const { optionalString, uuidParam } = require('../validate');
+const { WINDOW_COLUMNS, parseWindow, assertTransition, assertNoOverlap } = require('../windows');
+
+//
+// Admin endpoints: users and roles (through the user directory) and reporting windows.
+// Only reachable with app_metadata.role = 'admin'; data is then written with the service connection.
+//
+
+// Windows limited to teams must name existing ones
+async function assertTeamsExist(sql, teamIds) {
+  if (teamIds.length === 0) return;
+  const found = await sql('select id from public.teams where id = any($1)', [teamIds]);
+  const known = new Set(found.map((t) => t.id));
+  const unknown = teamIds.filter((id) => !known.has(id));
+  if (unknown.length) throw badRequest(`Unknown team(s): ${unknown.join(', ')}.`);
+}
+
+function register(router, { db, users }) {
+  const opts = { roles: ['admin'] };
+
+  router.get('/admin/users', async () => ({ items: await users.list() }), opts);
+
+  router.post('/admin/users/role', async ({ body }) => {
+    const role = String(body?.role || '').toLowerCase();
+    if (!APP_ROLES.includes(role)) throw badRequest(`role must be one of ${APP_ROLES.join(', ')}.`);
+    const userId = optionalString(body?.user_id);
+    const email = optionalString(body?.email);
+    if (!userId && !email) throw badRequest('user_id or email is required.');
+    const user = await users.setRole({ userId: userId && uuidParam(userId, 'user_id'), email, role });
+    return {
+      success: true,
+      user,
+      message: 'Role updated. It applies to the user\'s next sign-in or token refresh.',
+    };
+  }, opts);
+
+  router.get('/admin/reporting-windows', async () => {
+    const items = await db.asService((sql) =>
+      sql(`select ${WINDOW_COLUMNS} from public.reporting_windows order by start_date desc, name`)
+    );
+    return { items };
+  }, opts);
+
+  router.post('/admin/reporting-windows', async ({ body }) => {
+    const w = parseWindow(body);
+    const [row] = await db.asService(async (sql) => {
+      await assertTeamsExist(sql, w.team_ids);
+      await assertNoOverlap(sql, w);
+      return sql(
+        `insert into public.reporting_windows
+           (name, start_date, end_date, status, frequency, due_weekday, due_time, timezone, grace_hours, team_ids)
+         values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) returning ${WINDOW_COLUMNS}`,
+        [w.name, w.start, w.end, w.status, w.frequency, w.due_weekday, w.due_time, w.timezone, w.grace_hours, w.team_ids]
+      );
+    });
+    return row;
+  }, opts);
+
+  // Partial update: omitted fields keep their stored values
+  router.patch('/admin/reporting-windows/:id', async ({ params, body }) => {
+    const id = uuidParam(params.id, 'id');
+    const row = await db.asService(async (sql) => {
+      const [current] = await sql(`select ${WINDOW_COLUMNS} from public.reporting_windows where id = $1 for update`, [id]);
+      if (!current) throw notFound('Reporting window not found.');
+      const fields = Object.fromEntries(Object.entries(body || {}).filter(([, v]) => v !== undefined));
+      const w = parseWindow({ ...current, ...fields });
+      assertTransition(current.status, w.status);
+      await assertTeamsExist(sql, w.team_ids);
+      await assertNoOverlap(sql, w, id);
+      const [updated] = await sql(
+        `update public.reporting_windows
+         set name = $2, start_date = $3, end_date = $4, status = $5, frequency = $6, due_weekday = $7, due_time = $8,
+             timezone = $9, grace_hours = $10, team_ids = $11
+         where id = $1 returning ${WINDOW_COLUMNS}`,
+        [id, w.name, w.start, w.end, w.status, w.frequency, w.due_weekday, w.due_time, w.timezone, w.grace_hours, w.team_ids]
+      );
+      return updated;
+    });
+    return row;
+  }, opts);
+
+  const deleteWindow = async ({ params }) => {
+    const id = uuidParam(params.id, 'id');
+    const deleted = await db.asService((sql) =>
+      sql('delete from public.reporting_windows where id = $1 returning id', [id])
+    );
+    if (deleted.length === 0) throw notFound('Reporting window not found.');
+    return { success: true };
+  };
+  router.delete('/admin/reporting-windows/:id', deleteWindow, opts);
+  // Kept for clients that predate DELETE support
+  router.post('/admin/reporting-windows/:id/delete', deleteWindow, opts);
+}
+
+module.exports = { register };
@@ -0,0 +1,153 @@
+const { badRequest, forbidden } = require('../errors');
+const { optionalDate, optionalString, requiredString, uuidParam, limitParam } = require('../validate');
+const { summarizeReports } = require('../summary');
+const { ITEM_COLUMNS, REVISION_COLUMNS } = require('./reports');
+
+//
+// Manager/Admin endpoints. Run as the caller, so the team-scoped RLS policies and RPCs in supabase_schema.sql
+// decide which members' reports are visible; an explicit team the caller does not manage is rejected with 403.
+//
+
+const MANAGER_ROLES = ['manager', 'admin'];
+
+const MANAGER_REPORT_COLUMNS =
+  'r.id, r.user_id, r.team_id, r.week_start, r.progress, r.blockers, r.plans, r.tags, r.revision, r.created_at, r.updated_at, r.submitted_at';
+
+async function assertCanManageTeam(sql, team) {
+  if (!team) return;
+  const [{ ok }] = await sql('select public.can_manage_team($1) as ok', [team]);
+  if (!ok) throw forbidden('You do not manage this team.');
+}
+
+// Submitted reports filed under the team, or by its members when the report has no team
+function teamReports(sql, { team, from, to, limit }) {
+  return sql(
+    `select ${MANAGER_REPORT_COLUMNS}
+     from public.weekly_reports r
+     where r.status = 'submitted'
+       and ($1::text is null or r.team_id = $1 or (r.team_id is null and exists (
+         select 1 from public.team_members m where m.team_id = $1 and m.user_id = r.user_id)))
+       and ($2::date is null or r.week_start >= $2)
+       and ($3::date is null or r.week_start <= $3)
+     order by r.created_at desc
+     limit $4`,
+    [team, from, to, limit]
+  );
+}
+
+function rangeParams(source) {
+  return {
+    team: optionalString(source.team),
+    from: optionalDate(source.from, 'from'),
+    to: optionalDate(source.to, 'to'),
+  };
+}
+
+function register(router, { db }) {
+  const opts = { roles: MANAGER_ROLES };
+
+  router.get('/manager/reports', async ({ caller, query }) => {
+    const params = { ...rangeParams(query), limit: limitParam(query.limit, 50, 500) };
+    const items = await db.asUser(caller, async (sql) => {
+      await assertCanManageTeam(sql, params.team);
+      return teamReports(sql, params);
+    });
+    return { items };
+  }, opts);
+
+  router.get('/manager/reports/:id/revisions', async ({ caller, params }) => {
+    const id = uuidParam(params.id, 'id');
+    const items = await db.asUser(caller, (sql) =>
+      sql(
+        `select ${REVISION_COLUMNS} from public.weekly_report_revisions where report_id = $1 order by revision desc`,
+        [id]
+      )
+    );
+    return { items };
+  }, opts);
+
+  router.post('/manager/ai/summary', async ({ caller, body }) => {
+    const params = { ...rangeParams(body || {}), limit: 500 };
+    const reports = await db.asUser(caller, async (sql) => {
+      await assertCanManageTeam(sql, params.team);
+      return teamReports(sql, params);
+    });
+    const ids = [...new Set(reports.map((r) => r.user_id).filter(Boolean))];
+    const emails = ids.length
+      ? await db.asService((sql) => sql('select id, email from auth.users where id = any($1::uuid[])', [ids]))
+      : [];
+    const byId = Object.fromEntries(emails.map((u) => [u.id, u.email]));
+    const summary = summarizeReports(
+      reports.map((r) => ({ ...r, email: byId[r.user_id] })).reverse(),
+      params
+    );
+    return { summary };
+  }, opts);
+
+  router.get('/manager/metrics', async ({ caller, query }) => {
+    const team = requiredString(query.team, 'team');
+    const from = optionalDate(query.from, 'from');
+    const to = optionalDate(query.to, 'to');
+    if (!from || !to) throw badRequest('from and to are required.');
+    return db.asUser(caller, async (sql) => {
+      await assertCanManageTeam(sql, team);
+      const weeks = await sql('select * from public.team_weekly_metrics($1, $2, $3)', [team, from, to]);
+      const [blockers] = await sql('select * from public.team_open_blockers($1)', [team]);
+      return { weeks, blockers: blockers || { open: 0, escalated: 0 } };
+    });
+  }, opts);
+
+  router.get('/manager/compliance', async ({ caller, query }) => {
+    const team = requiredString(query.team, 'team');
+    const from = optionalDate(query.from, 'from');
+    const to = optionalDate(query.to, 'to');
+    if (!from || !to) throw badRequest('from and to are required.');
+    const rows = await db.asUser(caller, async (sql) => {
+      await assertCanManageTeam(sql, team);
+      return sql('select * from public.team_compliance($1, $2, $3)', [team, from, to]);
+    });
+    const members = new Map();
+    const reports = [];
+    for (const r of rows) {
+      if (!members.has(r.user_id)) members.set(r.user_id, { user_id: r.user_id, email: r.email });
+      if (r.report_id) {
+        reports.push({ id: r.report_id, user_id: r.user_id, week_start: r.week_start, submitted_at: r.submitted_at });
+      }
+    }
+    return { members: [...members.values()], reports };
+  }, opts);
+
+  router.get('/manager/report-items', async ({ caller, query }) => {
+    const params = { ...rangeParams(query), limit: 1000 };
+    const reports = await db.asUser(caller, async (sql) => {
+      await assertCanManageTeam(sql, params.team);
+      const rows = await teamReports(sql, params);
+      if (rows.length === 0) return [];
+      const items = await sql(
+        `select ${ITEM_COLUMNS} from public.report_items where report_id = any($1::uuid[]) order by report_id, position`,
+        [rows.map((r) => r.id)]
+      );
+      return rows.map((r) => ({ ...r, items: items.filter((it) => it.report_id === r.id) }));
+    });
+    return { reports };
+  }, opts);
+
+  router.get('/manager/blockers/summary', async ({ caller, query }) => {
+    const team = optionalString(query.team);
+    const [counts] = await db.asUser(caller, async (sql) => {
+      if (team) {
+        await assertCanManageTeam(sql, team);
+        return sql('select * from public.team_open_blockers($1)', [team]);
+      }
+      // No team: every unresolved blocker the caller may read
+      return sql(
+        `select count(*) filter (where status = 'open')::int as open,
+                count(*) filter (where status = 'escalated')::int as escalated
+         from public.blockers`
+      );
+    });
+    return { open: counts?.open || 0, escalated: counts?.escalated || 0 };
+  }, opts);
+}
+
+module.exports = { register, MANAGER_ROLES };
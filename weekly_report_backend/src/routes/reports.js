@@ -0,0 +1,204 @@
+const { badRequest, forbidden, notFound } = require('../errors');
+const { optionalDate, optionalString, uuidParam, limitParam } = require('../validate');
+const { WINDOW_COLUMNS } = require('../windows');
+
+//
+// Author endpoints: a report, its structured items and blockers, and full-text search.
+// Everything runs as the caller (db.asUser), so RLS decides what is visible and writable.
+//
+
+const REPORT_COLUMNS =
+  'id, user_id, team_id, week_start, progress, blockers, plans, tags, status, revision, plan_review, created_at, updated_at, submitted_at';
+const ITEM_COLUMNS = 'id, report_id, type, text, status, link, effort_hours, position';
+const REVISION_COLUMNS = 'id, report_id, revision, progress, blockers, plans, week_start, tags, edited_by, revised_at';
+const BLOCKER_COLUMNS =
+  'id, user_id, owner_id, title, status, opened_week, last_reported_week, source_report_id, escalated_at, resolved_week, resolved_at, resolution_notes, created_at, updated_at';
+
+const ITEM_TYPES = ['accomplishment', 'plan', 'blocker'];
+const ITEM_STATUSES = ['planned', 'in_progress', 'done', 'blocked', 'dropped'];
+const DEFAULT_ITEM_STATUS = { accomplishment: 'done', plan: 'planned', blocker: 'blocked' };
+const BLOCKER_STATUSES = ['open', 'escalated', 'resolved'];
+const BLOCKER_ACTIONS = ['carry', 'escalate', 'resolve'];
+
+// Same normalization as the frontend's normalizeReportItems; links must be http(s)
+function normalizeItems(items) {
+  if (!Array.isArray(items)) throw badRequest('items must be an array.');
+  return items
+    .filter((it) => String(it?.text || '').trim())
+    .map((it, position) => {
+      const type = ITEM_TYPES.includes(it.type) ? it.type : 'accomplishment';
+      const effort = it.effort_hours === '' || it.effort_hours == null ? null : Number(it.effort_hours);
+      const link = optionalString(it.link);
+      return {
+        type,
+        text: String(it.text).trim(),
+        status: ITEM_STATUSES.includes(it.status) ? it.status : DEFAULT_ITEM_STATUS[type],
+        link: link && /^https?:\/\//i.test(link) ? link : null,
+        effort_hours: Number.isFinite(effort) && effort >= 0 ? effort : null,
+        position,
+      };
+    });
+}
+
+// Loads a report the caller may write to (their own, submitted or draft)
+async function loadOwnReport(query, caller, id) {
+  const [report] = await query('select id, user_id, week_start from public.weekly_reports where id = $1', [id]);
+  if (!report) throw notFound('Report not found.');
+  if (report.user_id !== caller.id) throw forbidden('Only the author can change this report.');
+  return report;
+}
+
+function register(router, { db }) {
+  router.get('/reports/search', async ({ caller, query }) => {
+    const q = String(query.q || '').trim();
+    if (!q) return { items: [] };
+    const from = optionalDate(query.from, 'from');
+    const to = optionalDate(query.to, 'to');
+    const team = optionalString(query.team);
+    const limit = limitParam(query.limit, 50, 200);
+    const items = await db.asUser(caller, (sql) =>
+      sql(
+        `select s.*
+         from public.search_reports($1, $2, $3, $4) s
+         where $5::text is null
+           or exists (select 1 from public.team_members m where m.team_id = $5 and m.user_id = s.user_id)`,
+        [q, from, to, limit, team]
+      )
+    );
+    return { items };
+  });
+
+  router.get('/reports/:id', async ({ caller, params }) => {
+    const id = uuidParam(params.id, 'id');
+    const found = await db.asUser(caller, async (sql) => {
+      const [report] = await sql(`select ${REPORT_COLUMNS} from public.weekly_reports where id = $1`, [id]);
+      if (!report) return null;
+      // Neighbouring submitted reports by the same author (for previous/next navigation)
+      const [previous] = await sql(
+        `select id, week_start from public.weekly_reports
+         where user_id = $1 and status = 'submitted' and week_start < $2
+         order by week_start desc limit 1`,
+        [report.user_id, report.week_start]
+      );
+      const [next] = await sql(
+        `select id, week_start from public.weekly_reports
+         where user_id = $1 and status = 'submitted' and week_start > $2
+         order by week_start asc limit 1`,
+        [report.user_id, report.week_start]
+      );
+      return { report, previous: previous || null, next: next || null };
+    });
+    if (!found) throw notFound('Report not found.');
+
+    // The caller may read the report, so they may see who wrote it
+    const [author] = found.report.user_id
+      ? await db.asService((sql) => sql('select id, email from auth.users where id = $1', [found.report.user_id]))
+      : [];
+    return { ...found, author: author || (found.report.user_id ? { id: found.report.user_id } : null) };
+  });
+
+  router.get('/reports/:id/items', async ({ caller, params }) => {
+    const id = uuidParam(params.id, 'id');
+    const items = await db.asUser(caller, (sql) =>
+      sql(`select ${ITEM_COLUMNS} from public.report_items where report_id = $1 order by position`, [id])
+    );
+    return { items };
+  });
+
+  // The edit history of one of the caller's own reports (managers use /manager/reports/:id/revisions)
+  router.get('/reports/:id/revisions', async ({ caller, params }) => {
+    const id = uuidParam(params.id, 'id');
+    const items = await db.asUser(caller, async (sql) => {
+      await loadOwnReport(sql, caller, id);
+      return sql(
+        `select ${REVISION_COLUMNS} from public.weekly_report_revisions where report_id = $1 order by revision desc`,
+        [id]
+      );
+    });
+    return { items };
+  });
+
+  // Replaces the report's items
+  router.post('/reports/:id/items', async ({ caller, params, body }) => {
+    const id = uuidParam(params.id, 'id');
+    const rows = normalizeItems(body?.items);
+    const items = await db.asUser(caller, async (sql) => {
+      await loadOwnReport(sql, caller, id);
+      await sql('delete from public.report_items where report_id = $1', [id]);
+      const saved = [];
+      for (const row of rows) {
+        const [item] = await sql(
+          `insert into public.report_items (report_id, user_id, type, text, status, link, effort_hours, position)
+           values ($1, $2, $3, $4, $5, $6, $7, $8)
+           returning ${ITEM_COLUMNS}`,
+          [id, caller.id, row.type, row.text, row.status, row.link, row.effort_hours, row.position]
+        );
+        saved.push(item);
+      }
+      return saved;
+    });
+    return { items };
+  });
+
+  // Applies a submitted report to the caller's blockers (see syncReportBlockers in the frontend). The changes are made
+  // by public.sync_report_blockers, the same function the Supabase path calls, so a repeated request changes nothing:
+  // resolved blockers are skipped and titles already opened from this report are not opened again.
+  router.post('/reports/:id/blockers', async ({ caller, params, body }) => {
+    const id = uuidParam(params.id, 'id');
+    const updates = (Array.isArray(body?.updates) ? body.updates : []).map((u) => {
+      uuidParam(u?.id, 'updates[].id');
+      if (u.action !== undefined && !BLOCKER_ACTIONS.includes(u.action)) {
+        throw badRequest(`updates[].action must be one of ${BLOCKER_ACTIONS.join(', ')}.`);
+      }
+      return { id: u.id, action: u.action || 'carry', notes: optionalString(u.notes) };
+    });
+    const titles = (Array.isArray(body?.newBlockers) ? body.newBlockers : [])
+      .map((t) => String(t || '').trim().slice(0, 500))
+      .filter(Boolean);
+
+    const counts = await db.asUser(caller, async (sql) => {
+      await loadOwnReport(sql, caller, id);
+      const [row] = await sql('select public.sync_report_blockers($1, $2::jsonb, $3::text[]) as counts', [
+        id,
+        JSON.stringify(updates),
+        titles,
+      ]);
+      return row?.counts || {};
+    });
+    return {
+      carried: Number(counts.carried) || 0,
+      escalated: Number(counts.escalated) || 0,
+      resolved: Number(counts.resolved) || 0,
+      opened: Number(counts.opened) || 0,
+    };
+  });
+
+  // The caller's own blockers (reported or owned), optionally filtered by status
+  router.get('/blockers', async ({ caller, query }) => {
+    const statuses = String(query.status || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const invalid = statuses.find((s) => !BLOCKER_STATUSES.includes(s));
+    if (invalid) throw badRequest(`Unknown blocker status "${invalid}".`);
+    const items = await db.asUser(caller, (sql) =>
+      sql(
+        `select ${BLOCKER_COLUMNS} from public.blockers
+         where (user_id = $1 or owner_id = $1) and (cardinality($2::text[]) = 0 or status = any($2))
+         order by opened_week asc, created_at asc`,
+        [caller.id, statuses]
+      )
+    );
+    return { items };
+  });
+
+  // Open and closed reporting windows with their schedules, from which clients compute report deadlines
+  router.get('/reporting-windows', async ({ caller }) => {
+    const items = await db.asUser(caller, (sql) =>
+      sql(`select ${WINDOW_COLUMNS} from public.reporting_windows where status <> 'planned' order by start_date desc, name`)
+    );
+    return { items };
+  });
+}
+
+module.exports = { register, normalizeItems, REPORT_COLUMNS, ITEM_COLUMNS, REVISION_COLUMNS };
@@ -0,0 +1,63 @@
+const { notFound } = require('../errors');
+const { requiredString } = require('../validate');
+
+//
+// Team directory and the caller's memberships (teams / team_members in supabase_schema.sql).
+// Team names are not sensitive, so the directory is read with the service connection; membership changes
+// are limited to the caller's own row and never grant the lead role.
+//
+
+function register(router, { db }) {
+  router.get('/teams', async () => {
+    const items = await db.asService((sql) => sql('select id, name from public.teams order by lower(name), id'));
+    return { items };
+  });
+
+  // Creates a team led by the caller
+  router.post('/teams', async ({ caller, body }) => {
+    const name = requiredString(body?.name, 'name', 100);
+    return db.asService(async (sql) => {
+      const [team] = await sql('insert into public.teams (name, created_by) values ($1, $2) returning id, name', [
+        name,
+        caller.id,
+      ]);
+      await sql("insert into public.team_members (team_id, user_id, role) values ($1, $2, 'lead')", [team.id, caller.id]);
+      return team;
+    });
+  });
+
+  router.get('/users/me/teams', async ({ caller }) => {
+    const items = await db.asService((sql) =>
+      sql(
+        `select t.id, t.name, m.role
+         from public.team_members m join public.teams t on t.id = m.team_id
+         where m.user_id = $1
+         order by lower(t.name), t.id`,
+        [caller.id]
+      )
+    );
+    return { items };
+  });
+
+  // Joins the team (as a member, if not already in it) and makes it the caller's default team in profiles
+  router.post('/users/me/team', async ({ caller, body }) => {
+    const teamId = requiredString(body?.team_id, 'team_id');
+    return db.asService(async (sql) => {
+      const [team] = await sql('select id, name from public.teams where id = $1', [teamId]);
+      if (!team) throw notFound('Team not found.');
+      await sql(
+        `insert into public.team_members (team_id, user_id, role) values ($1, $2, 'member')
+         on conflict (team_id, user_id) do nothing`,
+        [team.id, caller.id]
+      );
+      await sql(
+        `insert into public.profiles (user_id, email, team_id, team_name) values ($1, $2, $3, $4)
+         on conflict (user_id) do update set team_id = excluded.team_id, team_name = excluded.team_name`,
+        [caller.id, caller.email, team.id, team.name]
+      );
+      return { success: true, team };
+    });
+  });
+}
+
+module.exports = { register };
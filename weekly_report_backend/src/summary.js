@@ -0,0 +1,44 @@
+/**
+ * summarizeReports - Builds a plain-text team digest from submitted reports (ManagerReports "AI Summary").
+ * Deterministic and local: counts, most used tags, and every reported blocker with its author. A language model can
+ * be put behind POST /manager/ai/summary later without changing the response shape ({ summary }).
+ *
+ * @param {Array<{ user_id: string, email?: string, week_start: string, blockers?: string|null, tags?: string[] }>} reports
+ * @param {{ from?: string|null, to?: string|null }} [range]
+ * @returns {string}
+ */
+function summarizeReports(reports, { from, to } = {}) {
+  const range = from || to ? ` (${from || '…'} to ${to || '…'})` : '';
+  if (!reports.length) return `No submitted reports${range}.`;
+
+  const people = new Set(reports.map((r) => r.user_id));
+  const weeks = new Set(reports.map((r) => String(r.week_start).slice(0, 10)));
+  const lines = [
+    `${reports.length} report(s) from ${people.size} people across ${weeks.size} week(s)${range}.`,
+  ];
+
+  const tagCounts = {};
+  for (const r of reports) {
+    for (const tag of r.tags || []) tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+  }
+  const topTags = Object.entries(tagCounts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5);
+  if (topTags.length) {
+    lines.push(`Top tags: ${topTags.map(([tag, n]) => `${tag} (${n})`).join(', ')}.`);
+  }
+
+  const blocked = reports.filter((r) => String(r.blockers || '').trim());
+  if (blocked.length) {
+    lines.push('', `Blockers reported in ${blocked.length} report(s):`);
+    for (const r of blocked) {
+      const first = String(r.blockers).trim().split('\n')[0].replace(/^[-*]\s*/, '');
+      lines.push(`- ${r.email || r.user_id} (week of ${String(r.week_start).slice(0, 10)}): ${first}`);
+    }
+  } else {
+    lines.push('No blockers reported.');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { summarizeReports };
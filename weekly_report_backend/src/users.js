@@ -0,0 +1,83 @@
+const { notFound } = require('./errors');
+
+const PER_PAGE = 1000;
+
+const toUser = (u) => ({
+  id: u.id,
+  email: u.email || null,
+  role: u.app_metadata?.role || null,
+  created_at: u.created_at || null,
+  last_sign_in_at: u.last_sign_in_at || null,
+});
+
+/**
+ * createUserDirectory - Lists users and changes their application role (app_metadata.role).
+ * - With a Supabase service role client, uses the Auth admin API (the supported way to edit app_metadata).
+ * - Without one (stand-in database), reads and updates auth.users directly.
+ * The role is mirrored into public.profiles so profile-based lookups stay in sync.
+ *
+ * @param {{ db: ReturnType<import('./db').createDb>, supabaseAdmin?: import('@supabase/supabase-js').SupabaseClient|null }} deps
+ */
+function createUserDirectory({ db, supabaseAdmin }) {
+  async function listAdmin() {
+    const all = [];
+    for (let page = 1; ; page += 1) {
+      const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage: PER_PAGE });
+      if (error) throw new Error(error.message || 'Failed to list users.');
+      all.push(...data.users);
+      if (data.users.length < PER_PAGE) return all;
+    }
+  }
+
+  async function list() {
+    if (supabaseAdmin) {
+      return (await listAdmin()).map(toUser).sort((a, b) => String(a.email).localeCompare(String(b.email)));
+    }
+    return db.asService((sql) =>
+      sql(
+        `select id, email, raw_app_meta_data ->> 'role' as role, created_at, last_sign_in_at
+         from auth.users order by email`
+      )
+    );
+  }
+
+  async function setRole({ userId, email, role }) {
+    let user;
+    if (supabaseAdmin) {
+      const current = userId
+        ? (await supabaseAdmin.auth.admin.getUserById(userId)).data?.user
+        : (await listAdmin()).find((u) => String(u.email).toLowerCase() === email.toLowerCase());
+      if (!current) throw notFound('User not found.');
+      const { data, error } = await supabaseAdmin.auth.admin.updateUserById(current.id, {
+        app_metadata: { ...(current.app_metadata || {}), role },
+      });
+      if (error) throw new Error(error.message || 'Failed to update role.');
+      user = toUser(data.user);
+    } else {
+      const [row] = await db.asService((sql) =>
+        sql(
+          `update auth.users
+           set raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb) || jsonb_build_object('role', $3::text)
+           where ($1::uuid is not null and id = $1) or ($1::uuid is null and lower(email) = lower($2))
+           returning id, email, raw_app_meta_data ->> 'role' as role, created_at, last_sign_in_at`,
+          [userId || null, email || null, role]
+        )
+      );
+      if (!row) throw notFound('User not found.');
+      user = row;
+    }
+
+    await db.asService((sql) =>
+      sql(
+        `insert into public.profiles (user_id, email, role) values ($1, $2, $3)
+         on conflict (user_id) do update set role = excluded.role, email = coalesce(excluded.email, profiles.email)`,
+        [user.id, user.email, role]
+      )
+    );
+    return user;
+  }
+
+  return { list, setRole };
+}
+
+module.exports = { createUserDirectory };
@@ -0,0 +1,51 @@
+const { badRequest } = require('./errors');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** optionalDate - Returns a YYYY-MM-DD string, null when empty, or throws 400. */
+function optionalDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const s = String(value).slice(0, 10);
+  if (!ISO_DATE.test(s) || Number.isNaN(Date.parse(`${s}T00:00:00Z`))) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD).`);
+  }
+  return s;
+}
+
+/** requiredDate - Like optionalDate but the value must be present. */
+function requiredDate(value, name) {
+  const s = optionalDate(value, name);
+  if (!s) throw badRequest(`${name} is required.`);
+  return s;
+}
+
+/** requiredString - Trimmed non-empty string (at most maxLength characters) or 400. */
+function requiredString(value, name, maxLength = 200) {
+  const s = String(value ?? '').trim();
+  if (!s) throw badRequest(`${name} is required.`);
+  if (s.length > maxLength) throw badRequest(`${name} must be at most ${maxLength} characters.`);
+  return s;
+}
+
+/** optionalString - Trimmed string or null when empty. */
+function optionalString(value) {
+  const s = String(value ?? '').trim();
+  return s || null;
+}
+
+/** uuidParam - Validates a uuid path/body value (400 instead of a database error). */
+function uuidParam(value, name) {
+  const s = String(value ?? '');
+  if (!UUID.test(s)) throw badRequest(`${name} must be a UUID.`);
+  return s;
+}
+
+/** limitParam - Integer limit clamped to [1, max]. */
+function limitParam(value, fallback, max) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+module.exports = { optionalDate, requiredDate, requiredString, optionalString, uuidParam, limitParam };
@@ -0,0 +1,123 @@
+const { badRequest, conflict } = require('./errors');
+const { requiredDate, requiredString } = require('./validate');
+
+//
+// Reporting windows (public.reporting_windows): a date range with a weekly deadline schedule. The frontend turns
+// them into due dates (src/utils/reportingSchedule.js); the defaults below match the table's column defaults.
+// Status only moves forward (planned -> open -> closed) except that a closed window can be reopened, and two windows
+// for the same teams (or both for every team) must not overlap. The frontend mirrors these rules in
+// src/utils/reportingWindows.js.
+//
+
+const WINDOW_STATUSES = ['planned', 'open', 'closed'];
+const STATUS_TRANSITIONS = { planned: ['open', 'closed'], open: ['closed'], closed: ['open'] };
+const RECURRENCES = ['weekly'];
+const WINDOW_COLUMNS = `id, name, start_date::text as start, end_date::text as "end", status, frequency, due_weekday,
+  to_char(due_time, 'HH24:MI') as due_time, timezone, grace_hours, team_ids, created_at`;
+const SCHEDULE_DEFAULTS = { frequency: 'weekly', due_weekday: 5, due_time: '23:59', timezone: 'UTC', grace_hours: 0 };
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_GRACE_HOURS = 168;
+
+/** isTimeZone - True for IANA time zone names Node's Intl knows. */
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * parseWindow - Validates a reporting window body; schedule fields fall back to the defaults.
+ * Team ids are only checked for shape here; the caller verifies they exist.
+ *
+ * @param {Object} body
+ * @returns {{ name: string, start: string, end: string, status: string, frequency: string, due_weekday: number,
+ *   due_time: string, timezone: string, grace_hours: number, team_ids: string[] }}
+ */
+function parseWindow(body) {
+  const name = requiredString(body?.name, 'name', 100);
+  const start = requiredDate(body?.start, 'start');
+  const end = requiredDate(body?.end, 'end');
+  if (end < start) throw badRequest('end must not be before start.');
+  const status = body?.status ?? 'planned';
+  if (!WINDOW_STATUSES.includes(status)) throw badRequest(`status must be one of ${WINDOW_STATUSES.join(', ')}.`);
+
+  const frequency = body?.frequency ?? SCHEDULE_DEFAULTS.frequency;
+  if (!RECURRENCES.includes(frequency)) throw badRequest(`frequency must be one of ${RECURRENCES.join(', ')}.`);
+  const dueWeekday = Number(body?.due_weekday ?? SCHEDULE_DEFAULTS.due_weekday);
+  if (!Number.isInteger(dueWeekday) || dueWeekday < 1 || dueWeekday > 7) {
+    throw badRequest('due_weekday must be 1 (Monday) to 7 (Sunday).');
+  }
+  const dueTime = String(body?.due_time ?? SCHEDULE_DEFAULTS.due_time).slice(0, 5);
+  if (!TIME_OF_DAY.test(dueTime)) throw badRequest('due_time must be a time of day (HH:MM).');
+  const timezone = String(body?.timezone ?? SCHEDULE_DEFAULTS.timezone).trim();
+  if (!isTimeZone(timezone)) throw badRequest('timezone must be an IANA time zone such as Europe/Berlin.');
+  const graceHours = Number(body?.grace_hours ?? SCHEDULE_DEFAULTS.grace_hours);
+  if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+    throw badRequest(`grace_hours must be a whole number from 0 to ${MAX_GRACE_HOURS}.`);
+  }
+  const teamIds = body?.team_ids ?? [];
+  if (!Array.isArray(teamIds) || teamIds.some((t) => typeof t !== 'string' || !t.trim())) {
+    throw badRequest('team_ids must be an array of team ids.');
+  }
+
+  return {
+    name,
+    start,
+    end,
+    status,
+    frequency,
+    due_weekday: dueWeekday,
+    due_time: dueTime,
+    timezone,
+    grace_hours: graceHours,
+    team_ids: [...new Set(teamIds.map((t) => t.trim()))],
+  };
+}
+
+/** assertTransition - 400 unless a window may move from status `from` to `to` (staying put is always allowed). */
+function assertTransition(from, to) {
+  if (from === to || STATUS_TRANSITIONS[from]?.includes(to)) return;
+  throw badRequest(`A ${from} window cannot be changed to ${to}.`);
+}
+
+/**
+ * windowsOverlap - True when two windows share days and apply to the same teams. A window for every team does not
+ * overlap a team-specific one: the team-specific window takes precedence for its teams.
+ */
+function windowsOverlap(a, b) {
+  if (a.start > b.end || b.start > a.end) return false;
+  const ta = a.team_ids || [];
+  const tb = b.team_ids || [];
+  if (ta.length === 0 || tb.length === 0) return ta.length === tb.length;
+  return ta.some((t) => tb.includes(t));
+}
+
+/**
+ * assertNoOverlap - 409 when `window` overlaps one of the stored windows other than itself.
+ * Locks the table for the rest of the transaction so concurrent writes cannot both pass the check.
+ */
+async function assertNoOverlap(sql, window, excludeId = null) {
+  await sql('lock table public.reporting_windows in share row exclusive mode');
+  const rows = await sql(
+    `select id, name, start_date::text as start, end_date::text as "end", team_ids from public.reporting_windows
+     where id is distinct from $1 and start_date <= $2 and end_date >= $3`,
+    [excludeId, window.end, window.start]
+  );
+  const other = rows.find((r) => windowsOverlap(window, r));
+  if (other) throw conflict(`Overlaps "${other.name}" (${other.start} to ${other.end}) for the same teams.`);
+}
+
+module.exports = {
+  WINDOW_STATUSES,
+  WINDOW_COLUMNS,
+  SCHEDULE_DEFAULTS,
+  STATUS_TRANSITIONS,
+  parseWindow,
+  isTimeZone,
+  assertTransition,
+  windowsOverlap,
+  assertNoOverlap,
+};
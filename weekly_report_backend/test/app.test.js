@@ -0,0 +1,359 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+const { createAuthenticator, signJwt } = require('../src/auth');
+const { normalizeItems } = require('../src/routes/reports');
+const { rewritePolicies } = require('../scripts/setupStandin');
+
+const SECRET = 'test-secret-with-enough-length-0123456789';
+const IDS = {
+  employee: '00000000-0000-0000-0000-0000000000e1',
+  manager: '00000000-0000-0000-0000-0000000000a1',
+  admin: '00000000-0000-0000-0000-0000000000ad',
+};
+
+const tokenFor = (role) =>
+  signJwt(
+    { sub: IDS[role], email: `${role}@example.com`, role: 'authenticated', app_metadata: { role }, exp: Math.floor(Date.now() / 1000) + 600 },
+    SECRET
+  );
+
+// Records every query; respond(text, params) supplies rows
+function fakeDb(respond = () => []) {
+  const calls = [];
+  const run = (mode, caller, fn) =>
+    fn(async (text, params) => {
+      calls.push({ mode, caller: caller?.id || null, text, params });
+      return respond(text, params) || [];
+    });
+  return {
+    calls,
+    asUser: (caller, fn) => run('user', caller, fn),
+    asService: (fn) => run('service', null, fn),
+  };
+}
+
+async function withServer(deps, fn) {
+  const server = createApp({
+    users: { list: async () => [], setRole: async () => ({}) },
+    authenticate: createAuthenticator({ jwtSecret: SECRET }),
+    corsOrigins: ['http://localhost:3000'],
+    logger: { error: () => {} },
+    ...deps,
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, { role, body, headers } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(role ? { Authorization: `Bearer ${tokenFor(role)}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+  try {
+    await fn(call);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('health is public; everything else needs a token', async () => {
+  await withServer({ db: fakeDb() }, async (call) => {
+    assert.equal((await call('GET', '/health')).status, 200);
+    const res = await call('GET', '/manager/reports');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'UNAUTHORIZED');
+  });
+});
+
+test('unknown paths are 404 and wrong methods 405', async () => {
+  await withServer({ db: fakeDb() }, async (call) => {
+    assert.equal((await call('GET', '/nope', { role: 'employee' })).status, 404);
+    assert.equal((await call('POST', '/health')).status, 405);
+  });
+});
+
+test('malformed percent-escapes in the path are 400, not 500', async () => {
+  await withServer({ db: fakeDb() }, async (call) => {
+    const res = await call('GET', '/reports/%E0%A4%A', { role: 'employee' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+  });
+});
+
+test('manager endpoints enforce roles server-side', async () => {
+  const db = fakeDb((text) => (text.includes('can_manage_team') ? [{ ok: true }] : []));
+  await withServer({ db }, async (call) => {
+    assert.equal((await call('GET', '/manager/reports?team=alpha', { role: 'employee' })).status, 403);
+    assert.equal((await call('GET', '/admin/users', { role: 'manager' })).status, 403);
+
+    const res = await call('GET', '/manager/reports?team=alpha&from=2025-01-01&to=2025-01-31&limit=20', { role: 'manager' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { items: [] });
+    const reportQuery = db.calls.find((c) => c.text.includes('from public.weekly_reports r'));
+    assert.equal(reportQuery.mode, 'user');
+    assert.equal(reportQuery.caller, IDS.manager);
+    assert.deepEqual(reportQuery.params, ['alpha', '2025-01-01', '2025-01-31', 20]);
+  });
+});
+
+test('a team the caller does not manage is rejected', async () => {
+  const db = fakeDb((text) => (text.includes('can_manage_team') ? [{ ok: false }] : []));
+  await withServer({ db }, async (call) => {
+    const res = await call('GET', '/manager/compliance?team=beta&from=2025-01-06&to=2025-01-13', { role: 'manager' });
+    assert.equal(res.status, 403);
+  });
+});
+
+test('compliance rows are grouped into members and reports', async () => {
+  const rows = [
+    { user_id: 'u1', email: 'a@x', week_start: '2025-01-06', report_id: 'r1', submitted_at: '2025-01-07T09:00:00Z' },
+    { user_id: 'u1', email: 'a@x', week_start: '2025-01-13', report_id: null, submitted_at: null },
+    { user_id: 'u2', email: 'b@x', week_start: '2025-01-06', report_id: null, submitted_at: null },
+  ];
+  const db = fakeDb((text) => {
+    if (text.includes('can_manage_team')) return [{ ok: true }];
+    if (text.includes('team_compliance')) return rows;
+    return [];
+  });
+  await withServer({ db }, async (call) => {
+    const res = await call('GET', '/manager/compliance?team=alpha&from=2025-01-06&to=2025-01-13', { role: 'admin' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.members, [{ user_id: 'u1', email: 'a@x' }, { user_id: 'u2', email: 'b@x' }]);
+    assert.deepEqual(res.body.reports.map((r) => r.id), ['r1']);
+  });
+});
+
+test('request validation returns 400 before touching the database', async () => {
+  const db = fakeDb();
+  await withServer({ db }, async (call) => {
+    assert.equal((await call('GET', '/reports/not-a-uuid', { role: 'employee' })).status, 400);
+    assert.equal((await call('GET', '/manager/metrics?from=2025-01-01&to=2025-02-01', { role: 'manager' })).status, 400);
+    assert.equal((await call('GET', '/manager/reports?from=yesterday', { role: 'manager' })).status, 400);
+    assert.equal(
+      (await call('POST', '/admin/reporting-windows', { role: 'admin', body: { name: 'Q1', start: '2025-03-31', end: '2025-01-01' } })).status,
+      400
+    );
+    assert.equal((await call('POST', '/admin/users/role', { role: 'admin', body: { email: 'x@y', role: 'owner' } })).status, 400);
+    assert.equal(db.calls.length, 0);
+  });
+});
+
+test('reporting window schedules are validated before touching the database', async () => {
+  const db = fakeDb();
+  const window = { name: 'Q1', start: '2025-01-01', end: '2025-03-31' };
+  await withServer({ db }, async (call) => {
+    for (const bad of [
+      { timezone: 'Mars/Olympus' },
+      { due_weekday: 0 },
+      { due_time: '24:00' },
+      { grace_hours: 1.5 },
+      { team_ids: 'platform' },
+      { frequency: 'monthly' },
+    ]) {
+      const res = await call('POST', '/admin/reporting-windows', { role: 'admin', body: { ...window, ...bad } });
+      assert.equal(res.status, 400, JSON.stringify(bad));
+    }
+    assert.equal(db.calls.length, 0);
+  });
+});
+
+test('reporting windows store their schedule and must name existing teams', async () => {
+  const db = fakeDb((text, params) => {
+    if (text.includes('from public.teams')) return params[0].filter((id) => id === 'platform').map((id) => ({ id }));
+    if (text.startsWith('insert')) return [{ id: 'w1', team_ids: params[9] }];
+    return [];
+  });
+  await withServer({ db }, async (call) => {
+    const body = { name: 'Q1', start: '2025-01-01', end: '2025-03-31', due_weekday: 4, due_time: '17:00', timezone: 'Europe/Berlin', grace_hours: 2 };
+    const unknown = await call('POST', '/admin/reporting-windows', { role: 'admin', body: { ...body, team_ids: ['platform', 'ghost'] } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /ghost/);
+
+    const res = await call('POST', '/admin/reporting-windows', { role: 'admin', body: { ...body, team_ids: ['platform', 'platform'] } });
+    assert.equal(res.status, 200);
+    const insert = db.calls.find((c) => c.text.startsWith('insert'));
+    assert.deepEqual(insert.params.slice(3), ['planned', 'weekly', 4, '17:00', 'Europe/Berlin', 2, ['platform']]);
+  });
+});
+
+test('reporting windows for the same teams must not overlap', async () => {
+  const stored = [
+    { id: 'w1', name: 'Q1', start: '2025-01-01', end: '2025-03-31', team_ids: [] },
+    { id: 'w2', name: 'Q1 Mobile', start: '2025-01-01', end: '2025-03-31', team_ids: ['mobile'] },
+  ];
+  const db = fakeDb((text, params) => {
+    if (text.includes('from public.teams')) return params[0].map((id) => ({ id }));
+    if (text.includes('where id is distinct from')) return stored.filter((w) => w.id !== params[0]);
+    if (text.startsWith('insert')) return [{ id: 'w3' }];
+    return [];
+  });
+  await withServer({ db }, async (call) => {
+    const post = (body) => call('POST', '/admin/reporting-windows', { role: 'admin', body: { name: 'New', ...body } });
+    const global = await post({ start: '2025-03-01', end: '2025-04-30' });
+    assert.equal(global.status, 409);
+    assert.match(global.body.error, /"Q1"/);
+    assert.equal((await post({ start: '2025-03-01', end: '2025-04-30', team_ids: ['mobile', 'web'] })).status, 409);
+    // Team-specific windows may sit inside a window for every team
+    assert.equal((await post({ start: '2025-03-01', end: '2025-04-30', team_ids: ['platform'] })).status, 200);
+    assert.equal((await post({ start: '2025-04-01', end: '2025-06-30' })).status, 200);
+  });
+});
+
+test('reporting windows can be edited and move through their status transitions', async () => {
+  const id = '00000000-0000-0000-0000-00000000000b';
+  const current = {
+    id, name: 'Q1', start: '2025-01-01', end: '2025-03-31', status: 'open', frequency: 'weekly', due_weekday: 5,
+    due_time: '23:59', timezone: 'UTC', grace_hours: 0, team_ids: [],
+  };
+  const db = fakeDb((text, params) => {
+    if (text.includes('for update')) return params[0] === id ? [current] : [];
+    if (text.startsWith('update')) return [{ id, status: params[4], grace_hours: params[9] }];
+    return [];
+  });
+  await withServer({ db }, async (call) => {
+    const patch = (body, target = id) => call('PATCH', `/admin/reporting-windows/${target}`, { role: 'admin', body });
+    const res = await patch({ status: 'closed', grace_hours: 4 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { id, status: 'closed', grace_hours: 4 });
+    const update = db.calls.find((c) => c.text.startsWith('update'));
+    assert.deepEqual(update.params.slice(1, 5), ['Q1', '2025-01-01', '2025-03-31', 'closed']);
+
+    assert.equal((await patch({ status: 'planned' })).status, 400);
+    assert.equal((await patch({ end: '2024-12-31' })).status, 400);
+    assert.equal((await patch({ status: 'closed' }, '00000000-0000-0000-0000-000000000000')).status, 404);
+    assert.equal((await call('PATCH', `/admin/reporting-windows/${id}`, { role: 'manager', body: {} })).status, 403);
+  });
+});
+
+test('authors read their own revision history; other reports are 403', async () => {
+  const own = '00000000-0000-0000-0000-0000000000f1';
+  const other = '00000000-0000-0000-0000-0000000000f2';
+  const reports = { [own]: IDS.employee, [other]: IDS.manager };
+  const db = fakeDb((text, params) => {
+    if (text.includes('from public.weekly_reports')) return reports[params[0]] ? [{ id: params[0], user_id: reports[params[0]] }] : [];
+    if (text.includes('weekly_report_revisions')) return [{ id: 'v1', report_id: params[0], revision: 1 }];
+    return [];
+  });
+  await withServer({ db }, async (call) => {
+    const res = await call('GET', `/reports/${own}/revisions`, { role: 'employee' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items, [{ id: 'v1', report_id: own, revision: 1 }]);
+    assert.ok(db.calls.every((c) => c.mode === 'user' && c.caller === IDS.employee));
+
+    assert.equal((await call('GET', `/reports/${other}/revisions`, { role: 'employee' })).status, 403);
+    assert.equal((await call('GET', '/reports/00000000-0000-0000-0000-000000000000/revisions', { role: 'employee' })).status, 404);
+    // The team-wide route stays manager-only
+    assert.equal((await call('GET', `/manager/reports/${own}/revisions`, { role: 'employee' })).status, 403);
+  });
+});
+
+test('posting the same blocker changes twice only applies them once', async () => {
+  const report = '00000000-0000-0000-0000-0000000000f1';
+  const blocker = '00000000-0000-0000-0000-0000000000b1';
+  // Stands in for public.sync_report_blockers: resolved blockers and titles already opened from the report are skipped
+  const blockers = [{ id: blocker, status: 'open', source_report_id: null, title: 'Old' }];
+  const db = fakeDb((text, params) => {
+    if (text.includes('from public.weekly_reports')) return [{ id: params[0], user_id: IDS.employee, week_start: '2025-01-06' }];
+    if (!text.includes('sync_report_blockers')) return [];
+    const counts = { carried: 0, escalated: 0, resolved: 0, opened: 0 };
+    for (const u of JSON.parse(params[1])) {
+      const b = blockers.find((x) => x.id === u.id && x.status !== 'resolved');
+      if (b && u.action === 'resolve') {
+        b.status = 'resolved';
+        counts.resolved += 1;
+      }
+    }
+    for (const title of params[2]) {
+      if (blockers.some((x) => x.source_report_id === params[0] && x.title === title)) continue;
+      blockers.push({ id: `new-${blockers.length}`, status: 'open', source_report_id: params[0], title });
+      counts.opened += 1;
+    }
+    return [{ counts }];
+  });
+  const body = { updates: [{ id: blocker, action: 'resolve', notes: ' Fixed ' }], newBlockers: ['  Waiting on VPN  ', ''] };
+  await withServer({ db }, async (call) => {
+    const first = await call('POST', `/reports/${report}/blockers`, { role: 'employee', body });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, { carried: 0, escalated: 0, resolved: 1, opened: 1 });
+    const again = await call('POST', `/reports/${report}/blockers`, { role: 'employee', body });
+    assert.equal(again.status, 200);
+    assert.deepEqual(again.body, { carried: 0, escalated: 0, resolved: 0, opened: 0 });
+
+    assert.equal(blockers.length, 2);
+    const syncs = db.calls.filter((c) => c.text.includes('sync_report_blockers'));
+    assert.equal(syncs.length, 2);
+    assert.ok(syncs.every((c) => c.mode === 'user' && c.caller === IDS.employee));
+    assert.deepEqual(syncs[0].params, [report, JSON.stringify([{ id: blocker, action: 'resolve', notes: 'Fixed' }]), ['Waiting on VPN']]);
+  });
+});
+
+test('any signed-in user can list non-planned reporting windows', async () => {
+  const db = fakeDb(() => [{ id: 'w1', status: 'open' }]);
+  await withServer({ db }, async (call) => {
+    const res = await call('GET', '/reporting-windows', { role: 'employee' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items, [{ id: 'w1', status: 'open' }]);
+    assert.equal(db.calls[0].mode, 'user');
+    assert.match(db.calls[0].text, /status <> 'planned'/);
+    assert.equal((await call('GET', '/reporting-windows')).status, 401);
+  });
+});
+
+test('role changes go through the user directory', async () => {
+  const seen = [];
+  const users = { list: async () => [], setRole: async (args) => (seen.push(args), { id: 'u1', email: args.email, role: args.role }) };
+  await withServer({ db: fakeDb(), users }, async (call) => {
+    const res = await call('POST', '/admin/users/role', { role: 'admin', body: { email: 'x@example.com', role: 'Manager' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.deepEqual(seen, [{ userId: null, email: 'x@example.com', role: 'manager' }]);
+  });
+});
+
+test('reporting windows can be deleted with DELETE or the POST alias', async () => {
+  const id = '00000000-0000-0000-0000-00000000000a';
+  const db = fakeDb((text, params) => (text.startsWith('delete') && params[0] === id ? [{ id }] : []));
+  await withServer({ db }, async (call) => {
+    assert.deepEqual((await call('DELETE', `/admin/reporting-windows/${id}`, { role: 'admin' })).body, { success: true });
+    assert.equal((await call('POST', `/admin/reporting-windows/${id}/delete`, { role: 'admin' })).status, 200);
+    assert.equal((await call('DELETE', '/admin/reporting-windows/00000000-0000-0000-0000-000000000000', { role: 'admin' })).status, 404);
+    assert.equal((await call('DELETE', `/admin/reporting-windows/${id}`, { role: 'manager' })).status, 403);
+  });
+});
+
+test('CORS preflight is answered for configured origins only', async () => {
+  await withServer({ db: fakeDb() }, async (call) => {
+    const ok = await call('OPTIONS', '/manager/reports', { headers: { Origin: 'http://localhost:3000' } });
+    assert.equal(ok.status, 204);
+    assert.equal(ok.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+    const other = await call('OPTIONS', '/manager/reports', { headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+test('normalizeItems matches the frontend normalization', () => {
+  const items = normalizeItems([
+    { type: 'plan', text: '  Ship it ', link: 'javascript:alert(1)', effort_hours: '2' },
+    { type: 'weird', text: 'Fixed bug', status: 'nope', link: 'https://example.com' },
+    { type: 'blocker', text: '   ' },
+  ]);
+  assert.deepEqual(items, [
+    { type: 'plan', text: 'Ship it', status: 'planned', link: null, effort_hours: 2, position: 0 },
+    { type: 'accomplishment', text: 'Fixed bug', status: 'done', link: 'https://example.com', effort_hours: null, position: 1 },
+  ]);
+});
+
+test('rewritePolicies turns Supabase-editor policies into re-runnable Postgres', () => {
+  const out = rewritePolicies('create policy if not exists "select_own"\non public.weekly_reports\nfor select');
+  assert.equal(
+    out,
+    'drop policy if exists "select_own" on public.weekly_reports;\ncreate policy "select_own"\non public.weekly_reports\nfor select'
+  );
+});
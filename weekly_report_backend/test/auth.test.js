@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signJwt, verifyJwt, toCaller, createAuthenticator } = require('../src/auth');
+
+const SECRET = 'test-secret-with-enough-length-0123456789';
+const NOW = 1_700_000_000;
+const claims = (extra = {}) => ({
+  sub: '00000000-0000-0000-0000-000000000001',
+  email: 'mona@example.com',
+  role: 'authenticated',
+  app_metadata: { role: 'manager' },
+  exp: NOW + 60,
+  ...extra,
+});
+
+test('verifyJwt accepts a valid token and returns its claims', () => {
+  const out = verifyJwt(signJwt(claims(), SECRET), SECRET, { now: NOW });
+  assert.equal(out.sub, claims().sub);
+  assert.equal(out.app_metadata.role, 'manager');
+});
+
+test('verifyJwt rejects forged, expired, anonymous and malformed tokens', () => {
+  const expectUnauthorized = (fn) => assert.throws(fn, (e) => e.status === 401);
+  expectUnauthorized(() => verifyJwt(signJwt(claims(), 'another-secret'), SECRET, { now: NOW }));
+  expectUnauthorized(() => verifyJwt(signJwt(claims({ exp: NOW - 1 }), SECRET), SECRET, { now: NOW }));
+  expectUnauthorized(() => verifyJwt(signJwt(claims({ nbf: NOW + 10 }), SECRET), SECRET, { now: NOW }));
+  expectUnauthorized(() => verifyJwt(signJwt(claims({ role: 'anon' }), SECRET), SECRET, { now: NOW }));
+  expectUnauthorized(() => verifyJwt('not-a-token', SECRET, { now: NOW }));
+
+  // Payload swapped after signing (e.g. role escalation)
+  const [h, , s] = signJwt(claims(), SECRET).split('.');
+  const body = Buffer.from(JSON.stringify(claims({ app_metadata: { role: 'admin' } }))).toString('base64url');
+  expectUnauthorized(() => verifyJwt(`${h}.${body}.${s}`, SECRET, { now: NOW }));
+});
+
+test('toCaller takes the role from app_metadata only', () => {
+  assert.equal(toCaller(claims()).role, 'manager');
+  assert.equal(toCaller(claims({ app_metadata: {}, user_metadata: { role: 'admin' } })).role, 'employee');
+  assert.equal(toCaller(claims({ app_metadata: { role: 'superuser' } })).role, 'employee');
+});
+
+test('authenticate requires a bearer token', async () => {
+  const authenticate = createAuthenticator({ jwtSecret: SECRET });
+  await assert.rejects(authenticate({ headers: {} }), (e) => e.status === 401);
+  const token = signJwt(claims({ exp: Math.floor(Date.now() / 1000) + 60 }), SECRET);
+  const caller = await authenticate({ headers: { authorization: `Bearer ${token}` } });
+  assert.equal(caller.id, claims().sub);
+  assert.equal(caller.role, 'manager');
+});
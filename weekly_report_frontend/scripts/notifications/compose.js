@@ -0,0 +1,153 @@
+/**
+ * scripts/notifications/compose.js
+ *
+ * Decides which notifications are due, without sending anything:
+ * - Reminders go to team members without a submitted report for a week governed by an open reporting window:
+ *   once ahead of the deadline ("due_soon", within leadHours of it) and once after it ("overdue").
+ * - Digests go to each team lead once the week's deadline, grace period included, has passed: who reported on
+ *   time, late, or not at all. Weeks governed by a closed window still get their digest.
+ * Weeks without a governing window (only the default deadline) get no notifications.
+ *
+ * Every message carries an idempotency key; the ledger (ledger.js) makes sure a key is only ever sent once.
+ */
+
+const { addWeeks, formatDueAt, formatDuration, scheduleDeadline, scheduleForWeek, weekStartOf } = require('./schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * reportStatus - on_time / late / missing for one member's week.
+ * A report counts for a team when it was filed for that team or without a team.
+ */
+function reportStatus({ reports, userId, teamId, weekStart, closesAt }) {
+  const report = reports.find(
+    (r) =>
+      r.user_id === userId &&
+      String(r.week_start).slice(0, 10) === weekStart &&
+      r.status === 'submitted' &&
+      (!r.team_id || r.team_id === teamId)
+  );
+  if (!report) return { status: 'missing', report: null };
+  const at = Date.parse(report.submitted_at || report.created_at || '');
+  return { status: Number.isFinite(at) && at < closesAt.getTime() ? 'on_time' : 'late', report };
+}
+
+/**
+ * composeNotifications - Builds the reminder and digest messages due at `now`.
+ *
+ * @param {{ windows: Array<Object>, teams: Array<{ id: string, name: string }>,
+ *   members: Array<{ team_id: string, user_id: string, role: string }>, emails: Map<string, string>,
+ *   reports: Array<Object>, now?: Date, weeks?: string[], kinds?: string[], leadHours?: number, appUrl?: string }} input
+ *   weeks defaults to last week and this week; kinds to ['reminder', 'digest']
+ * @returns {{ messages: Array<{ key: string, kind: string, template: string, to: string, user_id: string,
+ *   team_id: string, week_start: string, vars: Object }>, skipped: string[] }} skipped explains recipients left out
+ */
+function composeNotifications({
+  windows,
+  teams,
+  members,
+  emails,
+  reports,
+  now = new Date(),
+  weeks = null,
+  kinds = ['reminder', 'digest'],
+  leadHours = 24,
+  appUrl = '',
+}) {
+  const thisWeek = weekStartOf(now);
+  const weekList = weeks && weeks.length ? weeks : [addWeeks(thisWeek, -1), thisWeek];
+  const base = String(appUrl || '').replace(/\/+$/, '');
+  const messages = [];
+  const skipped = [];
+
+  for (const team of teams) {
+    const teamMembers = members.filter((m) => m.team_id === team.id);
+    if (teamMembers.length === 0) continue;
+
+    for (const weekStart of weekList) {
+      const schedule = scheduleForWeek(windows, { weekStart, teamId: team.id });
+      if (!schedule.window) continue;
+      const { dueAt, closesAt } = scheduleDeadline(weekStart, schedule);
+      const common = {
+        team_name: team.name || team.id,
+        week_start: weekStart,
+        window_name: schedule.window.name,
+        due_at: formatDueAt(dueAt, schedule.timezone),
+      };
+
+      const rows = teamMembers.map((m) => ({
+        ...m,
+        email: emails.get(m.user_id) || null,
+        ...reportStatus({ reports, userId: m.user_id, teamId: team.id, weekStart, closesAt }),
+      }));
+
+      if (kinds.includes('reminder') && schedule.window.status === 'open') {
+        for (const row of rows.filter((r) => r.status === 'missing')) {
+          const untilDue = dueAt.getTime() - now.getTime();
+          let stage = null;
+          if (untilDue <= 0) stage = 'overdue';
+          else if (untilDue <= leadHours * HOUR_MS) stage = 'due_soon';
+          if (!stage) continue;
+          if (!row.email) {
+            skipped.push(`No email for user ${row.user_id} (team ${team.id}); reminder for ${weekStart} not composed.`);
+            continue;
+          }
+          messages.push({
+            key: `reminder:${stage}:${team.id}:${row.user_id}:${weekStart}`,
+            kind: 'reminder',
+            template: stage === 'overdue' ? 'reminder_overdue' : 'reminder_due_soon',
+            to: row.email,
+            user_id: row.user_id,
+            team_id: team.id,
+            week_start: weekStart,
+            vars: {
+              ...common,
+              email: row.email,
+              due_in: stage === 'due_soon' ? formatDuration(untilDue) : '',
+              late_by: stage === 'overdue' ? formatDuration(-untilDue) : '',
+              link: `${base}/reports/new`,
+            },
+          });
+        }
+      }
+
+      if (kinds.includes('digest') && now >= closesAt) {
+        const pick = (status) => rows.filter((r) => r.status === status).map((r) => r.email || r.user_id);
+        const onTime = pick('on_time');
+        const late = pick('late');
+        const missing = pick('missing');
+        for (const lead of rows.filter((r) => r.role === 'lead')) {
+          if (!lead.email) {
+            skipped.push(`No email for team lead ${lead.user_id} (team ${team.id}); digest for ${weekStart} not composed.`);
+            continue;
+          }
+          messages.push({
+            key: `digest:${team.id}:${lead.user_id}:${weekStart}`,
+            kind: 'digest',
+            template: 'digest',
+            to: lead.email,
+            user_id: lead.user_id,
+            team_id: team.id,
+            week_start: weekStart,
+            vars: {
+              ...common,
+              email: lead.email,
+              total: rows.length,
+              on_time_count: onTime.length,
+              late_count: late.length,
+              missing_count: missing.length,
+              on_time: onTime,
+              late,
+              missing,
+              link: `${base}/manager/compliance?week=${weekStart}`,
+            },
+          });
+        }
+      }
+    }
+  }
+
+  return { messages, skipped };
+}
+
+module.exports = { composeNotifications, reportStatus };
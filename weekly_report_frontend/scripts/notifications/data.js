@@ -0,0 +1,68 @@
+/**
+ * scripts/notifications/data.js
+ *
+ * Loads what the notification job needs with the Supabase service role (bypasses RLS): open and closed reporting
+ * windows, teams, team membership, member emails (from auth.users) and the submitted reports of the given weeks.
+ */
+
+const USERS_PAGE_SIZE = 1000;
+
+async function select(query, what) {
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load ${what}: ${error.message}`);
+  return data || [];
+}
+
+async function loadEmails(supabase) {
+  const emails = new Map();
+  for (let page = 1; ; page += 1) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: USERS_PAGE_SIZE });
+    if (error) throw new Error(`Failed to list users: ${error.message}`);
+    const users = data?.users || [];
+    for (const u of users) if (u.email) emails.set(u.id, u.email);
+    if (users.length < USERS_PAGE_SIZE) return emails;
+  }
+}
+
+/**
+ * loadNotificationData - Everything composeNotifications needs for `weeks`.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - service role client
+ * @param {{ weeks: string[] }} params
+ */
+async function loadNotificationData(supabase, { weeks }) {
+  const [windows, teams, members, emails, reports] = await Promise.all([
+    select(
+      supabase
+        .from('reporting_windows')
+        .select('id, name, start_date, end_date, status, frequency, due_weekday, due_time, timezone, grace_hours, team_ids')
+        .neq('status', 'planned'),
+      'reporting windows'
+    ),
+    select(supabase.from('teams').select('id, name'), 'teams'),
+    select(supabase.from('team_members').select('team_id, user_id, role'), 'team members'),
+    loadEmails(supabase),
+    select(
+      supabase
+        .from('weekly_reports')
+        .select('user_id, team_id, week_start, status, submitted_at, created_at')
+        .eq('status', 'submitted')
+        .in('week_start', weeks),
+      'weekly reports'
+    ),
+  ]);
+
+  return {
+    windows: windows.map((w) => ({
+      ...w,
+      start: String(w.start_date).slice(0, 10),
+      end: String(w.end_date).slice(0, 10),
+      due_time: w.due_time ? String(w.due_time).slice(0, 5) : w.due_time,
+    })),
+    teams,
+    members,
+    emails,
+    reports,
+  };
+}
+
+module.exports = { loadNotificationData };
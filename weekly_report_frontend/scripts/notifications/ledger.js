@@ -0,0 +1,105 @@
+/**
+ * scripts/notifications/ledger.js
+ *
+ * Idempotency ledger: records which notification keys were sent so a message is never sent twice, however often
+ * the job runs. A key is claimed before sending ('sending'), then marked 'sent', or released ('failed') when the
+ * transport fails so the next run retries it. A key left in 'sending' by a crash is not retried automatically:
+ * the message may have gone out, and a missed reminder is better than a duplicate.
+ *
+ * - fileLedger: a JSON-lines file (local use and single hosts); a lock file keeps two runs from overlapping
+ * - supabaseLedger: public.notification_log (see supabase_schema.sql), safe across hosts via its primary key
+ *
+ * Both expose claim(entry) -> Promise<boolean>, markSent(key, info), release(key, error) and close().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function fileLedger(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const lockFile = `${file}.lock`;
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+  } catch (e) {
+    if (e.code === 'EEXIST') {
+      throw new Error(`Another run holds ${lockFile}. Remove it if no job is running.`);
+    }
+    throw e;
+  }
+
+  const status = new Map();
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        status.set(entry.key, entry.status);
+      } catch {
+        // Ignore a torn last line from an interrupted write
+      }
+    }
+  }
+  const append = (entry) => {
+    fs.appendFileSync(file, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+    status.set(entry.key, entry.status);
+  };
+
+  return {
+    name: `file ${file}`,
+    async claim(entry) {
+      const current = status.get(entry.key);
+      if (current && current !== 'failed') return false;
+      append({ ...entry, status: 'sending' });
+      return true;
+    },
+    async markSent(key, info = {}) {
+      append({ key, status: 'sent', id: info.id || null });
+    },
+    async release(key, error) {
+      append({ key, status: 'failed', error: String(error?.message || error || '') });
+    },
+    async close() {
+      fs.rmSync(lockFile, { force: true });
+    },
+  };
+}
+
+function supabaseLedger(supabase) {
+  const table = () => supabase.from('notification_log');
+  const fail = (action, error) => {
+    throw new Error(`notification_log ${action} failed: ${error.message}`);
+  };
+
+  return {
+    name: 'supabase public.notification_log',
+    async claim(entry) {
+      const row = { key: entry.key, kind: entry.kind, recipient: entry.to, week_start: entry.week_start, status: 'sending' };
+      const { error } = await table().insert(row);
+      if (!error) return true;
+      if (error.code !== '23505') fail('insert', error);
+      // Already known: only a failed attempt may be claimed again
+      const { data, error: retryErr } = await table()
+        .update({ status: 'sending', error: null })
+        .eq('key', entry.key)
+        .eq('status', 'failed')
+        .select('key');
+      if (retryErr) fail('update', retryErr);
+      return Array.isArray(data) && data.length > 0;
+    },
+    async markSent(key, info = {}) {
+      const { error } = await table()
+        .update({ status: 'sent', sent_at: new Date().toISOString(), message_id: info.id || null })
+        .eq('key', key);
+      if (error) fail('update', error);
+    },
+    async release(key, err) {
+      const { error } = await table()
+        .update({ status: 'failed', error: String(err?.message || err || '') })
+        .eq('key', key);
+      if (error) fail('update', error);
+    },
+    async close() {},
+  };
+}
+
+module.exports = { fileLedger, supabaseLedger };
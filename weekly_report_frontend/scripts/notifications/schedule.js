@@ -0,0 +1,167 @@
+/**
+ * scripts/notifications/schedule.js
+ *
+ * Report deadlines for Node scripts. A CommonJS port of the parts of src/utils/reportingSchedule.js the notification
+ * job needs (the app's copy is an ES module bundled by react-scripts). src/utils/reportingSchedule.test.js runs both
+ * on the same windows and fails when they drift apart.
+ *
+ * A reporting window covers a date range and carries a weekly schedule: reports for a week are due on due_weekday
+ * (1 = Monday … 7 = Sunday) of that week at due_time (HH:MM, inclusive of that minute) in timezone, and count as
+ * late once grace_hours more have passed. team_ids limits a window to some teams; an empty list applies to every team.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(?::\d{2})?$/;
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DEFAULT_SCHEDULE = Object.freeze({ frequency: 'weekly', due_weekday: 5, due_time: '23:59', timezone: 'UTC', grace_hours: 0 });
+
+const parseDay = (iso) => Date.parse(`${String(iso || '').slice(0, 10)}T00:00:00Z`);
+const toIso = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const formatters = new Map();
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of timeZone from UTC at the instant ms, in ms (positive east of UTC)
+function zoneOffset(ms, timeZone) {
+  const p = Object.fromEntries(partsFormatter(timeZone).formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  const wall = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour) % 24, Number(p.minute), Number(p.second));
+  return wall - (ms - (ms % 1000));
+}
+
+// UTC instant of a wall-clock time in timeZone; the second pass settles DST transitions
+function zonedToUtc(wallMs, timeZone) {
+  const first = wallMs - zoneOffset(wallMs, timeZone);
+  return wallMs - zoneOffset(first, timeZone);
+}
+
+/** normalizeSchedule - Fills missing or invalid schedule fields from DEFAULT_SCHEDULE. */
+function normalizeSchedule(s = {}) {
+  const weekday = Number(s?.due_weekday);
+  const time = TIME_RE.exec(String(s?.due_time || ''));
+  const grace = Number(s?.grace_hours);
+  return {
+    frequency: DEFAULT_SCHEDULE.frequency,
+    due_weekday: Number.isInteger(weekday) && weekday >= 1 && weekday <= 7 ? weekday : DEFAULT_SCHEDULE.due_weekday,
+    due_time: time ? `${time[1]}:${time[2]}` : DEFAULT_SCHEDULE.due_time,
+    timezone: isValidTimeZone(s?.timezone) ? s.timezone : DEFAULT_SCHEDULE.timezone,
+    grace_hours: Number.isFinite(grace) && grace > 0 ? grace : 0,
+  };
+}
+
+/**
+ * scheduleDeadline - When the report for a week is due (end of the due minute) and when it becomes late.
+ * @returns {{ dueDate: string, dueAt: Date, closesAt: Date }}
+ */
+function scheduleDeadline(weekStart, schedule = DEFAULT_SCHEDULE) {
+  const s = normalizeSchedule(schedule);
+  const dueDay = parseDay(weekStart) + (s.due_weekday - 1) * DAY_MS;
+  const [hh, mm] = s.due_time.split(':').map(Number);
+  const dueAt = zonedToUtc(dueDay + (hh * 60 + mm + 1) * MINUTE_MS, s.timezone);
+  return { dueDate: toIso(dueDay), dueAt: new Date(dueAt), closesAt: new Date(dueAt + s.grace_hours * 60 * MINUTE_MS) };
+}
+
+/** windowAppliesToTeam - True when the window has no team list or includes the team. */
+function windowAppliesToTeam(window, teamId) {
+  const ids = Array.isArray(window?.team_ids) ? window.team_ids : [];
+  return ids.length === 0 || (teamId != null && ids.map(String).includes(String(teamId)));
+}
+
+/**
+ * scheduleForWeek - The schedule governing a team's week: the open or closed window whose range contains the week's
+ * due day, preferring team-specific windows, then the latest start. Returns the normalized schedule plus `window`
+ * (null when DEFAULT_SCHEDULE applies).
+ */
+function scheduleForWeek(windows, { weekStart, teamId = null }) {
+  const candidates = (windows || []).filter((w) => {
+    if (!w || w.status === 'planned' || !w.start || !w.end) return false;
+    if (!windowAppliesToTeam(w, teamId)) return false;
+    const { dueDate } = scheduleDeadline(weekStart, w);
+    return String(w.start).slice(0, 10) <= dueDate && dueDate <= String(w.end).slice(0, 10);
+  });
+  const specific = (w) => (Array.isArray(w.team_ids) && w.team_ids.length > 0 ? 1 : 0);
+  candidates.sort((a, b) => specific(b) - specific(a) || String(b.start).localeCompare(String(a.start)));
+  const window = candidates[0] || null;
+  return { ...normalizeSchedule(window || DEFAULT_SCHEDULE), window };
+}
+
+/** weekStartOf - Monday (YYYY-MM-DD, UTC) of the week containing `date`. */
+function weekStartOf(date = new Date()) {
+  const d = new Date(typeof date === 'string' ? `${date.slice(0, 10)}T00:00:00Z` : date);
+  const day = d.getUTCDay(); // 0 = Sunday
+  d.setUTCDate(d.getUTCDate() - ((day + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/** addWeeks - Week start n weeks after `weekStart` (negative n goes back). */
+function addWeeks(weekStart, n) {
+  return toIso(parseDay(weekStart) + n * 7 * DAY_MS);
+}
+
+/** formatDuration - Compact duration: "2d 4h", "3h 20m", "12m". */
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.floor(ms / MINUTE_MS));
+  if (minutes < 1) return 'less than a minute';
+  const d = Math.floor(minutes / (24 * 60));
+  const h = Math.floor((minutes % (24 * 60)) / 60);
+  const m = minutes % 60;
+  if (d > 0) return h ? `${d}d ${h}h` : `${d}d`;
+  if (h > 0) return m ? `${h}h ${m}m` : `${h}h`;
+  return `${m}m`;
+}
+
+/** formatDueAt - "Fri, Mar 7, 17:00 GMT+1" in the schedule's time zone (dueAt is the end of the due minute). */
+function formatDueAt(dueAt, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    hourCycle: 'h23',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(new Date(dueAt.getTime() - MINUTE_MS));
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_SCHEDULE,
+  isValidTimeZone,
+  normalizeSchedule,
+  scheduleDeadline,
+  windowAppliesToTeam,
+  scheduleForWeek,
+  weekStartOf,
+  addWeeks,
+  formatDuration,
+  formatDueAt,
+};
@@ -0,0 +1,143 @@
+/**
+ * scripts/notifications/templates.js
+ *
+ * Email templates and a small mustache-style renderer:
+ *   {{name}}                  value (HTML-escaped in html templates)
+ *   {{#list}}…{{.}}…{{/list}} repeated for each item of an array (or once for a truthy value)
+ *   {{^list}}…{{/list}}       rendered when the value is empty or falsy
+ *
+ * Each template has a subject, a text body and an html body. Any of them can be replaced by files in a templates
+ * directory (--templates): <template>.subject.txt, <template>.txt and <template>.html, e.g. digest.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES = {
+  reminder_due_soon: {
+    subject: 'Reminder: your {{team_name}} report for the week of {{week_start}} is due in {{due_in}}',
+    text: `Hi {{email}},
+
+your weekly report for {{team_name}} (week of {{week_start}}) is due {{due_at}}, in {{due_in}}.
+
+Write it here: {{link}}
+
+This reminder is sent once per week ({{window_name}}).
+`,
+    html: `<p>Hi {{email}},</p>
+<p>your weekly report for <strong>{{team_name}}</strong> (week of {{week_start}}) is due <strong>{{due_at}}</strong>,
+in {{due_in}}.</p>
+<p><a href="{{link}}">Write your report</a></p>
+<p style="color:#6b7280;font-size:12px">This reminder is sent once per week ({{window_name}}).</p>
+`,
+  },
+  reminder_overdue: {
+    subject: 'Overdue: your {{team_name}} report for the week of {{week_start}}',
+    text: `Hi {{email}},
+
+your weekly report for {{team_name}} (week of {{week_start}}) was due {{due_at}} and is {{late_by}} late.
+Please submit it as soon as you can: {{link}}
+`,
+    html: `<p>Hi {{email}},</p>
+<p>your weekly report for <strong>{{team_name}}</strong> (week of {{week_start}}) was due {{due_at}} and is
+<strong>{{late_by}} late</strong>.</p>
+<p><a href="{{link}}">Submit it now</a></p>
+`,
+  },
+  digest: {
+    subject: '{{team_name}} weekly reports, week of {{week_start}}: {{on_time_count}} on time, {{late_count}} late, {{missing_count}} missing',
+    text: `Weekly report digest for {{team_name}}, week of {{week_start}} (due {{due_at}}).
+
+On time ({{on_time_count}} of {{total}}):
+{{#on_time}}- {{.}}
+{{/on_time}}{{^on_time}}- nobody
+{{/on_time}}
+Late ({{late_count}}):
+{{#late}}- {{.}}
+{{/late}}{{^late}}- nobody
+{{/late}}
+Missing ({{missing_count}}):
+{{#missing}}- {{.}}
+{{/missing}}{{^missing}}- nobody
+{{/missing}}
+Compliance: {{link}}
+`,
+    html: `<p>Weekly report digest for <strong>{{team_name}}</strong>, week of {{week_start}} (due {{due_at}}).</p>
+<h3>On time ({{on_time_count}} of {{total}})</h3>
+<ul>{{#on_time}}<li>{{.}}</li>{{/on_time}}{{^on_time}}<li>nobody</li>{{/on_time}}</ul>
+<h3>Late ({{late_count}})</h3>
+<ul>{{#late}}<li>{{.}}</li>{{/late}}{{^late}}<li>nobody</li>{{/late}}</ul>
+<h3>Missing ({{missing_count}})</h3>
+<ul>{{#missing}}<li>{{.}}</li>{{/missing}}{{^missing}}<li>nobody</li>{{/missing}}</ul>
+<p><a href="{{link}}">Open the compliance view</a></p>
+`,
+  },
+};
+
+const PARTS = { subject: '.subject.txt', text: '.txt', html: '.html' };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const isEmpty = (v) => v == null || v === false || v === '' || (Array.isArray(v) && v.length === 0);
+
+/**
+ * renderTemplate - Renders a template string with vars; `html` escapes substituted values.
+ * @param {string} template
+ * @param {Object} vars
+ * @param {{ html?: boolean }} [opts]
+ * @returns {string}
+ */
+function renderTemplate(template, vars, { html = false } = {}) {
+  const out = (v) => (v == null ? '' : html ? escapeHtml(v) : String(v));
+  const sections = String(template).replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, type, name, body) => {
+    const value = vars[name];
+    if (type === '^') return isEmpty(value) ? renderTemplate(body, vars, { html }) : '';
+    if (isEmpty(value)) return '';
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item) => renderTemplate(body.replace(/\{\{\.\}\}/g, () => out(item)), vars, { html })).join('');
+  });
+  return sections.replace(/\{\{(\w+)\}\}/g, (_, name) => out(vars[name]));
+}
+
+/**
+ * loadTemplates - The default templates, with parts overridden by files in `dir` when given.
+ * @param {string|null} [dir]
+ * @returns {typeof DEFAULT_TEMPLATES}
+ */
+function loadTemplates(dir = null) {
+  const templates = {};
+  for (const [name, parts] of Object.entries(DEFAULT_TEMPLATES)) {
+    templates[name] = { ...parts };
+    if (!dir) continue;
+    for (const [part, suffix] of Object.entries(PARTS)) {
+      const file = path.join(dir, `${name}${suffix}`);
+      if (fs.existsSync(file)) templates[name][part] = fs.readFileSync(file, 'utf8');
+    }
+  }
+  return templates;
+}
+
+/**
+ * renderMessage - Subject, text and html for a composed message.
+ * @param {{ template: string, vars: Object }} message
+ * @param {ReturnType<typeof loadTemplates>} templates
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderMessage(message, templates) {
+  const t = templates[message.template];
+  if (!t) throw new Error(`Unknown template: ${message.template}`);
+  return {
+    subject: renderTemplate(t.subject, message.vars).replace(/\s+/g, ' ').trim(),
+    text: renderTemplate(t.text, message.vars),
+    html: renderTemplate(t.html, message.vars, { html: true }),
+  };
+}
+
+module.exports = { DEFAULT_TEMPLATES, renderTemplate, loadTemplates, renderMessage };
@@ -0,0 +1,113 @@
+/**
+ * scripts/notifications/transports.js
+ *
+ * Mail transports. A transport is { name, send(mail) -> Promise<{ id }>, close?() } where mail is
+ * { from, to, subject, text, html, headers }.
+ * - console: prints each message (local use, the default)
+ * - file:    writes each message as an .eml file into a directory (local use; open them in any mail client)
+ * - smtp:    sends through an SMTP server with nodemailer, which is not a dependency of the app; install it where
+ *            the job runs (npm install nodemailer)
+ * - a path to a module exporting createTransport(options), for other providers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function consoleTransport({ log = console.log } = {}) {
+  return {
+    name: 'console',
+    async send(mail) {
+      log(`\n----- To: ${mail.to}\n----- Subject: ${mail.subject}\n${mail.text}`);
+      return { id: `console:${Date.now()}` };
+    },
+  };
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+function toEml(mail, boundary) {
+  const headers = {
+    From: mail.from,
+    To: mail.to,
+    Subject: encodeHeader(mail.subject),
+    Date: new Date().toUTCString(),
+    'MIME-Version': '1.0',
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`,
+    ...mail.headers,
+  };
+  const part = (type, body) =>
+    `--${boundary}\r\nContent-Type: ${type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${Buffer.from(body, 'utf8')
+      .toString('base64')
+      .replace(/.{76}/g, '$&\r\n')}\r\n`;
+  return [
+    ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`),
+    '',
+    part('text/plain', mail.text),
+    part('text/html', mail.html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+function fileTransport({ dir = 'outbox' } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  let seq = 0;
+  return {
+    name: 'file',
+    async send(mail) {
+      seq += 1;
+      const key = mail.headers?.['X-Notification-Key'] || 'message';
+      const file = path.join(dir, `${Date.now()}-${seq}-${key.replace(/[^\w.-]+/g, '_')}.eml`);
+      fs.writeFileSync(file, toEml(mail, `wr-${Date.now().toString(36)}-${seq}`));
+      return { id: file };
+    },
+  };
+}
+
+function smtpTransport({ url = process.env.SMTP_URL } = {}) {
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch {
+    throw new Error('The smtp transport needs nodemailer. Install it where the job runs: npm install nodemailer');
+  }
+  const options = url || {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  };
+  if (!url && !options.host) throw new Error('Set SMTP_URL or SMTP_HOST for the smtp transport.');
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: 'smtp',
+    async send(mail) {
+      const info = await transporter.sendMail(mail);
+      return { id: info.messageId };
+    },
+    close() {
+      transporter.close();
+    },
+  };
+}
+
+const BUILT_IN = { console: consoleTransport, file: fileTransport, smtp: smtpTransport };
+
+/**
+ * createTransport - A built-in transport by name, or one loaded from a module path.
+ * @param {string} name - console | file | smtp | path to a module exporting createTransport(options)
+ * @param {Object} [options] - e.g. { dir } for file
+ */
+function createTransport(name, options = {}) {
+  if (BUILT_IN[name]) return BUILT_IN[name](options);
+  if (/[\\/]|\.js$/.test(name)) {
+    const mod = require(path.resolve(name));
+    if (typeof mod.createTransport !== 'function') throw new Error(`${name} does not export createTransport(options).`);
+    return mod.createTransport(options);
+  }
+  throw new Error(`Unknown transport "${name}". Use ${Object.keys(BUILT_IN).join(', ')} or a module path.`);
+}
+
+module.exports = { createTransport, consoleTransport, fileTransport, smtpTransport, toEml };
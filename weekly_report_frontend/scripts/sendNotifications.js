@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * scripts/sendNotifications.js
+ *
+ * Email job for weekly reports, meant to run on a schedule (e.g. hourly from cron):
+ * - reminders to team members who have not submitted the report for a week governed by an open reporting window,
+ *   once ahead of the deadline and once after it
+ * - a digest to each team lead once a week's deadline (grace period included) has passed
+ * Deadlines come from the reporting windows (see src/utils/reportingSchedule.js); weeks on the default deadline are
+ * skipped. Every message has an idempotency key recorded in a ledger, so rerunning the job never sends twice.
+ *
+ * IMPORTANT:
+ * - This script must be executed server-side (Node.js), never in the browser.
+ * - Do NOT expose the service role key in client code or commit real keys to version control.
+ *
+ * Usage:
+ *   node scripts/sendNotifications.js --dry-run
+ *   node scripts/sendNotifications.js --transport file --out outbox
+ *   node scripts/sendNotifications.js --kind digests --week 2025-03-03 --transport smtp --ledger supabase
+ *
+ * Options:
+ *   --kind reminders|digests|all   What to send (default: all)
+ *   --week YYYY-MM-DD              Only this week (default: last week and this week)
+ *   --now <ISO date-time>          Evaluate deadlines at this time instead of the current time
+ *   --lead-hours <n>               Send the first reminder this many hours before the deadline (default: 24)
+ *   --transport <name>             console | file | smtp | path to a module exporting createTransport (default: console)
+ *   --out <dir>                    Directory for the file transport (default: outbox)
+ *   --ledger <file>|supabase       Where sent keys are recorded (default: .notifications/sent.jsonl)
+ *   --templates <dir>              Directory with template overrides (see scripts/notifications/templates.js)
+ *   --dry-run                      Print what would be sent; sends and records nothing
+ *
+ * Environment variables:
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY (required)
+ *   NOTIFY_FROM (sender address, required unless --dry-run), APP_URL (links in emails)
+ *   NOTIFY_TRANSPORT, NOTIFY_LEDGER (defaults for --transport and --ledger)
+ *   SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (smtp transport)
+ *
+ * Exit codes: 0 success, 1 error or failed sends, 2 invalid options or missing environment variables.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { composeNotifications } = require('./notifications/compose');
+const { loadNotificationData } = require('./notifications/data');
+const { fileLedger, supabaseLedger } = require('./notifications/ledger');
+const { loadTemplates, renderMessage } = require('./notifications/templates');
+const { createTransport } = require('./notifications/transports');
+const { addWeeks, weekStartOf } = require('./notifications/schedule');
+
+const KINDS = { reminders: ['reminder'], digests: ['digest'], all: ['reminder', 'digest'] };
+const DEFAULT_LEDGER = '.notifications/sent.jsonl';
+
+// Simple CLI args parser (no external deps)
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next && !next.startsWith('--')) {
+        args[key] = next;
+        i++;
+      } else {
+        args[key] = true; // flags like --dry-run
+      }
+    }
+  }
+  return args;
+}
+
+function exitWithError(message, code = 1) {
+  // eslint-disable-next-line no-console
+  console.error(`[sendNotifications] ERROR: ${message}`);
+  process.exit(code);
+}
+
+function logInfo(message, ...rest) {
+  // eslint-disable-next-line no-console
+  console.log(`[sendNotifications] ${message}`, ...rest);
+}
+
+/**
+ * runNotifications - Sends composed messages through the transport, claiming each key in the ledger first.
+ * Messages whose key was already claimed are skipped; a failed send releases its key for the next run.
+ *
+ * @returns {Promise<{ sent: number, duplicates: number, failed: number }>}
+ */
+async function runNotifications({ messages, transport, ledger, templates, from, log = logInfo }) {
+  const result = { sent: 0, duplicates: 0, failed: 0 };
+  for (const message of messages) {
+    if (!(await ledger.claim(message))) {
+      result.duplicates += 1;
+      continue;
+    }
+    try {
+      const { subject, text, html } = renderMessage(message, templates);
+      const info = await transport.send({
+        from,
+        to: message.to,
+        subject,
+        text,
+        html,
+        headers: { 'X-Notification-Key': message.key },
+      });
+      await ledger.markSent(message.key, info);
+      result.sent += 1;
+    } catch (e) {
+      result.failed += 1;
+      log(`Failed to send ${message.key} to ${message.to}: ${e?.message || e}`);
+      await ledger.release(message.key, e);
+    }
+  }
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+
+  const SUPABASE_URL = process.env.SUPABASE_URL || '';
+  const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+  if (!SUPABASE_URL || !SERVICE_ROLE_KEY) {
+    exitWithError(
+      'Missing SUPABASE_URL and/or SUPABASE_SERVICE_ROLE_KEY. Please set them in your environment (server-side only).',
+      2
+    );
+  }
+
+  const kinds = KINDS[args.kind || 'all'];
+  if (!kinds) exitWithError(`Invalid --kind. Allowed values: ${Object.keys(KINDS).join(', ')}`, 2);
+  const now = args.now ? new Date(args.now) : new Date();
+  if (Number.isNaN(now.getTime())) exitWithError('Invalid --now. Use an ISO date-time such as 2025-03-07T18:00:00Z.', 2);
+  if (args.week && !/^\d{4}-\d{2}-\d{2}$/.test(String(args.week))) exitWithError('Invalid --week. Use YYYY-MM-DD.', 2);
+  const leadHours = args['lead-hours'] === undefined ? 24 : Number(args['lead-hours']);
+  if (!Number.isFinite(leadHours) || leadHours < 0) exitWithError('Invalid --lead-hours. Use a number of hours.', 2);
+  const dryRun = Boolean(args['dry-run']);
+  const from = process.env.NOTIFY_FROM || '';
+  if (!dryRun && !from) exitWithError('Missing NOTIFY_FROM (the sender address).', 2);
+
+  const weeks = args.week ? [weekStartOf(String(args.week))] : [addWeeks(weekStartOf(now), -1), weekStartOf(now)];
+
+  const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+    },
+  });
+
+  let ledger = null;
+  let transport = null;
+  try {
+    logInfo(`Loading reporting windows, teams and reports for week(s) ${weeks.join(', ')}...`);
+    const data = await loadNotificationData(supabase, { weeks });
+    const { messages, skipped } = composeNotifications({
+      ...data,
+      now,
+      weeks,
+      kinds,
+      leadHours,
+      appUrl: process.env.APP_URL || '',
+    });
+    skipped.forEach((note) => logInfo(note));
+    logInfo(`${messages.length} message(s) due at ${now.toISOString()}.`);
+
+    const templates = loadTemplates(args.templates ? String(args.templates) : null);
+    if (dryRun) {
+      for (const m of messages) logInfo(`[dry-run] ${m.key} -> ${m.to}: ${renderMessage(m, templates).subject}`);
+      return;
+    }
+
+    const ledgerArg = String(args.ledger || process.env.NOTIFY_LEDGER || DEFAULT_LEDGER);
+    ledger = ledgerArg === 'supabase' ? supabaseLedger(supabase) : fileLedger(ledgerArg);
+    transport = createTransport(String(args.transport || process.env.NOTIFY_TRANSPORT || 'console'), {
+      dir: String(args.out || 'outbox'),
+    });
+    logInfo(`Sending with the ${transport.name} transport; ledger: ${ledger.name}.`);
+
+    const result = await runNotifications({ messages, transport, ledger, templates, from });
+    logInfo(`Done. Sent ${result.sent}, already sent ${result.duplicates}, failed ${result.failed}.`);
+    if (result.failed > 0) process.exitCode = 1;
+  } catch (e) {
+    process.exitCode = 1;
+    // eslint-disable-next-line no-console
+    console.error(`[sendNotifications] ERROR: ${e?.message || 'Unexpected error running sendNotifications.'}`);
+  } finally {
+    transport?.close?.();
+    await ledger?.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runNotifications };
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { composeNotifications, reportStatus } = require('../notifications/compose');
+
+// Due Fridays 17:00 Berlin (16:00 UTC in March), late after a 2 hour grace period
+const WINDOW = {
+  id: 'w1',
+  name: 'Spring',
+  start: '2025-01-01',
+  end: '2025-06-30',
+  status: 'open',
+  team_ids: [],
+  due_weekday: 5,
+  due_time: '17:00',
+  timezone: 'Europe/Berlin',
+  grace_hours: 2,
+};
+const WEEK = '2025-03-03';
+const DUE = Date.parse('2025-03-07T16:01:00Z');
+const CLOSES = Date.parse('2025-03-07T18:01:00Z');
+
+const input = (over = {}) => ({
+  windows: [WINDOW],
+  teams: [{ id: 'platform', name: 'Platform' }],
+  members: [
+    { team_id: 'platform', user_id: 'lead', role: 'lead' },
+    { team_id: 'platform', user_id: 'early', role: 'member' },
+    { team_id: 'platform', user_id: 'slow', role: 'member' },
+    { team_id: 'platform', user_id: 'absent', role: 'member' },
+  ],
+  emails: new Map([
+    ['lead', 'lead@example.com'],
+    ['early', 'early@example.com'],
+    ['slow', 'slow@example.com'],
+    ['absent', 'absent@example.com'],
+  ]),
+  reports: [
+    { user_id: 'lead', team_id: 'platform', week_start: WEEK, status: 'submitted', submitted_at: '2025-03-06T09:00:00Z' },
+    { user_id: 'early', team_id: null, week_start: WEEK, status: 'submitted', submitted_at: '2025-03-07T15:00:00Z' },
+  ],
+  weeks: [WEEK],
+  appUrl: 'https://app.example.com/',
+  ...over,
+});
+
+const keys = ({ messages }) => messages.map((m) => m.key).sort();
+
+test('reportStatus tells on-time, late and missing reports apart', () => {
+  const closesAt = new Date(CLOSES);
+  const reports = [
+    { user_id: 'a', team_id: 'platform', week_start: WEEK, status: 'submitted', submitted_at: '2025-03-07T18:00:00Z' },
+    { user_id: 'b', team_id: null, week_start: `${WEEK}T00:00:00Z`, status: 'submitted', submitted_at: '2025-03-07T18:02:00Z' },
+    { user_id: 'c', team_id: 'mobile', week_start: WEEK, status: 'submitted', submitted_at: '2025-03-05T09:00:00Z' },
+    { user_id: 'd', team_id: 'platform', week_start: WEEK, status: 'draft', created_at: '2025-03-05T09:00:00Z' },
+  ];
+  const status = (userId) => reportStatus({ reports, userId, teamId: 'platform', weekStart: WEEK, closesAt }).status;
+  assert.equal(status('a'), 'on_time');
+  assert.equal(status('b'), 'late');
+  // Filed for another team, or not submitted
+  assert.equal(status('c'), 'missing');
+  assert.equal(status('d'), 'missing');
+});
+
+test('nothing is due more than leadHours before the deadline', () => {
+  const result = composeNotifications(input({ now: new Date(DUE - 30 * 3600 * 1000) }));
+  assert.deepEqual(result.messages, []);
+});
+
+test('due_soon reminders go to members without a report within leadHours of the deadline', () => {
+  const result = composeNotifications(input({ now: new Date(DUE - 20 * 3600 * 1000) }));
+  assert.deepEqual(keys(result), [`reminder:due_soon:platform:absent:${WEEK}`, `reminder:due_soon:platform:slow:${WEEK}`]);
+  const message = result.messages.find((m) => m.user_id === 'slow');
+  assert.equal(message.template, 'reminder_due_soon');
+  assert.equal(message.to, 'slow@example.com');
+  assert.equal(message.vars.due_in, '20h');
+  assert.equal(message.vars.link, 'https://app.example.com/reports/new');
+});
+
+test('overdue reminders follow the deadline; the digest waits for the grace period', () => {
+  const result = composeNotifications(input({ now: new Date(DUE + 30 * 60 * 1000) }));
+  assert.deepEqual(keys(result), [`reminder:overdue:platform:absent:${WEEK}`, `reminder:overdue:platform:slow:${WEEK}`]);
+  assert.equal(result.messages[0].template, 'reminder_overdue');
+  assert.equal(result.messages[0].vars.late_by, '30m');
+});
+
+test('a digest goes to each lead once the deadline and grace period have passed', () => {
+  const reports = [
+    ...input().reports,
+    { user_id: 'slow', team_id: 'platform', week_start: WEEK, status: 'submitted', submitted_at: '2025-03-07T19:00:00Z' },
+  ];
+  const before = composeNotifications(input({ reports, now: new Date(CLOSES - 1), kinds: ['digest'] }));
+  assert.deepEqual(before.messages, []);
+
+  const after = composeNotifications(input({ reports, now: new Date(CLOSES), kinds: ['digest'] }));
+  assert.deepEqual(keys(after), [`digest:platform:lead:${WEEK}`]);
+  const { vars } = after.messages[0];
+  assert.deepEqual(vars.on_time, ['lead@example.com', 'early@example.com']);
+  assert.deepEqual(vars.late, ['slow@example.com']);
+  assert.deepEqual(vars.missing, ['absent@example.com']);
+  assert.equal(vars.total, 4);
+  assert.equal(vars.link, `https://app.example.com/manager/compliance?week=${WEEK}`);
+});
+
+test('closed windows still get their digest but no reminders', () => {
+  const closed = { ...WINDOW, status: 'closed' };
+  const result = composeNotifications(input({ windows: [closed], now: new Date(CLOSES + 3600 * 1000) }));
+  assert.deepEqual(keys(result), [`digest:platform:lead:${WEEK}`]);
+});
+
+test('weeks without a governing window get no notifications', () => {
+  const later = { ...WINDOW, start: '2025-04-01' };
+  const planned = { ...WINDOW, status: 'planned' };
+  const otherTeam = { ...WINDOW, team_ids: ['mobile'] };
+  for (const windows of [[], [later], [planned], [otherTeam]]) {
+    const result = composeNotifications(input({ windows, now: new Date(CLOSES + 3600 * 1000) }));
+    assert.deepEqual(result.messages, [], JSON.stringify(windows));
+  }
+});
+
+test('recipients without an email are skipped with a note', () => {
+  const emails = new Map([['lead', 'lead@example.com']]);
+  const result = composeNotifications(input({ emails, now: new Date(DUE + 60 * 1000) }));
+  assert.deepEqual(result.messages, []);
+  assert.equal(result.skipped.length, 2);
+  assert.match(result.skipped[0], /No email for user (slow|absent) \(team platform\); reminder for 2025-03-03 not composed\./);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileLedger, supabaseLedger } = require('../notifications/ledger');
+
+const entry = (key) => ({ key, kind: 'reminder', to: 'amy@example.com', week_start: '2025-03-03' });
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'wr-ledger-')), 'sent.jsonl');
+
+// Just enough of supabase-js for public.notification_log: insert (unique key), update with eq filters, select
+function fakeLogClient() {
+  const rows = [];
+  return {
+    rows,
+    from() {
+      const filters = [];
+      let op = null;
+      let values = null;
+      let returning = false;
+      const run = async () => {
+        if (op === 'insert') {
+          if (rows.some((r) => r.key === values.key)) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+          }
+          rows.push({ ...values });
+          return { data: null, error: null };
+        }
+        const matched = rows.filter((r) => filters.every(([c, v]) => r[c] === v));
+        matched.forEach((r) => Object.assign(r, values));
+        return { data: returning ? matched.map((r) => ({ key: r.key })) : null, error: null };
+      };
+      const builder = {
+        insert(v) {
+          op = 'insert';
+          values = v;
+          return builder;
+        },
+        update(v) {
+          op = 'update';
+          values = v;
+          return builder;
+        },
+        eq(column, value) {
+          filters.push([column, value]);
+          return builder;
+        },
+        select() {
+          returning = true;
+          return builder;
+        },
+        then: (resolve, reject) => run().then(resolve, reject),
+      };
+      return builder;
+    },
+  };
+}
+
+const ledgers = {
+  file: () => fileLedger(tempFile()),
+  supabase: () => supabaseLedger(fakeLogClient()),
+};
+
+for (const [name, create] of Object.entries(ledgers)) {
+  test(`${name} ledger: a key is claimed once, and again only after a failed send`, async () => {
+    const ledger = create();
+    try {
+      assert.equal(await ledger.claim(entry('k1')), true);
+      // Still sending (or crashed mid-send): never claimed again
+      assert.equal(await ledger.claim(entry('k1')), false);
+
+      await ledger.markSent('k1', { id: 'm1' });
+      assert.equal(await ledger.claim(entry('k1')), false);
+
+      assert.equal(await ledger.claim(entry('k2')), true);
+      await ledger.release('k2', new Error('SMTP down'));
+      assert.equal(await ledger.claim(entry('k2')), true);
+      assert.equal(await ledger.claim(entry('k2')), false);
+    } finally {
+      await ledger.close();
+    }
+  });
+}
+
+test('file ledger: state survives a restart and a second run is locked out', async () => {
+  const file = tempFile();
+  const first = fileLedger(file);
+  await first.claim(entry('sent'));
+  await first.markSent('sent', { id: 'm1' });
+  await first.claim(entry('failed'));
+  await first.release('failed', 'timeout');
+  assert.throws(() => fileLedger(file), /Another run holds .*sent\.jsonl\.lock/);
+  await first.close();
+
+  const second = fileLedger(file);
+  try {
+    assert.equal(await second.claim(entry('sent')), false);
+    assert.equal(await second.claim(entry('failed')), true);
+  } finally {
+    await second.close();
+  }
+});
+
+test('file ledger: a torn last line is ignored', async () => {
+  const file = tempFile();
+  fs.writeFileSync(file, `${JSON.stringify({ key: 'k1', status: 'sent' })}\n{"key":"k2","sta`);
+  const ledger = fileLedger(file);
+  try {
+    assert.equal(await ledger.claim(entry('k1')), false);
+    assert.equal(await ledger.claim(entry('k2')), true);
+  } finally {
+    await ledger.close();
+  }
+});
+
+test('supabase ledger: records recipient, status and message id', async () => {
+  const client = fakeLogClient();
+  const ledger = supabaseLedger(client);
+  await ledger.claim(entry('k1'));
+  await ledger.markSent('k1', { id: '<m1@example.com>' });
+  assert.equal(client.rows.length, 1);
+  assert.equal(client.rows[0].recipient, 'amy@example.com');
+  assert.equal(client.rows[0].status, 'sent');
+  assert.equal(client.rows[0].message_id, '<m1@example.com>');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runNotifications } = require('../sendNotifications');
+const { fileLedger } = require('../notifications/ledger');
+const { loadTemplates } = require('../notifications/templates');
+
+const message = (user) => ({
+  key: `reminder:overdue:platform:${user}:2025-03-03`,
+  kind: 'reminder',
+  template: 'reminder_overdue',
+  to: `${user}@example.com`,
+  user_id: user,
+  team_id: 'platform',
+  week_start: '2025-03-03',
+  vars: { email: `${user}@example.com`, team_name: 'Platform', week_start: '2025-03-03', due_at: 'Fri', late_by: '1h', link: '/' },
+});
+
+function recordingTransport({ failFor = [] } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(mail) {
+      if (failFor.includes(mail.to)) throw new Error('mailbox unavailable');
+      sent.push(mail);
+      return { id: `id-${sent.length}` };
+    },
+  };
+}
+
+const run = (messages, transport, ledgerFile) => {
+  const ledger = fileLedger(ledgerFile);
+  return runNotifications({
+    messages,
+    transport,
+    ledger,
+    templates: loadTemplates(),
+    from: 'reports@example.com',
+    log: () => {},
+  }).finally(() => ledger.close());
+};
+
+const ledgerFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'wr-run-')), 'sent.jsonl');
+
+test('a second run over the same messages sends nothing', async () => {
+  const file = ledgerFile();
+  const messages = [message('amy'), message('bob')];
+  const transport = recordingTransport();
+
+  assert.deepEqual(await run(messages, transport, file), { sent: 2, duplicates: 0, failed: 0 });
+  assert.deepEqual(await run(messages, transport, file), { sent: 0, duplicates: 2, failed: 0 });
+  assert.equal(transport.sent.length, 2);
+  assert.equal(transport.sent[0].from, 'reports@example.com');
+  assert.equal(transport.sent[0].headers['X-Notification-Key'], messages[0].key);
+  assert.match(transport.sent[0].subject, /^Overdue: your Platform report for the week of 2025-03-03$/);
+});
+
+test('a failed send is retried on the next run, and only that one', async () => {
+  const file = ledgerFile();
+  const messages = [message('amy'), message('bob')];
+
+  const flaky = recordingTransport({ failFor: ['bob@example.com'] });
+  assert.deepEqual(await run(messages, flaky, file), { sent: 1, duplicates: 0, failed: 1 });
+
+  const healthy = recordingTransport();
+  assert.deepEqual(await run(messages, healthy, file), { sent: 1, duplicates: 1, failed: 0 });
+  assert.deepEqual(healthy.sent.map((m) => m.to), ['bob@example.com']);
+  assert.deepEqual(await run(messages, healthy, file), { sent: 0, duplicates: 2, failed: 0 });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTemplates, renderMessage, renderTemplate } = require('../notifications/templates');
+
+test('renderTemplate substitutes values, lists and inverted sections', () => {
+  const template = 'Hi {{name}}: {{#items}}[{{.}}]{{/items}}{{^items}}none{{/items}}{{^missing}}!{{/missing}}';
+  assert.equal(renderTemplate(template, { name: 'Amy', items: ['a', 'b'] }), 'Hi Amy: [a][b]!');
+  assert.equal(renderTemplate(template, { name: 'Amy', items: [] }), 'Hi Amy: none!');
+  assert.equal(renderTemplate('{{unknown}}|{{zero}}', { zero: 0 }), '|0');
+});
+
+test('html rendering escapes injected values, including list items', () => {
+  const vars = { name: '<img src=x onerror="alert(1)">', items: ["Bob & <b>O'Neil</b>"] };
+  const html = renderTemplate('<p>{{name}}</p><ul>{{#items}}<li>{{.}}</li>{{/items}}</ul>', vars, { html: true });
+  assert.equal(
+    html,
+    '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p><ul><li>Bob &amp; &lt;b&gt;O&#39;Neil&lt;/b&gt;</li></ul>'
+  );
+  // Text parts are left as they are
+  assert.equal(renderTemplate('{{name}}', vars), vars.name);
+});
+
+test('renderMessage escapes team and member names in the digest html', () => {
+  const message = {
+    template: 'digest',
+    vars: {
+      team_name: '<script>alert("team")</script>',
+      week_start: '2025-03-03',
+      due_at: 'Fri, Mar 7, 17:00 GMT+1',
+      total: 2,
+      on_time_count: 1,
+      late_count: 0,
+      missing_count: 1,
+      on_time: ['amy@example.com'],
+      late: [],
+      missing: ['<i>eve</i>@example.com'],
+      link: 'https://app.example.com/manager/compliance?week=2025-03-03&x="y"',
+    },
+  };
+  const { subject, text, html } = renderMessage(message, loadTemplates());
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;team&quot;)&lt;/script&gt;'));
+  assert.ok(html.includes('<li>&lt;i&gt;eve&lt;/i&gt;@example.com</li>'));
+  assert.ok(html.includes('href="https://app.example.com/manager/compliance?week=2025-03-03&amp;x=&quot;y&quot;"'));
+  assert.ok(html.includes('<li>nobody</li>'));
+  assert.equal(subject, '<script>alert("team")</script> weekly reports, week of 2025-03-03: 1 on time, 0 late, 1 missing');
+  assert.match(text, /Missing \(1\):\n- <i>eve<\/i>@example.com\n/);
+});
+
+test('loadTemplates takes overrides from a directory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wr-templates-'));
+  fs.writeFileSync(path.join(dir, 'digest.subject.txt'), 'Digest for {{team_name}}');
+  const templates = loadTemplates(dir);
+  assert.equal(templates.digest.subject, 'Digest for {{team_name}}');
+  assert.equal(templates.digest.text, loadTemplates().digest.text);
+  assert.throws(() => renderMessage({ template: 'nope', vars: {} }, templates), /Unknown template: nope/);
+});
@@ -1,10 +1,11 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import './App.css';
 import Layout from './components/Layout';
 import NewReport from './pages/NewReport';
 import History from './pages/History';
 import TeamDashboard from './pages/TeamDashboard';
+import Compliance from './pages/Compliance';
 import Admin from './pages/AdminDashboard';
 import ManagerReports from './pages/ManagerReports';
 import Login from './pages/Login';
@@ -18,6 +19,10 @@ import Unauthorized from './pages/Unauthorized';
 import { ManagerRoute, AdminRoute } from './components/RoleRoutes';
 import AdminUsers from './pages/AdminUsers.jsx';
 import TeamSelector from './pages/TeamSelector.jsx';
+import Search from './pages/Search.jsx';
+import ReportDetail from './pages/ReportDetail.jsx';
+import OfflineSync from './components/OfflineSync.jsx';
+import MockModeBanner from './components/MockModeBanner.jsx';
 
 // Helper banner component to notify when team is not persistently saved
 function TeamPersistenceBanner() {
@@ -32,6 +37,13 @@ function TeamPersistenceBanner() {
   return null;
 }
 
+// /reports/new and /reports/:id/edit render the same component; keying it by report id remounts it when
+// moving between them, so form fields and the loaded report never carry over from one to the other
+function NewReportRoute() {
+  const { id } = useParams();
+  return <NewReport key={id || 'new'} />;
+}
+
 // PUBLIC_INTERFACE
 function App() {
   /** Root application component that sets up routes, provides auth context, and renders the dashboard layout. */
@@ -52,11 +64,16 @@ function App() {
                 <ConfigWarning message="Auth disabled for local testing. Routes are accessible without sign-in." />
               </div>
             )}
+            <MockModeBanner />
             <TeamPersistenceBanner />
+            <OfflineSync />
             <Routes>
               <Route path="/" element={<Navigate to="/reports/new" replace />} />
-              <Route path="/reports/new" element={maybeProtect(<NewReport />)} />
+              <Route path="/reports/new" element={maybeProtect(<NewReportRoute />)} />
+              <Route path="/reports/:id" element={maybeProtect(<ReportDetail />)} />
+              <Route path="/reports/:id/edit" element={maybeProtect(<NewReportRoute />)} />
               <Route path="/reports/history" element={maybeProtect(<History />)} />
+              <Route path="/reports/search" element={maybeProtect(<Search />)} />
               <Route
                 path="/team"
                 element={
@@ -77,6 +94,16 @@ function App() {
                   )
                 }
               />
+              <Route
+                path="/manager/compliance"
+                element={
+                  authDisabled ? <Compliance /> : (
+                    <ManagerRoute>
+                      <Compliance />
+                    </ManagerRoute>
+                  )
+                }
+              />
               <Route path="/select-team" element={maybeProtect(<TeamSelector />)} />
               <Route
                 path="/admin"
@@ -0,0 +1,224 @@
+import React from 'react';
+
+// Dependency-free SVG charts for dashboard trends.
+// Each chart renders an accessible <svg role="img">, a hover/focus tooltip per x position,
+// a legend, and a data table that screen readers (and anyone who prefers numbers) can open.
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 28, left: 40 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// PUBLIC_INTERFACE
+/** CHART_COLORS - Series palette (first entries match the app's primary/secondary colours). */
+export const CHART_COLORS = ['#2563EB', '#F59E0B', '#10B981', '#EF4444', '#8B5CF6', '#0EA5E9'];
+
+// Rounds the axis maximum up to a readable value and returns evenly spaced ticks
+function niceTicks(max, count = 4) {
+  if (!(max > 0)) return [0, 1];
+  const raw = max / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw) || raw;
+  const top = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let v = 0; v <= top + step / 2; v += step) ticks.push(Number(v.toFixed(6)));
+  return ticks;
+}
+
+// Show at most ~8 x labels so they do not overlap
+const labelEvery = (n) => Math.max(1, Math.ceil(n / 8));
+
+const ChartFrame = ({ title, description, labels, series, format, children, hover, setHover, xAt, bandWidth }) => {
+  const tableId = React.useId();
+  const tipLeft = hover == null ? 0 : ((PAD.left + xAt(hover)) / WIDTH) * 100;
+  return (
+    <figure className="chart-figure">
+      <figcaption className="chart-title">{title}</figcaption>
+      <div className="chart-canvas" onMouseLeave={() => setHover(null)}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${title}. ${description || ''}`} aria-describedby={tableId}>
+          {children}
+          {/* Hover/focus targets, one band per x position */}
+          {labels.map((label, i) => (
+            <rect
+              key={label}
+              x={PAD.left + xAt(i) - bandWidth / 2}
+              y={PAD.top}
+              width={bandWidth}
+              height={PLOT_H}
+              fill={hover === i ? 'rgba(37, 99, 235, 0.06)' : 'transparent'}
+              tabIndex={0}
+              aria-label={`${label}: ${series.map((s) => `${s.name} ${format(s.values[i])}`).join(', ')}`}
+              onMouseEnter={() => setHover(i)}
+              onFocus={() => setHover(i)}
+              onBlur={() => setHover(null)}
+            />
+          ))}
+        </svg>
+        {hover != null && (
+          <div className="chart-tooltip" role="status" style={{ left: `${tipLeft}%` }}>
+            <strong>{labels[hover]}</strong>
+            {series.map((s) => (
+              <div key={s.name}>
+                <span className="chart-swatch" style={{ background: s.color }} aria-hidden="true" /> {s.name}: {format(s.values[hover])}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="chart-legend">
+        {series.map((s) => (
+          <span key={s.name}>
+            <span className={`chart-swatch${s.dashed ? ' dashed' : ''}`} style={{ background: s.color }} aria-hidden="true" /> {s.name}
+          </span>
+        ))}
+      </div>
+      <details className="chart-data" id={tableId}>
+        <summary>Data table</summary>
+        <table className="table">
+          <thead>
+            <tr>
+              <th scope="col">Week</th>
+              {series.map((s) => (
+                <th key={s.name} scope="col">{s.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {labels.map((label, i) => (
+              <tr key={label}>
+                <th scope="row">{label}</th>
+                {series.map((s) => (
+                  <td key={s.name}>{format(s.values[i])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </figure>
+  );
+};
+
+const Axes = ({ labels, ticks, yOf, xAt, format }) => {
+  const every = labelEvery(labels.length);
+  return (
+    <g className="chart-axes">
+      {ticks.map((t) => (
+        <g key={t}>
+          <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yOf(t)} y2={yOf(t)} stroke="var(--border)" />
+          <text x={PAD.left - 6} y={yOf(t) + 4} textAnchor="end">{format(t)}</text>
+        </g>
+      ))}
+      {labels.map((label, i) =>
+        i % every === 0 ? (
+          <text key={label} x={PAD.left + xAt(i)} y={HEIGHT - 8} textAnchor="middle">
+            {label.slice(5)}
+          </text>
+        ) : null
+      )}
+    </g>
+  );
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * LineChart draws one or more series over shared x labels.
+ *
+ * Props:
+ * - title, description: used for the caption and the accessible name
+ * - labels: x labels (week starts, YYYY-MM-DD)
+ * - series: [{ name, values: Array<number|null>, color?, dashed? }] (null values leave a gap)
+ * - max: fixed y maximum (e.g. 1 for rates); defaults to the data maximum
+ * - format(value): formats values for ticks, tooltip and table
+ */
+export const LineChart = ({ title, description, labels, series, max, format = (v) => (v == null ? '—' : String(v)) }) => {
+  const [hover, setHover] = React.useState(null);
+  const colored = series.map((s, i) => ({ ...s, color: s.color || CHART_COLORS[i % CHART_COLORS.length] }));
+  const dataMax = Math.max(0, ...colored.flatMap((s) => s.values.filter((v) => v != null)));
+  const ticks = max != null ? niceTicks(max) : niceTicks(dataMax);
+  const top = ticks[ticks.length - 1] || 1;
+  const step = labels.length > 1 ? PLOT_W / (labels.length - 1) : 0;
+  const xAt = (i) => (labels.length > 1 ? i * step : PLOT_W / 2);
+  const yOf = (v) => PAD.top + PLOT_H - (v / top) * PLOT_H;
+
+  // Split each series into segments at null values
+  const paths = colored.map((s) => {
+    let d = '';
+    let pen = false;
+    s.values.forEach((v, i) => {
+      if (v == null) {
+        pen = false;
+        return;
+      }
+      d += `${pen ? 'L' : 'M'}${PAD.left + xAt(i)},${yOf(v)} `;
+      pen = true;
+    });
+    return { ...s, d };
+  });
+
+  return (
+    <ChartFrame
+      title={title}
+      description={description}
+      labels={labels}
+      series={colored}
+      format={format}
+      hover={hover}
+      setHover={setHover}
+      xAt={xAt}
+      bandWidth={Math.max(12, step || PLOT_W)}
+    >
+      <Axes labels={labels} ticks={ticks} yOf={yOf} xAt={xAt} format={format} />
+      {paths.map((p) => (
+        <g key={p.name}>
+          <path d={p.d} fill="none" stroke={p.color} strokeWidth="2" strokeDasharray={p.dashed ? '5 4' : undefined} />
+          {p.values.map((v, i) =>
+            v == null ? null : (
+              <circle key={i} cx={PAD.left + xAt(i)} cy={yOf(v)} r={hover === i ? 4 : 2.5} fill={p.color} />
+            )
+          )}
+        </g>
+      ))}
+    </ChartFrame>
+  );
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * BarChart draws grouped bars (one bar per series at each x label). Props match LineChart.
+ */
+export const BarChart = ({ title, description, labels, series, format = (v) => (v == null ? '—' : String(v)) }) => {
+  const [hover, setHover] = React.useState(null);
+  const colored = series.map((s, i) => ({ ...s, color: s.color || CHART_COLORS[i % CHART_COLORS.length] }));
+  const dataMax = Math.max(0, ...colored.flatMap((s) => s.values.map((v) => v || 0)));
+  const ticks = niceTicks(dataMax);
+  const top = ticks[ticks.length - 1] || 1;
+  const band = PLOT_W / Math.max(1, labels.length);
+  const xAt = (i) => band * i + band / 2;
+  const yOf = (v) => PAD.top + PLOT_H - (v / top) * PLOT_H;
+  const barW = Math.max(2, (band * 0.7) / Math.max(1, colored.length));
+
+  return (
+    <ChartFrame
+      title={title}
+      description={description}
+      labels={labels}
+      series={colored}
+      format={format}
+      hover={hover}
+      setHover={setHover}
+      xAt={xAt}
+      bandWidth={band}
+    >
+      <Axes labels={labels} ticks={ticks} yOf={yOf} xAt={xAt} format={format} />
+      {labels.map((label, i) =>
+        colored.map((s, j) => {
+          const v = s.values[i] || 0;
+          const x = PAD.left + xAt(i) - (barW * colored.length) / 2 + j * barW;
+          return <rect key={`${label}-${s.name}`} x={x} y={yOf(v)} width={barW - 1} height={PAD.top + PLOT_H - yOf(v)} fill={s.color} />;
+        })
+      )}
+    </ChartFrame>
+  );
+};
@@ -2,14 +2,15 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { isAuthDisabled } from '../lib/featureFlags';
+import TeamSwitcher from './TeamSwitcher';
 
 /**
  * PUBLIC_INTERFACE
- * Header with filters and user session actions.
+ * Header with filters, the current team (a switcher when the user belongs to several teams) and user session actions.
  */
 const Header = () => {
   const [week, setWeek] = React.useState('');
-  const { user, role, signOut, team, teamPersisted } = useAuth();
+  const { user, role, signOut, team, teamPersisted, teams, teamRole } = useAuth();
   const authDisabled = isAuthDisabled();
 
   return (
@@ -37,21 +38,30 @@ const Header = () => {
 
         {/* Current Team display and switch */}
         <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-          <span
-            className="test-mode-pill"
-            title={team ? `Current team: ${team.name || team.id}` : 'No team selected'}
-            aria-label={team ? `Team ${team.name || team.id}` : 'No team selected'}
-            style={{
-              borderColor: team ? 'rgba(37, 99, 235, 0.3)' : 'rgba(239, 68, 68, 0.3)',
-              background: team ? 'rgba(37,99,235,0.08)' : 'rgba(239,68,68,0.08)',
-              color: team ? '#1D4ED8' : '#B91C1C',
-            }}
-          >
-            {team ? (team.name || team.id) : 'No Team'}
-          </span>
-          <Link to="/select-team" className="btn secondary" title="Switch team">
-            Switch
-          </Link>
+          {teams.length > 1 ? (
+            <TeamSwitcher id="header-team-switcher" />
+          ) : (
+            <>
+              <span
+                className="test-mode-pill"
+                title={team ? `Current team: ${team.name || team.id}` : 'No team selected'}
+                aria-label={team ? `Team ${team.name || team.id}` : 'No team selected'}
+                style={{
+                  borderColor: team ? 'rgba(37, 99, 235, 0.3)' : 'rgba(239, 68, 68, 0.3)',
+                  background: team ? 'rgba(37,99,235,0.08)' : 'rgba(239,68,68,0.08)',
+                  color: team ? '#1D4ED8' : '#B91C1C',
+                }}
+              >
+                {team ? (team.name || team.id) : 'No Team'}
+              </span>
+              <Link to="/select-team" className="btn secondary" title="Switch team">
+                Switch
+              </Link>
+            </>
+          )}
+          {teamRole === 'lead' && (
+            <span className="helper" title="You lead this team">Lead</span>
+          )}
         </div>
 
         {/* User info and sign out */}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { parseMarkdown } from '../utils/markdown';
+
+// Renders inline nodes; text line breaks become <br />
+function renderInline(nodes, keyPrefix = 'i') {
+  return nodes.map((n, idx) => {
+    const key = `${keyPrefix}-${idx}`;
+    switch (n.type) {
+      case 'code':
+        return <code key={key}>{n.text}</code>;
+      case 'strong':
+        return <strong key={key}>{renderInline(n.children, key)}</strong>;
+      case 'em':
+        return <em key={key}>{renderInline(n.children, key)}</em>;
+      case 'link':
+        return (
+          <a key={key} href={n.href} target="_blank" rel="noopener noreferrer nofollow">
+            {renderInline(n.children, key)}
+          </a>
+        );
+      default: {
+        const parts = String(n.text || '').split('\n');
+        return (
+          <React.Fragment key={key}>
+            {parts.map((p, j) => (
+              <React.Fragment key={j}>
+                {j > 0 && <br />}
+                {p}
+              </React.Fragment>
+            ))}
+          </React.Fragment>
+        );
+      }
+    }
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Markdown renders report text written in a small Markdown subset (see utils/markdown.js) as React elements.
+ * Content is never passed through dangerouslySetInnerHTML, and links are limited to http(s)/mailto.
+ */
+const Markdown = ({ text, emptyText = '—' }) => {
+  const blocks = React.useMemo(() => parseMarkdown(text), [text]);
+
+  if (blocks.length === 0) {
+    return <div className="helper">{emptyText}</div>;
+  }
+
+  return (
+    <div className="markdown">
+      {blocks.map((b, idx) => {
+        const key = `b-${idx}`;
+        if (b.type === 'heading') {
+          const Tag = `h${Math.min(6, b.level + 2)}`; // keep headings below the page title
+          return <Tag key={key}>{renderInline(b.children, key)}</Tag>;
+        }
+        if (b.type === 'code') {
+          return (
+            <pre key={key}>
+              <code>{b.text}</code>
+            </pre>
+          );
+        }
+        if (b.type === 'list') {
+          const List = b.ordered ? 'ol' : 'ul';
+          return (
+            <List key={key}>
+              {b.items.map((it, j) =>
+                it.checked === undefined ? (
+                  <li key={j}>{renderInline(it.children, `${key}-${j}`)}</li>
+                ) : (
+                  <li key={j} className="task-item">
+                    <input type="checkbox" checked={it.checked} readOnly disabled aria-label={it.checked ? 'Done' : 'Not done'} />
+                    <span>{renderInline(it.children, `${key}-${j}`)}</span>
+                  </li>
+                )
+              )}
+            </List>
+          );
+        }
+        return <p key={key}>{renderInline(b.children, key)}</p>;
+      })}
+    </div>
+  );
+};
+
+export default Markdown;
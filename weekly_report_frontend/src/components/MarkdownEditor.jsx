@@ -0,0 +1,123 @@
+import React from 'react';
+import Markdown from './Markdown';
+import { applyMarkdownAction } from '../utils/markdownEditing';
+
+const TOOLBAR = [
+  { action: 'bold', label: 'B', title: 'Bold (Ctrl+B)', style: { fontWeight: 700 } },
+  { action: 'list', label: '• List', title: 'Bulleted list' },
+  { action: 'link', label: 'Link', title: 'Link (Ctrl+K)' },
+  { action: 'checkbox', label: '☐ Task', title: 'Checklist item' },
+];
+
+const SHORTCUTS = { b: 'bold', k: 'link' };
+
+/**
+ * PUBLIC_INTERFACE
+ * MarkdownEditor is a controlled textarea with a Write/Preview tab pair and a small formatting toolbar
+ * (bold, bulleted list, link, checklist item). Ctrl/Cmd+B and Ctrl/Cmd+K apply bold and link.
+ * The preview uses the same Markdown renderer as the report views.
+ *
+ * Props:
+ * - id: textarea id (labels keep pointing at it)
+ * - value: current text
+ * - onChange(value): called with the new text (not the event)
+ * - emptyPreview: text shown in the preview tab when there is nothing to render
+ * - any other props (className, placeholder, aria-*, required, minLength, …) are passed to the textarea
+ */
+const MarkdownEditor = ({ id, value, onChange, emptyPreview = 'Nothing to preview.', ...textareaProps }) => {
+  const [tab, setTab] = React.useState('write');
+  const textareaRef = React.useRef(null);
+  const pendingSelectionRef = React.useRef(null);
+
+  // Restore the selection after a toolbar edit has been rendered
+  React.useLayoutEffect(() => {
+    const sel = pendingSelectionRef.current;
+    const el = textareaRef.current;
+    if (!sel || !el) return;
+    pendingSelectionRef.current = null;
+    el.focus();
+    el.setSelectionRange(sel.selectionStart, sel.selectionEnd);
+  });
+
+  const apply = (action) => {
+    const el = textareaRef.current;
+    const res = applyMarkdownAction(action, value, el?.selectionStart, el?.selectionEnd);
+    pendingSelectionRef.current = { selectionStart: res.selectionStart, selectionEnd: res.selectionEnd };
+    onChange(res.value);
+  };
+
+  const onKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    const action = SHORTCUTS[e.key.toLowerCase()];
+    if (!action) return;
+    e.preventDefault();
+    apply(action);
+  };
+
+  const writeId = `${id}-tab-write`;
+  const previewId = `${id}-tab-preview`;
+
+  return (
+    <div className="md-editor">
+      <div className="md-editor-bar">
+        <div role="tablist" aria-label="Editor mode" className="md-editor-tabs">
+          <button
+            type="button"
+            role="tab"
+            id={writeId}
+            aria-selected={tab === 'write' ? 'true' : 'false'}
+            className={tab === 'write' ? 'active' : ''}
+            onClick={() => setTab('write')}
+          >
+            Write
+          </button>
+          <button
+            type="button"
+            role="tab"
+            id={previewId}
+            aria-selected={tab === 'preview' ? 'true' : 'false'}
+            className={tab === 'preview' ? 'active' : ''}
+            onClick={() => setTab('preview')}
+          >
+            Preview
+          </button>
+        </div>
+        {tab === 'write' && (
+          <div role="toolbar" aria-label="Formatting" aria-controls={id} className="md-editor-toolbar">
+            {TOOLBAR.map((t) => (
+              <button
+                key={t.action}
+                type="button"
+                title={t.title}
+                aria-label={t.title}
+                style={t.style}
+                // Keep the textarea selection while clicking
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => apply(t.action)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {tab === 'write' ? (
+        <textarea
+          {...textareaProps}
+          id={id}
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={onKeyDown}
+        />
+      ) : (
+        <div role="tabpanel" aria-labelledby={previewId} className="md-editor-preview">
+          <Markdown text={value} emptyText={emptyPreview} />
+        </div>
+      )}
+      <div className="helper">Markdown supported: **bold**, *italic*, - lists, - [ ] tasks, [links](https://…)</div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
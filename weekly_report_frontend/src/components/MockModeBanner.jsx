@@ -0,0 +1,42 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { isMockApi, listMockUsers, setMockUser } from '../services/mockApi';
+import { clearStoredTeam } from '../services/teamService';
+
+/**
+ * PUBLIC_INTERFACE
+ * MockModeBanner shows that API calls are served from in-browser fixtures (REACT_APP_MOCK_API=true) and lets the
+ * viewer sign in as another fixture user. Switching reloads the page, which also resets the mock data.
+ * Renders nothing outside mock mode.
+ */
+const MockModeBanner = () => {
+  const { user } = useAuth();
+  if (!isMockApi()) return null;
+
+  const onSwitch = (e) => {
+    setMockUser(e.target.value);
+    // The selected team belongs to the previous user
+    clearStoredTeam();
+    window.location.reload();
+  };
+
+  return (
+    <div className="draft-banner" role="status" aria-live="polite">
+      <span>
+        <strong>Mock API mode.</strong> Data is generated in the browser and resets on reload.
+      </span>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <label className="helper" htmlFor="mock-user">Signed in as</label>
+        <select id="mock-user" className="textarea" value={user?.email || ''} onChange={onSwitch}>
+          {listMockUsers().map((u) => (
+            <option key={u.id} value={u.email}>
+              {u.email} ({u.role})
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default MockModeBanner;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from './ToastProvider';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { showApiError, showApiInfo, showApiSuccess } from '../utils/toast';
+
+// How often queued submissions are retried while any are waiting
+const RETRY_INTERVAL_MS = 60000;
+
+/**
+ * PUBLIC_INTERFACE
+ * OfflineSync submits reports queued while offline (services/offlineQueue) once the app loads with a session,
+ * whenever the browser comes back online and every minute while any are waiting, and shows a banner meanwhile.
+ * Results are reported as toasts; conflicts and failures are left in the queue for History to resolve.
+ */
+const OfflineSync = () => {
+  const { user, loading } = useAuth();
+  const { addToast } = useToast();
+  const userId = user?.id || null;
+  const { available, entries, sync } = useOfflineQueue({ user_id: userId, enabled: !loading });
+  const [syncing, setSyncing] = React.useState(false);
+
+  const pendingCount = entries.filter((e) => e.status === 'pending').length;
+  const attentionCount = entries.length - pendingCount;
+
+  const runSync = React.useCallback(
+    async ({ manual = false } = {}) => {
+      setSyncing(true);
+      try {
+        const res = await sync();
+        if (res.submitted.length) {
+          showApiSuccess(addToast, `Submitted ${res.submitted.length} report(s) saved while offline.`, { dedupeKey: 'offline-sync' });
+        }
+        res.submitted
+          .filter((s) => s.warnings.length)
+          .forEach((s) =>
+            showApiError(addToast, `Report for the week of ${s.entry.week_start} submitted, but ${s.warnings.join('; ')}`, undefined, {
+              dedupeKey: `offline-sync-warn-${s.entry.id}`,
+            })
+          );
+        if (res.conflicts.length || res.failed.length) {
+          showApiInfo(addToast, `${res.conflicts.length + res.failed.length} queued report(s) need your attention in History.`, {
+            dedupeKey: 'offline-sync-attention',
+          });
+        }
+        if (manual && res.offline) {
+          showApiInfo(addToast, 'Still offline. Queued reports will be sent when the connection returns.', { dedupeKey: 'offline-sync' });
+        }
+      } catch (e) {
+        showApiError(addToast, e, 'Failed to sync queued reports', { dedupeKey: 'offline-sync' });
+      } finally {
+        setSyncing(false);
+      }
+    },
+    [sync, addToast]
+  );
+
+  // Sync once the session is known, when connectivity returns, and periodically while submissions wait (the browser
+  // may report being online while the backend is unreachable). hasPending re-arms this after new entries are queued.
+  const hasPending = pendingCount > 0;
+  React.useEffect(() => {
+    if (!available || loading || !hasPending) return undefined;
+    const attempt = () => {
+      if (typeof navigator === 'undefined' || navigator.onLine !== false) runSync();
+    };
+    attempt();
+    const timer = setInterval(attempt, RETRY_INTERVAL_MS);
+    window.addEventListener('online', attempt);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', attempt);
+    };
+  }, [available, loading, hasPending, runSync]);
+
+  if (!available || entries.length === 0) return null;
+
+  return (
+    <div className="draft-banner" role="status" aria-live="polite">
+      <span>
+        {pendingCount > 0 && `${pendingCount} report(s) saved on this device are waiting to be submitted. `}
+        {attentionCount > 0 && (
+          <>
+            {attentionCount} queued report(s) could not be submitted. <Link to="/reports/history">Review in History</Link>
+          </>
+        )}
+      </span>
+      {pendingCount > 0 && (
+        <button type="button" className="btn secondary" onClick={() => runSync({ manual: true })} disabled={syncing} aria-busy={syncing}>
+          {syncing ? 'Syncing…' : 'Sync now'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OfflineSync;
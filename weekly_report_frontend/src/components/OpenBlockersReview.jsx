@@ -0,0 +1,79 @@
+import React from 'react';
+import { blockerAgeWeeks } from '../services/blockersService';
+
+const ACTION_LABELS = { carry: 'Still blocked', escalate: 'Escalate', resolve: 'Resolved' };
+
+/**
+ * PUBLIC_INTERFACE
+ * OpenBlockersReview lists the user's unresolved blockers from earlier weeks so a new report can carry each one
+ * forward, escalate it or resolve it with notes. Decisions are applied when the report is submitted.
+ *
+ * Props:
+ * - blockers: open/escalated blocker rows (blockersService.getOpenBlockers)
+ * - decisions: { [blockerId]: { action: 'carry'|'escalate'|'resolve', notes?: string } }
+ * - onChange(decisions)
+ * - weekStart: week of the report being written (ages are measured against it)
+ * - userId: current user (to label blockers owned by someone else)
+ * - disabled
+ */
+const OpenBlockersReview = ({ blockers, decisions, onChange, weekStart, userId, disabled = false }) => {
+  if (!blockers || blockers.length === 0) return null;
+
+  const setDecision = (id, patch) => {
+    const current = decisions[id] || { action: 'carry' };
+    onChange({ ...decisions, [id]: { ...current, ...patch } });
+  };
+
+  return (
+    <fieldset className="open-blockers">
+      <legend>Open blockers from earlier weeks</legend>
+      <ul>
+        {blockers.map((b) => {
+          const d = decisions[b.id] || { action: 'carry' };
+          const age = blockerAgeWeeks(b, weekStart);
+          return (
+            <li key={b.id} className="open-blocker">
+              <div className="open-blocker-head">
+                <span className="open-blocker-title">{b.title}</span>
+                {b.status === 'escalated' && <span className="item-status item-status-blocked">Escalated</span>}
+                <span className="helper">
+                  {age === 0 ? 'opened this week' : `${age} week${age === 1 ? '' : 's'} old`}
+                  {b.owner_id && userId && b.owner_id !== userId ? ' · owned by someone else' : ''}
+                </span>
+              </div>
+              <div className="open-blocker-actions" role="radiogroup" aria-label={`What happened to "${b.title}"?`}>
+                {Object.entries(ACTION_LABELS)
+                  .filter(([action]) => !(action === 'escalate' && b.status === 'escalated'))
+                  .map(([action, label]) => (
+                    <label key={action}>
+                      <input
+                        type="radio"
+                        name={`blocker-${b.id}`}
+                        checked={d.action === action}
+                        disabled={disabled}
+                        onChange={() => setDecision(b.id, { action })}
+                      />{' '}
+                      {label}
+                    </label>
+                  ))}
+              </div>
+              {d.action === 'resolve' && (
+                <input
+                  className="textarea"
+                  style={{ minHeight: 'auto' }}
+                  placeholder="How was it resolved? (optional)"
+                  aria-label={`Resolution notes for "${b.title}"`}
+                  value={d.notes || ''}
+                  disabled={disabled}
+                  onChange={(e) => setDecision(b.id, { notes: e.target.value })}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </fieldset>
+  );
+};
+
+export default OpenBlockersReview;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from './ToastProvider';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { markdownToPlainText } from '../utils/markdown';
+import { showApiError, showApiInfo, showApiSuccess } from '../utils/toast';
+
+const STATUS_LABELS = { pending: 'Pending sync', conflict: 'Conflict', failed: 'Failed' };
+
+/**
+ * PUBLIC_INTERFACE
+ * QueuedSubmissions lists the user's reports saved on this device while offline (services/offlineQueue), with their
+ * sync status. Conflicts (a report for the same week was submitted elsewhere meanwhile) can be settled by keeping
+ * the existing report or overwriting it with the queued version; failed entries can be retried or discarded.
+ * Renders nothing when the queue is empty. `onSynced` runs after anything reached the server.
+ */
+const QueuedSubmissions = ({ onSynced }) => {
+  const { user, loading } = useAuth();
+  const { addToast } = useToast();
+  const { available, entries, sync, discard, resolve } = useOfflineQueue({ user_id: user?.id || null, enabled: !loading });
+  const [busy, setBusy] = React.useState(null); // entry id or 'all'
+
+  if (!available || entries.length === 0) return null;
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try {
+      await fn();
+    } catch (e) {
+      showApiError(addToast, e, 'Action failed', { dedupeKey: 'queued-submissions' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const onRetry = () =>
+    run('all', async () => {
+      const res = await sync({ includeFailed: true });
+      if (res.submitted.length) {
+        showApiSuccess(addToast, `Submitted ${res.submitted.length} queued report(s).`, { dedupeKey: 'queued-submissions' });
+        onSynced?.();
+      } else if (res.offline) {
+        showApiInfo(addToast, 'Still offline. Try again when the connection returns.', { dedupeKey: 'queued-submissions' });
+      }
+    });
+
+  const onResolve = (entry, choice) =>
+    run(entry.id, async () => {
+      await resolve(entry, choice);
+      showApiSuccess(
+        addToast,
+        choice === 'overwrite' ? `Report for the week of ${entry.week_start} updated with your queued version.` : 'Queued copy discarded.',
+        { dedupeKey: 'queued-submissions' }
+      );
+      if (choice === 'overwrite') onSynced?.();
+    });
+
+  const onDiscard = (entry) => {
+    if (!window.confirm(`Discard the queued report for the week of ${entry.week_start}? It has not been submitted.`)) return;
+    run(entry.id, () => discard(entry.id));
+  };
+
+  return (
+    <section className="queued-submissions" aria-label="Reports waiting to sync">
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10 }}>
+        <h2>Saved on this device</h2>
+        <button type="button" className="btn secondary" onClick={onRetry} disabled={busy !== null} aria-busy={busy === 'all'}>
+          {busy === 'all' ? 'Syncing…' : 'Retry now'}
+        </button>
+      </div>
+      <table className="table" role="table">
+        <thead>
+          <tr>
+            <th scope="col">Week</th>
+            <th scope="col">Queued</th>
+            <th scope="col">Status</th>
+            <th scope="col">Progress</th>
+            <th scope="col">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => {
+            const text = markdownToPlainText(entry.progress || '');
+            return (
+              <tr key={entry.id}>
+                <td>{entry.week_start}</td>
+                <td>{new Date(entry.queuedAt).toLocaleString()}</td>
+                <td>
+                  <span className={`sync-pill sync-${entry.status}`}>{STATUS_LABELS[entry.status] || entry.status}</span>
+                  {entry.status === 'conflict' && (
+                    <div className="helper">
+                      Already submitted elsewhere
+                      {entry.conflict?.created_at ? ` on ${new Date(entry.conflict.created_at).toLocaleString()}` : ''}.{' '}
+                      <Link to={`/reports/${encodeURIComponent(entry.conflict.report_id)}`}>View it</Link>
+                    </div>
+                  )}
+                  {entry.status !== 'conflict' && entry.lastError && <div className="helper">{entry.lastError}</div>}
+                </td>
+                <td>{text.length > 80 ? `${text.slice(0, 80)}…` : text}</td>
+                <td>
+                  <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                    {entry.status === 'conflict' ? (
+                      <>
+                        <button type="button" className="btn" onClick={() => onResolve(entry, 'overwrite')} disabled={busy !== null}>
+                          Overwrite with mine
+                        </button>
+                        <button type="button" className="btn secondary" onClick={() => onResolve(entry, 'keep_existing')} disabled={busy !== null}>
+                          Keep existing
+                        </button>
+                      </>
+                    ) : (
+                      <button type="button" className="btn secondary" onClick={() => onDiscard(entry)} disabled={busy !== null}>
+                        Discard
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default QueuedSubmissions;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { useReportingWindows } from '../hooks/useReportingWindows';
+import { deadlineStatus, describeSchedule, formatDueAt, formatDuration, scheduleForWeek } from '../utils/reportingSchedule';
+
+// Deadline states shown with the compliance chip colors
+const CHIP_STATUS = { due: 'pending', grace: 'late', overdue: 'missing', on_time: 'on_time', late: 'late' };
+const REFRESH_MS = 60 * 1000;
+
+const deadlineText = (d) => {
+  switch (d.state) {
+    case 'due':
+      return `Due in ${formatDuration(d.dueInMs)}`;
+    case 'grace':
+      return `Late by ${formatDuration(d.lateByMs)} · grace period ends in ${formatDuration(d.closesInMs)}`;
+    case 'overdue':
+      return `Late by ${formatDuration(d.lateByMs)}`;
+    case 'late':
+      return `Submitted late by ${formatDuration(d.lateByMs)}`;
+    default:
+      return 'Submitted on time';
+  }
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportDeadline shows when the report for a week is due for the given team — from the reporting window that covers
+ * the week, or the default deadline — and how far away (or past) that is. Refreshes every minute.
+ * Pass `submittedAt` for a report that was already submitted to show whether it made the deadline.
+ */
+const ReportDeadline = ({ weekStart, teamId = null, submittedAt = null }) => {
+  const { windows } = useReportingWindows();
+  const [now, setNow] = React.useState(() => new Date());
+
+  React.useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(weekStart || '')) return null;
+
+  const schedule = scheduleForWeek(windows, { weekStart, teamId });
+  const deadline = deadlineStatus(weekStart, schedule, { submittedAt, now });
+
+  return (
+    <div className="helper" aria-live="polite" style={{ marginTop: 4 }}>
+      Due {formatDueAt(deadline.dueAt, schedule.timezone)}{' '}
+      <span className={`compliance-chip status-${CHIP_STATUS[deadline.state]}`}>{deadlineText(deadline)}</span>
+      <div>
+        {schedule.window ? `${schedule.window.name}: ` : 'Default deadline: '}
+        {describeSchedule(schedule)}
+      </div>
+    </div>
+  );
+};
+
+export default ReportDeadline;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { REPORT_ITEM_STATUSES, REPORT_ITEM_TYPES, newReportItem } from '../services/reportItemsService';
+
+export const ITEM_TYPE_LABELS = { accomplishment: 'Accomplishment', plan: 'Plan', blocker: 'Blocker' };
+export const ITEM_STATUS_LABELS = {
+  planned: 'Planned',
+  in_progress: 'In progress',
+  done: 'Done',
+  blocked: 'Blocked',
+  dropped: 'Dropped',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportItemsEditor edits a list of structured report items as repeatable rows
+ * (type, text, status, optional link and estimated effort in hours).
+ *
+ * Props:
+ * - items: editor rows (see newReportItem)
+ * - onChange(items): called with the updated list
+ * - disabled: disables all inputs
+ */
+const ReportItemsEditor = ({ items, onChange, disabled = false }) => {
+  const update = (index, patch) => onChange(items.map((it, i) => (i === index ? { ...it, ...patch } : it)));
+  const remove = (index) => onChange(items.filter((_, i) => i !== index));
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= items.length) return;
+    const next = items.slice();
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="items-editor">
+      {items.length === 0 && (
+        <div className="helper">No items yet. Add accomplishments, plans or blockers to make them measurable.</div>
+      )}
+      {items.map((it, idx) => {
+        const rowLabel = `Item ${idx + 1}`;
+        return (
+          <div key={idx} className="items-editor-row" role="group" aria-label={rowLabel}>
+            <select
+              aria-label={`${rowLabel} type`}
+              className="textarea"
+              value={it.type}
+              disabled={disabled}
+              onChange={(e) => update(idx, { type: e.target.value })}
+            >
+              {REPORT_ITEM_TYPES.map((t) => (
+                <option key={t} value={t}>{ITEM_TYPE_LABELS[t]}</option>
+              ))}
+            </select>
+            <input
+              aria-label={`${rowLabel} text`}
+              className="textarea"
+              placeholder="What was done / planned / blocking?"
+              value={it.text}
+              disabled={disabled}
+              onChange={(e) => update(idx, { text: e.target.value })}
+            />
+            <select
+              aria-label={`${rowLabel} status`}
+              className="textarea"
+              value={it.status}
+              disabled={disabled}
+              onChange={(e) => update(idx, { status: e.target.value })}
+            >
+              {REPORT_ITEM_STATUSES.map((s) => (
+                <option key={s} value={s}>{ITEM_STATUS_LABELS[s]}</option>
+              ))}
+            </select>
+            <input
+              aria-label={`${rowLabel} link`}
+              type="url"
+              className="textarea"
+              placeholder="https://… (optional)"
+              value={it.link || ''}
+              disabled={disabled}
+              onChange={(e) => update(idx, { link: e.target.value })}
+            />
+            <input
+              aria-label={`${rowLabel} estimated effort in hours`}
+              type="number"
+              min="0"
+              step="0.5"
+              className="textarea"
+              placeholder="Hours"
+              value={it.effort_hours ?? ''}
+              disabled={disabled}
+              onChange={(e) => update(idx, { effort_hours: e.target.value })}
+            />
+            <div className="items-editor-actions">
+              <button type="button" className="btn secondary" onClick={() => move(idx, -1)} disabled={disabled || idx === 0} aria-label={`Move ${rowLabel} up`}>↑</button>
+              <button type="button" className="btn secondary" onClick={() => move(idx, 1)} disabled={disabled || idx === items.length - 1} aria-label={`Move ${rowLabel} down`}>↓</button>
+              <button type="button" className="btn secondary" onClick={() => remove(idx)} disabled={disabled} aria-label={`Remove ${rowLabel}`}>✕</button>
+            </div>
+          </div>
+        );
+      })}
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+        {REPORT_ITEM_TYPES.map((t) => (
+          <button key={t} type="button" className="btn secondary" disabled={disabled} onClick={() => onChange([...items, newReportItem(t)])}>
+            + {ITEM_TYPE_LABELS[t]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReportItemsEditor;
@@ -0,0 +1,56 @@
+import React from 'react';
+import Markdown from './Markdown';
+import { ITEM_STATUS_LABELS } from './ReportItemsEditor';
+import { reportItemsToMarkdown } from '../services/reportItemsService';
+import { safeUrl } from '../utils/markdown';
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportItemsList renders the structured items of one type for a report section.
+ * When the report has no structured items (legacy text-only reports) it falls back to rendering the text as Markdown,
+ * so older reports look the same as before. Text that was written alongside the items is shown below them.
+ *
+ * Props:
+ * - items: all items of the report (filtered by `type` here)
+ * - type: 'accomplishment' | 'plan' | 'blocker'
+ * - text: the section's free text (summary, or the only content for legacy reports)
+ * - emptyText: shown when there are neither items nor text
+ */
+const ReportItemsList = ({ items, type, text, emptyText }) => {
+  const rows = (items || []).filter((it) => it.type === type);
+  if (rows.length === 0) {
+    return <Markdown text={text} emptyText={emptyText} />;
+  }
+
+  // Text generated from the items on submit adds nothing; anything else is the author's own summary
+  const notes = String(text || '').trim();
+  const showNotes = notes && notes !== reportItemsToMarkdown(rows, type);
+
+  return (
+    <>
+      <ul className="report-items">
+        {rows.map((it, idx) => {
+          const href = safeUrl(it.link);
+          return (
+            <li key={it.id || idx} className="report-item">
+              <span className={`item-status item-status-${it.status}`}>{ITEM_STATUS_LABELS[it.status] || it.status}</span>
+              <span className="report-item-text">
+                {it.text}
+                {href && (
+                  <>
+                    {' '}
+                    <a href={href} target="_blank" rel="noopener noreferrer nofollow">link</a>
+                  </>
+                )}
+              </span>
+              {it.effort_hours != null && <span className="helper">{Number(it.effort_hours)} h</span>}
+            </li>
+          );
+        })}
+      </ul>
+      {showNotes && <Markdown text={notes} />}
+    </>
+  );
+};
+
+export default ReportItemsList;
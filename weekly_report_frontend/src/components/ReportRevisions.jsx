@@ -0,0 +1,95 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiGet, getApiBase } from '../services/apiClient';
+import { getReportRevisions } from '../services/reportsService';
+
+const FIELDS = [
+  { key: 'progress', label: 'Progress' },
+  { key: 'blockers', label: 'Blockers' },
+  { key: 'plans', label: 'Plans' },
+  { key: 'tags', label: 'Tags' },
+];
+
+function fieldText(row, key) {
+  const v = row?.[key];
+  if (Array.isArray(v)) return v.join(', ');
+  return String(v || '').trim();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportRevisions lists the edit history of a report, newest first.
+ * Each entry compares a stored revision with the version that replaced it (the next revision or the current report)
+ * and shows only the fields that changed.
+ * - If REACT_APP_API_BASE is present, the author reads GET /reports/:id/revisions and anyone else (a manager of the
+ *   report's team) reads GET /manager/reports/:id/revisions.
+ * - Otherwise reads weekly_report_revisions from Supabase, where RLS decides which reports' history is visible.
+ */
+const ReportRevisions = ({ report }) => {
+  const { user } = useAuth();
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const [revisions, setRevisions] = React.useState([]);
+
+  const reportId = report?.id;
+  const ownReport = !!user?.id && report?.user_id === user.id;
+
+  React.useEffect(() => {
+    if (!reportId) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    const path = `${ownReport ? '' : '/manager'}/reports/${encodeURIComponent(reportId)}/revisions`;
+    const load = getApiBase()
+      ? apiGet(path).then((data) => (Array.isArray(data) ? data : (data?.items || [])))
+      : getReportRevisions(reportId);
+    load
+      .then((items) => {
+        if (!cancelled) setRevisions(items);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e?.message || 'Failed to load revisions.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId, ownReport]);
+
+  if (loading) return <div className="helper" aria-busy="true">Loading revisions…</div>;
+  if (error) return <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{error}</div>;
+  if (revisions.length === 0) return <div className="helper">No edits since submission.</div>;
+
+  // revisions are newest first; the version that replaced revisions[i] is revisions[i - 1] (or the current report)
+  return (
+    <ol className="revision-list" aria-label="Revision history">
+      {revisions.map((rev, i) => {
+        const next = i === 0 ? report : revisions[i - 1];
+        const changed = FIELDS.filter((f) => fieldText(rev, f.key) !== fieldText(next, f.key));
+        return (
+          <li key={rev.id || rev.revision}>
+            <div className="helper">
+              Revision {rev.revision} → {rev.revision + 1} · edited {new Date(rev.revised_at).toLocaleString()}
+              {rev.edited_by && rev.edited_by !== report?.user_id ? ` by ${rev.edited_by}` : ''}
+            </div>
+            {changed.length === 0 ? (
+              <div className="helper">No content changes.</div>
+            ) : (
+              changed.map((f) => (
+                <div key={f.key} className="revision-change">
+                  <div className="revision-field">{f.label}</div>
+                  <div className="revision-before" title="Before">{fieldText(rev, f.key) || '—'}</div>
+                  <div className="revision-after" title="After">{fieldText(next, f.key) || '—'}</div>
+                </div>
+              ))
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default ReportRevisions;
@@ -0,0 +1,39 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import ReportRevisions from './ReportRevisions';
+import { AuthContext } from '../context/AuthContext';
+
+const mockApiGet = jest.fn();
+jest.mock('../services/apiClient', () => ({
+  getApiBase: () => 'http://api.test',
+  apiGet: (...args) => mockApiGet(...args),
+}));
+
+const REPORT = { id: 'r1', user_id: 'e1', progress: 'Now', plans: 'Next', revision: 2 };
+
+const renderAs = (userId) =>
+  render(
+    <AuthContext.Provider value={{ user: { id: userId } }}>
+      <ReportRevisions report={REPORT} />
+    </AuthContext.Provider>
+  );
+
+describe('ReportRevisions with an API base', () => {
+  beforeEach(() => {
+    mockApiGet.mockReset();
+    mockApiGet.mockResolvedValue({
+      items: [{ id: 'v1', report_id: 'r1', revision: 1, progress: 'Before', plans: 'Next', revised_at: '2025-01-08T10:00:00Z' }],
+    });
+  });
+
+  test("reads the author's own history from the author route", async () => {
+    renderAs('e1');
+    expect(await screen.findByText('Before')).toBeInTheDocument();
+    expect(mockApiGet).toHaveBeenCalledWith('/reports/r1/revisions');
+  });
+
+  test("reads someone else's report through the manager route", async () => {
+    renderAs('m1');
+    await waitFor(() => expect(mockApiGet).toHaveBeenCalledWith('/manager/reports/r1/revisions'));
+    expect(await screen.findByText('Before')).toBeInTheDocument();
+  });
+});
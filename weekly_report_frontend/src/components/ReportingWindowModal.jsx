@@ -0,0 +1,178 @@
+import React from 'react';
+import { getTeams } from '../services/teamService';
+import { cn } from '../utils/cn';
+import { WEEKDAYS, describeSchedule } from '../utils/reportingSchedule';
+import {
+  MAX_GRACE_HOURS,
+  STATUS_TRANSITIONS,
+  WINDOW_STATUSES,
+  duplicateWindowValues,
+  toWindowPayload,
+  validateWindow,
+  windowFormValues,
+} from '../utils/reportingWindows';
+
+const TITLES = { create: 'New reporting window', edit: 'Edit reporting window', duplicate: 'Duplicate reporting window' };
+
+// Suggestions for the time zone field; any IANA name the browser knows is accepted
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportingWindowModal is the form for creating, editing or duplicating a reporting window: name, date range, status,
+ * the weekly deadline schedule and the teams it applies to. Values are validated like the backend does, including
+ * allowed status transitions and overlap with `windows` (the other windows), before `onSave(payload)` is called with
+ * the POST/PATCH body. `error` shows a message from the server; Escape or Cancel calls `onCancel`.
+ *
+ * @param {{ mode: 'create'|'edit'|'duplicate', window?: Object|null, initialValues?: Object|null,
+ *   windows: Array<Object>, error?: string|null, onSave: (payload: Object) => void, onCancel: () => void }} props
+ *   initialValues (e.g. after a failed save) take precedence over the values derived from `window`
+ */
+const ReportingWindowModal = ({ mode, window = null, initialValues = null, windows, error = null, onSave, onCancel }) => {
+  const [values, setValues] = React.useState(
+    () => initialValues || (mode === 'duplicate' ? duplicateWindowValues(window) : windowFormValues(mode === 'edit' ? window : null))
+  );
+  const [submitted, setSubmitted] = React.useState(false);
+  const [teams, setTeams] = React.useState([]);
+  const firstFieldRef = React.useRef(null);
+
+  const original = mode === 'edit' ? window : null;
+  const errors = submitted ? validateWindow(values, { windows, original }) : {};
+  const statuses = original ? [original.status, ...(STATUS_TRANSITIONS[original.status] || [])] : WINDOW_STATUSES;
+
+  React.useEffect(() => {
+    firstFieldRef.current?.focus();
+    let cancelled = false;
+    getTeams()
+      .then((res) => {
+        if (!cancelled) setTeams(res.teams || []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  React.useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onCancel]);
+
+  const set = (key) => (e) => setValues((v) => ({ ...v, [key]: e.target.value }));
+  const toggleTeam = (id) =>
+    setValues((v) => ({ ...v, team_ids: v.team_ids.includes(id) ? v.team_ids.filter((t) => t !== id) : [...v.team_ids, id] }));
+
+  // Teams the window already names stay listed even if the directory does not return them
+  const teamOptions = [
+    ...teams,
+    ...values.team_ids.filter((id) => !teams.some((t) => t.id === id)).map((id) => ({ id, name: id })),
+  ];
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(validateWindow(values, { windows, original })).length > 0) return;
+    onSave(toWindowPayload(values));
+  };
+
+  const field = (key, label, input, hint) => (
+    <div className="form-group">
+      <label htmlFor={`window-${key}`}>{label}</label>
+      {input}
+      {hint && <div className="helper">{hint}</div>}
+      {errors[key] && (
+        <div id={`window-${key}-error`} className="field-error" role="alert">
+          {errors[key]}
+        </div>
+      )}
+    </div>
+  );
+  const inputProps = (key) => ({
+    id: `window-${key}`,
+    className: cn('textarea', { invalid: Boolean(errors[key]) }),
+    style: { minHeight: 'auto' },
+    value: values[key],
+    onChange: set(key),
+    'aria-invalid': Boolean(errors[key]),
+    'aria-describedby': errors[key] ? `window-${key}-error` : undefined,
+  });
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onCancel()}>
+      <div className="modal card" role="dialog" aria-modal="true" aria-labelledby="window-modal-title">
+        <h2 id="window-modal-title">{TITLES[mode]}</h2>
+        {error && (
+          <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+            {error}
+          </div>
+        )}
+        <form onSubmit={onSubmit} className="form-grid" noValidate>
+          {field('name', 'Name', <input type="text" maxLength={100} ref={firstFieldRef} {...inputProps('name')} />)}
+          <div className="modal-row">
+            {field('start', 'Start', <input type="date" {...inputProps('start')} />)}
+            {field('end', 'End', <input type="date" {...inputProps('end')} />)}
+            {field(
+              'status',
+              'Status',
+              <select {...inputProps('status')}>
+                {statuses.map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="modal-row">
+            {field(
+              'due_weekday',
+              'Due on',
+              <select {...inputProps('due_weekday')}>
+                {WEEKDAYS.map((d, i) => (
+                  <option key={d} value={i + 1}>{d}</option>
+                ))}
+              </select>
+            )}
+            {field('due_time', 'Due time', <input type="time" {...inputProps('due_time')} />)}
+            {field(
+              'timezone',
+              'Time zone',
+              <>
+                <input type="text" list="window-timezones" {...inputProps('timezone')} />
+                <datalist id="window-timezones">
+                  {TIME_ZONES.map((tz) => (
+                    <option key={tz} value={tz} />
+                  ))}
+                </datalist>
+              </>
+            )}
+            {field(
+              'grace_hours',
+              'Grace (hours)',
+              <input type="number" min={0} max={MAX_GRACE_HOURS} step={1} {...inputProps('grace_hours')} />
+            )}
+          </div>
+          <fieldset className="form-group modal-teams">
+            <legend className="helper">Teams</legend>
+            {teamOptions.map((t) => (
+              <label key={t.id}>
+                <input type="checkbox" checked={values.team_ids.includes(t.id)} onChange={() => toggleTeam(t.id)} /> {t.name}
+              </label>
+            ))}
+            <div className="helper">
+              {values.team_ids.length ? `Only for ${values.team_ids.length} team(s).` : 'None selected: applies to every team.'}
+            </div>
+          </fieldset>
+          <div className="helper">{describeSchedule(values)}</div>
+          <div className="modal-actions">
+            <button type="button" className="btn secondary" onClick={onCancel}>Cancel</button>
+            <button type="submit" className="btn">{mode === 'edit' ? 'Save changes' : 'Create window'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportingWindowModal;
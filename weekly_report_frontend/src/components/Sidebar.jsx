@@ -35,6 +35,10 @@ const Sidebar = () => {
           <span>📚</span>
           <span>History</span>
         </NavLink>
+        <NavLink to="/reports/search">
+          <span>🔎</span>
+          <span>Search</span>
+        </NavLink>
 
         {(isManager() || isAdmin()) && (
           <>
@@ -46,6 +50,10 @@ const Sidebar = () => {
               <span>🗂️</span>
               <span>Team Reports</span>
             </NavLink>
+            <NavLink to="/manager/compliance">
+              <span>✅</span>
+              <span>Compliance</span>
+            </NavLink>
           </>
         )}
 
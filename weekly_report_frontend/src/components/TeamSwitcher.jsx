@@ -0,0 +1,65 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from './ToastProvider';
+import { showApiError, showApiInfo } from '../utils/toast';
+
+/**
+ * PUBLIC_INTERFACE
+ * TeamSwitcher lets users who belong to several teams switch the current team in place.
+ * Lists the memberships from AuthContext (with the user's role in each team); the current team is kept as an
+ * option even when it is not a membership (e.g. an admin picked it on the team selector).
+ * Renders the current team name when there is nothing to switch between.
+ */
+const TeamSwitcher = ({ id = 'team-switcher' }) => {
+  const { team, teams, setTeamSelection } = useAuth();
+  const { addToast } = useToast();
+  const [switching, setSwitching] = React.useState(false);
+
+  const options = React.useMemo(() => {
+    if (!team || teams.some((t) => t.id === team.id)) return teams;
+    return [{ id: team.id, name: team.name || team.id, role: null }, ...teams];
+  }, [team, teams]);
+
+  if (options.length < 2) {
+    return (
+      <div style={{ fontWeight: 600 }}>
+        {team ? (team.name || team.id) : <span style={{ color: 'var(--muted)' }}>No team selected</span>}
+      </div>
+    );
+  }
+
+  const onChange = async (e) => {
+    const next = options.find((t) => t.id === e.target.value);
+    if (!next) return;
+    setSwitching(true);
+    try {
+      const res = await setTeamSelection(next);
+      showApiInfo(addToast, `Switched to "${next.name}"${res?.persisted ? '' : ' (local only)'}.`, { dedupeKey: 'team-switch' });
+    } catch (err) {
+      showApiError(addToast, err, 'Failed to switch team', { dedupeKey: 'team-switch' });
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <select
+      id={id}
+      className="textarea"
+      aria-label="Current team"
+      value={team?.id || ''}
+      onChange={onChange}
+      disabled={switching}
+      aria-busy={switching}
+    >
+      {!team && <option value="">Select a team…</option>}
+      {options.map((t) => (
+        <option key={t.id} value={t.id}>
+          {t.name}{t.role === 'lead' ? ' (lead)' : ''}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default TeamSwitcher;
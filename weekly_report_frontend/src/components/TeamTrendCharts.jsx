@@ -0,0 +1,89 @@
+import React from 'react';
+import { BarChart, LineChart } from './Charts';
+
+// Number of tags drawn in the tag frequency chart
+const TOP_TAGS = 5;
+
+const pct = (v) => (v == null ? '—' : `${Math.round(v * 100)}%`);
+const count = (v) => (v == null ? '—' : String(v));
+
+/**
+ * PUBLIC_INTERFACE
+ * TeamTrendCharts renders the TeamDashboard trend charts from team metrics (teamMetricsService.getTeamMetrics):
+ * - submission rate per week (participation and on-time rate), optionally overlaid with the previous period
+ * - blockers opened vs. resolved per week
+ * - weekly frequency of the most used tags
+ *
+ * Props:
+ * - metrics: current range metrics ({ weeks })
+ * - previous: metrics for the preceding period of the same length, or null
+ */
+const TeamTrendCharts = ({ metrics, previous }) => {
+  const weeks = React.useMemo(() => metrics?.weeks || [], [metrics]);
+  const labels = weeks.map((w) => w.week_start);
+
+  const topTags = React.useMemo(() => {
+    const totals = {};
+    for (const w of weeks) {
+      for (const [tag, n] of Object.entries(w.tags || {})) totals[tag] = (totals[tag] || 0) + n;
+    }
+    return Object.entries(totals)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_TAGS)
+      .map(([tag]) => tag);
+  }, [weeks]);
+
+  if (weeks.length === 0) {
+    return <div className="helper">No data for the selected weeks.</div>;
+  }
+
+  const rateSeries = [
+    { name: 'Participation', values: weeks.map((w) => w.participation) },
+    { name: 'On-time rate', values: weeks.map((w) => w.on_time_rate) },
+  ];
+  if (previous?.weeks?.length) {
+    // Align the previous period week-by-week with the current one
+    rateSeries.push({
+      name: 'Participation (previous period)',
+      values: weeks.map((_, i) => previous.weeks[i]?.participation ?? null),
+      color: '#9CA3AF',
+      dashed: true,
+    });
+  }
+
+  return (
+    <div className="chart-grid">
+      <LineChart
+        title="Submission rate per week"
+        description="Share of team members who submitted, and share of submissions that were on time."
+        labels={labels}
+        series={rateSeries}
+        max={1}
+        format={pct}
+      />
+      <BarChart
+        title="Blockers opened vs. resolved"
+        description="Blockers first reported and blockers resolved in each week."
+        labels={labels}
+        series={[
+          { name: 'Opened', values: weeks.map((w) => w.blockers_opened), color: '#EF4444' },
+          { name: 'Resolved', values: weeks.map((w) => w.blockers_resolved), color: '#10B981' },
+        ]}
+        format={count}
+      />
+      {topTags.length > 0 ? (
+        <LineChart
+          title="Tag frequency over time"
+          description={`Reports per week using the ${topTags.length} most frequent tags.`}
+          labels={labels}
+          series={topTags.map((tag) => ({ name: tag, values: weeks.map((w) => w.tags?.[tag] || 0) }))}
+          format={count}
+        />
+      ) : (
+        <div className="helper">No tagged reports in the selected weeks.</div>
+      )}
+    </div>
+  );
+};
+
+export default TeamTrendCharts;
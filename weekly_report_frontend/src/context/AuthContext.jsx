@@ -1,6 +1,9 @@
 import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { getSupabase } from '../lib/supabaseClient';
-import { getStoredTeam, storeTeamLocal, clearStoredTeam, setUserTeam as apiSetUserTeam, hasTeamApi } from '../services/teamService';
+import { clearApiCache, onSessionExpired } from '../services/apiClient';
+import { getMockUser, isMockApi } from '../services/mockApi';
+import { getStoredTeam, storeTeamLocal, clearStoredTeam, setUserTeam as apiSetUserTeam, hasTeamApi, getMyTeams } from '../services/teamService';
 
 /**
  * PUBLIC_INTERFACE
@@ -15,6 +18,9 @@ export const AuthContext = React.createContext({
   team: null, // { id, name? } or null
   teamLoading: true,
   teamPersisted: false, // true if saved via backend; false when only local storage
+  teams: [], // memberships: Array<{ id, name, role: 'member'|'lead' }>
+  teamsLoading: true,
+  teamRole: null, // role in the current team, when it is one of the memberships
   // PUBLIC_INTERFACE
   /** Returns true if the current role is "employee". */
   isEmployee: () => false,
@@ -33,6 +39,9 @@ export const AuthContext = React.createContext({
   // PUBLIC_INTERFACE
   /** Clear team selection from local state (and backend when available). */
   clearTeamSelection: async () => {},
+  // PUBLIC_INTERFACE
+  /** Reload the list of team memberships. */
+  reloadTeams: () => {},
   signOut: async () => {},
 });
 
@@ -69,7 +78,14 @@ function deriveRoleFromUser(user) {
  * Team selection logic:
  * - If user metadata contains team info (user_metadata.team_id or app_metadata.team_id), use it.
  * - Else, if localStorage has a selection, use it (teamPersisted=false).
+ * - Else, the first team the user is a member of (team_members), once memberships have loaded.
  * - setTeamSelection persists via backend when available; otherwise stores locally and sets teamPersisted=false.
+ *
+ * Memberships (teams) are loaded after auth settles and drive the team switcher in the Header.
+ *
+ * When the backend rejects a session that cannot be refreshed (apiClient's session-expired event), the local session
+ * is cleared and the user is sent to /login, which returns them to the page they were on after signing in again.
+ * Must be rendered inside the Router.
  */
 export function AuthProvider({ children }) {
   const supabase = getSupabase();
@@ -82,6 +98,9 @@ export function AuthProvider({ children }) {
   const [team, setTeam] = React.useState(null);
   const [teamPersisted, setTeamPersisted] = React.useState(false);
   const [teamLoading, setTeamLoading] = React.useState(true);
+  const [teams, setTeams] = React.useState([]);
+  const [teamsLoading, setTeamsLoading] = React.useState(true);
+  const [teamsNonce, setTeamsNonce] = React.useState(0);
 
   // Helper to fetch role from profiles if metadata doesn't provide one
   const loadRoleFromProfiles = React.useCallback(
@@ -123,6 +142,21 @@ export function AuthProvider({ children }) {
 
     async function initSession() {
       try {
+        if (isMockApi()) {
+          // Mock API mode: signed in as the selected fixture user, no Supabase involved
+          if (mounted) {
+            const mockUser = getMockUser();
+            setSession({ access_token: 'mock', user: mockUser });
+            setUser(mockUser);
+            setRole(deriveRoleFromUser(mockUser));
+            setLoading(false);
+            setTeam(getStoredTeam());
+            setTeamPersisted(false);
+            setTeamLoading(false);
+          }
+          return;
+        }
+
         if (!supabase) {
           // Supabase not configured - still allow local-only team selection
           if (mounted) {
@@ -250,6 +284,66 @@ export function AuthProvider({ children }) {
     };
   }, [supabase, loadRoleFromProfiles]);
 
+  // Session rejected by the backend: drop the local session and go to /login (once per expiry)
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = React.useRef(location);
+  locationRef.current = location;
+  React.useEffect(() => {
+    let handling = false;
+    return onSessionExpired(async () => {
+      const current = locationRef.current;
+      if (handling || current.pathname === '/login') return;
+      handling = true;
+      try {
+        if (supabase) await supabase.auth.signOut({ scope: 'local' });
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.debug('[AuthContext] local sign-out after session expiry failed:', e?.message || e);
+      } finally {
+        handling = false;
+      }
+      navigate('/login', { replace: true, state: { from: current, reason: 'session_expired' } });
+    });
+  }, [supabase, navigate]);
+
+  // Load team memberships once auth has settled (and whenever the user changes)
+  const userId = user?.id || null;
+  React.useEffect(() => {
+    // Cached API responses belong to the previous user
+    clearApiCache();
+  }, [userId]);
+  React.useEffect(() => {
+    if (loading) return undefined;
+    let cancelled = false;
+    setTeamsLoading(true);
+    getMyTeams({ user_id: userId })
+      .then((res) => {
+        if (!cancelled) setTeams(res?.teams || []);
+      })
+      .catch((e) => {
+        // eslint-disable-next-line no-console
+        console.debug('[AuthContext] team memberships lookup failed:', e?.message || e);
+        if (!cancelled) setTeams([]);
+      })
+      .finally(() => {
+        if (!cancelled) setTeamsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loading, userId, teamsNonce]);
+
+  // Fill in missing team names from the memberships
+  React.useEffect(() => {
+    if (teamLoading || !team || team.name) return;
+    const match = teams.find((t) => t.id === team.id);
+    if (match?.name) setTeam({ id: team.id, name: match.name });
+  }, [teamLoading, team, teams]);
+
+  const teamRole = React.useMemo(() => teams.find((t) => t.id === team?.id)?.role || null, [teams, team]);
+  const reloadTeams = React.useCallback(() => setTeamsNonce((n) => n + 1), []);
+
   const isEmployee = React.useCallback(() => role === 'employee', [role]);
   const isManager = React.useCallback(() => role === 'manager', [role]);
   const isAdmin = React.useCallback(() => role === 'admin', [role]);
@@ -302,6 +396,18 @@ export function AuthProvider({ children }) {
     setTeamPersisted(false);
   }, []);
 
+  // Default to the first membership when nothing else selected a team, saved the same way as a manual switch
+  // (backend when available, else local storage) so teamPersisted reflects where it actually lives
+  const defaultingTeamRef = React.useRef(false);
+  React.useEffect(() => {
+    defaultingTeamRef.current = false;
+  }, [userId]);
+  React.useEffect(() => {
+    if (teamLoading || team || teams.length === 0 || defaultingTeamRef.current) return;
+    defaultingTeamRef.current = true;
+    setTeamSelection({ id: teams[0].id, name: teams[0].name });
+  }, [teamLoading, team, teams, setTeamSelection]);
+
   const value = React.useMemo(
     () => ({
       user,
@@ -311,6 +417,9 @@ export function AuthProvider({ children }) {
       team,
       teamLoading,
       teamPersisted,
+      teams,
+      teamsLoading,
+      teamRole,
       isEmployee,
       isManager,
       isAdmin,
@@ -322,7 +431,10 @@ export function AuthProvider({ children }) {
       /** Clear team selection from local-only storage and memory. */
       clearTeamSelection,
       // PUBLIC_INTERFACE
-      /** Signs the user out of Supabase and resets the context. */
+      /** Reload the list of team memberships (e.g. after joining or creating a team). */
+      reloadTeams,
+      // PUBLIC_INTERFACE
+      /** Signs the user out of Supabase and resets the context, including the locally stored team. */
       signOut: async () => {
         if (!supabase) return;
         try {
@@ -331,9 +443,10 @@ export function AuthProvider({ children }) {
           // eslint-disable-next-line no-console
           console.error('Error signing out:', e);
         }
+        await clearTeamSelection();
       },
     }),
-    [user, session, role, loading, team, teamLoading, teamPersisted, isEmployee, isManager, isAdmin, hasRole, setTeamSelection, clearTeamSelection, supabase]
+    [user, session, role, loading, team, teamLoading, teamPersisted, teams, teamsLoading, teamRole, isEmployee, isManager, isAdmin, hasRole, setTeamSelection, clearTeamSelection, reloadTeams, supabase]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,107 @@
+import { act, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider, useAuth } from './AuthContext';
+import { createFakeSupabase, fakeSession } from '../testUtils/fakeSupabase';
+
+let mockSupabase = null;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+
+const MAX = { id: '33333333-3333-4333-8333-333333333333', email: 'max@example.com', role: 'manager' };
+
+function Probe() {
+  const { user, role, team, teamPersisted, loading, signOut } = useAuth();
+  if (loading) return <div>loading</div>;
+  return (
+    <ul>
+      <li>user: {user?.email || 'none'}</li>
+      <li>role: {role || 'none'}</li>
+      <li>team: {team?.name || 'none'}</li>
+      <li>team saved: {teamPersisted ? 'yes' : 'no'}</li>
+      <li>
+        <button type="button" onClick={signOut}>
+          Sign out
+        </button>
+      </li>
+    </ul>
+  );
+}
+
+const renderAuth = () =>
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <Probe />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  localStorage.clear();
+  mockSupabase = createFakeSupabase({
+    tables: { profiles: [], team_members: [], teams: [] },
+    session: fakeSession(MAX),
+  });
+});
+
+test('restores the session and takes the role from app metadata', async () => {
+  renderAuth();
+  expect(await screen.findByText('user: max@example.com')).toBeInTheDocument();
+  expect(screen.getByText('role: manager')).toBeInTheDocument();
+});
+
+test('a role in profiles refines the metadata role', async () => {
+  mockSupabase.tables.profiles.push({ user_id: MAX.id, role: 'admin' });
+  renderAuth();
+  expect(await screen.findByText('role: admin')).toBeInTheDocument();
+});
+
+test('keeps the metadata role when RLS hides profiles', async () => {
+  mockSupabase.tables.profiles.push({ user_id: MAX.id, role: 'admin' });
+  mockSupabase.setRls('profiles', 'select', (row, { user }) => row.user_id !== user?.id);
+  renderAuth();
+  await waitFor(() => expect(mockSupabase.calls).toContainEqual({ table: 'profiles', operation: 'select' }));
+  expect(await screen.findByText('role: manager')).toBeInTheDocument();
+});
+
+test('selects the first team membership when none is stored', async () => {
+  mockSupabase.tables.teams.push({ id: 'platform', name: 'Platform' });
+  mockSupabase.tables.team_members.push({ team_id: 'platform', user_id: MAX.id, role: 'lead' });
+  renderAuth();
+  expect(await screen.findByText('team: Platform')).toBeInTheDocument();
+  // No team API configured: the default is kept locally and reported as not persisted
+  expect(screen.getByText('team saved: no')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('wr.selectedTeam'))).toMatchObject({ id: 'platform' });
+});
+
+test('signing out clears the locally stored team', async () => {
+  localStorage.setItem('wr.selectedTeam', JSON.stringify({ id: 'platform', name: 'Platform' }));
+  renderAuth();
+  expect(await screen.findByText('team: Platform')).toBeInTheDocument();
+
+  await act(() => screen.getByRole('button', { name: 'Sign out' }).click());
+  expect(screen.getByText('user: none')).toBeInTheDocument();
+  expect(screen.getByText('team: none')).toBeInTheDocument();
+  expect(localStorage.getItem('wr.selectedTeam')).toBeNull();
+});
+
+test('follows auth state changes', async () => {
+  renderAuth();
+  await screen.findByText('user: max@example.com');
+
+  await act(() => mockSupabase.setSession(null));
+  expect(screen.getByText('user: none')).toBeInTheDocument();
+  expect(screen.getByText('role: none')).toBeInTheDocument();
+
+  await act(() => mockSupabase.setSession(fakeSession({ id: 'e1', email: 'erin@example.com' })));
+  expect(screen.getByText('user: erin@example.com')).toBeInTheDocument();
+  expect(screen.getByText('role: employee')).toBeInTheDocument();
+});
+
+test('without a session nobody is signed in', async () => {
+  mockSupabase = createFakeSupabase({ tables: { profiles: [] } });
+  renderAuth();
+  expect(await screen.findByText('user: none')).toBeInTheDocument();
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import {
+  discardQueuedSubmission,
+  isOfflineQueueAvailable,
+  listQueuedSubmissions,
+  onQueueChange,
+  resolveQueuedConflict,
+  syncQueuedSubmissions,
+} from '../services/offlineQueue';
+
+// PUBLIC_INTERFACE
+/**
+ * useOfflineQueue - Lists the user's queued (offline) report submissions and keeps the list current.
+ * The actions re-read the queue through QUEUE_CHANGED_EVENT, so every mounted instance stays in sync.
+ *
+ * @param {{ user_id: string|null, enabled?: boolean }} opts - enabled=false (e.g. while auth loads) skips reading
+ * @returns {{ available: boolean, entries: Array<Object>, sync: (opts?: { includeFailed?: boolean }) => Promise<Object>,
+ *   discard: (id: string) => Promise<void>, resolve: (entry: Object, choice: string) => Promise<Object|null> }}
+ */
+export function useOfflineQueue({ user_id, enabled = true } = {}) {
+  const available = isOfflineQueueAvailable();
+  const [entries, setEntries] = React.useState([]);
+
+  React.useEffect(() => {
+    if (!available || !enabled) return undefined;
+    let cancelled = false;
+    const load = () =>
+      listQueuedSubmissions({ user_id })
+        .then((list) => {
+          if (!cancelled) setEntries(list);
+        })
+        .catch((e) => {
+          // eslint-disable-next-line no-console
+          console.debug('[useOfflineQueue] reading the queue failed:', e?.message || e);
+        });
+    load();
+    const unsubscribe = onQueueChange(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [available, enabled, user_id]);
+
+  return {
+    available,
+    entries,
+    sync: React.useCallback((opts = {}) => syncQueuedSubmissions({ user_id, ...opts }), [user_id]),
+    discard: React.useCallback((id) => discardQueuedSubmission(id), []),
+    resolve: React.useCallback((entry, choice) => resolveQueuedConflict(entry, choice), []),
+  };
+}
+
+export default useOfflineQueue;
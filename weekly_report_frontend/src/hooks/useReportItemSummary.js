@@ -0,0 +1,47 @@
+import React from 'react';
+import { aggregateReportItems, getReportItemsForRange } from '../services/reportItemsService';
+
+// PUBLIC_INTERFACE
+/**
+ * useReportItemSummary - Loads report items for a team and week range and aggregates them.
+ * Reports without structured items are included via their legacy text (see legacyReportItems).
+ *
+ * @param {{ team?: string, from?: string, to?: string }} opts
+ * @returns {{ loading: boolean, error: string|null, summary: ReturnType<typeof aggregateReportItems>|null,
+ *   reportCount: number, legacyCount: number, reload: () => void }}
+ */
+export function useReportItemSummary({ team, from, to } = {}) {
+  const [state, setState] = React.useState({ loading: true, error: null, reports: [] });
+  const [nonce, setNonce] = React.useState(0);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, error: null }));
+    getReportItemsForRange({ team, from, to })
+      .then((reports) => {
+        if (!cancelled) setState({ loading: false, error: null, reports });
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ loading: false, error: e?.message || 'Failed to load report items.', reports: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [team, from, to, nonce]);
+
+  const summary = React.useMemo(
+    () => (state.loading ? null : aggregateReportItems(state.reports.flatMap((r) => r.items))),
+    [state]
+  );
+
+  return {
+    loading: state.loading,
+    error: state.error,
+    summary,
+    reportCount: state.reports.length,
+    legacyCount: state.reports.filter((r) => r.legacy).length,
+    reload: React.useCallback(() => setNonce((n) => n + 1), []),
+  };
+}
+
+export default useReportItemSummary;
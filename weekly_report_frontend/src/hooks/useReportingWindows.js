@@ -0,0 +1,31 @@
+import React from 'react';
+import { getReportingWindows } from '../services/reportingWindowsService';
+
+// PUBLIC_INTERFACE
+/**
+ * useReportingWindows - Loads the open and closed reporting windows once per mount.
+ * While loading, or when loading fails, `windows` is empty and deadlines use the default schedule.
+ *
+ * @returns {{ loading: boolean, error: string|null, windows: Array<Object> }}
+ */
+export function useReportingWindows() {
+  const [state, setState] = React.useState({ loading: true, error: null, windows: [] });
+
+  React.useEffect(() => {
+    let cancelled = false;
+    getReportingWindows()
+      .then((windows) => {
+        if (!cancelled) setState({ loading: false, error: null, windows });
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ loading: false, error: e?.message || 'Failed to load reporting windows.', windows: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
+
+export default useReportingWindows;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { getTeamMetrics } from '../services/teamMetricsService';
+
+// PUBLIC_INTERFACE
+/**
+ * useTeamMetrics - Loads team metrics (see teamMetricsService.getTeamMetrics) for a week range.
+ *
+ * @param {{ team?: string, from: string, to: string }} opts
+ * @returns {{ loading: boolean, error: string|null, metrics: Awaited<ReturnType<typeof getTeamMetrics>>|null,
+ *   reload: () => void }}
+ */
+export function useTeamMetrics({ team, from, to }) {
+  const [state, setState] = React.useState({ loading: true, error: null, metrics: null });
+  const [nonce, setNonce] = React.useState(0);
+
+  React.useEffect(() => {
+    if (!team) return undefined;
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, error: null }));
+    getTeamMetrics({ team, from, to })
+      .then((metrics) => {
+        if (!cancelled) setState({ loading: false, error: null, metrics });
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ loading: false, error: e?.message || 'Failed to load team metrics.', metrics: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [team, from, to, nonce]);
+
+  return {
+    ...state,
+    reload: React.useCallback(() => setNonce((n) => n + 1), []),
+  };
+}
+
+export default useTeamMetrics;
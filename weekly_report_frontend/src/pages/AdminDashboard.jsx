@@ -1,15 +1,24 @@
 import React from 'react';
-import { getApiBase, apiGet, apiPost } from '../services/apiClient';
+import { getApiBase, apiGet, apiPost, apiPatch, apiDelete } from '../services/apiClient';
 import ConfigWarning from '../components/ConfigWarning';
+import ReportingWindowModal from '../components/ReportingWindowModal';
 import { useToast } from '../components/ToastProvider';
 import { Link } from 'react-router-dom';
 import { showApiError, showApiInfo, showApiSuccess } from '../utils/toast';
+import { describeSchedule } from '../utils/reportingSchedule';
+import { windowFormValues } from '../utils/reportingWindows';
+
+// Row buttons for the usual status changes; other allowed changes are made in the editor
+const STATUS_ACTIONS = { planned: [['open', 'Open']], open: [['closed', 'Close']], closed: [['open', 'Reopen']] };
 
 /**
  * PUBLIC_INTERFACE
  * AdminDashboard
  * - Users: list users via backend endpoint if available, else show guidance.
- * - Reporting Windows: CRUD UI with local state; calls backend if available, else TODO markers.
+ * - Reporting Windows: create, edit and duplicate in a validated modal (ReportingWindowModal), open/close/reopen from
+ *   the table, delete. Changes show immediately; rows saved to the backend are then replaced by the server's version
+ *   (persisted id and normalized fields), or rolled back with the editor reopened if the save fails. Without a
+ *   backend, changes stay in local state.
  * - Analytics: basic overview scaffolding with placeholder charts and KPIs.
  */
 const AdminDashboard = () => {
@@ -27,6 +36,8 @@ const AdminDashboard = () => {
   const [windows, setWindows] = React.useState([]);
   const [loadingWindows, setLoadingWindows] = React.useState(false);
   const [windowsError, setWindowsError] = React.useState(null);
+  const [editor, setEditor] = React.useState(null); // { mode, window, initialValues?, error? }
+  const localSeqRef = React.useRef(0);
 
   const fetchUsers = React.useCallback(async () => {
     setLoadingUsers(true);
@@ -56,8 +67,11 @@ const AdminDashboard = () => {
       if (!apiBase) {
         // Fallback sample data for local-only mode
         const sample = [
-          { id: 'sample-1', name: 'Q1 2025', start: '2025-01-01', end: '2025-03-31', status: 'open' },
-          { id: 'sample-2', name: 'Q2 2025', start: '2025-04-01', end: '2025-06-30', status: 'planned' },
+          {
+            id: 'sample-1', name: 'Q1 2025', start: '2025-01-01', end: '2025-03-31', status: 'open',
+            due_weekday: 5, due_time: '17:00', timezone: 'Europe/Berlin', grace_hours: 2, team_ids: [],
+          },
+          { id: 'sample-2', name: 'Q2 2025', start: '2025-04-01', end: '2025-06-30', status: 'planned', team_ids: [] },
         ];
         setWindows(sample);
         showApiInfo(addToast, `Loaded ${sample.length} sample window(s).`, { dedupeKey: 'admin-windows-load' });
@@ -82,32 +96,49 @@ const AdminDashboard = () => {
     if (tab === 'windows') fetchWindows();
   }, [tab, fetchUsers, fetchWindows]);
 
-  // Reporting windows CRUD handlers (placeholders)
-  const addWindow = async () => {
-    const name = prompt('Window name:');
-    const start = prompt('Start date (YYYY-MM-DD):');
-    const end = prompt('End date (YYYY-MM-DD):');
-    if (!name || !start || !end) return;
-    const newItem = { id: `local-${Date.now()}`, name, start, end, status: 'planned' };
-    setWindows((prev) => [newItem, ...prev]);
+  // Shows a window change at once, then swaps in the server's row or rolls back
+  const persistWindow = async ({ original, payload, fromEditor = null }) => {
+    const editing = Boolean(original);
+    localSeqRef.current += 1;
+    const rowId = editing ? original.id : `local-${Date.now()}-${localSeqRef.current}`;
+    const optimistic = { ...original, ...payload, id: rowId, pending: Boolean(apiBase) };
+    setWindows((prev) => (editing ? prev.map((w) => (w.id === rowId ? optimistic : w)) : [optimistic, ...prev]));
+
+    const dedupeKey = editing ? 'admin-window-update' : 'admin-window-create';
+    if (!apiBase) {
+      showApiInfo(addToast, 'Saved in local state only.', { details: 'Configure backend to persist', dedupeKey });
+      return;
+    }
     try {
-      if (apiBase) {
-        await apiPost('/admin/reporting-windows', newItem);
-        showApiSuccess(addToast, 'Reporting window created.', { dedupeKey: 'admin-window-create' });
-        fetchWindows();
-      } else {
-        showApiInfo(addToast, 'Created in local state only.', { details: 'Configure backend to persist', dedupeKey: 'admin-window-create' });
-      }
+      const saved = editing
+        ? await apiPatch(`/admin/reporting-windows/${encodeURIComponent(rowId)}`, payload)
+        : await apiPost('/admin/reporting-windows', payload);
+      setWindows((prev) => prev.map((w) => (w.id === rowId ? saved : w)));
+      showApiSuccess(addToast, editing ? 'Reporting window updated.' : 'Reporting window created.', { dedupeKey });
     } catch (e) {
-      showApiError(addToast, e, 'Failed to create reporting window', { dedupeKey: 'admin-window-create' });
+      setWindows((prev) => (editing ? prev.map((w) => (w.id === rowId ? original : w)) : prev.filter((w) => w.id !== rowId)));
+      showApiError(addToast, e, editing ? 'Failed to update reporting window' : 'Failed to create reporting window', { dedupeKey });
+      if (fromEditor) {
+        setEditor({ ...fromEditor, initialValues: windowFormValues(payload), error: e?.message || 'Save failed.' });
+      }
     }
   };
 
+  const saveFromEditor = (payload) => {
+    const current = editor;
+    setEditor(null);
+    persistWindow({ original: current.mode === 'edit' ? current.window : null, payload, fromEditor: current });
+  };
+
+  const closeEditor = React.useCallback(() => setEditor(null), []);
+
+  const changeStatus = (w, status) => persistWindow({ original: w, payload: { status } });
+
   const deleteWindow = async (id) => {
     setWindows((prev) => prev.filter((w) => w.id !== id));
     try {
-      if (apiBase) {
-        await apiPost(`/admin/reporting-windows/${encodeURIComponent(id)}/delete`);
+      if (apiBase && !id.startsWith('local-')) {
+        await apiDelete(`/admin/reporting-windows/${encodeURIComponent(id)}`);
         showApiSuccess(addToast, 'Reporting window deleted.', { dedupeKey: 'admin-window-delete' });
         fetchWindows();
       } else {
@@ -191,7 +222,7 @@ const AdminDashboard = () => {
         <div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
             <div className="helper">Define when employees should submit reports.</div>
-            <button type="button" className="btn" onClick={addWindow}>New Window</button>
+            <button type="button" className="btn" onClick={() => setEditor({ mode: 'create', window: null })}>New Window</button>
           </div>
           {loadingWindows ? (
             <div className="helper" aria-busy="true">Loading reporting windows…</div>
@@ -208,18 +239,33 @@ const AdminDashboard = () => {
                     <th>Start</th>
                     <th>End</th>
                     <th>Status</th>
+                    <th>Deadline</th>
+                    <th>Teams</th>
                     <th />
                   </tr>
                 </thead>
                 <tbody>
                   {windows.map((w) => (
-                    <tr key={w.id}>
+                    <tr key={w.id} aria-busy={w.pending ? 'true' : undefined}>
                       <td>{w.name}</td>
                       <td>{w.start}</td>
                       <td>{w.end}</td>
-                      <td>{w.status || '—'}</td>
-                      <td style={{ textAlign: 'right' }}>
-                        <button type="button" className="btn secondary" onClick={() => deleteWindow(w.id)}>Delete</button>
+                      <td>{w.pending ? 'Saving…' : w.status || '—'}</td>
+                      <td>{describeSchedule(w)}</td>
+                      <td>{w.team_ids?.length ? w.team_ids.join(', ') : 'All teams'}</td>
+                      <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        {(STATUS_ACTIONS[w.status] || []).map(([status, label]) => (
+                          <button key={status} type="button" className="btn secondary" disabled={w.pending} onClick={() => changeStatus(w, status)}>
+                            {label}
+                          </button>
+                        ))}{' '}
+                        <button type="button" className="btn secondary" disabled={w.pending} onClick={() => setEditor({ mode: 'edit', window: w })}>
+                          Edit
+                        </button>{' '}
+                        <button type="button" className="btn secondary" disabled={w.pending} onClick={() => setEditor({ mode: 'duplicate', window: w })}>
+                          Duplicate
+                        </button>{' '}
+                        <button type="button" className="btn secondary" disabled={w.pending} onClick={() => deleteWindow(w.id)}>Delete</button>
                       </td>
                     </tr>
                   ))}
@@ -229,9 +275,20 @@ const AdminDashboard = () => {
           )}
           {!apiBase && (
             <div className="helper" style={{ marginTop: 8 }}>
-              Persistence TODO: Hook endpoints like GET/POST /admin/reporting-windows when backend is available.
+              Changes are kept on this page only until a backend is configured (REACT_APP_API_BASE).
             </div>
           )}
+          {editor && (
+            <ReportingWindowModal
+              mode={editor.mode}
+              window={editor.window}
+              initialValues={editor.initialValues}
+              error={editor.error}
+              windows={windows}
+              onSave={saveFromEditor}
+              onCancel={closeEditor}
+            />
+          )}
         </div>
       )}
 
@@ -30,13 +30,13 @@ const AdminUsers = () => {
   // Optional local info when backend is not configured
   const [ownProfileRole, setOwnProfileRole] = React.useState(null);
 
-  const loadUsers = React.useCallback(async () => {
+  const loadUsers = React.useCallback(async ({ fresh = false } = {}) => {
     setLoading(true);
     setError(null);
     try {
       const status = getAdminApiStatus();
       setApiAvailable(status.available);
-      const res = await fetchUsers();
+      const res = await fetchUsers({ fresh });
       if (!res.available) {
         setUsers([]);
         if (res.message) {
@@ -199,7 +199,7 @@ const AdminUsers = () => {
           <button
             type="button"
             className="btn secondary"
-            onClick={loadUsers}
+            onClick={() => loadUsers({ fresh: true })}
             disabled={loading}
             aria-busy={loading ? 'true' : 'false'}
           >
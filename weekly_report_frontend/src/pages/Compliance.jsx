@@ -0,0 +1,247 @@
+import React from 'react';
+import { Link, Navigate, useLocation, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../components/ToastProvider';
+import { COMPLIANCE_STATUSES, getCompliance } from '../services/complianceService';
+import { showApiError } from '../utils/toast';
+import { weekStartOf } from '../utils/weeks';
+import { describeSchedule, formatDueAt, formatDuration, scheduleDeadline } from '../utils/reportingSchedule';
+
+const STATUS_LABELS = { on_time: 'On time', late: 'Late', missing: 'Missing', pending: 'Not yet due' };
+const HISTORY_OPTIONS = [4, 8, 12, 26];
+const DEFAULT_HISTORY = 8;
+
+// "late by 2h" / "due in 1d 4h" / "overdue by 3d", or '' when on time or the amount is unknown
+const deadlineNote = (cell) => {
+  if (cell.due_in_ms != null) return `due in ${formatDuration(cell.due_in_ms)}`;
+  if (cell.late_by_ms == null) return '';
+  return `${cell.status === 'missing' ? 'overdue' : 'late'} by ${formatDuration(cell.late_by_ms)}`;
+};
+
+const formatDate = (d) => {
+  if (!d) return '—';
+  try {
+    return new Date(d).toLocaleString();
+  } catch {
+    return String(d);
+  }
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Compliance shows who on the selected team has (not) reported: for the chosen week each member is on time, late,
+ * missing or not yet due, with their submission streak, plus a members × weeks history grid color-coded by status.
+ * Deadlines come from the reporting window covering each week; the selected week's schedule is shown above the table
+ * and each status notes how late (or how long until due) it is.
+ * Week and history length live in the URL (?week, weeks). Intended for Manager/Admin roles.
+ * Redirects to TeamSelector if no team is selected.
+ */
+const Compliance = () => {
+  const { team, teamLoading } = useAuth();
+  const { addToast } = useToast();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const week = weekStartOf(searchParams.get('week') || new Date());
+  const historyParam = Number(searchParams.get('weeks'));
+  const history = HISTORY_OPTIONS.includes(historyParam) ? historyParam : DEFAULT_HISTORY;
+
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const [data, setData] = React.useState(null);
+
+  const updateParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    next.set(key, value);
+    setSearchParams(next, { replace: true });
+  };
+
+  React.useEffect(() => {
+    if (!team?.id) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getCompliance({ team: team.id, week, history })
+      .then((res) => {
+        if (!cancelled) setData(res);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setData(null);
+        setError(e?.message || 'Failed to load compliance.');
+        showApiError(addToast, e, 'Failed to load compliance', { dedupeKey: 'compliance-load' });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [team?.id, week, history, addToast]);
+
+  if (teamLoading) {
+    return (
+      <div className="card">
+        <div className="helper" aria-busy="true">Loading…</div>
+      </div>
+    );
+  }
+
+  if (!team) {
+    return <Navigate to="/select-team" replace state={{ from: location }} />;
+  }
+
+  const members = data?.members || [];
+  const weeks = data?.weeks || [];
+  const schedule = data?.schedules?.[week];
+
+  return (
+    <div className="card" aria-live="polite">
+      <div className="page-title" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10, flexWrap: 'wrap' }}>
+        <h1>Compliance · {team?.name || team?.id}</h1>
+        <div className="range-selector">
+          <label className="helper" htmlFor="compliance-week">Week of</label>
+          <input
+            id="compliance-week"
+            type="date"
+            className="textarea"
+            value={week}
+            onChange={(e) => e.target.value && updateParam('week', weekStartOf(e.target.value))}
+          />
+          <label className="helper" htmlFor="compliance-history">History</label>
+          <select
+            id="compliance-history"
+            className="textarea"
+            value={history}
+            onChange={(e) => updateParam('weeks', e.target.value)}
+          >
+            {HISTORY_OPTIONS.map((n) => (
+              <option key={n} value={n}>{n} weeks</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {data?.windowsError && (
+        <div className="helper" role="alert" style={{ marginBottom: 8 }}>
+          Could not load reporting windows ({data.windowsError}); deadlines below use the default schedule.
+        </div>
+      )}
+
+      {schedule && (
+        <div className="helper" style={{ marginBottom: 8 }}>
+          Due {formatDueAt(scheduleDeadline(week, schedule).dueAt, schedule.timezone)} ·{' '}
+          {schedule.window ? `${schedule.window.name}: ` : 'Default deadline: '}
+          {describeSchedule(schedule)}
+        </div>
+      )}
+
+      {loading && !data ? (
+        <div className="helper" aria-busy="true">Loading compliance…</div>
+      ) : members.length === 0 ? (
+        <div className="helper">
+          No team members found. Membership is read from public.profiles (team_id); managers need the backend or the
+          team_compliance function from supabase_schema.sql to see the whole team.
+        </div>
+      ) : (
+        <>
+          <div className="compliance-summary" aria-label={`Week of ${week}`}>
+            {COMPLIANCE_STATUSES.map((s) => (
+              <span key={s} className={`compliance-chip status-${s}`}>
+                {STATUS_LABELS[s]}: <strong>{data.summary[s]}</strong>
+              </span>
+            ))}
+          </div>
+
+          <div style={{ overflowX: 'auto', marginBottom: 16 }}>
+            <table className="table" role="table">
+              <thead>
+                <tr>
+                  <th scope="col">Member</th>
+                  <th scope="col">Week of {week}</th>
+                  <th scope="col">Submitted</th>
+                  <th scope="col">Streak</th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map((m) => {
+                  const cell = m.cells[week];
+                  const note = deadlineNote(cell);
+                  return (
+                    <tr key={m.user_id}>
+                      <td title={m.user_id}>{m.email || m.user_id}</td>
+                      <td>
+                        <span className={`compliance-chip status-${cell.status}`}>{STATUS_LABELS[cell.status]}</span>
+                        {note && <span className="helper"> {note}</span>}
+                      </td>
+                      <td>
+                        {cell.report_id ? (
+                          <Link to={`/reports/${encodeURIComponent(cell.report_id)}`}>{formatDate(cell.submitted_at)}</Link>
+                        ) : (
+                          '—'
+                        )}
+                      </td>
+                      <td>{m.streak ? `${m.streak} week${m.streak === 1 ? '' : 's'}` : '—'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <h2 style={{ fontSize: 15, margin: '0 0 8px' }}>History</h2>
+          <div style={{ overflowX: 'auto' }}>
+            <table className="compliance-grid" role="table">
+              <thead>
+                <tr>
+                  <th scope="col">Member</th>
+                  {weeks.map((w) => (
+                    <th key={w} scope="col" title={`Week of ${w}`}>{w.slice(5)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {members.map((m) => (
+                  <tr key={m.user_id}>
+                    <th scope="row">{m.email || m.user_id}</th>
+                    {weeks.map((w) => {
+                      const c = m.cells[w];
+                      const note = deadlineNote(c);
+                      const label = `${m.email || m.user_id}, week of ${w}: ${STATUS_LABELS[c.status]}${note ? ` (${note})` : ''}`;
+                      return (
+                        <td key={w} className={`status-${c.status}`} title={label}>
+                          {c.report_id ? (
+                            <Link to={`/reports/${encodeURIComponent(c.report_id)}`} aria-label={label}>
+                              {c.status === 'late' ? 'L' : '✓'}
+                            </Link>
+                          ) : (
+                            <span aria-label={label}>{c.status === 'missing' ? '✕' : '·'}</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="chart-legend" style={{ marginTop: 8 }}>
+            {COMPLIANCE_STATUSES.map((s) => (
+              <span key={s}>
+                <span className={`chart-swatch status-${s}`} aria-hidden="true" /> {STATUS_LABELS[s]}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Compliance;
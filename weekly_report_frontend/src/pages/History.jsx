@@ -1,29 +1,94 @@
 import React from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { getSupabaseConfigStatus } from '../lib/supabaseClient';
 import { isAuthDisabled } from '../lib/featureFlags';
 import { useToast } from '../components/ToastProvider';
 import ConfigWarning from '../components/ConfigWarning';
-import { getWeeklyReports } from '../services/reportsService';
+import QueuedSubmissions from '../components/QueuedSubmissions';
+import { getWeeklyReportsPage, REPORT_SORT_COLUMNS } from '../services/reportsService';
+import { useAuth } from '../context/AuthContext';
+import { markdownToPlainText } from '../utils/markdown';
+
+const PAGE_SIZES = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
+
+// Column header that toggles server-side sorting
+const SortHeader = ({ column, label, sort, dir, onSort }) => {
+  const active = sort === column;
+  return (
+    <th aria-sort={active ? (dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+      <button type="button" className="sort-header" onClick={() => onSort(column)} title={`Sort by ${label}`}>
+        {label} {active ? (dir === 'asc' ? '▲' : '▼') : ''}
+      </button>
+    </th>
+  );
+};
 
 /**
  * PUBLIC_INTERFACE
- * History fetches and lists weekly reports from Supabase.
+ * History fetches and lists the signed-in user's weekly reports from Supabase.
+ * Rows are filtered by user_id: team-scoped RLS also lets leads and admins read other people's reports,
+ * which belong in the manager views, not here.
  * Renders loading, empty, and error states. In Test Mode, if RLS blocks anon SELECT,
  * surfaces an inline hint to create a dev SELECT policy for anon.
+ *
+ * Paging, sorting and filters run server-side and are mirrored in the URL query string
+ * (?page, size, sort, dir, from, to, tags, q) so a filtered view can be bookmarked or shared.
+ *
+ * Reports saved on this device while offline are listed above the table until they sync (QueuedSubmissions).
  */
 const History = () => {
   const { isConfigured } = getSupabaseConfigStatus();
   const authDisabled = isAuthDisabled();
   const { addToast } = useToast();
+  const { user, loading: authLoading } = useAuth();
+  const userId = user?.id || null;
 
   const [loading, setLoading] = React.useState(false);
   const [error, setError] = React.useState(null);
   const [rows, setRows] = React.useState([]);
   const [rlsHint, setRlsHint] = React.useState(null);
+  const [total, setTotal] = React.useState(0);
+  const [pageCount, setPageCount] = React.useState(1);
 
+  // URL-backed view state
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+  const pageSizeParam = parseInt(searchParams.get('size') || '', 10);
+  const pageSize = PAGE_SIZES.includes(pageSizeParam) ? pageSizeParam : DEFAULT_PAGE_SIZE;
+  const sortParam = searchParams.get('sort') || '';
+  const sort = REPORT_SORT_COLUMNS.includes(sortParam) ? sortParam : 'created_at';
+  const dir = searchParams.get('dir') === 'asc' ? 'asc' : 'desc';
+  const weekFrom = searchParams.get('from') || '';
+  const weekTo = searchParams.get('to') || '';
+  const tagsParam = searchParams.get('tags') || '';
+  const q = searchParams.get('q') || '';
+
+  // Filter form inputs; applied to the URL on submit
+  const [filters, setFilters] = React.useState({ from: weekFrom, to: weekTo, tags: tagsParam, q });
+  React.useEffect(() => {
+    setFilters({ from: weekFrom, to: weekTo, tags: tagsParam, q });
+  }, [weekFrom, weekTo, tagsParam, q]);
+
+  // Merges a patch into the query string, dropping empty values and defaults
+  const updateQuery = React.useCallback(
+    (patch) => {
+      const next = new URLSearchParams(searchParams);
+      for (const [k, v] of Object.entries(patch)) {
+        if (v === undefined || v === null || v === '') next.delete(k);
+        else next.set(k, String(v));
+      }
+      if (next.get('page') === '1') next.delete('page');
+      if (next.get('size') === String(DEFAULT_PAGE_SIZE)) next.delete('size');
+      setSearchParams(next);
+    },
+    [searchParams, setSearchParams]
+  );
+
+  // Cells show Markdown as plain text; the full rendering lives on the report page
   const truncate = (text, n = 120) => {
     if (!text) return '';
-    const t = String(text).trim();
+    const t = markdownToPlainText(text);
     return t.length > n ? `${t.slice(0, n)}…` : t;
   };
 
@@ -61,9 +126,21 @@ const History = () => {
     }
 
     try {
-      const data = await getWeeklyReports({ limit: 50, orderBy: 'created_at' });
-      setRows(Array.isArray(data) ? data : []);
-      addToast('success', `Loaded ${Array.isArray(data) ? data.length : 0} report(s).`);
+      const res = await getWeeklyReportsPage({
+        page,
+        pageSize,
+        orderBy: sort,
+        ascending: dir === 'asc',
+        weekFrom: weekFrom || undefined,
+        weekTo: weekTo || undefined,
+        tags: tagsParam || undefined,
+        q: q || undefined,
+        userId: userId || undefined,
+      });
+      setRows(res.rows);
+      setTotal(res.total);
+      setPageCount(res.pageCount);
+      addToast('success', `Loaded ${res.rows.length} of ${res.total} report(s).`, { id: 'history-load' });
     } catch (e) {
       const msg = e?.message || 'Failed to load reports.';
       setError(msg);
@@ -77,11 +154,27 @@ const History = () => {
     } finally {
       setLoading(false);
     }
-  }, [isConfigured, authDisabled, addToast]);
+  }, [isConfigured, authDisabled, addToast, userId, page, pageSize, sort, dir, weekFrom, weekTo, tagsParam, q]);
+
+  const onApplyFilters = (e) => {
+    e.preventDefault();
+    updateQuery({ from: filters.from, to: filters.to, tags: filters.tags.trim(), q: filters.q.trim(), page: 1 });
+  };
+
+  const onResetFilters = () => {
+    setSearchParams(new URLSearchParams());
+  };
+
+  const onSort = (column) => {
+    const nextDir = sort === column && dir === 'desc' ? 'asc' : 'desc';
+    updateQuery({ sort: column === 'created_at' ? '' : column, dir: nextDir === 'desc' ? '' : nextDir, page: 1 });
+  };
 
+  // Wait for the session so the first request is already scoped to the user
   React.useEffect(() => {
+    if (authLoading) return;
     fetchReports();
-  }, [fetchReports]);
+  }, [authLoading, fetchReports]);
 
   return (
     <div className="card" aria-live="polite">
@@ -116,42 +209,151 @@ const History = () => {
         </div>
       )}
 
+      <QueuedSubmissions onSynced={fetchReports} />
+
+      <form className="history-filters" onSubmit={onApplyFilters} aria-label="Filter reports">
+        <div>
+          <label className="helper" htmlFor="history-from">Week from</label>
+          <input
+            id="history-from"
+            type="date"
+            className="textarea"
+            value={filters.from}
+            onChange={(e) => setFilters((f) => ({ ...f, from: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="helper" htmlFor="history-to">Week to</label>
+          <input
+            id="history-to"
+            type="date"
+            className="textarea"
+            value={filters.to}
+            onChange={(e) => setFilters((f) => ({ ...f, to: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="helper" htmlFor="history-tags">Tags</label>
+          <input
+            id="history-tags"
+            type="text"
+            className="textarea"
+            placeholder="e.g., release, infra"
+            value={filters.tags}
+            onChange={(e) => setFilters((f) => ({ ...f, tags: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="helper" htmlFor="history-q">Search text</label>
+          <input
+            id="history-q"
+            type="search"
+            className="textarea"
+            placeholder="Words in progress, blockers or plans"
+            value={filters.q}
+            onChange={(e) => setFilters((f) => ({ ...f, q: e.target.value }))}
+          />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: 8 }}>
+          <button type="submit" className="btn secondary" disabled={loading}>Apply</button>
+          <button type="button" className="btn secondary" onClick={onResetFilters} disabled={loading}>Reset</button>
+        </div>
+      </form>
+
       {error && isConfigured && !loading && (
         <div className="helper" style={{ color: 'var(--error)', marginBottom: 8 }} role="alert">
           {error}
         </div>
       )}
 
-      {loading ? (
+      {/* While a re-sort or page change loads, the table stays mounted so the clicked header keeps focus */}
+      {loading && rows.length === 0 ? (
         <div className="helper">Loading...</div>
       ) : rows.length === 0 ? (
         <div className="helper">No weekly reports found.</div>
       ) : (
         <div style={{ overflowX: 'auto' }}>
-          <table className="table" role="table">
+          {loading && <div className="helper">Loading...</div>}
+          <table className="table" role="table" aria-busy={loading}>
             <thead>
               <tr>
-                <th>Week</th>
+                <SortHeader column="week_start" label="Week" sort={sort} dir={dir} onSort={onSort} />
                 <th>Progress</th>
                 <th>Blockers</th>
                 <th>Plans</th>
-                <th>Created</th>
+                <SortHeader column="created_at" label="Created" sort={sort} dir={dir} onSort={onSort} />
+                <SortHeader column="updated_at" label="Updated" sort={sort} dir={dir} onSort={onSort} />
+                <th />
               </tr>
             </thead>
             <tbody>
               {rows.map((r) => (
                 <tr key={r.id}>
-                  <td>{formatWeek(r.week_start)}</td>
-                  <td title={r.progress}>{truncate(r.progress)}</td>
-                  <td title={r.blockers}>{truncate(r.blockers)}</td>
-                  <td title={r.plans}>{truncate(r.plans)}</td>
+                  <td>
+                    <Link to={`/reports/${encodeURIComponent(r.id)}`} title="Open full report">
+                      {formatWeek(r.week_start)}
+                    </Link>
+                  </td>
+                  <td title={markdownToPlainText(r.progress)}>{truncate(r.progress)}</td>
+                  <td title={markdownToPlainText(r.blockers)}>{truncate(r.blockers)}</td>
+                  <td title={markdownToPlainText(r.plans)}>{truncate(r.plans)}</td>
                   <td>{formatDate(r.created_at)}</td>
+                  <td>
+                    {r.updated_at ? (
+                      <span title={`Revision ${r.revision || 1}`}>{formatDate(r.updated_at)}</span>
+                    ) : (
+                      '—'
+                    )}
+                  </td>
+                  <td style={{ textAlign: 'right' }}>
+                    <Link to={`/reports/${encodeURIComponent(r.id)}/edit`} className="btn secondary">
+                      Edit
+                    </Link>
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
       )}
+
+      <div className="pagination" aria-label="Pagination">
+        <span className="helper">
+          {total > 0
+            ? `Showing ${(page - 1) * pageSize + 1}–${Math.min(page * pageSize, total)} of ${total}`
+            : 'No results'}
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <label className="helper" htmlFor="history-size">Per page</label>
+          <select
+            id="history-size"
+            className="textarea"
+            value={pageSize}
+            onChange={(e) => updateQuery({ size: e.target.value, page: 1 })}
+          >
+            {PAGE_SIZES.map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => updateQuery({ page: page - 1 })}
+            disabled={loading || page <= 1}
+          >
+            Previous
+          </button>
+          <span className="helper">Page {page} of {pageCount}</span>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => updateQuery({ page: page + 1 })}
+            disabled={loading || page >= pageCount}
+          >
+            Next
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,96 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import History from './History';
+import { AuthProvider } from '../context/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createFakeSupabase, fakeSession } from '../testUtils/fakeSupabase';
+
+let mockSupabase = null;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+jest.mock('../lib/featureFlags', () => ({
+  isAuthDisabled: () => false,
+}));
+
+const MAX = { id: '33333333-3333-4333-8333-333333333333', email: 'max@example.com', role: 'manager' };
+
+const report = (id, over) => ({
+  id,
+  user_id: MAX.id,
+  team_id: 'platform',
+  week_start: '2025-03-03',
+  created_at: '2025-03-05T10:00:00Z',
+  updated_at: null,
+  progress: `${id} progress`,
+  blockers: null,
+  plans: 'Next',
+  tags: [],
+  status: 'submitted',
+  revision: 1,
+  ...over,
+});
+
+const renderPage = () =>
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <ToastProvider>
+          <History />
+        </ToastProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+
+test("a lead's History lists only their own reports, not the team's", async () => {
+  mockSupabase = createFakeSupabase({
+    tables: {
+      profiles: [],
+      teams: [{ id: 'platform', name: 'Platform' }],
+      team_members: [
+        { team_id: 'platform', user_id: MAX.id, role: 'lead' },
+        { team_id: 'platform', user_id: 'e1', role: 'member' },
+      ],
+      weekly_reports: [
+        report('mine'),
+        report('teammate', { user_id: 'e1', week_start: '2025-03-10', created_at: '2025-03-12T10:00:00Z' }),
+      ],
+    },
+    // Like select_own_reports + select_team_reports: a lead reads their team's submitted reports
+    rls: {
+      weekly_reports: {
+        select: (row, { user }) => row.user_id === user?.id || row.team_id === 'platform',
+      },
+    },
+    session: fakeSession(MAX),
+  });
+
+  renderPage();
+  await waitFor(() => expect(screen.getByText('mine progress')).toBeInTheDocument());
+  expect(screen.queryByText('teammate progress')).toBeNull();
+  expect(screen.getByText('Showing 1–1 of 1')).toBeInTheDocument();
+});
+
+test('sorting keeps the clicked column header mounted and focused', async () => {
+  mockSupabase = createFakeSupabase({
+    tables: {
+      profiles: [],
+      teams: [],
+      team_members: [],
+      weekly_reports: [report('older'), report('newer', { week_start: '2025-03-10', created_at: '2025-03-12T10:00:00Z' })],
+    },
+    session: fakeSession(MAX),
+  });
+
+  renderPage();
+  await waitFor(() => expect(screen.getByText('older progress')).toBeInTheDocument());
+  const header = screen.getByRole('button', { name: /Week/ });
+  header.focus();
+  fireEvent.click(header);
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Week ▼' })).toBeInTheDocument());
+  await waitFor(() => expect(screen.getByRole('table')).toHaveAttribute('aria-busy', 'false'));
+  expect(screen.getByRole('button', { name: 'Week ▼' })).toBe(header);
+  expect(document.activeElement).toBe(header);
+});
@@ -123,6 +123,12 @@ const Login = () => {
         </span>
       </div>
 
+      {location.state?.reason === 'session_expired' && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          Your session has expired. Sign in again to continue.
+        </div>
+      )}
+
       {!isConfigured && (
         <ConfigWarning message="Supabase configuration missing. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY to enable authentication." />
       )}
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Navigate, useLocation } from 'react-router-dom';
+import { Link, Navigate, useLocation } from 'react-router-dom';
 import { getSupabase } from '../lib/supabaseClient';
 import { isAuthDisabled } from '../lib/featureFlags';
 import { useToast } from '../components/ToastProvider';
@@ -7,11 +7,23 @@ import ConfigWarning from '../components/ConfigWarning';
 import { apiGet, apiPost, getApiBase } from '../services/apiClient';
 import { useAuth } from '../context/AuthContext';
 import { showApiError, showApiSuccess } from '../utils/toast';
+import ReportRevisions from '../components/ReportRevisions';
+import { markdownToPlainText } from '../utils/markdown';
+
+const currentMonthRange = () => {
+  const now = new Date();
+  const iso = (d) => d.toISOString().slice(0, 10);
+  return {
+    from: iso(new Date(now.getFullYear(), now.getMonth(), 1)),
+    to: iso(new Date(now.getFullYear(), now.getMonth() + 1, 0)),
+  };
+};
 
 /**
  * PUBLIC_INTERFACE
  * ManagerReports
  * Lists team reports with simple filters and provides an "AI Summary" action.
+ * Edited reports can be expanded to show their revision history (what changed and when).
  * - If REACT_APP_API_BASE/REACT_APP_BACKEND_URL is present, uses backend endpoints:
  *   - GET /manager/reports?team&from&to&limit
  *   - POST /manager/ai/summary with { team, from, to }
@@ -30,26 +42,17 @@ const ManagerReports = () => {
   const [error, setError] = React.useState(null);
   const [rows, setRows] = React.useState([]);
   const [summary, setSummary] = React.useState(null);
+  const [expandedId, setExpandedId] = React.useState(null); // report whose revisions are shown
 
-  // Filters (teamFilter defaults to selected team once loaded)
-  const [teamFilter, setTeamFilter] = React.useState('');
-  const [from, setFrom] = React.useState('');
-  const [to, setTo] = React.useState('');
+  // Filters (teamFilter defaults to selected team once loaded, the date range to the current month)
+  const [teamFilter, setTeamFilter] = React.useState(team?.id || '');
+  const [from, setFrom] = React.useState(() => currentMonthRange().from);
+  const [to, setTo] = React.useState(() => currentMonthRange().to);
   const [limit, setLimit] = React.useState(50);
 
   const hasApi = Boolean(getApiBase());
   const authDisabled = isAuthDisabled();
 
-  // Initialize default date range to current month
-  React.useEffect(() => {
-    const now = new Date();
-    const start = new Date(now.getFullYear(), now.getMonth(), 1);
-    const end = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    const iso = (d) => d.toISOString().slice(0, 10);
-    setFrom(iso(start));
-    setTo(iso(end));
-  }, []);
-
   // When team selection becomes available, set as default filter
   React.useEffect(() => {
     if (team?.id) {
@@ -75,8 +78,15 @@ const ManagerReports = () => {
     }
     let q = supabase
       .from('weekly_reports')
-      .select('id, created_at, week_start, progress, blockers, plans, user_id, tags')
+      .select('id, created_at, updated_at, week_start, progress, blockers, plans, user_id, tags, revision')
+      .neq('status', 'draft')
       .order('created_at', { ascending: false });
+    // Team-scoped RLS (supabase_schema.sql, "Team-scoped access") limits rows to teams the caller leads;
+    // reports filed without a team are kept so members' older reports still show. Team ids are free text, so the id
+    // is double-quoted (with " and \ escaped) to keep commas, dots and parentheses from breaking the or() filter
+    if (teamFilter) q = q.or(`team_id.eq."${String(teamFilter).replace(/["\\]/g, '\\$&')}",team_id.is.null`);
+    if (from) q = q.gte('week_start', from);
+    if (to) q = q.lte('week_start', to);
     if (Number.isFinite(limit) && limit > 0) {
       q = q.limit(limit);
     }
@@ -90,36 +100,44 @@ const ManagerReports = () => {
         msg.includes('rls');
       if (looksLikeRls) {
         throw new Error(
-          'RLS blocked the request. For Manager views you need a backend (set REACT_APP_API_BASE) or design RLS/policies for team-wide access.'
+          'RLS blocked the request. For Manager views set REACT_APP_API_BASE to use the backend, or install the team-scoped policies from supabase_schema.sql ("Team-scoped access").'
         );
       }
       throw new Error(err.message || 'Failed to load reports.');
     }
     return Array.isArray(data) ? data : [];
-  }, [supabase, limit]);
+  }, [supabase, teamFilter, from, to, limit]);
 
-  const fetchReports = React.useCallback(async () => {
+  // isCancelled lets the auto-fetch below drop a response that a newer filter change has superseded
+  const fetchReports = React.useCallback(async (isCancelled = () => false) => {
     setLoading(true);
     setError(null);
     setSummary(null);
     try {
       const data = hasApi ? await fetchViaBackend() : await fetchViaSupabase();
+      if (isCancelled()) return;
       setRows(data);
       addToast('success', `Loaded ${data.length} report(s).`);
     } catch (e) {
+      if (isCancelled()) return;
       setRows([]);
       const msg = e?.message || 'Failed to load reports.';
       setError(msg);
       showApiError(addToast, e, 'Failed to load reports', { dedupeKey: 'mgr-reports-load' });
     } finally {
-      setLoading(false);
+      if (!isCancelled()) setLoading(false);
     }
   }, [hasApi, fetchViaBackend, fetchViaSupabase, addToast]);
 
-  // Fetch reports when component mounts and whenever dependencies change
+  // Fetch reports once a team filter is set and whenever the filters change; Apply refetches explicitly
   React.useEffect(() => {
-    fetchReports();
-  }, [fetchReports]);
+    if (!teamFilter) return undefined;
+    let cancelled = false;
+    fetchReports(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [teamFilter, fetchReports]);
 
   const formatDate = (d) => {
     try {
@@ -129,7 +147,7 @@ const ManagerReports = () => {
     }
   };
   const truncate = (t, n = 140) => {
-    const s = String(t || '').trim();
+    const s = markdownToPlainText(t);
     return s.length > n ? `${s.slice(0, n)}…` : s;
   };
 
@@ -233,7 +251,7 @@ const ManagerReports = () => {
             />
           </div>
           <div style={{ display: 'flex', alignItems: 'flex-end', gap: 8 }}>
-            <button type="button" className="btn secondary" onClick={fetchReports} disabled={loading}>
+            <button type="button" className="btn secondary" onClick={() => fetchReports()} disabled={loading}>
               {loading ? 'Loading…' : 'Apply'}
             </button>
           </div>
@@ -278,18 +296,47 @@ const ManagerReports = () => {
                   <th>Blockers</th>
                   <th>Plans</th>
                   <th>User</th>
+                  <th>Edits</th>
                 </tr>
               </thead>
               <tbody>
                 {rows.map((r) => (
-                  <tr key={r.id}>
-                    <td>{formatDate(r.created_at)}</td>
-                    <td>{String(r.week_start || '').slice(0, 10)}</td>
-                    <td title={r.progress}>{truncate(r.progress)}</td>
-                    <td title={r.blockers}>{truncate(r.blockers)}</td>
-                    <td title={r.plans}>{truncate(r.plans)}</td>
-                    <td style={{ fontSize: 12, color: 'var(--muted)' }}>{r.user_id || '—'}</td>
-                  </tr>
+                  <React.Fragment key={r.id}>
+                    <tr>
+                      <td>{formatDate(r.created_at)}</td>
+                      <td>
+                        <Link to={`/reports/${encodeURIComponent(r.id)}`} title="Open full report">
+                          {String(r.week_start || '').slice(0, 10)}
+                        </Link>
+                      </td>
+                      <td title={markdownToPlainText(r.progress)}>{truncate(r.progress)}</td>
+                      <td title={markdownToPlainText(r.blockers)}>{truncate(r.blockers)}</td>
+                      <td title={markdownToPlainText(r.plans)}>{truncate(r.plans)}</td>
+                      <td style={{ fontSize: 12, color: 'var(--muted)' }}>{r.user_id || '—'}</td>
+                      <td>
+                        {(r.revision || 1) > 1 ? (
+                          <button
+                            type="button"
+                            className="btn secondary"
+                            onClick={() => setExpandedId((prev) => (prev === r.id ? null : r.id))}
+                            aria-expanded={expandedId === r.id ? 'true' : 'false'}
+                            title={r.updated_at ? `Last edited ${formatDate(r.updated_at)}` : undefined}
+                          >
+                            {(r.revision || 1) - 1} edit(s)
+                          </button>
+                        ) : (
+                          <span className="helper">—</span>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedId === r.id && (
+                      <tr>
+                        <td colSpan={7}>
+                          <ReportRevisions report={r} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
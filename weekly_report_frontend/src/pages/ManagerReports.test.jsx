@@ -0,0 +1,115 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ManagerReports from './ManagerReports';
+import { AuthProvider } from '../context/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createFakeSupabase, fakeSession } from '../testUtils/fakeSupabase';
+
+let mockSupabase = null;
+let mockAuthDisabled = false;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+jest.mock('../lib/featureFlags', () => ({
+  isAuthDisabled: () => mockAuthDisabled,
+}));
+
+const MAX = { id: '33333333-3333-4333-8333-333333333333', email: 'max@example.com', role: 'manager' };
+
+// ManagerReports defaults its date filter to the current month
+const now = new Date();
+const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+const report = (id, over) => ({
+  id,
+  user_id: 'e1',
+  team_id: 'platform',
+  week_start: `${month}-10`,
+  created_at: `${month}-12T10:00:00Z`,
+  progress: `${id} progress`,
+  blockers: null,
+  plans: 'Next',
+  tags: [],
+  status: 'submitted',
+  revision: 1,
+  ...over,
+});
+
+const renderPage = () =>
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <ToastProvider>
+          <ManagerReports />
+        </ToastProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  // A previously selected team, so the page does not redirect to the team selector while memberships load
+  localStorage.setItem('wr.selectedTeam', JSON.stringify({ id: 'platform', name: 'Platform' }));
+  mockAuthDisabled = false;
+  mockSupabase = createFakeSupabase({
+    tables: {
+      profiles: [],
+      teams: [{ id: 'platform', name: 'Platform' }],
+      team_members: [{ team_id: 'platform', user_id: MAX.id, role: 'lead' }],
+      weekly_reports: [
+        report('platform'),
+        report('unassigned', { user_id: 'e2', team_id: null }),
+        report('mobile', { user_id: 'e3', team_id: 'mobile' }),
+        report('draft', { user_id: 'e4', status: 'draft' }),
+      ],
+    },
+    session: fakeSession(MAX),
+  });
+});
+
+test('reads the selected team from Supabase when no backend is configured', async () => {
+  renderPage();
+  await waitFor(() => {
+    expect(screen.getByText('platform progress')).toBeInTheDocument();
+    expect(screen.getByText('unassigned progress')).toBeInTheDocument();
+  });
+  expect(screen.queryByText('mobile progress')).toBeNull();
+  expect(screen.queryByText('draft progress')).toBeNull();
+  expect(screen.getByText(/Backend API base not configured/)).toBeInTheDocument();
+});
+
+test('matches team ids containing commas, dots and parentheses literally', async () => {
+  const odd = 'r&d, (eu).core';
+  localStorage.setItem('wr.selectedTeam', JSON.stringify({ id: odd, name: 'R&D' }));
+  mockSupabase.tables.teams.push({ id: odd, name: 'R&D' });
+  mockSupabase.tables.team_members.push({ team_id: odd, user_id: MAX.id, role: 'lead' });
+  mockSupabase.tables.weekly_reports.push(report('rnd', { user_id: 'e5', team_id: odd }));
+
+  renderPage();
+  await waitFor(() => {
+    expect(screen.getByText('rnd progress')).toBeInTheDocument();
+    expect(screen.getByText('unassigned progress')).toBeInTheDocument();
+  });
+  expect(screen.queryByText('platform progress')).toBeNull();
+});
+
+test('points to the team-scoped policies when RLS blocks the read', async () => {
+  mockSupabase.setRls('weekly_reports', 'select', true);
+  renderPage();
+  // Shown inline and as a toast
+  await waitFor(() => {
+    expect(screen.getAllByText(/RLS blocked the request\. For Manager views set REACT_APP_API_BASE/)).toHaveLength(2);
+    expect(screen.getByText('No reports found for the selected filters.')).toBeInTheDocument();
+  });
+});
+
+test('in Test Mode, shows the badge and the RLS guidance for anonymous reads', async () => {
+  mockAuthDisabled = true;
+  await mockSupabase.setSession(null);
+  mockSupabase.setRls('weekly_reports', 'select', true);
+
+  renderPage();
+  await waitFor(() => expect(screen.getAllByText(/RLS blocked the request/)).toHaveLength(2));
+  expect(screen.getByText('Test Mode')).toBeInTheDocument();
+  expect(screen.getByText('Team Reports · Platform')).toBeInTheDocument();
+});
@@ -1,37 +1,108 @@
 import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { getSupabaseConfigStatus } from '../lib/supabaseClient';
 import ConfigWarning from '../components/ConfigWarning';
+import MarkdownEditor from '../components/MarkdownEditor';
+import ReportItemsEditor from '../components/ReportItemsEditor';
+import OpenBlockersReview from '../components/OpenBlockersReview';
+import ReportDeadline from '../components/ReportDeadline';
 import { useAuth } from '../context/AuthContext';
-import { createWeeklyReport } from '../services/reportsService';
+import { getDraft, saveDraft, discardDraft, submitDraft, hasDraftContent } from '../services/draftsService';
+import { getPreviousReport, getWeeklyReportById, updateWeeklyReport } from '../services/reportsService';
+import { getReportItems, normalizeReportItems, reportItemsToMarkdown, saveReportItems } from '../services/reportItemsService';
+import { getOpenBlockers, syncReportBlockers } from '../services/blockersService';
+import { enqueueSubmission, isOfflineError, isOfflineQueueAvailable } from '../services/offlineQueue';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
 import { useToast } from '../components/ToastProvider';
 import { cn } from '../utils/cn';
+import { buildPlanReview, extractPlanItems, planCompletion, planReviewToText } from '../utils/planReview';
 import { isAuthDisabled } from '../lib/featureFlags';
 
+// Delay after the last keystroke before a draft is autosaved
+const AUTOSAVE_DELAY_MS = 1500;
+
 /**
  * PUBLIC_INTERFACE
  * NewReport renders the weekly report submission form and persists data to Supabase.
  * In Test Mode (REACT_APP_DISABLE_AUTH=true), the form allows submissions without requiring an authenticated session.
  * If RLS prevents inserts without a user, the app surfaces a clear guidance message via toast.
+ *
+ * Drafts: edits are autosaved (debounced) per user and week_start via draftsService. When a saved draft exists
+ * on load, the user is prompted to restore or discard it before autosave resumes. "Submit Report" promotes the draft.
+ *
+ * Last week's plan: the user's previous report is looked up and its plan can be reviewed item by item
+ * (done / carried over). Done items prefill Accomplishments as checked tasks, carried-over items prefill
+ * Next Week Plan, and the review is stored on the report as plan_review for plan-completion metrics.
+ *
+ * Items: accomplishments, plans and blockers can also be entered as structured rows (public.report_items). A text
+ * field left empty is filled from its items on submit, so text-only views keep working.
+ *
+ * Blockers: the user's unresolved blockers (public.blockers) are listed to carry forward, escalate or resolve.
+ * On submit those decisions are applied and the report's blockers (items, or bullets in the text) are opened as new records.
+ *
+ * Offline: when a submission fails because the network is unreachable it is queued on this device
+ * (services/offlineQueue) and submitted by OfflineSync once the connection returns; the form notes a queued week.
+ *
+ * Deadline: the due date for the selected week and team (from its reporting window) is shown under Week Start, with
+ * the time left or how late the report is.
+ *
+ * Edit mode: when rendered at /reports/:id/edit the existing report is loaded and saved via updateWeeklyReport
+ * (the previous version is kept as a revision). Drafts and autosave are not used in edit mode.
  */
 const NewReport = () => {
+  const { id: editId } = useParams();
+  const isEdit = Boolean(editId);
+  const navigate = useNavigate();
+
   const [accomplishments, setAccomplishments] = React.useState('');
   const [blockers, setBlockers] = React.useState('');
   const [nextPlan, setNextPlan] = React.useState('');
   const [weekStart, setWeekStart] = React.useState('');
   const [tagsInput, setTagsInput] = React.useState('');
+  const [items, setItems] = React.useState([]); // structured report items (editor rows)
+  const itemsLoadedRef = React.useRef(!isEdit); // edit mode must not overwrite items it failed to load
 
   const [status, setStatus] = React.useState(null);
   const [submitting, setSubmitting] = React.useState(false);
 
   const [errors, setErrors] = React.useState({}); // { fieldName: 'message' }
 
+  // Draft state
+  const [draftId, setDraftId] = React.useState(null);
+  const [draftPrompt, setDraftPrompt] = React.useState(null); // draft awaiting restore/discard decision
+  const [draftReady, setDraftReady] = React.useState(false); // autosave only after the draft lookup settles
+  const [draftSaving, setDraftSaving] = React.useState(false);
+  const [draftSaved, setDraftSaved] = React.useState(null); // { at, source }
+  const dirtyRef = React.useRef(false);
+  const autosaveTimerRef = React.useRef(null);
+
+  // Edit mode state
+  const [editLoading, setEditLoading] = React.useState(isEdit);
+  const [editRevision, setEditRevision] = React.useState(null);
+  const [editSubmittedAt, setEditSubmittedAt] = React.useState(null);
+
+  // Set when submission finds a report already submitted for the selected week
+  const [existingReport, setExistingReport] = React.useState(null);
+
+  // Blockers still open from earlier weeks and what this report does with them
+  const [openBlockers, setOpenBlockers] = React.useState([]);
+  const [blockerDecisions, setBlockerDecisions] = React.useState({});
+  const [blockersNonce, setBlockersNonce] = React.useState(0); // bump to reload after submit
+
+  // Last week's plan review
+  const [previousReport, setPreviousReport] = React.useState(null);
+  const [planItems, setPlanItems] = React.useState(null); // [{ text, status }] while the review panel is open
+  const [planReview, setPlanReview] = React.useState(null); // applied review, saved with the report
+
   const { isConfigured } = getSupabaseConfigStatus();
-  const { user, loading: authLoading } = useAuth();
+  const { user, team, loading: authLoading } = useAuth();
+  const { entries: queuedSubmissions, discard: discardQueued } = useOfflineQueue({ user_id: user?.id || null, enabled: !authLoading });
   const { addToast } = useToast();
   const authDisabled = isAuthDisabled();
 
   // Compute Monday of current week as default week_start
   React.useEffect(() => {
+    if (isEdit) return;
     const now = new Date();
     const day = now.getDay(); // 0=Sun..6=Sat
     const diffToMonday = (day === 0 ? -6 : 1) - day; // Adjust so Monday is start
@@ -39,14 +110,224 @@ const NewReport = () => {
     monday.setDate(now.getDate() + diffToMonday);
     const iso = monday.toISOString().slice(0, 10);
     setWeekStart(iso);
-  }, []);
+  }, [isEdit]);
+
+  // Edit mode: load the report being edited
+  React.useEffect(() => {
+    if (!isEdit) return undefined;
+    let cancelled = false;
+    setEditLoading(true);
+    getWeeklyReportById(editId)
+      .then((report) => {
+        if (cancelled) return;
+        if (!report) {
+          addToast('error', 'Report not found or you are not allowed to edit it.');
+          navigate('/reports/history', { replace: true });
+          return;
+        }
+        setAccomplishments(report.progress || '');
+        setBlockers(report.blockers || '');
+        setNextPlan(report.plans || '');
+        setWeekStart(String(report.week_start || '').slice(0, 10));
+        setTagsInput(Array.isArray(report.tags) ? report.tags.join(', ') : '');
+        setEditRevision(report.revision || 1);
+        setEditSubmittedAt(report.status === 'submitted' ? report.submitted_at || report.created_at || null : null);
+        return getReportItems(report.id).then((rows) => {
+          if (cancelled) return;
+          setItems(rows);
+          itemsLoadedRef.current = true;
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) addToast('error', err?.message || 'Failed to load report.');
+      })
+      .finally(() => {
+        if (!cancelled) setEditLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isEdit, editId, addToast, navigate]);
+
+  // Look up an existing draft whenever the user or week changes
+  React.useEffect(() => {
+    if (isEdit || !weekStart || (!authDisabled && authLoading)) return undefined;
+    let cancelled = false;
+    setDraftReady(false);
+    setDraftPrompt(null);
+    setDraftId(null);
+    setDraftSaved(null);
+    setExistingReport(null);
+    setPlanItems(null);
+    setPlanReview(null);
+
+    getDraft({ user_id: user?.id || null, week_start: weekStart })
+      .then((draft) => {
+        if (cancelled) return;
+        if (hasDraftContent(draft)) {
+          setDraftPrompt(draft);
+        } else {
+          setDraftId(draft?.id || null);
+          setDraftReady(true);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setDraftReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isEdit, weekStart, user?.id, authLoading, authDisabled]);
+
+  // Load the user's unresolved blockers
+  React.useEffect(() => {
+    if (isEdit || !user?.id) {
+      setOpenBlockers([]);
+      return undefined;
+    }
+    let cancelled = false;
+    getOpenBlockers({ user_id: user.id })
+      .then((rows) => {
+        if (cancelled) return;
+        setOpenBlockers(rows);
+        setBlockerDecisions({});
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setOpenBlockers([]);
+        // eslint-disable-next-line no-console
+        console.debug('[NewReport] open blockers lookup failed:', err?.message || err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isEdit, user?.id, blockersNonce]);
+
+  // Look up the previous report so its plan can be reviewed
+  React.useEffect(() => {
+    if (isEdit || !weekStart || !user?.id) {
+      setPreviousReport(null);
+      return undefined;
+    }
+    let cancelled = false;
+    getPreviousReport({ user_id: user.id, week_start: weekStart })
+      .then((report) => {
+        if (!cancelled) setPreviousReport(report);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setPreviousReport(null);
+        // eslint-disable-next-line no-console
+        console.debug('[NewReport] previous report lookup failed:', err?.message || err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isEdit, weekStart, user?.id]);
+
+  const previousPlanItems = React.useMemo(() => extractPlanItems(previousReport?.plans), [previousReport]);
+
+  const persistDraft = React.useCallback(async () => {
+    if (!weekStart) return;
+    dirtyRef.current = false;
+    setDraftSaving(true);
+    try {
+      const res = await saveDraft({
+        id: draftId,
+        user_id: user?.id || null,
+        team_id: team?.id || null,
+        week_start: weekStart,
+        progress: accomplishments,
+        blockers,
+        plans: nextPlan,
+        tags: tagsInput,
+        plan_review: planReview,
+        items,
+      });
+      if (res?.id) setDraftId(res.id);
+      setDraftSaved({ at: res.savedAt, source: res.source });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.debug('[NewReport] draft save failed:', err?.message || err);
+    } finally {
+      setDraftSaving(false);
+    }
+  }, [weekStart, draftId, user?.id, team?.id, accomplishments, blockers, nextPlan, tagsInput, planReview, items]);
+
+  // Debounced autosave after edits
+  React.useEffect(() => {
+    if (!draftReady || !dirtyRef.current) return undefined;
+    autosaveTimerRef.current = setTimeout(() => {
+      persistDraft();
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(autosaveTimerRef.current);
+  }, [draftReady, persistDraft]);
+
+  const onRestoreDraft = () => {
+    const d = draftPrompt;
+    if (!d) return;
+    setAccomplishments(d.progress || '');
+    setBlockers(d.blockers || '');
+    setNextPlan(d.plans || '');
+    setTagsInput(d.tags || '');
+    setPlanReview(d.plan_review || null);
+    setItems(Array.isArray(d.items) ? d.items : []);
+    setDraftId(d.id || null);
+    setDraftSaved(d.updated_at ? { at: d.updated_at, source: d.source } : null);
+    setDraftPrompt(null);
+    setDraftReady(true);
+    addToast('info', 'Draft restored.');
+  };
+
+  const onDiscardDraft = async () => {
+    const d = draftPrompt;
+    setDraftPrompt(null);
+    setDraftId(null);
+    setDraftSaved(null);
+    setDraftReady(true);
+    await discardDraft({ id: d?.id || null, user_id: user?.id || null, week_start: weekStart });
+    addToast('info', 'Draft discarded.');
+  };
+
+  const onStartFromPlan = () => {
+    setPlanItems(previousPlanItems.map((text) => ({ text, status: 'done' })));
+  };
+
+  const onPlanItemStatus = (index, status) => {
+    setPlanItems((items) => items.map((it, i) => (i === index ? { ...it, status } : it)));
+  };
+
+  // Prefills the form from the reviewed plan; existing text is kept below/after the prefilled items
+  const onApplyPlanReview = () => {
+    const { accomplishments: done, carriedOver } = planReviewToText(planItems);
+    const join = (a, b) => [a, b].filter((t) => t.trim()).join('\n\n');
+    dirtyRef.current = true;
+    setAccomplishments((cur) => join(done, cur));
+    setNextPlan((cur) => join(carriedOver, cur));
+    setPlanReview(buildPlanReview(previousReport, planItems));
+    setPlanItems(null);
+  };
+
+  // Marks the form dirty so the autosave effect picks up the change
+  const onValueChange = (setter) => (value) => {
+    dirtyRef.current = true;
+    setter(value);
+  };
+  const onFieldChange = (setter) => (e) => onValueChange(setter)(e.target.value);
+
+  // Text submitted for a field: what the user typed, or the field's items rendered as a list
+  const composeText = React.useCallback(
+    (text, type) => text.trim() || reportItemsToMarkdown(items, type),
+    [items]
+  );
 
   const hasRequiredContent = React.useCallback(() => {
     const minLen = 10;
-    const acc = accomplishments.trim();
-    const plan = nextPlan.trim();
+    const acc = composeText(accomplishments, 'accomplishment');
+    const plan = composeText(nextPlan, 'plan');
     return Boolean(weekStart && acc && plan && acc.length >= minLen && plan.length >= minLen);
-  }, [weekStart, accomplishments, nextPlan]);
+  }, [weekStart, accomplishments, nextPlan, composeText]);
 
   const validate = () => {
     const nextErrors = {};
@@ -55,16 +336,16 @@ const NewReport = () => {
     if (!weekStart) {
       nextErrors.weekStart = 'Please select the start date for the week.';
     }
-    const acc = accomplishments.trim();
+    const acc = composeText(accomplishments, 'accomplishment');
     if (!acc) {
-      nextErrors.accomplishments = 'Please enter your accomplishments/progress.';
+      nextErrors.accomplishments = 'Please enter your accomplishments/progress or add accomplishment items.';
     } else if (acc.length < minLen) {
       nextErrors.accomplishments = `Please provide at least ${minLen} characters.`;
     }
 
-    const plan = nextPlan.trim();
+    const plan = composeText(nextPlan, 'plan');
     if (!plan) {
-      nextErrors.nextPlan = 'Please enter your plan for next week.';
+      nextErrors.nextPlan = 'Please enter your plan for next week or add plan items.';
     } else if (plan.length < minLen) {
       nextErrors.nextPlan = `Please provide at least ${minLen} characters.`;
     }
@@ -73,6 +354,67 @@ const NewReport = () => {
     return Object.keys(nextErrors).length === 0;
   };
 
+  // Saves structured items after the report itself; the report is kept even if this fails
+  const persistItems = async (reportId) => {
+    if (!itemsLoadedRef.current || (!isEdit && normalizeReportItems(items).length === 0)) return;
+    try {
+      await saveReportItems(reportId, items, { user_id: user?.id || null });
+    } catch (err) {
+      addToast('error', `Report saved, but its items could not be saved: ${err?.message || err}`);
+    }
+  };
+
+  // Applies blocker decisions and opens this report's new blockers; the report is kept even if this fails
+  const persistBlockers = async (report) => {
+    const blockerItems = normalizeReportItems(items).filter((it) => it.type === 'blocker');
+    const newBlockers = blockerItems.length ? blockerItems.map((it) => it.text) : extractPlanItems(blockers);
+    if (openBlockers.length === 0 && newBlockers.length === 0) return;
+    try {
+      await syncReportBlockers({
+        report,
+        user_id: user?.id || null,
+        openBlockers,
+        decisions: blockerDecisions,
+        newBlockers,
+      });
+    } catch (err) {
+      addToast('error', `Report saved, but blockers could not be updated: ${err?.message || err}`);
+    }
+    setBlockersNonce((n) => n + 1);
+  };
+
+  // Clears the form after a submission (sent or queued), keeping the week start
+  const resetForm = () => {
+    setAccomplishments('');
+    setBlockers('');
+    setNextPlan('');
+    setTagsInput('');
+    setPlanReview(null);
+    setItems([]);
+    setErrors({});
+    setDraftId(null);
+    setDraftSaved(null);
+  };
+
+  // Stores the submission, its items and blocker decisions for OfflineSync to send later
+  const queueSubmission = async (fields) => {
+    const blockerItems = normalizeReportItems(items).filter((it) => it.type === 'blocker');
+    await enqueueSubmission({
+      ...fields,
+      week_start: weekStart,
+      plan_review: planReview,
+      team_id: team?.id || null,
+      user_id: user?.id || null,
+      draft_id: draftId || null,
+      items: itemsLoadedRef.current ? normalizeReportItems(items) : [],
+      blockerSync: {
+        openBlockers,
+        decisions: blockerDecisions,
+        newBlockers: blockerItems.length ? blockerItems.map((it) => it.text) : extractPlanItems(blockers),
+      },
+    });
+  };
+
   const onSubmit = async (e) => {
     e.preventDefault();
     setStatus(null);
@@ -99,32 +441,83 @@ const NewReport = () => {
       return;
     }
 
+    const fields = {
+      progress: composeText(accomplishments, 'accomplishment'),
+      blockers: composeText(blockers, 'blocker'),
+      plans: composeText(nextPlan, 'plan'),
+      tags: tagsInput,
+    };
+
+    if (isEdit) {
+      setSubmitting(true);
+      setStatus('Saving changes...');
+      try {
+        await updateWeeklyReport(editId, fields);
+        await persistItems(editId);
+        setStatus(null);
+        addToast('success', 'Report updated. The previous version was kept in the revision history.');
+        navigate('/reports/history');
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(err);
+        addToast('error', err?.message || 'Failed to update report.');
+        setStatus(null);
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
+
     setSubmitting(true);
     setStatus('Submitting...');
+    // Cancel any pending autosave so it cannot recreate the draft after submission
+    clearTimeout(autosaveTimerRef.current);
+    dirtyRef.current = false;
     try {
-      const inserted = await createWeeklyReport({
-        progress: accomplishments.trim(),
-        blockers: blockers.trim(),
-        plans: nextPlan.trim(),
+      const inserted = await submitDraft({
+        id: draftId,
+        ...fields,
         week_start: weekStart, // 'YYYY-MM-DD'
-        tags: tagsInput,
+        plan_review: planReview,
+        team_id: team?.id || null,
         // In Test Mode allow user_id to be null/undefined; the service will handle RLS errors gracefully
         user_id: user?.id || null,
       });
+      if (inserted?.id) {
+        await persistItems(inserted.id);
+        await persistBlockers({ id: inserted.id, week_start: inserted.week_start || weekStart });
+      }
+
+      // This submission supersedes a copy queued earlier for the same week
+      const queued = queuedSubmissions.find((q) => q.week_start === weekStart);
+      if (queued) await discardQueued(queued.id).catch(() => {});
 
       setStatus(null);
-      // Reset fields except week start
-      setAccomplishments('');
-      setBlockers('');
-      setNextPlan('');
-      setTagsInput('');
-      setErrors({});
+      resetForm();
 
       addToast('success', 'Report submitted successfully.');
 
       // eslint-disable-next-line no-console
       console.log('Inserted report:', inserted);
     } catch (err) {
+      if (err?.code === 'REPORT_EXISTS' && err.existing?.id) {
+        setExistingReport(err.existing);
+        addToast('info', 'You already submitted a report for this week. Update it instead.');
+        setStatus(null);
+        return;
+      }
+      if (isOfflineError(err) && isOfflineQueueAvailable()) {
+        try {
+          await queueSubmission(fields);
+          resetForm();
+          addToast('info', 'You appear to be offline. The report was saved on this device and will be submitted when the connection returns.');
+          setStatus(null);
+          return;
+        } catch (queueErr) {
+          // eslint-disable-next-line no-console
+          console.error(queueErr);
+        }
+      }
       // eslint-disable-next-line no-console
       console.error(err);
       addToast('error', err?.message || 'Failed to submit report.');
@@ -136,15 +529,24 @@ const NewReport = () => {
 
   // In Test Mode (auth disabled), ignore isConfigured and user checks; disable only on submitting or invalid content.
   const disableSubmit = authDisabled
-    ? submitting || !hasRequiredContent()
-    : submitting || !isConfigured || !user;
+    ? submitting || editLoading || !hasRequiredContent()
+    : submitting || editLoading || !isConfigured || !user;
+
+  const planSummary = planReview ? planCompletion(planReview) : null;
 
   return (
     <div className="card" aria-live="polite">
       <div className="page-title">
-        <h1>Submit Weekly Report</h1>
+        <h1>{isEdit ? 'Edit Weekly Report' : 'Submit Weekly Report'}</h1>
+        {isEdit && editRevision && (
+          <span className="helper">Revision {editRevision} · saving creates revision {editRevision + 1}</span>
+        )}
       </div>
 
+      {isEdit && editLoading && (
+        <div className="helper" aria-busy="true" style={{ marginBottom: 8 }}>Loading report…</div>
+      )}
+
       {!isConfigured && (
         <ConfigWarning message="Supabase configuration missing. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY in your environment to enable data persistence." />
       )}
@@ -160,6 +562,105 @@ const NewReport = () => {
         <ConfigWarning message="You are not signed in. Please sign in to submit a report." />
       )}
 
+      {draftPrompt && (
+        <div className="draft-banner" role="status" aria-live="polite">
+          <span>
+            You have an unsaved draft for the week of {weekStart}
+            {draftPrompt.updated_at ? ` (last saved ${new Date(draftPrompt.updated_at).toLocaleString()})` : ''}.
+          </span>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="button" className="btn" onClick={onRestoreDraft}>Restore draft</button>
+            <button type="button" className="btn secondary" onClick={onDiscardDraft}>Discard</button>
+          </div>
+        </div>
+      )}
+
+      {existingReport && (
+        <div className="draft-banner" role="status" aria-live="polite">
+          <span>
+            A report for the week of {String(existingReport.week_start).slice(0, 10)} was already submitted
+            {existingReport.created_at ? ` on ${new Date(existingReport.created_at).toLocaleString()}` : ''}.
+            Only one report per week is kept.
+          </span>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              type="button"
+              className="btn"
+              onClick={() => navigate(`/reports/${encodeURIComponent(existingReport.id)}/edit`)}
+            >
+              Update existing report
+            </button>
+            <button type="button" className="btn secondary" onClick={() => setExistingReport(null)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!isEdit && queuedSubmissions.some((q) => q.week_start === weekStart) && (
+        <div className="draft-banner" role="status" aria-live="polite">
+          <span>
+            A report for the week of {weekStart} is saved on this device and waiting to be submitted. Submitting the form
+            again sends this version instead.
+          </span>
+        </div>
+      )}
+
+      {!isEdit && !draftPrompt && !planItems && !planReview && previousPlanItems.length > 0 && (
+        <div className="draft-banner" role="status" aria-live="polite">
+          <span>
+            Your report for the week of {String(previousReport.week_start).slice(0, 10)} planned{' '}
+            {previousPlanItems.length} item(s).
+          </span>
+          <button type="button" className="btn" onClick={onStartFromPlan}>Start from last week's plan</button>
+        </div>
+      )}
+
+      {planItems && (
+        <fieldset className="plan-review">
+          <legend>Last week's plan ({String(previousReport?.week_start || '').slice(0, 10)})</legend>
+          <div className="helper">
+            Mark each item done or carried over. Done items are added to Accomplishments; carried-over items to Next Week Plan.
+          </div>
+          <ul>
+            {planItems.map((it, idx) => (
+              <li key={idx} className="plan-review-item">
+                <span className="plan-review-text">{it.text}</span>
+                <label>
+                  <input
+                    type="radio"
+                    name={`plan-item-${idx}`}
+                    checked={it.status === 'done'}
+                    onChange={() => onPlanItemStatus(idx, 'done')}
+                  />{' '}
+                  Done
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name={`plan-item-${idx}`}
+                    checked={it.status === 'carried_over'}
+                    onChange={() => onPlanItemStatus(idx, 'carried_over')}
+                  />{' '}
+                  Carried over
+                </label>
+              </li>
+            ))}
+          </ul>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="button" className="btn" onClick={onApplyPlanReview}>Add to report</button>
+            <button type="button" className="btn secondary" onClick={() => setPlanItems(null)}>Cancel</button>
+          </div>
+        </fieldset>
+      )}
+
+      {!isEdit && planSummary && (
+        <div className="helper" style={{ marginBottom: 8 }}>
+          Last week's plan: {planSummary.done} of {planSummary.total} item(s) done, {planSummary.carriedOver} carried
+          over. This is saved with the report.
+        </div>
+      )}
+
       <form onSubmit={onSubmit} className="form-grid" noValidate>
         <div className="form-group">
           <label htmlFor="weekStart">Week Start</label>
@@ -170,11 +671,15 @@ const NewReport = () => {
             style={{ minHeight: 'auto' }}
             value={weekStart}
             onChange={(e) => setWeekStart(e.target.value)}
+            disabled={isEdit}
             aria-invalid={Boolean(errors.weekStart)}
             aria-describedby={errors.weekStart ? 'weekStart-error' : undefined}
             required
           />
-          <div className="helper">Choose the Monday of the reporting week.</div>
+          <div className="helper">
+            {isEdit ? 'The reporting week cannot be changed when editing.' : 'Choose the Monday of the reporting week.'}
+          </div>
+          <ReportDeadline weekStart={weekStart} teamId={team?.id || null} submittedAt={editSubmittedAt} />
           {errors.weekStart && (
             <div id="weekStart-error" className="field-error" role="alert">
               {errors.weekStart}
@@ -184,12 +689,12 @@ const NewReport = () => {
 
         <div className="form-group">
           <label htmlFor="accomplishments">Accomplishments</label>
-          <textarea
+          <MarkdownEditor
             id="accomplishments"
             className={cn('textarea', { invalid: Boolean(errors.accomplishments) })}
             placeholder="What did you achieve this week?"
             value={accomplishments}
-            onChange={(e) => setAccomplishments(e.target.value)}
+            onChange={onValueChange(setAccomplishments)}
             aria-invalid={Boolean(errors.accomplishments)}
             aria-describedby={errors.accomplishments ? 'accomplishments-error' : undefined}
             minLength={10}
@@ -204,23 +709,33 @@ const NewReport = () => {
 
         <div className="form-group">
           <label htmlFor="blockers">Blockers</label>
-          <textarea
+          {!isEdit && (
+            <OpenBlockersReview
+              blockers={openBlockers}
+              decisions={blockerDecisions}
+              onChange={onValueChange(setBlockerDecisions)}
+              weekStart={weekStart}
+              userId={user?.id}
+              disabled={submitting}
+            />
+          )}
+          <MarkdownEditor
             id="blockers"
             className="textarea"
-            placeholder="Any impediments or challenges?"
+            placeholder="Any new impediments or challenges? One bullet per blocker."
             value={blockers}
-            onChange={(e) => setBlockers(e.target.value)}
+            onChange={onValueChange(setBlockers)}
           />
         </div>
 
         <div className="form-group">
           <label htmlFor="nextPlan">Next Week Plan</label>
-          <textarea
+          <MarkdownEditor
             id="nextPlan"
             className={cn('textarea', { invalid: Boolean(errors.nextPlan) })}
             placeholder="What will you focus on next week?"
             value={nextPlan}
-            onChange={(e) => setNextPlan(e.target.value)}
+            onChange={onValueChange(setNextPlan)}
             aria-invalid={Boolean(errors.nextPlan)}
             aria-describedby={errors.nextPlan ? 'nextPlan-error' : undefined}
             minLength={10}
@@ -233,6 +748,15 @@ const NewReport = () => {
           )}
         </div>
 
+        <fieldset className="form-group items-fieldset">
+          <legend>Items (optional)</legend>
+          <div className="helper" style={{ marginBottom: 6 }}>
+            Track individual accomplishments, plans and blockers with a status, link and estimated effort.
+            Empty text fields above are filled from these items.
+          </div>
+          <ReportItemsEditor items={items} onChange={onValueChange(setItems)} disabled={submitting || editLoading} />
+        </fieldset>
+
         <div className="form-group">
           <label htmlFor="tags">Tags (comma separated)</label>
           <input
@@ -242,7 +766,7 @@ const NewReport = () => {
             style={{ minHeight: 'auto' }}
             placeholder="e.g., frontend, release, infra"
             value={tagsInput}
-            onChange={(e) => setTagsInput(e.target.value)}
+            onChange={onFieldChange(setTagsInput)}
           />
         </div>
 
@@ -253,8 +777,31 @@ const NewReport = () => {
             disabled={disableSubmit}
             aria-busy={submitting ? 'true' : 'false'}
           >
-            {submitting ? 'Submitting...' : 'Submit Report'}
+            {submitting ? (isEdit ? 'Saving...' : 'Submitting...') : (isEdit ? 'Save Changes' : 'Submit Report')}
           </button>
+          {isEdit ? (
+            <button type="button" className="btn secondary" onClick={() => navigate('/reports/history')} disabled={submitting}>
+              Cancel
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={() => {
+                clearTimeout(autosaveTimerRef.current);
+                persistDraft();
+              }}
+              disabled={submitting || draftSaving || !draftReady}
+            >
+              {draftSaving ? 'Saving draft...' : 'Save Draft'}
+            </button>
+          )}
+          {!isEdit && draftSaved && !draftSaving && (
+            <span className="helper" title={draftSaved.source === 'local' ? 'Saved in this browser only' : 'Saved to your account'}>
+              Draft saved {new Date(draftSaved.at).toLocaleTimeString()}
+              {draftSaved.source === 'local' ? ' (local only)' : ''}
+            </span>
+          )}
           {authDisabled && (
             <span className="helper" title="Submitting without authentication">
               Test Mode: submitting without auth
@@ -0,0 +1,193 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../components/ToastProvider';
+import ReportItemsList from '../components/ReportItemsList';
+import ReportRevisions from '../components/ReportRevisions';
+import { getReportDetail } from '../services/reportsService';
+import { getReportItems } from '../services/reportItemsService';
+import { planCompletion } from '../utils/planReview';
+import { showApiError } from '../utils/toast';
+
+const formatDate = (d) => {
+  if (!d) return '—';
+  try {
+    return new Date(d).toLocaleString();
+  } catch {
+    return String(d);
+  }
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportDetail shows one weekly report in full at /reports/:id.
+ * Progress, blockers and plans are rendered as structured items when the report has them, else as Markdown; metadata covers author, team, tags, created/updated
+ * and revision. Previous/next links step through the same author's submitted weeks.
+ */
+const ReportDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { addToast } = useToast();
+
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [detail, setDetail] = React.useState(null);
+  const [showRevisions, setShowRevisions] = React.useState(false);
+  const [items, setItems] = React.useState([]);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setShowRevisions(false);
+    setItems([]);
+    getReportDetail(id)
+      .then((res) => {
+        if (cancelled) return;
+        setDetail(res);
+        if (!res?.report) setError('Report not found or you do not have access to it.');
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setDetail(null);
+        setError(e?.message || 'Failed to load report.');
+        showApiError(addToast, e, 'Failed to load report', { dedupeKey: 'report-detail-load' });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    // Items are optional: text-only reports simply render their text
+    getReportItems(id)
+      .then((rows) => {
+        if (!cancelled) setItems(rows);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [id, addToast]);
+
+  if (loading) {
+    return (
+      <div className="card">
+        <div className="helper" aria-busy="true">Loading report…</div>
+      </div>
+    );
+  }
+
+  const report = detail?.report;
+  if (error || !report) {
+    return (
+      <div className="card">
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          {error || 'Report not found.'}
+        </div>
+        <Link to="/reports/history" className="btn secondary">Back to History</Link>
+      </div>
+    );
+  }
+
+  const { author, previous, next } = detail;
+  const isOwn = Boolean(user?.id && report.user_id === user.id);
+  const week = String(report.week_start || '').slice(0, 10);
+  const revision = report.revision || 1;
+  const plan = planCompletion(report.plan_review);
+
+  return (
+    <div className="card" aria-live="polite">
+      <div className="page-title" style={{ display: 'flex', alignItems: 'center', gap: 10, justifyContent: 'space-between' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <h1>Week of {week}</h1>
+          <span className="helper">{author?.email || author?.id || 'Unknown author'}</span>
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          {previous ? (
+            <Link to={`/reports/${encodeURIComponent(previous.id)}`} className="btn secondary" title={`Week of ${previous.week_start}`}>
+              ← Previous week
+            </Link>
+          ) : (
+            <button type="button" className="btn secondary" disabled>← Previous week</button>
+          )}
+          {next ? (
+            <Link to={`/reports/${encodeURIComponent(next.id)}`} className="btn secondary" title={`Week of ${next.week_start}`}>
+              Next week →
+            </Link>
+          ) : (
+            <button type="button" className="btn secondary" disabled>Next week →</button>
+          )}
+          {isOwn && (
+            <Link to={`/reports/${encodeURIComponent(report.id)}/edit`} className="btn">Edit</Link>
+          )}
+        </div>
+      </div>
+
+      <dl className="report-meta">
+        <div>
+          <dt>Author</dt>
+          <dd title={report.user_id || undefined}>{author?.email || report.user_id || '—'}</dd>
+        </div>
+        <div>
+          <dt>Team</dt>
+          <dd>{report.team_name || report.team_id || '—'}</dd>
+        </div>
+        <div>
+          <dt>Tags</dt>
+          <dd>
+            {Array.isArray(report.tags) && report.tags.length > 0
+              ? report.tags.map((t) => <span key={t} className="tag-chip">{t}</span>)
+              : '—'}
+          </dd>
+        </div>
+        <div>
+          <dt>Created</dt>
+          <dd>{formatDate(report.created_at)}</dd>
+        </div>
+        <div>
+          <dt>Updated</dt>
+          <dd>{report.updated_at ? `${formatDate(report.updated_at)} (revision ${revision})` : '—'}</dd>
+        </div>
+        {plan.total > 0 && (
+          <div>
+            <dt>Last week's plan</dt>
+            <dd title={report.plan_review.items.map((it) => `${it.status === 'done' ? '☑' : '↻'} ${it.text}`).join('\n')}>
+              {plan.done} of {plan.total} done ({Math.round(plan.rate * 100)}%)
+            </dd>
+          </div>
+        )}
+      </dl>
+
+      <section className="report-section">
+        <h2>Progress</h2>
+        <ReportItemsList items={items} type="accomplishment" text={report.progress} />
+      </section>
+      <section className="report-section">
+        <h2>Blockers</h2>
+        <ReportItemsList items={items} type="blocker" text={report.blockers} emptyText="No blockers reported." />
+      </section>
+      <section className="report-section">
+        <h2>Next Week Plan</h2>
+        <ReportItemsList items={items} type="plan" text={report.plans} />
+      </section>
+
+      {revision > 1 && (
+        <section className="report-section">
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowRevisions((v) => !v)}
+            aria-expanded={showRevisions ? 'true' : 'false'}
+          >
+            {showRevisions ? 'Hide revision history' : `Show revision history (${revision - 1} edit(s))`}
+          </button>
+          {showRevisions && (
+            <div style={{ marginTop: 8 }}>
+              <ReportRevisions report={report} />
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ReportDetail;
@@ -0,0 +1,185 @@
+import React from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getSupabaseConfigStatus } from '../lib/supabaseClient';
+import ConfigWarning from '../components/ConfigWarning';
+import { useToast } from '../components/ToastProvider';
+import { useAuth } from '../context/AuthContext';
+import { getApiBase } from '../services/apiClient';
+import { searchReports } from '../services/searchService';
+import { searchTerms, splitHighlights } from '../utils/highlight';
+import { showApiError } from '../utils/toast';
+
+const FIELD_LABELS = { progress: 'Progress', blockers: 'Blockers', plans: 'Plans' };
+
+// Renders a [[marked]] snippet with <mark> elements
+const Snippet = ({ text }) => (
+  <>
+    {splitHighlights(text).map((seg, i) => (seg.match ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>))}
+  </>
+);
+
+/**
+ * PUBLIC_INTERFACE
+ * Search
+ * Full-text search across weekly reports (progress, blockers, plans, tags) with highlighted snippets.
+ * Scoping matches ManagerReports: with a backend, managers search their selected team via GET /reports/search;
+ * without one, Supabase RLS limits results (employees see their own reports).
+ * The query and date range live in the URL (?q, from, to) so searches can be shared.
+ */
+const Search = () => {
+  const { isConfigured } = getSupabaseConfigStatus();
+  const { team, isManager, isAdmin } = useAuth();
+  const { addToast } = useToast();
+  const hasApi = Boolean(getApiBase());
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+
+  const [input, setInput] = React.useState({ q, from, to });
+  React.useEffect(() => {
+    setInput({ q, from, to });
+  }, [q, from, to]);
+
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const [hits, setHits] = React.useState([]);
+
+  const scopeTeam = (isManager() || isAdmin()) && team?.id ? team.id : undefined;
+
+  React.useEffect(() => {
+    if (!q) {
+      setHits([]);
+      setError(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    searchReports({ q, from: from || undefined, to: to || undefined, team: scopeTeam })
+      .then((items) => {
+        if (!cancelled) setHits(items);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setHits([]);
+        setError(e?.message || 'Search failed.');
+        showApiError(addToast, e, 'Search failed', { dedupeKey: 'reports-search' });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [q, from, to, scopeTeam, addToast]);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const next = new URLSearchParams();
+    if (input.q.trim()) next.set('q', input.q.trim());
+    if (input.from) next.set('from', input.from);
+    if (input.to) next.set('to', input.to);
+    setSearchParams(next);
+  };
+
+  const terms = searchTerms(q);
+
+  return (
+    <div className="card" aria-live="polite">
+      <div className="page-title">
+        <h1>Search Reports</h1>
+        <span className="helper">
+          {scopeTeam ? `Searching team ${team?.name || team?.id}` : 'Searching reports you can access'}
+        </span>
+      </div>
+
+      {!hasApi && !isConfigured && (
+        <ConfigWarning message="Supabase configuration missing. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY, or REACT_APP_API_BASE, to enable search." />
+      )}
+
+      <form className="search-form" onSubmit={onSubmit} role="search">
+        <div>
+          <label className="helper" htmlFor="search-q">Query</label>
+          <input
+            id="search-q"
+            type="search"
+            className="textarea"
+            placeholder='e.g., "payments migration" or release -hotfix'
+            value={input.q}
+            onChange={(e) => setInput((s) => ({ ...s, q: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="helper" htmlFor="search-from">Week from</label>
+          <input
+            id="search-from"
+            type="date"
+            className="textarea"
+            value={input.from}
+            onChange={(e) => setInput((s) => ({ ...s, from: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="helper" htmlFor="search-to">Week to</label>
+          <input
+            id="search-to"
+            type="date"
+            className="textarea"
+            value={input.to}
+            onChange={(e) => setInput((s) => ({ ...s, to: e.target.value }))}
+          />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+          <button type="submit" className="btn" disabled={loading || !input.q.trim()}>
+            {loading ? 'Searching…' : 'Search'}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {!q ? (
+        <div className="helper">Enter words or a quoted phrase to search progress, blockers, plans and tags.</div>
+      ) : loading ? (
+        <div className="helper" aria-busy="true">Searching…</div>
+      ) : hits.length === 0 ? (
+        <div className="helper">No reports match “{q}”.</div>
+      ) : (
+        <>
+          <div className="helper" style={{ marginBottom: 8 }}>{hits.length} matching report(s)</div>
+          <ol className="search-results">
+            {hits.map((h) => (
+              <li key={h.id} className="search-hit">
+                <div className="search-hit-meta">
+                  <Link to={`/reports/${encodeURIComponent(h.id)}`}>
+                    <strong>Week of {h.week_start}</strong>
+                  </Link>
+                  {h.user_id && <span className="helper">{h.user_id}</span>}
+                  {h.tags.length > 0 && (
+                    <span className="helper">
+                      {h.tags.map((t) => (terms.includes(t.toLowerCase()) ? <mark key={t}>#{t} </mark> : <span key={t}>#{t} </span>))}
+                    </span>
+                  )}
+                </div>
+                {h.snippets.map((s) => (
+                  <div key={s.field} className="search-snippet">
+                    <span className="search-snippet-field">{FIELD_LABELS[s.field] || s.field}</span>
+                    <Snippet text={s.snippet} />
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Search;
@@ -1,16 +1,60 @@
 import React from 'react';
-import { Navigate, useLocation } from 'react-router-dom';
+import { Navigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useReportItemSummary } from '../hooks/useReportItemSummary';
+import { useTeamMetrics } from '../hooks/useTeamMetrics';
+import TeamTrendCharts from '../components/TeamTrendCharts';
+import { addWeeks, lastWeeks, weekStartOf, weeksBetween } from '../utils/weeks';
+
+// Quick range presets (number of weeks ending with the current week)
+const RANGE_PRESETS = [4, 12, 26];
+const DEFAULT_RANGE_WEEKS = 4;
+
+const pct = (r) => (r == null ? '—' : `${Math.round(r * 100)}%`);
 
 /**
  * PUBLIC_INTERFACE
- * TeamDashboard shows KPI cards and a simple chart placeholder.
+ * TeamDashboard shows team KPIs for a selectable week range (kept in the URL as ?from&to):
+ * reports submitted, on-time rate against the reporting deadline, open blockers and weekly participation,
+ * plus trend charts (optionally compared with the preceding period of the same length, ?compare=1).
+ * Metrics come from teamMetricsService (backend, Supabase RPC, or computed from readable rows).
  * Intended for Manager/Admin roles. Includes an AI summaries placeholder.
  * Redirects to TeamSelector if no team is selected.
+ * The report items card aggregates structured report items (legacy text-only reports are estimated from their text).
  */
 const TeamDashboard = () => {
   const { team, teamLoading } = useAuth();
   const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const defaults = React.useMemo(() => lastWeeks(DEFAULT_RANGE_WEEKS), []);
+  const from = weekStartOf(searchParams.get('from') || defaults.from);
+  const to = weekStartOf(searchParams.get('to') || defaults.to);
+  const rangeValid = from <= to;
+  const compare = searchParams.get('compare') === '1';
+  const rangeWeeks = rangeValid ? weeksBetween(from, to).length : 0;
+
+  const setRange = (next) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('from', next.from);
+    params.set('to', next.to);
+    setSearchParams(params, { replace: true });
+  };
+
+  const toggleCompare = (on) => {
+    const params = new URLSearchParams(searchParams);
+    if (on) params.set('compare', '1');
+    else params.delete('compare');
+    setSearchParams(params, { replace: true });
+  };
+
+  const { loading, error, metrics } = useTeamMetrics({ team: rangeValid ? team?.id : undefined, from, to });
+  const previous = useTeamMetrics({
+    team: compare && rangeValid ? team?.id : undefined,
+    from: addWeeks(from, -rangeWeeks),
+    to: addWeeks(from, -1),
+  });
+  const itemSummary = useReportItemSummary({ team: team?.id, from, to });
 
   if (teamLoading) {
     return (
@@ -24,29 +68,104 @@ const TeamDashboard = () => {
     return <Navigate to="/select-team" replace state={{ from: location }} />;
   }
 
+  const totals = metrics?.totals;
+  const blockers = metrics?.blockers;
+  const pending = loading || !metrics;
   const kpis = [
-    { label: 'Reports Submitted', value: 42 },
-    { label: 'On-time Rate', value: '93%' },
-    { label: 'Open Blockers', value: 7 },
-    { label: 'Avg. Sentiment', value: 'Positive' },
-  ];
+    { label: 'Reports Submitted', value: pending ? '…' : totals.submitted },
+    {
+      label: 'On-time Rate',
+      value: pending ? '…' : pct(totals.on_time_rate),
+      hint: 'Submitted by the reporting-window deadline, grace included',
+    },
+    // Hidden when the team's blocker count cannot be determined (blockers.available === false)
+    blockers?.available !== false && {
+      label: 'Open Blockers',
+      value: pending ? '…' : blockers.open + blockers.escalated,
+      hint: blockers?.escalated ? `${blockers.escalated} escalated` : undefined,
+    },
+    {
+      label: 'Participation',
+      value: pending ? '…' : pct(totals.participation),
+      hint: totals?.members ? `avg. per week · ${totals.members} member(s)` : undefined,
+    },
+  ].filter(Boolean);
+  const activePreset = RANGE_PRESETS.find((n) => {
+    const r = lastWeeks(n);
+    return r.from === from && r.to === to;
+  });
 
   return (
     <>
-      <div className="page-title">
+      <div className="page-title" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10, flexWrap: 'wrap' }}>
         <h1>Team Dashboard · {team?.name || team?.id}</h1>
+        <div className="range-selector" role="group" aria-label="Week range">
+          {RANGE_PRESETS.map((n) => (
+            <button
+              key={n}
+              type="button"
+              className={`btn secondary${activePreset === n ? ' active' : ''}`}
+              aria-pressed={activePreset === n ? 'true' : 'false'}
+              onClick={() => setRange(lastWeeks(n))}
+            >
+              {n} weeks
+            </button>
+          ))}
+          <label className="helper" htmlFor="range-from">From</label>
+          <input
+            id="range-from"
+            type="date"
+            className="textarea"
+            value={from}
+            max={to}
+            onChange={(e) => e.target.value && setRange({ from: weekStartOf(e.target.value), to })}
+          />
+          <label className="helper" htmlFor="range-to">To</label>
+          <input
+            id="range-to"
+            type="date"
+            className="textarea"
+            value={to}
+            min={from}
+            onChange={(e) => e.target.value && setRange({ from, to: weekStartOf(e.target.value) })}
+          />
+        </div>
       </div>
-      <div className="kpis">
+      {!rangeValid && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          The start week must not be after the end week.
+        </div>
+      )}
+      {error && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)', marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+      <div className="kpis" aria-busy={loading ? 'true' : 'false'}>
         {kpis.map((k) => (
           <div key={k.label} className="kpi">
             <div className="label">{k.label}</div>
             <div className="value">{k.value}</div>
+            {k.hint && <div className="helper">{k.hint}</div>}
           </div>
         ))}
       </div>
       <div className="card" style={{ marginBottom: 12 }}>
-        <div className="chart">Chart Placeholder</div>
+        <div className="page-title" style={{ marginBottom: 8, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 10 }}>
+          <h1 style={{ fontSize: 16, margin: 0 }}>Trends</h1>
+          <label className="helper">
+            <input type="checkbox" checked={compare} onChange={(e) => toggleCompare(e.target.checked)} /> Compare with the
+            previous {rangeWeeks} week(s)
+          </label>
+        </div>
+        {pending ? (
+          <div className="chart" aria-busy="true">Loading…</div>
+        ) : (
+          <TeamTrendCharts metrics={metrics} previous={compare && !previous.loading ? previous.metrics : null} />
+        )}
       </div>
+      {metrics && metrics.weeks.length > 0 && <ParticipationTable weeks={metrics.weeks} />}
+      <ReportItemsCard {...itemSummary} />
       <div className="card">
         <div className="page-title" style={{ marginBottom: 8 }}>
           <h1 style={{ fontSize: 16, margin: 0 }}>AI Summaries</h1>
@@ -62,4 +181,81 @@ const TeamDashboard = () => {
   );
 };
 
+// Submissions and participation per week, newest first
+const ParticipationTable = ({ weeks }) => (
+  <div className="card" style={{ marginBottom: 12 }}>
+    <div className="page-title" style={{ marginBottom: 8 }}>
+      <h1 style={{ fontSize: 16, margin: 0 }}>Participation by Week</h1>
+    </div>
+    <div style={{ overflowX: 'auto' }}>
+      <table className="table" role="table">
+        <thead>
+          <tr>
+            <th scope="col">Week</th>
+            <th scope="col">Submitted</th>
+            <th scope="col">Participation</th>
+            <th scope="col">On time</th>
+            <th scope="col">Late</th>
+          </tr>
+        </thead>
+        <tbody>
+          {weeks
+            .slice()
+            .reverse()
+            .map((w) => (
+              <tr key={w.week_start}>
+                <td>{w.week_start}</td>
+                <td>{w.members ? `${w.submitted} / ${w.members}` : w.submitted}</td>
+                <td>{pct(w.participation)}</td>
+                <td>{w.on_time}</td>
+                <td>{w.late}</td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+// Item counts by type, plan completion and logged effort for the selected range
+const ReportItemsCard = ({ loading, error, summary, reportCount, legacyCount }) => {
+  return (
+    <div className="card" style={{ marginBottom: 12 }}>
+      <div className="page-title" style={{ marginBottom: 8 }}>
+        <h1 style={{ fontSize: 16, margin: 0 }}>Report Items</h1>
+      </div>
+      {loading ? (
+        <div className="helper" aria-busy="true">Loading…</div>
+      ) : error ? (
+        <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{error}</div>
+      ) : (
+        <>
+          <div className="kpis">
+            <div className="kpi">
+              <div className="label">Accomplishments</div>
+              <div className="value">{summary.byType.accomplishment}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">Planned Items</div>
+              <div className="value">{summary.byType.plan}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">Plan Completion</div>
+              <div className="value">{pct(summary.planCompletionRate)}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">Estimated Effort</div>
+              <div className="value">{summary.effortHours.total} h</div>
+            </div>
+          </div>
+          <div className="helper">
+            {reportCount} report(s)
+            {legacyCount > 0 ? ` · ${legacyCount} without structured items (counted from their text)` : ''}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 export default TeamDashboard;
@@ -21,7 +21,7 @@ import { showApiError, showApiInfo, showApiSuccess } from '../utils/toast';
  */
 const TeamSelector = () => {
   const { addToast } = useToast();
-  const { setTeamSelection, teamPersisted } = useAuth();
+  const { setTeamSelection, teamPersisted, reloadTeams } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -90,6 +90,8 @@ const TeamSelector = () => {
         setNewTeamName('');
         // Add to list and select it
         setTeams((prev) => [{ id: created.id, name: created.name }, ...prev]);
+        // The creator becomes the team lead server-side; refresh memberships for the team switcher
+        if (res?.available) reloadTeams();
         await onSelectTeam(created);
       }
     } catch (err) {
@@ -1,13 +1,25 @@
 //
 // Minimal API client for conditional backend access from the frontend.
 // Keeps secrets out of REACT_APP_*; uses only public base URLs.
+// Requests carry the current Supabase access token; a 401 refreshes the session and retries once, and a session
+// that cannot be refreshed is announced with a "session expired" event (see onSessionExpired).
+// Failures throw ApiError (status, code and the parsed JSON body); requests time out after DEFAULT_TIMEOUT_MS.
+// Idempotent requests (GET/PUT/DELETE) are retried with exponential backoff on network errors, timeouts and
+// 408/429/5xx gateway responses. Identical in-flight GETs share one request, and GET responses are cached for a
+// few seconds (keyed by path + params); any successful write, and clearApiCache(), empties the cache.
+// With REACT_APP_MOCK_API=true requests never leave the browser: services/mockApi.js answers them from fixtures.
 //
+import { getSupabase } from '../lib/supabaseClient';
+import { handleMockRequest, isMockApi, MOCK_API_BASE } from './mockApi';
+
 /**
  * PUBLIC_INTERFACE
  * getApiBase - Returns the configured backend API base URL from environment (if any).
- * Prefers REACT_APP_API_BASE, falls back to REACT_APP_BACKEND_URL.
+ * Prefers REACT_APP_API_BASE, falls back to REACT_APP_BACKEND_URL. In mock mode returns MOCK_API_BASE, so services
+ * take their backend code paths.
  */
 export function getApiBase() {
+  if (isMockApi()) return MOCK_API_BASE;
   const a = process.env.REACT_APP_API_BASE || '';
   const b = process.env.REACT_APP_BACKEND_URL || '';
   const base = (a || b || '').trim().replace(/\/+$/, '');
@@ -32,53 +44,338 @@ function buildUrl(path, params) {
 
 /**
  * PUBLIC_INTERFACE
- * apiGet - Performs a GET request if API base is configured. Throws a friendly
- * error if the base is missing so UI can render inline guidance.
+ * DEFAULT_TIMEOUT_MS - Request timeout used when a call does not pass `timeout`.
+ */
+export const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * PUBLIC_INTERFACE
+ * ApiError - Error thrown for failed backend requests.
+ * - status: HTTP status (0 when no response was received)
+ * - code: server error code from the JSON body ({ error, code }), or NO_API_BASE / TIMEOUT / NETWORK_ERROR /
+ *   INVALID_RESPONSE (2xx body that is not JSON) / HTTP_<status>
+ * - body: parsed JSON body when the response had one, else null
+ * The message is the server's `error`/`message` when present; non-JSON bodies are only used when short plain text.
  */
-export async function apiGet(path, { params, headers } = {}) {
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, body = null, method = null, path = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+/**
+ * INTERNAL: Builds an ApiError from a non-2xx response.
+ */
+async function toApiError(res, method, path) {
+  const text = await res.text().catch(() => '');
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = null;
+  }
+  const fromBody = body && typeof body === 'object' ? body.error || body.message : null;
+  const plain = !body && text && text.length <= 200 && !text.trim().startsWith('<') ? text.trim() : null;
+  const message = (typeof fromBody === 'string' && fromBody) || plain || `${method} ${path} failed with ${res.status}`;
+  const err = new ApiError(message, {
+    status: res.status,
+    code: (body && typeof body === 'object' && body.code) || `HTTP_${res.status}`,
+    body,
+    method,
+    path,
+  });
+  const retryAfter = Number(res.headers?.get?.('Retry-After'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SESSION_EXPIRED_EVENT - Window event dispatched when the backend rejects the session and it cannot be refreshed.
+ */
+export const SESSION_EXPIRED_EVENT = 'wr:session-expired';
+
+/**
+ * PUBLIC_INTERFACE
+ * onSessionExpired - Subscribes to SESSION_EXPIRED_EVENT. The handler receives { path, status }.
+ * @returns {() => void} unsubscribe
+ */
+export function onSessionExpired(handler) {
+  if (typeof window === 'undefined') return () => {};
+  const listener = (e) => handler(e.detail || {});
+  window.addEventListener(SESSION_EXPIRED_EVENT, listener);
+  return () => window.removeEventListener(SESSION_EXPIRED_EVENT, listener);
+}
+
+function emitSessionExpired(detail) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT, { detail }));
+}
+
+/**
+ * INTERNAL: Current access token, or a freshly refreshed one when `refresh` is set. Null without a session.
+ */
+async function getAccessToken({ refresh = false } = {}) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+  try {
+    const { data, error } = refresh ? await supabase.auth.refreshSession() : await supabase.auth.getSession();
+    if (error) return null;
+    return data?.session?.access_token || null;
+  } catch {
+    return null;
+  }
+}
+
+// Simulated network latency in mock mode, so loading states stay visible
+const MOCK_LATENCY_MS = Number(process.env.REACT_APP_MOCK_LATENCY_MS ?? 150) || 0;
+
+/**
+ * INTERNAL: Answers a request from the in-browser mock API, with the same results and ApiErrors as a real response.
+ */
+async function mockRequest(method, path, { params, body, signal }) {
+  if (MOCK_LATENCY_MS > 0) {
+    await new Promise((resolve) => setTimeout(resolve, MOCK_LATENCY_MS));
+  }
+  if (signal?.aborted) throw signal.reason || new DOMException('Aborted', 'AbortError');
+  const res = handleMockRequest({ method, path: path.startsWith('/') ? path : `/${path}`, params, body });
+  if (res.status >= 400) {
+    throw new ApiError(res.body?.error || `${method} ${path} failed with ${res.status}`, {
+      status: res.status,
+      code: res.body?.code || `HTTP_${res.status}`,
+      body: res.body,
+      method,
+      path,
+    });
+  }
+  return res.body;
+}
+
+/**
+ * INTERNAL: Sends a request with the caller's access token; on 401 refreshes the session and retries once.
+ * Aborts after `timeout` ms (0 disables) or when the caller's `signal` aborts.
+ */
+async function request(method, path, { params, body, headers, timeout = DEFAULT_TIMEOUT_MS, signal } = {}) {
   const url = buildUrl(path, params);
   if (!url) {
-    const err = new Error('Backend API base is not configured (set REACT_APP_API_BASE or REACT_APP_BACKEND_URL).');
-    err.code = 'NO_API_BASE';
-    throw err;
+    throw new ApiError('Backend API base is not configured (set REACT_APP_API_BASE or REACT_APP_BACKEND_URL).', {
+      code: 'NO_API_BASE',
+      method,
+      path,
+    });
   }
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Accept': 'application/json',
-      ...(headers || {}),
-    },
-  });
+
+  if (isMockApi()) return mockRequest(method, path, { params, body, signal });
+
+  const send = async (token) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    try {
+      return await fetch(url, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          'Accept': 'application/json',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(headers || {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (e) {
+      if (timedOut) {
+        throw new ApiError(`${method} ${path} timed out after ${Math.round(timeout / 1000)}s.`, { code: 'TIMEOUT', method, path });
+      }
+      // Caller-initiated aborts propagate unchanged so callers can ignore them
+      if (e?.name === 'AbortError') throw e;
+      throw new ApiError(`Could not reach the backend (${e?.message || 'network error'}).`, { code: 'NETWORK_ERROR', method, path });
+    } finally {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const token = await getAccessToken();
+  let res = await send(token);
+  if (res.status === 401 && token) {
+    const fresh = await getAccessToken({ refresh: true });
+    if (fresh) res = await send(fresh);
+    if (!fresh || res.status === 401) emitSessionExpired({ path, status: res.status });
+  }
+
   if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(text || `GET ${path} failed with ${res.status}`);
+    throw await toApiError(res, method, path);
+  }
+  if (res.status === 204) return null;
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    // e.g. an HTML page from a proxy or a misconfigured REACT_APP_API_BASE answering with 200
+    throw new ApiError(`${method} ${path} returned an invalid response (expected JSON).`, {
+      status: res.status,
+      code: 'INVALID_RESPONSE',
+      method,
+      path,
+    });
   }
-  return res.json();
 }
 
 /**
  * PUBLIC_INTERFACE
- * apiPost - Performs a POST request if API base is configured. Throws a friendly error if base is missing.
+ * DEFAULT_RETRIES - Retries for idempotent requests when a call does not pass `retries`.
  */
-export async function apiPost(path, body, { headers } = {}) {
-  const url = buildUrl(path);
-  if (!url) {
-    const err = new Error('Backend API base is not configured (set REACT_APP_API_BASE or REACT_APP_BACKEND_URL).');
-    err.code = 'NO_API_BASE';
-    throw err;
-  }
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      ...(headers || {}),
-    },
-    body: body ? JSON.stringify(body) : undefined,
+export const DEFAULT_RETRIES = 2;
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_CACHE_TTL_MS - How long GET responses are reused when a call does not pass `cacheTtl`.
+ */
+export const DEFAULT_CACHE_TTL_MS = 10000;
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'DELETE']);
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 5000;
+
+// GET dedupe and cache, keyed by method + full URL (which includes the query params). The generation is bumped by
+// clearApiCache, so a GET that started before a write or user change neither fills the cache nor is shared afterwards
+const inFlight = new Map();
+const responseCache = new Map();
+let cacheGeneration = 0;
+
+/**
+ * PUBLIC_INTERFACE
+ * clearApiCache - Drops cached GET responses and stops sharing in-flight GETs. Called after writes and when the
+ * signed-in user changes.
+ */
+export function clearApiCache() {
+  cacheGeneration += 1;
+  responseCache.clear();
+  inFlight.clear();
+}
+
+function isRetryable(err) {
+  if (!(err instanceof ApiError)) return false;
+  return err.code === 'NETWORK_ERROR' || err.code === 'TIMEOUT' || RETRYABLE_STATUSES.has(err.status);
+}
+
+function backoffDelay(attempt, baseDelay, err) {
+  if (err?.retryAfterMs) return Math.min(err.retryAfterMs, MAX_RETRY_DELAY_MS);
+  const exp = baseDelay * 2 ** attempt;
+  // Full jitter keeps clients that failed together from retrying together
+  return Math.min(MAX_RETRY_DELAY_MS, Math.round(exp / 2 + Math.random() * (exp / 2)));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
   });
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(text || `POST ${path} failed with ${res.status}`);
+}
+
+/**
+ * INTERNAL: request() with retries for idempotent methods, and cache invalidation after successful writes.
+ */
+async function send(method, path, { retries, retryDelay = 300, ...opts } = {}) {
+  const maxRetries = IDEMPOTENT_METHODS.has(method) ? Math.max(0, retries ?? DEFAULT_RETRIES) : 0;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const data = await request(method, path, opts);
+      if (method !== 'GET') clearApiCache();
+      return data;
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err) || opts.signal?.aborted) throw err;
+      await sleep(backoffDelay(attempt, retryDelay, err), opts.signal);
+    }
   }
-  return res.json();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * apiGet - Performs a GET request if API base is configured. Throws a friendly
+ * error if the base is missing so UI can render inline guidance.
+ * Identical concurrent GETs share one request, and responses are reused for `cacheTtl` ms (0 disables);
+ * `fresh: true` skips the cached copy (e.g. for Refresh buttons). Calls with a `signal` are never shared.
+ * @param {string} path
+ * @param {{ params?: Object, headers?: Object, timeout?: number, signal?: AbortSignal, retries?: number,
+ *   retryDelay?: number, cacheTtl?: number, fresh?: boolean }} [opts]
+ */
+export async function apiGet(path, { params, headers, timeout, signal, retries, retryDelay, cacheTtl = DEFAULT_CACHE_TTL_MS, fresh = false } = {}) {
+  const opts = { params, headers, timeout, signal, retries, retryDelay };
+  const url = headers || signal ? null : buildUrl(path, params);
+  if (!url) return send('GET', path, opts);
+  const key = `GET ${url}`;
+
+  const cached = responseCache.get(key);
+  if (!fresh && cached && cached.expires > Date.now()) return cached.data;
+  if (!fresh && inFlight.has(key)) return inFlight.get(key);
+
+  const generation = cacheGeneration;
+  const promise = send('GET', path, opts)
+    .then((data) => {
+      if (cacheTtl > 0 && generation === cacheGeneration) responseCache.set(key, { data, expires: Date.now() + cacheTtl });
+      return data;
+    })
+    .finally(() => {
+      if (inFlight.get(key) === promise) inFlight.delete(key);
+    });
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * apiPost - Performs a POST request if API base is configured. Throws a friendly error if base is missing.
+ * Not retried (POST is not idempotent).
+ * @param {string} path
+ * @param {unknown} [body] - JSON body
+ * @param {{ params?: Object, headers?: Object, timeout?: number, signal?: AbortSignal }} [opts]
+ */
+export async function apiPost(path, body, { params, headers, timeout, signal } = {}) {
+  return send('POST', path, { body: body || undefined, params, headers, timeout, signal });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * apiPut - Performs a PUT request (full replacement). Same options as apiPost, plus `retries`/`retryDelay`.
+ */
+export async function apiPut(path, body, { params, headers, timeout, signal, retries, retryDelay } = {}) {
+  return send('PUT', path, { body: body || undefined, params, headers, timeout, signal, retries, retryDelay });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * apiPatch - Performs a PATCH request (partial update). Same options as apiPost; not retried.
+ */
+export async function apiPatch(path, body, { params, headers, timeout, signal } = {}) {
+  return send('PATCH', path, { body: body || undefined, params, headers, timeout, signal });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * apiDelete - Performs a DELETE request. Resolves to the parsed body, or null for 204 No Content.
+ * @param {string} path
+ * @param {{ params?: Object, headers?: Object, timeout?: number, signal?: AbortSignal, retries?: number,
+ *   retryDelay?: number }} [opts]
+ */
+export async function apiDelete(path, { params, headers, timeout, signal, retries, retryDelay } = {}) {
+  return send('DELETE', path, { params, headers, timeout, signal, retries, retryDelay });
 }
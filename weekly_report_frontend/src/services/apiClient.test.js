@@ -0,0 +1,77 @@
+import { ApiError, apiGet, apiPost, clearApiCache } from './apiClient';
+
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => null,
+  getSupabaseConfigStatus: () => ({ isConfigured: false }),
+}));
+
+const response = (status, text) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => text,
+  headers: { get: () => null },
+});
+
+const originalEnv = process.env;
+
+beforeEach(() => {
+  process.env = { ...originalEnv, REACT_APP_API_BASE: 'https://api.example.test' };
+  global.fetch = jest.fn();
+  clearApiCache();
+});
+
+afterEach(() => {
+  process.env = originalEnv;
+  delete global.fetch;
+});
+
+describe('response parsing', () => {
+  test('parses JSON bodies and returns null for empty ones', async () => {
+    global.fetch.mockResolvedValueOnce(response(200, '{"items":[1]}')).mockResolvedValueOnce(response(200, ''));
+    await expect(apiGet('/reports', { cacheTtl: 0 })).resolves.toEqual({ items: [1] });
+    await expect(apiPost('/reports', { a: 1 })).resolves.toBeNull();
+  });
+
+  test('a 2xx body that is not JSON throws an ApiError instead of a SyntaxError', async () => {
+    global.fetch.mockResolvedValueOnce(response(200, '<!doctype html><html>Proxy login</html>'));
+    const err = await apiPost('/reports', { a: 1 }).catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ status: 200, code: 'INVALID_RESPONSE', method: 'POST', path: '/reports' });
+    expect(err.message).toBe('POST /reports returned an invalid response (expected JSON).');
+  });
+
+  test('error responses keep the server message from a JSON body', async () => {
+    global.fetch.mockResolvedValueOnce(response(409, '{"error":"Report exists","code":"REPORT_EXISTS"}'));
+    await expect(apiPost('/reports', {})).rejects.toMatchObject({ status: 409, code: 'REPORT_EXISTS', message: 'Report exists' });
+  });
+});
+
+describe('GET cache', () => {
+  test('identical GETs share one request and reuse the cached response', async () => {
+    global.fetch.mockResolvedValue(response(200, '{"n":1}'));
+    const [a, b] = await Promise.all([apiGet('/teams'), apiGet('/teams')]);
+    expect(a).toEqual({ n: 1 });
+    expect(b).toEqual({ n: 1 });
+    await apiGet('/teams');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a GET that started before a write does not cache or share its stale result', async () => {
+    let resolveStale;
+    global.fetch
+      .mockReturnValueOnce(new Promise((resolve) => { resolveStale = resolve; }))
+      .mockResolvedValueOnce(response(201, '{"id":"r1"}'))
+      .mockResolvedValue(response(200, '{"items":["r1"]}'));
+
+    const stale = apiGet('/reports');
+    await apiPost('/reports', { progress: 'x' });
+    // Started after the write: not deduped onto the older request
+    const afterWrite = apiGet('/reports');
+    resolveStale(response(200, '{"items":[]}'));
+
+    await expect(stale).resolves.toEqual({ items: [] });
+    await expect(afterWrite).resolves.toEqual({ items: ['r1'] });
+    await expect(apiGet('/reports')).resolves.toEqual({ items: ['r1'] });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,241 @@
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, apiPost, getApiBase } from './apiClient';
+
+//
+// Blocker tracking (public.blockers). A blocker is opened from a weekly report and stays open across weeks
+// until it is resolved: each new report either carries it forward, escalates it or resolves it with notes.
+//
+
+// PUBLIC_INTERFACE
+/** BLOCKER_STATUSES - Lifecycle states; open and escalated count as unresolved. */
+export const BLOCKER_STATUSES = ['open', 'escalated', 'resolved'];
+
+// PUBLIC_INTERFACE
+/** OPEN_BLOCKER_STATUSES - Statuses that still need attention. */
+export const OPEN_BLOCKER_STATUSES = ['open', 'escalated'];
+
+// PUBLIC_INTERFACE
+/** BLOCKER_ACTIONS - What a new report can do with an open blocker. */
+export const BLOCKER_ACTIONS = ['carry', 'escalate', 'resolve'];
+
+const BLOCKER_COLUMNS =
+  'id, user_id, owner_id, title, status, opened_week, last_reported_week, source_report_id, escalated_at, resolved_week, resolved_at, resolution_notes, created_at, updated_at';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * blockerAgeWeeks - Number of weeks a blocker has been (or was) open.
+ * Counted from opened_week to resolved_week for resolved blockers, else to `asOfWeek` (or last_reported_week).
+ * A blocker opened this week is 0 weeks old.
+ *
+ * @param {{ opened_week: string, last_reported_week?: string, resolved_week?: string|null }} blocker
+ * @param {string} [asOfWeek] - Week start (YYYY-MM-DD) to measure against
+ * @returns {number}
+ */
+export function blockerAgeWeeks(blocker, asOfWeek) {
+  const start = Date.parse(blocker?.opened_week || '');
+  const end = Date.parse(blocker?.resolved_week || asOfWeek || blocker?.last_reported_week || '');
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return 0;
+  return Math.max(0, Math.round((end - start) / WEEK_MS));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getOpenBlockers - Lists the caller's unresolved blockers (open or escalated), oldest first.
+ * - If REACT_APP_API_BASE is present, uses GET /blockers?status=open,escalated.
+ * - Otherwise reads public.blockers from Supabase (RLS limits rows to blockers the user reported or owns).
+ *
+ * @param {{ user_id: string|null }} params
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getOpenBlockers({ user_id }) {
+  if (getApiBase()) {
+    const data = await apiGet('/blockers', { params: { status: OPEN_BLOCKER_STATUSES.join(',') } });
+    return Array.isArray(data) ? data : data?.items || [];
+  }
+
+  const supabase = getSupabase();
+  if (!supabase || !user_id) return [];
+  const { data, error } = await supabase
+    .from('blockers')
+    .select(BLOCKER_COLUMNS)
+    .or(`user_id.eq.${user_id},owner_id.eq.${user_id}`)
+    .in('status', OPEN_BLOCKER_STATUSES)
+    .order('opened_week', { ascending: true });
+  if (error) {
+    throw new Error(error.message || 'Failed to load open blockers.');
+  }
+  return data || [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * syncReportBlockers - Applies a submitted report to the blocker records.
+ * - decisions: for each open blocker, { action: 'carry'|'escalate'|'resolve', notes? }; blockers without a
+ *   decision are carried forward.
+ * - newBlockers: titles of blockers first reported in this report (opened with opened_week = week_start).
+ * - If REACT_APP_API_BASE is present, uses POST /reports/:id/blockers with the same payload (also safe to repeat).
+ * - Otherwise calls the sync_report_blockers RPC, which applies all changes in one transaction. Until the RPC is
+ *   installed, changes are sent one by one; a failure partway throws with code 'BLOCKERS_PARTIAL' and the call can
+ *   be repeated safely.
+ *
+ * @param {{ report: { id: string, week_start: string }, user_id: string|null, openBlockers?: Array<Object>,
+ *   decisions?: Object<string, { action: string, notes?: string }>, newBlockers?: string[] }} params
+ * @returns {Promise<{ carried: number, escalated: number, resolved: number, opened: number }>}
+ */
+export async function syncReportBlockers({ report, user_id, openBlockers = [], decisions = {}, newBlockers = [] }) {
+  const week = String(report?.week_start || '').slice(0, 10);
+  if (!report?.id || !week) throw new Error('A saved report is required to update blockers.');
+
+  const titles = newBlockers.map((t) => String(t || '').trim()).filter(Boolean);
+  const updates = openBlockers.map((b) => {
+    const d = decisions[b.id] || {};
+    return { id: b.id, action: BLOCKER_ACTIONS.includes(d.action) ? d.action : 'carry', notes: d.notes || '' };
+  });
+  const result = {
+    carried: updates.filter((u) => u.action === 'carry').length,
+    escalated: updates.filter((u) => u.action === 'escalate').length,
+    resolved: updates.filter((u) => u.action === 'resolve').length,
+    opened: titles.length,
+  };
+
+  if (getApiBase()) {
+    // The backend applies the payload with sync_report_blockers too and answers with what it changed
+    return syncCounts(await apiPost(`/reports/${encodeURIComponent(report.id)}/blockers`, { updates, newBlockers: titles }));
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+
+  // One transaction (supabase_schema.sql, sync_report_blockers): either every change is applied or none
+  const { data, error } = await supabase.rpc('sync_report_blockers', {
+    p_report_id: report.id,
+    p_updates: updates,
+    p_new_blockers: titles,
+  });
+  if (!error) return syncCounts(data);
+  if (!isMissingFunction(error)) {
+    throw new Error(error.message || 'Failed to update blockers.');
+  }
+  return syncReportBlockersByRow(supabase, { report, week, user_id, updates, titles, result });
+}
+
+// Counts returned by sync_report_blockers (directly or through the backend); a repeated call counts 0
+function syncCounts(data) {
+  return {
+    carried: Number(data?.carried) || 0,
+    escalated: Number(data?.escalated) || 0,
+    resolved: Number(data?.resolved) || 0,
+    opened: Number(data?.opened) || 0,
+  };
+}
+
+// RPC not installed yet (supabase_schema.sql not applied)
+function isMissingFunction(error) {
+  return error?.code === 'PGRST202' || error?.code === '42883' || /function .*sync_report_blockers/i.test(error?.message || '');
+}
+
+// Fallback without the RPC: one request per change. Safe to retry like the RPC (resolved blockers are skipped and
+// titles already opened from the report are not opened again); a failure partway says how much was saved.
+async function syncReportBlockersByRow(supabase, { report, week, user_id, updates, titles, result }) {
+  const total = updates.length + titles.length;
+  let saved = 0;
+  const fail = (error, fallback) => {
+    const err = new Error(
+      `${error?.message || fallback} ${saved} of ${total} blocker change(s) were saved; submitting the blockers again is safe.`
+    );
+    err.code = 'BLOCKERS_PARTIAL';
+    err.saved = saved;
+    return err;
+  };
+
+  const now = new Date().toISOString();
+  for (const u of updates) {
+    const patch = { last_reported_week: week, updated_at: now };
+    if (u.action === 'escalate') {
+      patch.status = 'escalated';
+      patch.escalated_at = now;
+    } else if (u.action === 'resolve') {
+      patch.status = 'resolved';
+      patch.resolved_week = week;
+      patch.resolved_at = now;
+      patch.resolution_notes = u.notes.trim() || null;
+    }
+    const { error } = await supabase.from('blockers').update(patch).eq('id', u.id).neq('status', 'resolved');
+    if (error) throw fail(error, 'Failed to update blocker.');
+    saved += 1;
+  }
+
+  if (titles.length > 0) {
+    const { data: existing, error: existingErr } = await supabase
+      .from('blockers')
+      .select('title')
+      .eq('source_report_id', report.id);
+    if (existingErr) throw fail(existingErr, 'Failed to record new blockers.');
+    const opened = new Set((existing || []).map((b) => b.title));
+    const fresh = titles.filter((title) => !opened.has(title));
+    if (fresh.length > 0) {
+      const { error } = await supabase.from('blockers').insert(
+        fresh.map((title) => ({
+          title,
+          status: 'open',
+          opened_week: week,
+          last_reported_week: week,
+          source_report_id: report.id,
+          ...(user_id ? { user_id, owner_id: user_id } : {}),
+        }))
+      );
+      if (error) throw fail(error, 'Failed to record new blockers.');
+    }
+  }
+
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getBlockerSummary - Counts unresolved blockers for a team (or the caller's own when no team is given).
+ * - If REACT_APP_API_BASE is present, uses GET /manager/blockers/summary?team.
+ * - Otherwise counts public.blockers rows visible under RLS, limited to blockers reported by the team's members
+ *   (public.team_members). When the members cannot be determined the summary is `available: false`, since counting
+ *   every visible blocker would mislabel the caller's (or other teams') blockers as the team's.
+ *
+ * @param {{ team?: string }} [opts]
+ * @returns {Promise<{ open: number, escalated: number, available: boolean }>}
+ */
+export async function getBlockerSummary({ team } = {}) {
+  if (getApiBase()) {
+    const data = await apiGet('/manager/blockers/summary', { params: { team: team || undefined } });
+    return { open: Number(data?.open) || 0, escalated: Number(data?.escalated) || 0, available: true };
+  }
+
+  const unavailable = { open: 0, escalated: 0, available: false };
+  const supabase = getSupabase();
+  if (!supabase) return unavailable;
+
+  let query = supabase.from('blockers').select('status').in('status', OPEN_BLOCKER_STATUSES);
+  if (team) {
+    const { data: members, error: membersErr } = await supabase.from('team_members').select('user_id').eq('team_id', team);
+    if (membersErr) {
+      if (membersErr.code === '42P01' || membersErr.code === 'PGRST205') return unavailable;
+      throw new Error(membersErr.message || 'Failed to load team members.');
+    }
+    const memberIds = (members || []).map((m) => m.user_id).filter(Boolean);
+    if (memberIds.length === 0) return unavailable;
+    query = query.in('user_id', memberIds);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Failed to load blocker summary.');
+  }
+  const rows = data || [];
+  return {
+    open: rows.filter((r) => r.status === 'open').length,
+    escalated: rows.filter((r) => r.status === 'escalated').length,
+    available: true,
+  };
+}
@@ -0,0 +1,127 @@
+import { createFakeSupabase } from '../testUtils/fakeSupabase';
+import { getBlockerSummary, syncReportBlockers } from './blockersService';
+
+let mockSupabase = null;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+
+let mockApiBase = '';
+const mockApiPost = jest.fn();
+jest.mock('./apiClient', () => ({
+  getApiBase: () => mockApiBase,
+  apiGet: jest.fn(),
+  apiPost: (...args) => mockApiPost(...args),
+}));
+
+const blocker = (id, user_id, status = 'open') => ({ id, user_id, owner_id: user_id, title: id, status, opened_week: '2025-03-03' });
+
+beforeEach(() => {
+  // A lead of both teams can read every blocker below
+  mockSupabase = createFakeSupabase({
+    tables: {
+      team_members: [
+        { team_id: 'platform', user_id: 'e1', role: 'member' },
+        { team_id: 'platform', user_id: 'e2', role: 'member' },
+        { team_id: 'mobile', user_id: 'e3', role: 'member' },
+      ],
+      blockers: [
+        blocker('b1', 'e1'),
+        blocker('b2', 'e2', 'escalated'),
+        blocker('b3', 'e2', 'resolved'),
+        blocker('b4', 'e3'),
+        blocker('b5', 'lead'),
+      ],
+    },
+  });
+});
+
+describe('getBlockerSummary', () => {
+  test("counts only the team members' unresolved blockers", async () => {
+    await expect(getBlockerSummary({ team: 'platform' })).resolves.toEqual({ open: 1, escalated: 1, available: true });
+  });
+
+  test('counts every visible blocker without a team', async () => {
+    await expect(getBlockerSummary()).resolves.toEqual({ open: 3, escalated: 1, available: true });
+  });
+
+  test('is unavailable when the team members cannot be determined', async () => {
+    await expect(getBlockerSummary({ team: 'unknown' })).resolves.toEqual({ open: 0, escalated: 0, available: false });
+    delete mockSupabase.tables.team_members;
+    await expect(getBlockerSummary({ team: 'platform' })).resolves.toEqual({ open: 0, escalated: 0, available: false });
+  });
+});
+
+describe('syncReportBlockers', () => {
+  const report = { id: 'r1', week_start: '2025-03-10' };
+  const params = {
+    report,
+    user_id: 'e1',
+    openBlockers: [{ id: 'b1' }],
+    decisions: { b1: { action: 'resolve', notes: ' Fixed upstream ' } },
+    newBlockers: ['Waiting on design', ' '],
+  };
+
+  test('applies every change in one RPC call', async () => {
+    const rpc = jest.fn(() => ({ carried: 0, escalated: 0, resolved: 1, opened: 1 }));
+    mockSupabase = createFakeSupabase({ tables: { blockers: [] }, functions: { sync_report_blockers: rpc } });
+    await expect(syncReportBlockers(params)).resolves.toEqual({ carried: 0, escalated: 0, resolved: 1, opened: 1 });
+    expect(rpc).toHaveBeenCalledWith(
+      {
+        p_report_id: 'r1',
+        p_updates: [{ id: 'b1', action: 'resolve', notes: ' Fixed upstream ' }],
+        p_new_blockers: ['Waiting on design'],
+      },
+      expect.anything()
+    );
+    expect(mockSupabase.calls).toEqual([{ table: null, operation: 'rpc', name: 'sync_report_blockers' }]);
+  });
+
+  test('with an API base, returns what the backend changed (nothing on a repeat)', async () => {
+    mockApiBase = 'http://api.test';
+    mockApiPost
+      .mockResolvedValueOnce({ carried: 0, escalated: 0, resolved: 1, opened: 1 })
+      .mockResolvedValueOnce({ carried: 0, escalated: 0, resolved: 0, opened: 0 });
+    try {
+      await expect(syncReportBlockers(params)).resolves.toEqual({ carried: 0, escalated: 0, resolved: 1, opened: 1 });
+      await expect(syncReportBlockers(params)).resolves.toEqual({ carried: 0, escalated: 0, resolved: 0, opened: 0 });
+      expect(mockApiPost).toHaveBeenLastCalledWith('/reports/r1/blockers', {
+        updates: [{ id: 'b1', action: 'resolve', notes: ' Fixed upstream ' }],
+        newBlockers: ['Waiting on design'],
+      });
+    } finally {
+      mockApiBase = '';
+    }
+  });
+
+  test('surfaces RPC errors without applying changes row by row', async () => {
+    mockSupabase = createFakeSupabase({
+      tables: { blockers: [blocker('b1', 'e1')] },
+      functions: {
+        sync_report_blockers: () => {
+          throw new Error('Blocker b1 not found.');
+        },
+      },
+    });
+    await expect(syncReportBlockers(params)).rejects.toThrow('Blocker b1 not found.');
+    expect(mockSupabase.tables.blockers[0].status).toBe('open');
+  });
+
+  test('without the RPC, reports a partial failure and can be retried without duplicates', async () => {
+    // Updates of b2 are rejected, so the second update fails after the first one was saved
+    mockSupabase.setRls('blockers', 'update', (row) => row.id !== 'b2' || !row.updated_at);
+    const withTwo = { ...params, openBlockers: [{ id: 'b1' }, { id: 'b2' }] };
+    const err = await syncReportBlockers(withTwo).catch((e) => e);
+    expect(err).toMatchObject({ code: 'BLOCKERS_PARTIAL', saved: 1 });
+    expect(err.message).toMatch(/1 of 3 blocker change\(s\) were saved/);
+
+    mockSupabase.setRls('blockers', 'update', undefined);
+    await syncReportBlockers(withTwo);
+    await syncReportBlockers(withTwo);
+    const rows = mockSupabase.tables.blockers;
+    expect(rows.find((b) => b.id === 'b1')).toMatchObject({ status: 'resolved', resolution_notes: 'Fixed upstream' });
+    expect(rows.find((b) => b.id === 'b2')).toMatchObject({ status: 'escalated', last_reported_week: '2025-03-10' });
+    expect(rows.filter((b) => b.title === 'Waiting on design')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,163 @@
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, getApiBase } from './apiClient';
+import { getReportingWindows } from './reportingWindowsService';
+import { addWeeks, weeksBetween } from '../utils/weeks';
+import { DEFAULT_SCHEDULE, deadlineStatus, scheduleForWeek } from '../utils/reportingSchedule';
+
+//
+// Submission compliance: team members × weeks, each cell on_time / late / missing / pending.
+// "pending" means no report yet but the week's deadline (including its grace period) has not passed.
+// Deadlines come from the reporting windows covering each week (utils/reportingSchedule.js).
+//
+
+// PUBLIC_INTERFACE
+/** COMPLIANCE_STATUSES - Cell statuses, in legend order. */
+export const COMPLIANCE_STATUSES = ['on_time', 'late', 'missing', 'pending'];
+
+// PUBLIC_INTERFACE
+/**
+ * computeCompliance - Builds the compliance grid from members and their submitted reports.
+ *
+ * @param {{ members: Array<{ user_id: string, email?: string }>, weeks: string[],
+ *   reports: Array<{ id?: string, user_id: string, week_start: string, submitted_at?: string, created_at?: string }>,
+ *   now?: Date, scheduleFor?: (week: string) => Object }} input - scheduleFor returns a week's deadline schedule
+ *   (default: DEFAULT_SCHEDULE for every week)
+ * @returns {{ weeks: string[], schedules: Object<string, Object>, members: Array<{ user_id: string, email: string|null,
+ *   cells: Object<string, { status: string, report_id: string|null, submitted_at: string|null, due_at: string,
+ *   late_by_ms: number|null, due_in_ms: number|null }>, streak: number }>, summary: Object<string, number> }}
+ *   late_by_ms is set for late and overdue cells (and pending ones in their grace period), due_in_ms for pending
+ *   cells before the due time. summary counts statuses for the last week; streak is the number of consecutive weeks
+ *   with a report, counted back from the last week (a pending last week does not break the streak).
+ */
+export function computeCompliance({ members, weeks, reports, now = new Date(), scheduleFor = () => DEFAULT_SCHEDULE }) {
+  const byKey = new Map();
+  for (const r of reports || []) {
+    const key = `${r.user_id}|${String(r.week_start).slice(0, 10)}`;
+    // Earliest submission counts when legacy duplicates exist
+    const prev = byKey.get(key);
+    const at = (x) => Date.parse(x.submitted_at || x.created_at || '') || Infinity;
+    if (!prev || at(r) < at(prev)) byKey.set(key, r);
+  }
+
+  const schedules = Object.fromEntries(weeks.map((week) => [week, scheduleFor(week)]));
+  const STATUS_BY_STATE = { due: 'pending', grace: 'pending', overdue: 'missing' };
+
+  const rows = (members || []).map((m) => {
+    const cells = {};
+    for (const week of weeks) {
+      const r = byKey.get(`${m.user_id}|${week}`);
+      const submittedAt = r ? r.submitted_at || r.created_at || null : null;
+      const deadline = deadlineStatus(week, schedules[week], { submittedAt, now });
+      // A report without a usable timestamp counts as late, by an unknown amount
+      const undated = r && deadline.state !== 'on_time' && deadline.state !== 'late';
+      cells[week] = {
+        status: r ? (deadline.state === 'on_time' ? 'on_time' : 'late') : STATUS_BY_STATE[deadline.state],
+        report_id: r?.id || null,
+        submitted_at: submittedAt,
+        due_at: deadline.dueAt.toISOString(),
+        late_by_ms: undated ? null : deadline.lateByMs ?? null,
+        due_in_ms: r ? null : deadline.dueInMs ?? null,
+      };
+    }
+
+    let streak = 0;
+    for (let i = weeks.length - 1; i >= 0; i -= 1) {
+      const { status } = cells[weeks[i]];
+      if (status === 'pending' && i === weeks.length - 1) continue;
+      if (status !== 'on_time' && status !== 'late') break;
+      streak += 1;
+    }
+    return { user_id: m.user_id, email: m.email || null, cells, streak };
+  });
+
+  const last = weeks[weeks.length - 1];
+  const summary = Object.fromEntries(COMPLIANCE_STATUSES.map((s) => [s, 0]));
+  if (last) rows.forEach((row) => (summary[row.cells[last].status] += 1));
+
+  return { weeks, schedules, members: rows, summary };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getCompliance - Loads compliance for a team: the selected week plus `history - 1` earlier weeks.
+ * - If REACT_APP_API_BASE is present, uses GET /manager/compliance?team&from&to (returns { members, reports }).
+ * - Otherwise calls the team_compliance RPC; when it is not installed, reads profiles and weekly_reports directly
+ *   (RLS may limit this to the caller's own rows).
+ * - Deadlines follow the reporting windows that apply to the team. If the windows cannot be loaded, every week uses
+ *   the default deadline and windowsError says why.
+ *
+ * @param {{ team: string, week: string, history?: number }} params - week is a week start (YYYY-MM-DD)
+ * @returns {Promise<ReturnType<typeof computeCompliance> & { source: 'api'|'rpc'|'client', windowsError: string|null }>}
+ */
+export async function getCompliance({ team, week, history = 8 }) {
+  if (!week) throw new Error('A week is required.');
+  const to = week;
+  const from = addWeeks(week, -(Math.max(1, history) - 1));
+  const weeks = weeksBetween(from, to);
+
+  let windows = [];
+  let windowsError = null;
+  try {
+    windows = await getReportingWindows();
+  } catch (e) {
+    windowsError = e?.message || 'Failed to load reporting windows.';
+  }
+  const scheduleFor = (w) => scheduleForWeek(windows, { weekStart: w, teamId: team || null });
+  const compute = (members, reports, source) => ({
+    ...computeCompliance({ members, weeks, reports, scheduleFor }),
+    source,
+    windowsError,
+  });
+
+  if (getApiBase()) {
+    const data = await apiGet('/manager/compliance', { params: { team: team || undefined, from, to } });
+    return compute(data?.members || [], data?.reports || [], 'api');
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+
+  const { data: rows, error } = await supabase.rpc('team_compliance', { p_team_id: team, week_from: from, week_to: to });
+  if (!error) {
+    const members = new Map();
+    const reports = [];
+    for (const r of rows || []) {
+      if (!members.has(r.user_id)) members.set(r.user_id, { user_id: r.user_id, email: r.email });
+      if (r.report_id) {
+        reports.push({ id: r.report_id, user_id: r.user_id, week_start: r.week_start, submitted_at: r.submitted_at });
+      }
+    }
+    return compute([...members.values()], reports, 'rpc');
+  }
+
+  const missingRpc = error.code === 'PGRST202' || error.code === '42883' || /function .*team_compliance/i.test(error.message || '');
+  if (!missingRpc) {
+    throw new Error(error.message || 'Failed to load compliance.');
+  }
+
+  const { data: profiles, error: profilesErr } = await supabase
+    .from('profiles')
+    .select('user_id, email')
+    .eq('team_id', team);
+  if (profilesErr) {
+    throw new Error(profilesErr.message || 'Failed to load team members.');
+  }
+  const members = profiles || [];
+  if (members.length === 0) {
+    return compute(members, [], 'client');
+  }
+
+  const { data: reports, error: reportsErr } = await supabase
+    .from('weekly_reports')
+    .select('id, user_id, week_start, submitted_at, created_at')
+    .eq('status', 'submitted')
+    .in('user_id', members.map((m) => m.user_id))
+    .gte('week_start', from)
+    .lte('week_start', to);
+  if (reportsErr) {
+    throw new Error(reportsErr.message || 'Failed to load reports.');
+  }
+  return compute(members, reports || [], 'client');
+}
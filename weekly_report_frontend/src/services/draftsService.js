@@ -0,0 +1,242 @@
+//
+// Drafts service for weekly reports.
+// Drafts live in public.weekly_reports with status = 'draft' (one per user and week_start).
+// Every save is also mirrored to localStorage so work survives refreshes and Supabase outages.
+//
+import { getSupabase } from '../lib/supabaseClient';
+import { createWeeklyReport, normalizeTags } from './reportsService';
+
+const LS_DRAFT_PREFIX = 'wr.draft';
+
+// PUBLIC_INTERFACE
+/**
+ * draftStorageKey - Returns the localStorage key used for a user's draft of a given week.
+ * @param {string|null} userId
+ * @param {string} weekStart - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+export function draftStorageKey(userId, weekStart) {
+  return `${LS_DRAFT_PREFIX}.${userId || 'anon'}.${weekStart}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * hasDraftContent - True if any of the draft's text fields (or item rows) contains non-whitespace content.
+ * @param {{ progress?: string, blockers?: string, plans?: string, tags?: string|string[], items?: Array<Object> }|null} draft
+ * @returns {boolean}
+ */
+export function hasDraftContent(draft) {
+  if (!draft) return false;
+  const tags = Array.isArray(draft.tags) ? draft.tags.join(',') : draft.tags;
+  const itemTexts = Array.isArray(draft.items) ? draft.items.map((it) => it?.text) : [];
+  return [draft.progress, draft.blockers, draft.plans, tags, ...itemTexts].some((v) => String(v || '').trim());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getDraft - Loads the draft for a user and week.
+ * Prefers the Supabase row; falls back to localStorage when Supabase is unavailable or holds no draft.
+ * When both exist, the most recently updated copy wins.
+ *
+ * @param {{ user_id: string|null, week_start: string }} params
+ * @returns {Promise<{ id: string|null, progress: string, blockers: string, plans: string, tags: string, plan_review: Object|null, updated_at: string|null, source: 'remote'|'local' }|null>}
+ */
+export async function getDraft({ user_id, week_start }) {
+  if (!week_start) return null;
+
+  const local = readLocalDraft(user_id, week_start);
+  let remote = null;
+
+  const supabase = getSupabase();
+  if (supabase && user_id) {
+    try {
+      const { data, error } = await supabase
+        .from('weekly_reports')
+        .select('id, progress, blockers, plans, tags, plan_review, updated_at, created_at')
+        .eq('user_id', user_id)
+        .eq('week_start', week_start)
+        .eq('status', 'draft')
+        .maybeSingle();
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.debug('[draftsService] remote draft lookup failed; using local copy.', error.message);
+      } else if (data) {
+        remote = {
+          id: data.id,
+          progress: data.progress || '',
+          blockers: data.blockers || '',
+          plans: data.plans || '',
+          tags: Array.isArray(data.tags) ? data.tags.join(', ') : '',
+          plan_review: data.plan_review || null,
+          updated_at: data.updated_at || data.created_at || null,
+          source: 'remote',
+        };
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.debug('[draftsService] remote draft lookup errored; using local copy.', e?.message || e);
+    }
+  }
+
+  if (remote && local) {
+    const remoteTs = Date.parse(remote.updated_at || '') || 0;
+    const localTs = Date.parse(local.updated_at || '') || 0;
+    return localTs > remoteTs ? { ...local, id: remote.id } : { ...remote, items: local.items || [] };
+  }
+  return remote || local || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * saveDraft - Persists a draft. Always writes localStorage; also upserts the Supabase draft row when possible.
+ * Remote failures are not thrown: the result reports source 'local' so the UI can indicate local-only saves.
+ * Structured items (editor rows) are kept in the local copy only; they are written to report_items on submit.
+ *
+ * @param {{ id?: string|null, user_id: string|null, team_id?: string|null, week_start: string, progress?: string, blockers?: string, plans?: string, tags?: string, plan_review?: Object|null, items?: Array<Object> }} draft
+ * @returns {Promise<{ id: string|null, savedAt: string, source: 'remote'|'local', message?: string }>}
+ */
+export async function saveDraft({ id, user_id, team_id, week_start, progress, blockers, plans, tags, plan_review, items }) {
+  if (!week_start) throw new Error('Week start date is required.');
+
+  const savedAt = new Date().toISOString();
+  writeLocalDraft(user_id, week_start, {
+    id: id || null,
+    progress: progress || '',
+    blockers: blockers || '',
+    plans: plans || '',
+    tags: tags || '',
+    plan_review: plan_review || null,
+    items: Array.isArray(items) ? items : [],
+    updated_at: savedAt,
+  });
+
+  const supabase = getSupabase();
+  if (!supabase || !user_id) {
+    return { id: id || null, savedAt, source: 'local', message: 'Draft saved in this browser only.' };
+  }
+
+  const payload = {
+    progress: progress || '',
+    blockers: blockers || null,
+    plans: plans || '',
+    tags: normalizeTags(tags),
+    plan_review: plan_review || null,
+    ...(team_id ? { team_id } : {}),
+    updated_at: savedAt,
+  };
+
+  try {
+    const query = id
+      ? supabase.from('weekly_reports').update(payload).eq('id', id).eq('status', 'draft')
+      : supabase
+          .from('weekly_reports')
+          .insert([{ ...payload, user_id, week_start, status: 'draft' }]);
+    const { data, error } = await query.select('id').single();
+    if (error) {
+      return { id: id || null, savedAt, source: 'local', message: error.message };
+    }
+    writeLocalDraft(user_id, week_start, { ...readLocalDraft(user_id, week_start), id: data.id });
+    return { id: data.id, savedAt, source: 'remote' };
+  } catch (e) {
+    return { id: id || null, savedAt, source: 'local', message: e?.message || String(e) };
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * discardDraft - Removes the local copy and deletes the Supabase draft row when one exists.
+ * @param {{ id?: string|null, user_id: string|null, week_start: string }} params
+ * @returns {Promise<void>}
+ */
+export async function discardDraft({ id, user_id, week_start }) {
+  clearLocalDraft(user_id, week_start);
+  const supabase = getSupabase();
+  if (!supabase || !id) return;
+  try {
+    await supabase.from('weekly_reports').delete().eq('id', id).eq('status', 'draft');
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.debug('[draftsService] remote draft delete failed.', e?.message || e);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * submitDraft - Promotes a draft to a final report.
+ * If a Supabase draft row exists it is updated in place to status 'submitted'; otherwise a new report is inserted
+ * via createWeeklyReport. The local copy is cleared on success.
+ *
+ * @param {{ id?: string|null, user_id: string|null, team_id?: string|null, week_start: string, progress: string, blockers?: string, plans: string, tags?: string|string[], plan_review?: Object|null }} report
+ * @returns {Promise<Object>} The submitted row
+ */
+export async function submitDraft({ id, user_id, team_id, week_start, progress, blockers, plans, tags, plan_review }) {
+  if (!progress || !plans) {
+    throw new Error('Progress and Plans are required.');
+  }
+
+  const supabase = getSupabase();
+  let submitted = null;
+
+  if (supabase && id) {
+    const { data, error } = await supabase
+      .from('weekly_reports')
+      .update({
+        progress,
+        blockers: blockers || null,
+        plans,
+        tags: normalizeTags(tags),
+        plan_review: plan_review || null,
+        ...(team_id ? { team_id } : {}),
+        status: 'submitted',
+        submitted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle();
+    if (error) {
+      throw new Error(error.message || 'Failed to submit report.');
+    }
+    submitted = data;
+  }
+
+  // No remote draft (or it was already promoted elsewhere): insert a fresh report
+  if (!submitted) {
+    submitted = await createWeeklyReport({ progress, blockers, plans, week_start, tags, plan_review, team_id, user_id });
+  }
+
+  clearLocalDraft(user_id, week_start);
+  return submitted;
+}
+
+// Local storage helpers
+function readLocalDraft(userId, weekStart) {
+  try {
+    const raw = localStorage.getItem(draftStorageKey(userId, weekStart));
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') return { ...parsed, source: 'local' };
+  } catch {
+    // ignore parse errors
+  }
+  return null;
+}
+
+function writeLocalDraft(userId, weekStart, draft) {
+  try {
+    const copy = { ...(draft || {}) };
+    delete copy.source;
+    localStorage.setItem(draftStorageKey(userId, weekStart), JSON.stringify(copy));
+  } catch {
+    // ignore quota errors
+  }
+}
+
+function clearLocalDraft(userId, weekStart) {
+  try {
+    localStorage.removeItem(draftStorageKey(userId, weekStart));
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,571 @@
+import { buildMockData, MOCK_USERS } from './mockFixtures';
+import { normalizeReportItems } from './reportItemsService';
+import { isReportOnTime, weeksBetween } from '../utils/weeks';
+import { RECURRENCES, isValidTimeZone, scheduleForWeek } from '../utils/reportingSchedule';
+import { WINDOW_STATUSES, canTransition, findOverlap } from '../utils/reportingWindows';
+
+//
+// In-browser mock of the backend REST contract (see weekly_report_backend/README.md), used by apiClient when
+// REACT_APP_MOCK_API=true. Serves seeded fixtures (services/mockFixtures.js) from memory, so manager/admin flows can
+// be demoed and tested without Supabase or a backend. Writes change the in-memory data until the page reloads.
+//
+// Server-side rules are mirrored: role checks (403), team scoping (managers only see teams they lead), validation
+// (400) and not-found (404), with the same { error, code } error bodies.
+//
+
+const MOCK_USER_KEY = 'wr_mock_user';
+const MANAGER_ROLES = ['manager', 'admin'];
+const APP_ROLES = ['employee', 'manager', 'admin'];
+const BLOCKER_ACTIONS = { carry: 'carried', escalate: 'escalated', resolve: 'resolved' };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// PUBLIC_INTERFACE
+/** isMockApi - True when REACT_APP_MOCK_API=true: API calls are answered in the browser from fixture data. */
+export function isMockApi() {
+  return String(process.env.REACT_APP_MOCK_API || '').trim().toLowerCase() === 'true';
+}
+
+// PUBLIC_INTERFACE
+/** MOCK_API_BASE - Pseudo base URL reported by getApiBase() in mock mode. */
+export const MOCK_API_BASE = 'mock://api';
+
+// PUBLIC_INTERFACE
+/** listMockUsers - The fixture users that can be signed in as ({ id, email, role }). */
+export function listMockUsers() {
+  return MOCK_USERS.map(({ id, email, role }) => ({ id, email, role }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getMockUser - The signed-in mock user, shaped like a Supabase user (app_metadata.role).
+ * Chosen with setMockUser (stored in localStorage), else REACT_APP_MOCK_USER (an email), else the Platform manager.
+ */
+export function getMockUser() {
+  let email = null;
+  try {
+    email = localStorage.getItem(MOCK_USER_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  const wanted = (email || process.env.REACT_APP_MOCK_USER || '').trim().toLowerCase();
+  const u = MOCK_USERS.find((m) => m.email === wanted) || MOCK_USERS.find((m) => m.role === 'manager');
+  return { id: u.id, email: u.email, app_metadata: { role: u.role }, user_metadata: {} };
+}
+
+// PUBLIC_INTERFACE
+/** setMockUser - Switches the mock session to another fixture user (by email); takes effect on reload. */
+export function setMockUser(email) {
+  try {
+    localStorage.setItem(MOCK_USER_KEY, email);
+  } catch {
+    // ignore storage errors
+  }
+}
+
+let data = null;
+const db = () => {
+  if (!data) data = buildMockData();
+  return data;
+};
+
+// PUBLIC_INTERFACE
+/** resetMockData - Regenerates the fixtures, dropping changes made through the mock API. */
+export function resetMockData() {
+  data = null;
+}
+
+// Errors carry the HTTP status and code the real backend would return
+class MockHttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+const badRequest = (m) => new MockHttpError(400, m, 'BAD_REQUEST');
+const forbidden = (m) => new MockHttpError(403, m, 'FORBIDDEN');
+const notFound = (m) => new MockHttpError(404, m, 'NOT_FOUND');
+const conflict = (m) => new MockHttpError(409, m, 'CONFLICT');
+
+const optionalDate = (v, name) => {
+  if (v === undefined || v === null || v === '') return null;
+  if (!DATE_RE.test(String(v))) throw badRequest(`${name} must be a date (YYYY-MM-DD).`);
+  return String(v);
+};
+const requiredString = (v, name) => {
+  const s = String(v ?? '').trim();
+  if (!s) throw badRequest(`${name} is required.`);
+  return s;
+};
+const limitParam = (v, fallback, max) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+};
+
+let idCounter = 0;
+const newId = () => {
+  idCounter += 1;
+  return `f0000000-0000-4000-8000-${String(Date.now() % 1e6).padStart(6, '0')}${String(idCounter).padStart(6, '0')}`;
+};
+
+const emailOf = (userId) => db().users.find((u) => u.id === userId)?.email || null;
+
+function canManageTeam(caller, team) {
+  if (caller.role === 'admin') return true;
+  return caller.role === 'manager' && db().members.some((m) => m.team_id === team && m.user_id === caller.id && m.role === 'lead');
+}
+
+function assertCanManageTeam(caller, team) {
+  if (team && !canManageTeam(caller, team)) throw forbidden('You do not manage this team.');
+}
+
+const teamMemberIds = (team) => new Set(db().members.filter((m) => m.team_id === team).map((m) => m.user_id));
+
+// Submitted reports filed under the team, or by its members when the report has no team (as in the backend)
+function teamReports({ team, from, to }) {
+  const memberIds = team ? teamMemberIds(team) : null;
+  return db()
+    .reports.filter((r) => r.status === 'submitted')
+    .filter((r) => !team || r.team_id === team || (!r.team_id && memberIds.has(r.user_id)))
+    .filter((r) => (!from || r.week_start >= from) && (!to || r.week_start <= to))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// Reports the caller may read: their own, plus submitted reports of teams they manage
+function canReadReport(caller, r) {
+  if (r.user_id === caller.id || caller.role === 'admin') return true;
+  if (r.status === 'draft') return false;
+  const teams = r.team_id ? [r.team_id] : db().members.filter((m) => m.user_id === r.user_id).map((m) => m.team_id);
+  return teams.some((t) => canManageTeam(caller, t));
+}
+
+function findOwnReport(caller, id) {
+  const report = db().reports.find((r) => r.id === id);
+  if (!report) throw notFound('Report not found.');
+  if (report.user_id !== caller.id) throw forbidden('Only the author can change this report.');
+  return report;
+}
+
+// Marks the first match of q in text with [[ ]], with some context around it
+function snippet(text, q) {
+  const source = String(text || '');
+  const i = source.toLowerCase().indexOf(q.toLowerCase());
+  if (i < 0) return null;
+  const start = Math.max(0, i - 40);
+  const end = Math.min(source.length, i + q.length + 40);
+  return `${start > 0 ? '…' : ''}${source.slice(start, i)}[[${source.slice(i, i + q.length)}]]${source.slice(i + q.length, end)}${end < source.length ? '…' : ''}`;
+}
+
+const ROUTES = [];
+const route = (method, path, handler, roles = null) => {
+  ROUTES.push({ method, segments: path.split('/').filter(Boolean), handler, roles });
+};
+
+route('GET', '/health', () => ({ status: 'ok' }));
+
+route('GET', '/reports/search', ({ caller, query }) => {
+  const q = String(query.q || '').trim();
+  if (!q) return { items: [] };
+  const from = optionalDate(query.from, 'from');
+  const to = optionalDate(query.to, 'to');
+  const team = query.team || null;
+  const memberIds = team ? teamMemberIds(team) : null;
+  const items = db()
+    .reports.filter((r) => r.status === 'submitted' && canReadReport(caller, r))
+    .filter((r) => (!from || r.week_start >= from) && (!to || r.week_start <= to))
+    .filter((r) => !memberIds || memberIds.has(r.user_id))
+    .map((r) => ({
+      id: r.id,
+      user_id: r.user_id,
+      week_start: r.week_start,
+      created_at: r.created_at,
+      tags: r.tags,
+      progress_snippet: snippet(r.progress, q),
+      blockers_snippet: snippet(r.blockers, q),
+      plans_snippet: snippet(r.plans, q),
+    }))
+    .filter((h) => h.progress_snippet || h.blockers_snippet || h.plans_snippet)
+    .map((h) => ({ ...h, rank: [h.progress_snippet, h.blockers_snippet, h.plans_snippet].filter(Boolean).length / 3 }))
+    .sort((a, b) => b.rank - a.rank || String(b.week_start).localeCompare(String(a.week_start)))
+    .slice(0, limitParam(query.limit, 50, 200));
+  return { items };
+});
+
+route('GET', '/reports/:id', ({ caller, params }) => {
+  const report = db().reports.find((r) => r.id === params.id);
+  if (!report || !canReadReport(caller, report)) throw notFound('Report not found.');
+  const siblings = db()
+    .reports.filter((r) => r.user_id === report.user_id && r.status === 'submitted')
+    .sort((a, b) => a.week_start.localeCompare(b.week_start));
+  const previous = [...siblings].reverse().find((r) => r.week_start < report.week_start);
+  const next = siblings.find((r) => r.week_start > report.week_start);
+  return {
+    report,
+    previous: previous ? { id: previous.id, week_start: previous.week_start } : null,
+    next: next ? { id: next.id, week_start: next.week_start } : null,
+    author: report.user_id ? { id: report.user_id, email: emailOf(report.user_id) } : null,
+  };
+});
+
+route('GET', '/reports/:id/items', ({ caller, params }) => {
+  const report = db().reports.find((r) => r.id === params.id);
+  if (!report || !canReadReport(caller, report)) return { items: [] };
+  return { items: db().items.filter((it) => it.report_id === params.id).sort((a, b) => a.position - b.position) };
+});
+
+route('GET', '/reports/:id/revisions', ({ caller, params }) => {
+  const report = findOwnReport(caller, params.id);
+  return { items: db().revisions.filter((v) => v.report_id === report.id).sort((a, b) => b.revision - a.revision) };
+});
+
+route('POST', '/reports/:id/items', ({ caller, params, body }) => {
+  if (!Array.isArray(body?.items)) throw badRequest('items must be an array.');
+  const report = findOwnReport(caller, params.id);
+  const saved = normalizeReportItems(body.items).map((row) => ({ id: newId(), report_id: report.id, user_id: caller.id, ...row }));
+  const d = db();
+  d.items = [...d.items.filter((it) => it.report_id !== report.id), ...saved];
+  return { items: saved };
+});
+
+route('POST', '/reports/:id/blockers', ({ caller, params, body }) => {
+  const report = findOwnReport(caller, params.id);
+  const updates = Array.isArray(body?.updates) ? body.updates : [];
+  const titles = (Array.isArray(body?.newBlockers) ? body.newBlockers : []).map((t) => String(t || '').trim()).filter(Boolean);
+  const result = { carried: 0, escalated: 0, resolved: 0, opened: 0 };
+  const now = new Date().toISOString();
+  // Like public.sync_report_blockers: resolved blockers and titles already opened from the report are skipped
+  for (const u of updates) {
+    const action = u?.action || 'carry';
+    if (!BLOCKER_ACTIONS[action]) throw badRequest(`updates[].action must be one of ${Object.keys(BLOCKER_ACTIONS).join(', ')}.`);
+    const b = db().blockers.find((x) => x.id === u.id);
+    if (!b) throw notFound(`Blocker ${u.id} not found.`);
+    if (b.status === 'resolved') continue;
+    b.last_reported_week = report.week_start;
+    b.updated_at = now;
+    if (action === 'escalate') Object.assign(b, { status: 'escalated', escalated_at: now });
+    if (action === 'resolve') {
+      Object.assign(b, { status: 'resolved', resolved_week: report.week_start, resolved_at: now, resolution_notes: u.notes || null });
+    }
+    result[BLOCKER_ACTIONS[action]] += 1;
+  }
+  for (const title of titles) {
+    if (db().blockers.some((b) => b.source_report_id === report.id && b.title === title)) continue;
+    db().blockers.push({
+      id: newId(),
+      user_id: caller.id,
+      owner_id: caller.id,
+      title,
+      status: 'open',
+      opened_week: report.week_start,
+      last_reported_week: report.week_start,
+      source_report_id: report.id,
+      escalated_at: null,
+      resolved_week: null,
+      resolved_at: null,
+      resolution_notes: null,
+      created_at: now,
+      updated_at: now,
+    });
+    result.opened += 1;
+  }
+  return result;
+});
+
+route('GET', '/blockers', ({ caller, query }) => {
+  const statuses = String(query.status || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const items = db()
+    .blockers.filter((b) => b.user_id === caller.id || b.owner_id === caller.id)
+    .filter((b) => statuses.length === 0 || statuses.includes(b.status))
+    .sort((a, b) => a.opened_week.localeCompare(b.opened_week));
+  return { items };
+});
+
+route('GET', '/teams', () => ({
+  items: [...db().teams].sort((a, b) => a.name.localeCompare(b.name)).map(({ id, name }) => ({ id, name })),
+}));
+
+route('POST', '/teams', ({ caller, body }) => {
+  const name = requiredString(body?.name, 'name');
+  const team = { id: newId(), name, created_by: caller.id, created_at: new Date().toISOString() };
+  db().teams.push(team);
+  db().members.push({ team_id: team.id, user_id: caller.id, role: 'lead' });
+  return { id: team.id, name: team.name };
+});
+
+route('GET', '/users/me/teams', ({ caller }) => ({
+  items: db()
+    .members.filter((m) => m.user_id === caller.id)
+    .map((m) => ({ id: m.team_id, name: db().teams.find((t) => t.id === m.team_id)?.name || m.team_id, role: m.role }))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+}));
+
+route('POST', '/users/me/team', ({ caller, body }) => {
+  const teamId = requiredString(body?.team_id, 'team_id');
+  const team = db().teams.find((t) => t.id === teamId);
+  if (!team) throw notFound('Team not found.');
+  if (!db().members.some((m) => m.team_id === team.id && m.user_id === caller.id)) {
+    db().members.push({ team_id: team.id, user_id: caller.id, role: 'member' });
+  }
+  return { success: true, team: { id: team.id, name: team.name } };
+});
+
+route('GET', '/manager/reports', ({ caller, query }) => {
+  const team = query.team || null;
+  assertCanManageTeam(caller, team);
+  const range = { team, from: optionalDate(query.from, 'from'), to: optionalDate(query.to, 'to') };
+  return { items: teamReports(range).filter((r) => canReadReport(caller, r)).slice(0, limitParam(query.limit, 50, 500)) };
+}, MANAGER_ROLES);
+
+route('GET', '/manager/reports/:id/revisions', ({ caller, params }) => {
+  const report = db().reports.find((r) => r.id === params.id);
+  if (!report || !canReadReport(caller, report)) return { items: [] };
+  return { items: db().revisions.filter((v) => v.report_id === params.id).sort((a, b) => b.revision - a.revision) };
+}, MANAGER_ROLES);
+
+route('POST', '/manager/ai/summary', ({ caller, body }) => {
+  const team = body?.team || null;
+  assertCanManageTeam(caller, team);
+  const from = optionalDate(body?.from, 'from');
+  const to = optionalDate(body?.to, 'to');
+  const reports = teamReports({ team, from, to }).filter((r) => canReadReport(caller, r)).reverse();
+  const range = from || to ? ` (${from || '…'} to ${to || '…'})` : '';
+  if (!reports.length) return { summary: `No submitted reports${range}.` };
+  const people = new Set(reports.map((r) => r.user_id));
+  const weeks = new Set(reports.map((r) => r.week_start));
+  const tagCounts = {};
+  reports.forEach((r) => (r.tags || []).forEach((t) => (tagCounts[t] = (tagCounts[t] || 0) + 1)));
+  const topTags = Object.entries(tagCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, 5);
+  const blocked = reports.filter((r) => String(r.blockers || '').trim());
+  const lines = [`${reports.length} report(s) from ${people.size} people across ${weeks.size} week(s)${range}.`];
+  if (topTags.length) lines.push(`Top tags: ${topTags.map(([t, n]) => `${t} (${n})`).join(', ')}.`);
+  if (blocked.length) {
+    lines.push('', `Blockers reported in ${blocked.length} report(s):`);
+    blocked.forEach((r) => lines.push(`- ${emailOf(r.user_id) || r.user_id} (week of ${r.week_start}): ${r.blockers.split('\n')[0].replace(/^[-*]\s*/, '')}`));
+  } else {
+    lines.push('No blockers reported.');
+  }
+  return { summary: lines.join('\n') };
+}, MANAGER_ROLES);
+
+function openBlockerCounts(userIds) {
+  const rows = db().blockers.filter((b) => !userIds || userIds.has(b.user_id));
+  return { open: rows.filter((b) => b.status === 'open').length, escalated: rows.filter((b) => b.status === 'escalated').length };
+}
+
+route('GET', '/manager/metrics', ({ caller, query }) => {
+  const team = requiredString(query.team, 'team');
+  const from = optionalDate(query.from, 'from');
+  const to = optionalDate(query.to, 'to');
+  if (!from || !to) throw badRequest('from and to are required.');
+  assertCanManageTeam(caller, team);
+  const memberIds = teamMemberIds(team);
+  const reports = teamReports({ team, from, to });
+  const weeks = weeksBetween(from, to).map((week) => {
+    const inWeek = reports.filter((r) => r.week_start === week);
+    const tags = {};
+    inWeek.forEach((r) => (r.tags || []).forEach((t) => (tags[t] = (tags[t] || 0) + 1)));
+    const teamBlockers = db().blockers.filter((b) => memberIds.has(b.user_id));
+    const schedule = scheduleForWeek(db().windows, { weekStart: week, teamId: team });
+    return {
+      week_start: week,
+      members: memberIds.size,
+      submitted: new Set(inWeek.map((r) => r.user_id)).size,
+      on_time: inWeek.filter((r) => isReportOnTime(r, schedule)).length,
+      blockers_opened: teamBlockers.filter((b) => b.opened_week === week).length,
+      blockers_resolved: teamBlockers.filter((b) => b.resolved_week === week).length,
+      tags,
+    };
+  });
+  return { weeks, blockers: openBlockerCounts(memberIds) };
+}, MANAGER_ROLES);
+
+route('GET', '/manager/compliance', ({ caller, query }) => {
+  const team = requiredString(query.team, 'team');
+  const from = optionalDate(query.from, 'from');
+  const to = optionalDate(query.to, 'to');
+  if (!from || !to) throw badRequest('from and to are required.');
+  assertCanManageTeam(caller, team);
+  const memberIds = teamMemberIds(team);
+  const members = [...memberIds].map((id) => ({ user_id: id, email: emailOf(id) })).sort((a, b) => a.email.localeCompare(b.email));
+  const reports = db()
+    .reports.filter((r) => r.status === 'submitted' && memberIds.has(r.user_id) && r.week_start >= from && r.week_start <= to)
+    .map((r) => ({ id: r.id, user_id: r.user_id, week_start: r.week_start, submitted_at: r.submitted_at }));
+  return { members, reports };
+}, MANAGER_ROLES);
+
+route('GET', '/manager/report-items', ({ caller, query }) => {
+  const team = query.team || null;
+  assertCanManageTeam(caller, team);
+  const reports = teamReports({ team, from: optionalDate(query.from, 'from'), to: optionalDate(query.to, 'to') })
+    .filter((r) => canReadReport(caller, r))
+    .map((r) => ({ ...r, items: db().items.filter((it) => it.report_id === r.id).sort((a, b) => a.position - b.position) }));
+  return { reports };
+}, MANAGER_ROLES);
+
+route('GET', '/manager/blockers/summary', ({ caller, query }) => {
+  const team = query.team || null;
+  if (team) {
+    assertCanManageTeam(caller, team);
+    return openBlockerCounts(teamMemberIds(team));
+  }
+  if (caller.role === 'admin') return openBlockerCounts(null);
+  const led = db().members.filter((m) => m.user_id === caller.id && m.role === 'lead').map((m) => m.team_id);
+  const ids = new Set([caller.id, ...led.flatMap((t) => [...teamMemberIds(t)])]);
+  return openBlockerCounts(ids);
+}, MANAGER_ROLES);
+
+route('GET', '/admin/users', () => ({
+  items: db()
+    .users.map(({ id, email, role, created_at, last_sign_in_at }) => ({ id, email, role, created_at, last_sign_in_at }))
+    .sort((a, b) => a.email.localeCompare(b.email)),
+}), ['admin']);
+
+route('POST', '/admin/users/role', ({ body }) => {
+  const role = String(body?.role || '').toLowerCase();
+  if (!APP_ROLES.includes(role)) throw badRequest(`role must be one of ${APP_ROLES.join(', ')}.`);
+  if (!body?.user_id && !body?.email) throw badRequest('user_id or email is required.');
+  const user = db().users.find((u) => u.id === body.user_id || (body.email && u.email === String(body.email).toLowerCase()));
+  if (!user) throw notFound('User not found.');
+  user.role = role;
+  return {
+    success: true,
+    user: { id: user.id, email: user.email, role },
+    message: 'Role updated. It applies to the user\'s next sign-in or token refresh.',
+  };
+}, ['admin']);
+
+route('GET', '/reporting-windows', () => ({
+  items: db().windows.filter((w) => w.status !== 'planned').sort((a, b) => b.start.localeCompare(a.start)),
+}));
+
+route('GET', '/admin/reporting-windows', () => ({
+  items: [...db().windows].sort((a, b) => b.start.localeCompare(a.start)),
+}), ['admin']);
+
+// Mirrors parseWindow, assertTransition and assertNoOverlap in weekly_report_backend/src/windows.js
+function parseWindow(body, current = null) {
+  const name = requiredString(body?.name, 'name');
+  const start = optionalDate(body?.start, 'start');
+  const end = optionalDate(body?.end, 'end');
+  if (!start || !end) throw badRequest('start and end are required.');
+  if (end < start) throw badRequest('end must not be before start.');
+  const status = body?.status ?? 'planned';
+  if (!WINDOW_STATUSES.includes(status)) throw badRequest(`status must be one of ${WINDOW_STATUSES.join(', ')}.`);
+  if (current && !canTransition(current.status, status)) {
+    throw badRequest(`A ${current.status} window cannot be changed to ${status}.`);
+  }
+  const frequency = body?.frequency ?? 'weekly';
+  if (!RECURRENCES.includes(frequency)) throw badRequest(`frequency must be one of ${RECURRENCES.join(', ')}.`);
+  const dueWeekday = Number(body?.due_weekday ?? 5);
+  if (!Number.isInteger(dueWeekday) || dueWeekday < 1 || dueWeekday > 7) {
+    throw badRequest('due_weekday must be 1 (Monday) to 7 (Sunday).');
+  }
+  const dueTime = String(body?.due_time ?? '23:59').slice(0, 5);
+  if (!TIME_RE.test(dueTime)) throw badRequest('due_time must be a time of day (HH:MM).');
+  const timezone = String(body?.timezone ?? 'UTC').trim();
+  if (!isValidTimeZone(timezone)) throw badRequest('timezone must be an IANA time zone such as Europe/Berlin.');
+  const graceHours = Number(body?.grace_hours ?? 0);
+  if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > 168) {
+    throw badRequest('grace_hours must be a whole number from 0 to 168.');
+  }
+  const teamIds = body?.team_ids ?? [];
+  if (!Array.isArray(teamIds) || teamIds.some((t) => typeof t !== 'string' || !t.trim())) {
+    throw badRequest('team_ids must be an array of team ids.');
+  }
+  const unknown = teamIds.filter((t) => !db().teams.some((team) => team.id === t.trim()));
+  if (unknown.length) throw badRequest(`Unknown team(s): ${unknown.join(', ')}.`);
+  const window = {
+    name,
+    start,
+    end,
+    status,
+    frequency,
+    due_weekday: dueWeekday,
+    due_time: dueTime,
+    timezone,
+    grace_hours: graceHours,
+    team_ids: [...new Set(teamIds.map((t) => t.trim()))],
+  };
+  const other = findOverlap(window, db().windows, current?.id ?? null);
+  if (other) throw conflict(`Overlaps "${other.name}" (${other.start} to ${other.end}) for the same teams.`);
+  return window;
+}
+
+route('POST', '/admin/reporting-windows', ({ body }) => {
+  const row = { id: newId(), ...parseWindow(body) };
+  db().windows.push(row);
+  return row;
+}, ['admin']);
+
+route('PATCH', '/admin/reporting-windows/:id', ({ params, body }) => {
+  const current = db().windows.find((w) => w.id === params.id);
+  if (!current) throw notFound('Reporting window not found.');
+  const fields = Object.fromEntries(Object.entries(body || {}).filter(([, v]) => v !== undefined));
+  Object.assign(current, parseWindow({ ...current, ...fields }, current));
+  return { ...current };
+}, ['admin']);
+
+const deleteWindow = ({ params }) => {
+  const d = db();
+  const before = d.windows.length;
+  d.windows = d.windows.filter((w) => w.id !== params.id);
+  if (d.windows.length === before) throw notFound('Reporting window not found.');
+  return { success: true };
+};
+route('DELETE', '/admin/reporting-windows/:id', deleteWindow, ['admin']);
+route('POST', '/admin/reporting-windows/:id/delete', deleteWindow, ['admin']);
+
+function match(method, path) {
+  const parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+  let pathMatched = false;
+  for (const r of ROUTES) {
+    if (r.segments.length !== parts.length) continue;
+    const params = {};
+    const ok = r.segments.every((seg, i) => {
+      if (seg.startsWith(':')) {
+        params[seg.slice(1)] = parts[i];
+        return true;
+      }
+      return seg === parts[i];
+    });
+    if (!ok) continue;
+    pathMatched = true;
+    if (r.method === method) return { route: r, params };
+  }
+  return { route: null, pathMatched };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * handleMockRequest - Answers one API request from the fixture data as the signed-in mock user.
+ * Never throws for HTTP-level failures; they come back as { status, body: { error, code } } like a real response.
+ *
+ * @param {{ method: string, path: string, params?: Object, body?: unknown, caller?: { id: string, email: string, role: string } }} req
+ *   caller defaults to getMockUser()
+ * @returns {{ status: number, body: unknown }}
+ */
+export function handleMockRequest({ method, path, params = {}, body, caller }) {
+  const user = caller || (() => {
+    const u = getMockUser();
+    return { id: u.id, email: u.email, role: db().users.find((x) => x.id === u.id)?.role || u.app_metadata.role };
+  })();
+  const query = Object.fromEntries(
+    Object.entries(params || {}).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => [k, String(v)])
+  );
+  try {
+    const found = match(method, path.split('?')[0]);
+    if (!found.route) {
+      throw found.pathMatched ? new MockHttpError(405, 'Method not allowed.', 'METHOD_NOT_ALLOWED') : notFound('No such endpoint.');
+    }
+    if (found.route.roles && !found.route.roles.includes(user.role)) {
+      throw forbidden(`Requires role: ${found.route.roles.join(' or ')}.`);
+    }
+    const result = found.route.handler({ caller: user, params: found.params, query, body });
+    // Responses are copies so callers cannot mutate the fixture data
+    return { status: 200, body: JSON.parse(JSON.stringify(result === undefined ? { success: true } : result)) };
+  } catch (e) {
+    if (e instanceof MockHttpError) return { status: e.status, body: { error: e.message, code: e.code } };
+    return { status: 500, body: { error: e?.message || 'Internal server error.', code: 'INTERNAL' } };
+  }
+}
@@ -0,0 +1,261 @@
+import { addWeeks, weekStartOf } from '../utils/weeks';
+
+//
+// Seeded fixture data for the mock API (services/mockApi.js). Everything is derived from a fixed PRNG seed and an
+// anchor week, so the same anchor always yields the same teams, people, reports, items, blockers and windows.
+// The anchor is the current week unless REACT_APP_MOCK_TODAY (YYYY-MM-DD) pins it, e.g. for tests and screenshots.
+//
+
+const SEED = 20250106;
+const HISTORY_WEEKS = 12;
+
+// PUBLIC_INTERFACE
+/** MOCK_TEAMS - Fixture teams. */
+export const MOCK_TEAMS = [
+  { id: 'platform', name: 'Platform' },
+  { id: 'mobile', name: 'Mobile' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * MOCK_USERS - Fixture users with their application role and team memberships.
+ * Max leads Platform and is a member of Mobile, so the team switcher and the "not your team" 403 can both be shown.
+ */
+export const MOCK_USERS = [
+  { id: '00000000-0000-4000-8000-000000000001', email: 'ada.admin@example.com', role: 'admin', teams: {} },
+  { id: '00000000-0000-4000-8000-000000000002', email: 'max.manager@example.com', role: 'manager', teams: { platform: 'lead', mobile: 'member' } },
+  { id: '00000000-0000-4000-8000-000000000003', email: 'mia.manager@example.com', role: 'manager', teams: { mobile: 'lead' } },
+  { id: '00000000-0000-4000-8000-000000000004', email: 'erin@example.com', role: 'employee', teams: { platform: 'member' } },
+  { id: '00000000-0000-4000-8000-000000000005', email: 'eli@example.com', role: 'employee', teams: { platform: 'member' } },
+  { id: '00000000-0000-4000-8000-000000000006', email: 'emma@example.com', role: 'employee', teams: { platform: 'member' } },
+  { id: '00000000-0000-4000-8000-000000000007', email: 'omar@example.com', role: 'employee', teams: { mobile: 'member' } },
+  { id: '00000000-0000-4000-8000-000000000008', email: 'olga@example.com', role: 'employee', teams: { mobile: 'member' } },
+];
+
+const ACCOMPLISHMENTS = [
+  'Shipped the onboarding checklist',
+  'Fixed flaky login test',
+  'Reviewed API pagination PR',
+  'Migrated reports table to new index',
+  'Closed 6 support tickets',
+  'Paired on the release pipeline',
+  'Wrote docs for the sync endpoint',
+  'Cut build time by 20%',
+  'Triaged crash reports from beta',
+  'Added dark mode toggle',
+];
+const PLANS = [
+  'Finish offline sync edge cases',
+  'Draft Q3 roadmap notes',
+  'Start accessibility audit',
+  'Prototype push notifications',
+  'Harden rate limiting',
+  'Clean up feature flags',
+  'Plan the data retention job',
+  'Pair with design on settings page',
+];
+const BLOCKERS = [
+  'Waiting on security review',
+  'Staging database is down',
+  'Need design sign-off for settings',
+  'Blocked by app store review',
+  'Missing API keys for analytics vendor',
+];
+const TAGS = ['frontend', 'backend', 'infra', 'docs', 'mobile', 'release', 'bugfix'];
+
+// Mulberry32: tiny deterministic PRNG
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Deterministic v4-shaped UUID from a counter and a prefix digit
+const fixtureId = (prefix, n) => `${prefix}0000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+const isoAt = (weekStart, days, hour) => {
+  const d = new Date(`${weekStart}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  d.setUTCHours(hour, 0, 0, 0);
+  return d.toISOString();
+};
+
+// PUBLIC_INTERFACE
+/** mockAnchorWeek - The week fixtures are generated up to (REACT_APP_MOCK_TODAY's week, else the current week). */
+export function mockAnchorWeek() {
+  const pinned = (process.env.REACT_APP_MOCK_TODAY || '').trim();
+  return weekStartOf(pinned || new Date());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * buildMockData - Generates the full fixture set: teams, team_members, users, reports (with items and one revision
+ * on some), blockers and reporting windows. Pure; call again to reset.
+ *
+ * @param {{ anchorWeek?: string, now?: Date }} [opts] - now decides which of the anchor week's reports exist yet
+ * @returns {{ teams: Array, members: Array, users: Array, reports: Array, items: Array, revisions: Array,
+ *   blockers: Array, windows: Array }}
+ */
+export function buildMockData({ anchorWeek = mockAnchorWeek(), now = new Date() } = {}) {
+  const rand = prng(SEED);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const pickSome = (list, n) => {
+    const copy = [...list];
+    const out = [];
+    while (out.length < n && copy.length) out.push(copy.splice(Math.floor(rand() * copy.length), 1)[0]);
+    return out;
+  };
+
+  const teams = MOCK_TEAMS.map((t) => ({ ...t, created_by: MOCK_USERS[0].id, created_at: isoAt(addWeeks(anchorWeek, -HISTORY_WEEKS), 0, 9) }));
+  const members = MOCK_USERS.flatMap((u) => Object.entries(u.teams).map(([team_id, role]) => ({ team_id, user_id: u.id, role })));
+  const users = MOCK_USERS.map(({ id, email, role }) => ({
+    id,
+    email,
+    role,
+    created_at: isoAt(addWeeks(anchorWeek, -HISTORY_WEEKS), 0, 8),
+    last_sign_in_at: isoAt(anchorWeek, 0, 8),
+  }));
+
+  const reports = [];
+  const items = [];
+  const revisions = [];
+  const blockers = [];
+  let reportN = 0;
+  let itemN = 0;
+  let blockerN = 0;
+
+  const authors = MOCK_USERS.filter((u) => Object.keys(u.teams).length > 0 && u.role !== 'admin');
+  for (let w = HISTORY_WEEKS - 1; w >= 0; w -= 1) {
+    const week = addWeeks(anchorWeek, -w);
+    for (const author of authors) {
+      const roll = rand();
+      // ~80% submit; most on time, some late; the anchor week only has reports already "sent" by `now`
+      if (roll < 0.2) continue;
+      const late = roll > 0.85;
+      const submittedAt = late ? isoAt(week, 7 + Math.floor(rand() * 3), 10) : isoAt(week, 3 + Math.floor(rand() * 2), 16);
+      if (Date.parse(submittedAt) > now.getTime()) continue;
+
+      reportN += 1;
+      const id = fixtureId('a', reportN);
+      const done = pickSome(ACCOMPLISHMENTS, 2 + Math.floor(rand() * 2));
+      const plans = pickSome(PLANS, 2);
+      const blocker = rand() < 0.3 ? pick(BLOCKERS) : null;
+      const revised = rand() < 0.15;
+      const teamId = Object.keys(author.teams)[0];
+      const report = {
+        id,
+        user_id: author.id,
+        team_id: teamId,
+        week_start: week,
+        progress: done.map((t) => `- [x] ${t}`).join('\n'),
+        blockers: blocker ? `- ${blocker}` : null,
+        plans: plans.map((t) => `- [ ] ${t}`).join('\n'),
+        tags: pickSome(TAGS, 1 + Math.floor(rand() * 2)),
+        status: 'submitted',
+        revision: revised ? 2 : 1,
+        plan_review: null,
+        created_at: submittedAt,
+        submitted_at: submittedAt,
+        updated_at: revised ? isoAt(week, 8, 11) : null,
+      };
+      reports.push(report);
+
+      const rows = [
+        ...done.map((text) => ({ type: 'accomplishment', text, status: 'done' })),
+        ...plans.map((text) => ({ type: 'plan', text, status: 'planned' })),
+        ...(blocker ? [{ type: 'blocker', text: blocker, status: 'blocked' }] : []),
+      ];
+      for (const [position, row] of rows.entries()) {
+        itemN += 1;
+        items.push({ id: fixtureId('b', itemN), report_id: id, user_id: author.id, link: null, effort_hours: null, position, ...row });
+      }
+
+      if (revised) {
+        revisions.push({
+          id: fixtureId('c', reportN),
+          report_id: id,
+          revision: 1,
+          progress: report.progress.split('\n').slice(0, -1).join('\n') || report.progress,
+          blockers: report.blockers,
+          plans: report.plans,
+          week_start: week,
+          tags: report.tags,
+          edited_by: author.id,
+          revised_at: report.updated_at,
+        });
+      }
+
+      if (blocker) {
+        blockerN += 1;
+        // Older blockers are mostly resolved; recent ones stay open, a few escalated
+        const age = w;
+        const status = age > 3 && rand() < 0.7 ? 'resolved' : rand() < 0.25 ? 'escalated' : 'open';
+        const resolvedWeek = status === 'resolved' ? addWeeks(week, 1 + Math.floor(rand() * 2)) : null;
+        blockers.push({
+          id: fixtureId('d', blockerN),
+          user_id: author.id,
+          owner_id: author.id,
+          title: blocker,
+          status,
+          opened_week: week,
+          last_reported_week: resolvedWeek || week,
+          source_report_id: id,
+          escalated_at: status === 'escalated' ? isoAt(week, 4, 12) : null,
+          resolved_week: resolvedWeek,
+          resolved_at: resolvedWeek ? isoAt(resolvedWeek, 4, 12) : null,
+          resolution_notes: resolvedWeek ? 'Resolved after follow-up.' : null,
+          created_at: submittedAt,
+          updated_at: submittedAt,
+        });
+      }
+    }
+  }
+
+  const quarterStart = (d) => `${d.slice(0, 4)}-${String(Math.floor((Number(d.slice(5, 7)) - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+  const q = quarterStart(anchorWeek);
+  const shiftMonths = (ymd, n) => {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + n);
+    return d.toISOString().slice(0, 10);
+  };
+  const lastDay = (ymd) => {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().slice(0, 10);
+  };
+  const quarterName = (ymd) => `Q${Math.floor((Number(ymd.slice(5, 7)) - 1) / 3) + 1} ${ymd.slice(0, 4)}`;
+  const windows = [-1, 0, 1].map((offset, i) => {
+    const start = shiftMonths(q, offset * 3);
+    return {
+      id: fixtureId('e', i + 1),
+      name: quarterName(start),
+      start,
+      end: lastDay(shiftMonths(start, 3)),
+      status: offset < 0 ? 'closed' : offset === 0 ? 'open' : 'planned',
+      frequency: 'weekly',
+      due_weekday: 5,
+      due_time: '17:00',
+      timezone: 'Europe/Berlin',
+      grace_hours: 2,
+      team_ids: [],
+    };
+  });
+  // Mobile reports earlier in the week, with a day's grace, for the current quarter
+  windows.push({
+    ...windows[1],
+    id: fixtureId('e', 4),
+    name: `${windows[1].name} · Mobile`,
+    due_weekday: 4,
+    due_time: '18:00',
+    timezone: 'Europe/London',
+    grace_hours: 24,
+    team_ids: ['mobile'],
+  });
+
+  return { teams, members, users, reports, items, revisions, blockers, windows };
+}
@@ -0,0 +1,281 @@
+import { submitDraft } from './draftsService';
+import { updateWeeklyReport } from './reportsService';
+import { saveReportItems } from './reportItemsService';
+import { syncReportBlockers } from './blockersService';
+
+//
+// Offline submission queue. Reports submitted while the network is down are stored in IndexedDB and submitted
+// again when connectivity returns (see hooks/useOfflineQueue). One pending entry is kept per user and week; queueing
+// the same week again replaces it.
+//
+// Entry statuses:
+// - pending:  waiting to be sent
+// - conflict: a report for the week was submitted elsewhere meanwhile; the user keeps theirs or overwrites it
+// - failed:   the server rejected the submission for another reason (lastError); retried on request only
+//
+
+const DB_NAME = 'weekly-report-offline';
+const DB_VERSION = 1;
+const STORE = 'submissions';
+
+// PUBLIC_INTERFACE
+/** QUEUE_CHANGED_EVENT - Window event dispatched whenever queued submissions are added, updated or removed. */
+export const QUEUE_CHANGED_EVENT = 'wr:offline-queue-changed';
+
+// PUBLIC_INTERFACE
+/** isOfflineQueueAvailable - True when the browser supports IndexedDB. */
+export function isOfflineQueueAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isOfflineError - True when an error means the request never reached the server (browser offline, DNS/connection
+ * failures, timeouts) rather than the server rejecting it.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isOfflineError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (!err) return false;
+  if (err.code === 'NETWORK_ERROR' || err.code === 'TIMEOUT') return true;
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(String(err.message || err));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * onQueueChange - Subscribes to QUEUE_CHANGED_EVENT.
+ * @returns {() => void} unsubscribe
+ */
+export function onQueueChange(handler) {
+  if (typeof window === 'undefined') return () => {};
+  window.addEventListener(QUEUE_CHANGED_EVENT, handler);
+  return () => window.removeEventListener(QUEUE_CHANGED_EVENT, handler);
+}
+
+function emitChange() {
+  if (typeof window !== 'undefined') window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT));
+}
+
+// IndexedDB helpers
+let dbPromise = null;
+
+function openDb() {
+  if (!isOfflineQueueAvailable()) {
+    return Promise.reject(new Error('Offline queue is not supported in this browser (IndexedDB unavailable).'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('user_id', 'user_id');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error || new Error('Failed to open the offline queue.'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error || new Error('Offline queue operation failed.'));
+    tx.onabort = () => reject(tx.error || new Error('Offline queue operation was aborted.'));
+  });
+}
+
+const entryId = (userId, weekStart) => `${userId || 'anon'}|${weekStart}`;
+
+// PUBLIC_INTERFACE
+/**
+ * enqueueSubmission - Stores a report submission to be sent later.
+ *
+ * @param {{ user_id: string|null, team_id?: string|null, draft_id?: string|null, week_start: string, progress: string,
+ *   blockers?: string, plans: string, tags?: string[]|string, plan_review?: Object|null, items?: Array<Object>,
+ *   blockerSync?: { openBlockers: Array<Object>, decisions: Object, newBlockers: string[] }|null }} submission
+ *   items are the report's structured rows; blockerSync holds the blocker decisions made on the form
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function enqueueSubmission(submission) {
+  if (!submission?.week_start) throw new Error('Week start date is required.');
+  const entry = {
+    ...submission,
+    id: entryId(submission.user_id, submission.week_start),
+    user_id: submission.user_id || null,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    conflict: null,
+    queuedAt: new Date().toISOString(),
+  };
+  await withStore('readwrite', (store) => store.put(entry));
+  emitChange();
+  return entry;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * listQueuedSubmissions - Returns the queued entries for a user (null for Test Mode submissions), oldest first.
+ * Resolves to [] when IndexedDB is unavailable.
+ * @param {{ user_id: string|null }} params
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listQueuedSubmissions({ user_id }) {
+  if (!isOfflineQueueAvailable()) return [];
+  const all = await withStore('readonly', (store) => store.getAll());
+  return (all || [])
+    .filter((e) => (e.user_id || null) === (user_id || null))
+    .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+}
+
+// PUBLIC_INTERFACE
+/** discardQueuedSubmission - Removes a queued entry without sending it. */
+export async function discardQueuedSubmission(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+  emitChange();
+}
+
+async function updateEntry(entry) {
+  await withStore('readwrite', (store) => store.put(entry));
+  emitChange();
+}
+
+// Items and blockers follow the report; failures there are reported but do not requeue the report
+async function syncExtras(entry, report) {
+  const warnings = [];
+  if (entry.items?.length) {
+    try {
+      await saveReportItems(report.id, entry.items, { user_id: entry.user_id });
+    } catch (err) {
+      warnings.push(`items could not be saved: ${err?.message || err}`);
+    }
+  }
+  const sync = entry.blockerSync;
+  if (sync && (sync.openBlockers?.length || sync.newBlockers?.length)) {
+    try {
+      await syncReportBlockers({
+        report: { id: report.id, week_start: report.week_start || entry.week_start },
+        user_id: entry.user_id,
+        openBlockers: sync.openBlockers || [],
+        decisions: sync.decisions || {},
+        newBlockers: sync.newBlockers || [],
+      });
+    } catch (err) {
+      warnings.push(`blockers could not be updated: ${err?.message || err}`);
+    }
+  }
+  return warnings;
+}
+
+// Runs are serialized through `flushTail`; `flushes` holds the running or queued run per user and includeFailed, so
+// a caller only shares a run that was asked for the same thing
+const flushes = new Map();
+let flushTail = Promise.resolve();
+
+// PUBLIC_INTERFACE
+/**
+ * syncQueuedSubmissions - Sends the user's pending entries (and failed ones when `includeFailed`), oldest first.
+ * Stops at the first network failure, leaving the rest queued. Concurrent calls with the same options share one run;
+ * a call with other options (e.g. a manual retry of failed entries during an automatic flush) runs after it.
+ *
+ * @param {{ user_id: string|null, includeFailed?: boolean }} params
+ * @returns {Promise<{ submitted: Array<{ entry: Object, report: Object, warnings: string[] }>, conflicts: Object[],
+ *   failed: Object[], offline: boolean }>}
+ */
+export function syncQueuedSubmissions({ user_id, includeFailed = false }) {
+  const key = `${user_id || 'anon'}|${includeFailed ? 'all' : 'pending'}`;
+  if (flushes.has(key)) return flushes.get(key);
+  const run = flushTail
+    .then(() => flushQueue({ user_id, includeFailed }))
+    .finally(() => {
+      if (flushes.get(key) === run) flushes.delete(key);
+    });
+  flushes.set(key, run);
+  flushTail = run.catch(() => {});
+  return run;
+}
+
+async function flushQueue({ user_id, includeFailed }) {
+  const result = { submitted: [], conflicts: [], failed: [], offline: false };
+  const entries = await listQueuedSubmissions({ user_id });
+  for (const entry of entries) {
+    if (entry.status === 'conflict' || (entry.status === 'failed' && !includeFailed)) continue;
+    try {
+      const report = await submitDraft({
+        id: entry.draft_id || null,
+        user_id: entry.user_id,
+        team_id: entry.team_id || null,
+        week_start: entry.week_start,
+        progress: entry.progress,
+        blockers: entry.blockers,
+        plans: entry.plans,
+        tags: entry.tags,
+        plan_review: entry.plan_review || null,
+      });
+      const warnings = report?.id ? await syncExtras(entry, report) : [];
+      await discardQueuedSubmission(entry.id);
+      result.submitted.push({ entry, report, warnings });
+    } catch (err) {
+      if (isOfflineError(err)) {
+        await updateEntry({ ...entry, attempts: entry.attempts + 1, lastError: err?.message || String(err) });
+        result.offline = true;
+        break;
+      }
+      const next = { ...entry, attempts: entry.attempts + 1, lastError: err?.message || String(err) };
+      if (err?.code === 'REPORT_EXISTS' && err.existing?.id) {
+        next.status = 'conflict';
+        next.conflict = { report_id: err.existing.id, week_start: err.existing.week_start, created_at: err.existing.created_at };
+        result.conflicts.push(next);
+      } else {
+        next.status = 'failed';
+        result.failed.push(next);
+      }
+      await updateEntry(next);
+    }
+  }
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * resolveQueuedConflict - Settles an entry whose week already has a report submitted elsewhere.
+ * - 'keep_existing' discards the queued copy.
+ * - 'overwrite' saves the queued text and items over the existing report (a new revision, so the other version stays
+ *   in its revision history). Blocker decisions are not replayed; they may already have been applied by the other
+ *   submission.
+ *
+ * @param {Object} entry - A queued entry with status 'conflict'
+ * @param {'keep_existing'|'overwrite'} choice
+ * @returns {Promise<Object|null>} The updated report for 'overwrite', else null
+ */
+export async function resolveQueuedConflict(entry, choice) {
+  if (!entry?.conflict?.report_id) throw new Error('This submission has no conflict to resolve.');
+  if (choice === 'keep_existing') {
+    await discardQueuedSubmission(entry.id);
+    return null;
+  }
+  if (choice !== 'overwrite') throw new Error(`Unknown conflict resolution: ${choice}`);
+
+  const reportId = entry.conflict.report_id;
+  const report = await updateWeeklyReport(reportId, {
+    progress: entry.progress,
+    blockers: entry.blockers,
+    plans: entry.plans,
+    tags: entry.tags,
+  });
+  if (entry.items?.length) {
+    await saveReportItems(reportId, entry.items, { user_id: entry.user_id });
+  }
+  await discardQueuedSubmission(entry.id);
+  return report;
+}
@@ -0,0 +1,288 @@
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, apiPost, getApiBase } from './apiClient';
+import { safeUrl } from '../utils/markdown';
+import { extractPlanItems } from '../utils/planReview';
+
+//
+// Structured report items (public.report_items): individual accomplishments, plans and blockers
+// attached to a weekly report. Reports written before items existed only have free text; legacyReportItems
+// derives items from that text so they still render and count in aggregates.
+//
+
+// PUBLIC_INTERFACE
+/** REPORT_ITEM_TYPES - Item types, in display order. */
+export const REPORT_ITEM_TYPES = ['accomplishment', 'plan', 'blocker'];
+
+// PUBLIC_INTERFACE
+/** REPORT_ITEM_STATUSES - Allowed item statuses. */
+export const REPORT_ITEM_STATUSES = ['planned', 'in_progress', 'done', 'blocked', 'dropped'];
+
+// PUBLIC_INTERFACE
+/** DEFAULT_ITEM_STATUS - Status a new item of each type starts with. */
+export const DEFAULT_ITEM_STATUS = { accomplishment: 'done', plan: 'planned', blocker: 'blocked' };
+
+const ITEM_COLUMNS = 'id, report_id, type, text, status, link, effort_hours, position';
+
+// PUBLIC_INTERFACE
+/**
+ * newReportItem - Returns an empty item of the given type for the editor.
+ * @param {'accomplishment'|'plan'|'blocker'} type
+ * @returns {{ type: string, text: string, status: string, link: string, effort_hours: string }}
+ */
+export function newReportItem(type = 'accomplishment') {
+  return { type, text: '', status: DEFAULT_ITEM_STATUS[type] || 'planned', link: '', effort_hours: '' };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * normalizeReportItems - Drops empty rows and coerces fields to what public.report_items accepts.
+ * Unknown types/statuses fall back to defaults, links must be http(s)/mailto, effort must be a non-negative number.
+ *
+ * @param {Array<Object>} items
+ * @returns {Array<{ type: string, text: string, status: string, link: string|null, effort_hours: number|null, position: number }>}
+ */
+export function normalizeReportItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter((it) => String(it?.text || '').trim())
+    .map((it, position) => {
+      const type = REPORT_ITEM_TYPES.includes(it.type) ? it.type : 'accomplishment';
+      const effort = it.effort_hours === '' || it.effort_hours == null ? null : Number(it.effort_hours);
+      return {
+        type,
+        text: String(it.text).trim(),
+        status: REPORT_ITEM_STATUSES.includes(it.status) ? it.status : DEFAULT_ITEM_STATUS[type],
+        link: safeUrl(it.link) || null,
+        effort_hours: Number.isFinite(effort) && effort >= 0 ? effort : null,
+        position,
+      };
+    });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * legacyReportItems - Derives items from a report's free text (one item per bullet or line).
+ * Accomplishments count as done, plans as planned and blockers as blocked. Items are flagged `legacy: true`.
+ *
+ * @param {{ progress?: string, plans?: string, blockers?: string }} report
+ * @returns {Array<Object>}
+ */
+export function legacyReportItems(report) {
+  const fields = { accomplishment: report?.progress, plan: report?.plans, blocker: report?.blockers };
+  return REPORT_ITEM_TYPES.flatMap((type) =>
+    extractPlanItems(fields[type]).map((text) => ({
+      type,
+      text,
+      status: DEFAULT_ITEM_STATUS[type],
+      link: null,
+      effort_hours: null,
+      legacy: true,
+    }))
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * reportItemsToMarkdown - Renders the items of one type as a Markdown bullet list (done plans become checked tasks).
+ * Used to fill the text summary when the user only entered items.
+ *
+ * @param {Array<Object>} items
+ * @param {'accomplishment'|'plan'|'blocker'} type
+ * @returns {string}
+ */
+export function reportItemsToMarkdown(items, type) {
+  return normalizeReportItems(items)
+    .filter((it) => it.type === type)
+    .map((it) => {
+      const marker = type === 'plan' ? (it.status === 'done' ? '- [x] ' : '- [ ] ') : '- ';
+      return `${marker}${it.text}${it.link ? ` (${it.link})` : ''}`;
+    })
+    .join('\n');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * aggregateReportItems - Counts items by type and status and sums effort.
+ *
+ * @param {Array<Object>} items
+ * @returns {{ total: number, byType: Object<string, number>, byStatus: Object<string, number>,
+ *   effortHours: { total: number, byType: Object<string, number> }, planCompletionRate: number|null }}
+ *   planCompletionRate is done plans / all non-dropped plans (0..1), or null when there are no plans.
+ */
+export function aggregateReportItems(items) {
+  const byType = Object.fromEntries(REPORT_ITEM_TYPES.map((t) => [t, 0]));
+  const byStatus = Object.fromEntries(REPORT_ITEM_STATUSES.map((s) => [s, 0]));
+  const effortByType = Object.fromEntries(REPORT_ITEM_TYPES.map((t) => [t, 0]));
+  let effortTotal = 0;
+  let plans = 0;
+  let plansDone = 0;
+
+  for (const it of items || []) {
+    if (!REPORT_ITEM_TYPES.includes(it?.type)) continue;
+    byType[it.type] += 1;
+    if (byStatus[it.status] !== undefined) byStatus[it.status] += 1;
+    const effort = Number(it.effort_hours);
+    if (it.effort_hours != null && Number.isFinite(effort)) {
+      effortByType[it.type] += effort;
+      effortTotal += effort;
+    }
+    if (it.type === 'plan' && it.status !== 'dropped') {
+      plans += 1;
+      if (it.status === 'done') plansDone += 1;
+    }
+  }
+
+  return {
+    total: REPORT_ITEM_TYPES.reduce((sum, t) => sum + byType[t], 0),
+    byType,
+    byStatus,
+    effortHours: { total: effortTotal, byType: effortByType },
+    planCompletionRate: plans ? plansDone / plans : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getReportItems - Loads the items of a report, ordered by position.
+ * - If REACT_APP_API_BASE is present, uses GET /reports/:id/items (team-scoped access for managers).
+ * - Otherwise reads public.report_items from Supabase (RLS decides visibility).
+ *
+ * @param {string} reportId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getReportItems(reportId) {
+  if (!reportId) return [];
+  if (getApiBase()) {
+    const data = await apiGet(`/reports/${encodeURIComponent(reportId)}/items`);
+    return Array.isArray(data) ? data : data?.items || [];
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('report_items')
+    .select(ITEM_COLUMNS)
+    .eq('report_id', reportId)
+    .order('position', { ascending: true });
+  if (error) {
+    throw new Error(error.message || 'Failed to load report items.');
+  }
+  return data || [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * saveReportItems - Replaces the items of a report with the given list.
+ * - If REACT_APP_API_BASE is present, uses POST /reports/:id/items with { items }.
+ * - Otherwise inserts the new rows in Supabase, then deletes the report's other rows; if either step fails the
+ *   previous items are kept.
+ *
+ * @param {string} reportId
+ * @param {Array<Object>} items - Editor rows (normalized before saving)
+ * @param {{ user_id: string|null }} owner
+ * @returns {Promise<Array<Object>>} The saved items
+ */
+export async function saveReportItems(reportId, items, { user_id } = {}) {
+  if (!reportId) throw new Error('Report id is required.');
+  const rows = normalizeReportItems(items);
+
+  if (getApiBase()) {
+    const data = await apiPost(`/reports/${encodeURIComponent(reportId)}/items`, { items: rows });
+    return Array.isArray(data) ? data : data?.items || [];
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+
+  // Insert the new rows before removing the old ones, so a failed insert leaves the previous items in place
+  let saved = [];
+  if (rows.length > 0) {
+    const { data, error } = await supabase
+      .from('report_items')
+      .insert(rows.map((r) => ({ ...r, report_id: reportId, ...(user_id ? { user_id } : {}) })))
+      .select(ITEM_COLUMNS);
+    if (error) {
+      throw new Error(error.message || 'Failed to save report items.');
+    }
+    saved = data || [];
+  }
+
+  const savedIds = saved.map((r) => r.id);
+  let stale = supabase.from('report_items').delete().eq('report_id', reportId);
+  if (savedIds.length > 0) stale = stale.not('id', 'in', `(${savedIds.join(',')})`);
+  const { error: delErr } = await stale;
+  if (delErr) {
+    // Take the new rows back out so the report does not end up with both lists
+    if (savedIds.length > 0) await supabase.from('report_items').delete().in('id', savedIds);
+    throw new Error(delErr.message || 'Failed to save report items.');
+  }
+  return saved;
+}
+
+// User ids of a team's members; none when the membership tables are not installed
+async function getTeamMemberIds(supabase, team) {
+  const { data, error } = await supabase.from('team_members').select('user_id').eq('team_id', team);
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') return [];
+    throw new Error(error.message || 'Failed to load team members.');
+  }
+  return (data || []).map((m) => m.user_id).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getReportItemsForRange - Loads submitted reports in a week range together with their items.
+ * Reports without stored items get legacyReportItems derived from their text.
+ * - If REACT_APP_API_BASE is present, uses GET /manager/report-items?team&from&to (returns { reports }).
+ * - Otherwise reads weekly_reports with embedded report_items from Supabase. RLS lets admins and multi-team leads
+ *   read more than one team, so `team` is applied like the backend does: reports filed under the team, or by one
+ *   of its members when the report has no team.
+ *
+ * @param {{ team?: string, from?: string, to?: string }} [opts]
+ * @returns {Promise<Array<{ id: string, user_id: string, week_start: string, items: Array<Object>, legacy: boolean }>>}
+ */
+export async function getReportItemsForRange({ team, from, to } = {}) {
+  let reports;
+  if (getApiBase()) {
+    const data = await apiGet('/manager/report-items', {
+      params: { team: team || undefined, from: from || undefined, to: to || undefined },
+    });
+    reports = Array.isArray(data) ? data : data?.reports || [];
+  } else {
+    const supabase = getSupabase();
+    if (!supabase) return [];
+    let q = supabase
+      .from('weekly_reports')
+      .select(`id, user_id, week_start, progress, blockers, plans, report_items(${ITEM_COLUMNS})`)
+      .neq('status', 'draft');
+    if (team) {
+      const memberIds = await getTeamMemberIds(supabase, team);
+      q = q.or(
+        memberIds.length > 0
+          ? `team_id.eq.${team},and(team_id.is.null,user_id.in.(${memberIds.join(',')}))`
+          : `team_id.eq.${team}`
+      );
+    }
+    if (from) q = q.gte('week_start', from);
+    if (to) q = q.lte('week_start', to);
+    const { data, error } = await q.order('week_start', { ascending: false }).limit(1000);
+    if (error) {
+      throw new Error(error.message || 'Failed to load report items.');
+    }
+    reports = data || [];
+  }
+
+  return reports.map((r) => {
+    const stored = r.items || r.report_items || [];
+    const legacy = stored.length === 0;
+    return {
+      id: r.id,
+      user_id: r.user_id,
+      week_start: r.week_start,
+      items: legacy ? legacyReportItems(r) : stored,
+      legacy,
+    };
+  });
+}
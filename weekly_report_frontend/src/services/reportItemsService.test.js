@@ -0,0 +1,96 @@
+import { createFakeSupabase } from '../testUtils/fakeSupabase';
+import { getReportItemsForRange, saveReportItems } from './reportItemsService';
+
+let mockSupabase = null;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+jest.mock('../lib/featureFlags', () => ({
+  isAuthDisabled: () => false,
+}));
+
+const report = (id, over) => ({
+  id,
+  week_start: '2025-03-03',
+  progress: `${id} progress`,
+  blockers: null,
+  plans: null,
+  status: 'submitted',
+  ...over,
+});
+
+beforeEach(() => {
+  // An admin (or a lead of both teams) can read every report below
+  mockSupabase = createFakeSupabase({
+    tables: {
+      team_members: [
+        { team_id: 'platform', user_id: 'e1', role: 'member' },
+        { team_id: 'mobile', user_id: 'e3', role: 'member' },
+      ],
+      weekly_reports: [
+        report('platform', { user_id: 'e1', team_id: 'platform' }),
+        report('member-no-team', { user_id: 'e1', team_id: null }),
+        report('mobile', { user_id: 'e3', team_id: 'mobile' }),
+        report('outsider-no-team', { user_id: 'e9', team_id: null }),
+        report('draft', { user_id: 'e1', team_id: 'platform', status: 'draft' }),
+      ],
+      report_items: [],
+    },
+  });
+});
+
+test("limits the Supabase read to the team's reports, like the backend", async () => {
+  const reports = await getReportItemsForRange({ team: 'platform' });
+  expect(reports.map((r) => r.id).sort()).toEqual(['member-no-team', 'platform']);
+});
+
+test('reads every visible submitted report without a team', async () => {
+  const reports = await getReportItemsForRange();
+  expect(reports.map((r) => r.id).sort()).toEqual(['member-no-team', 'mobile', 'outsider-no-team', 'platform']);
+});
+
+describe('saveReportItems', () => {
+  const previous = { id: 'old-1', report_id: 'platform', user_id: 'e1', type: 'plan', text: 'Old plan', status: 'planned', position: 0 };
+
+  test('replaces the report items', async () => {
+    mockSupabase.tables.report_items.push({ ...previous }, { ...previous, id: 'other', report_id: 'mobile' });
+    const saved = await saveReportItems('platform', [{ type: 'accomplishment', text: 'Shipped' }], { user_id: 'e1' });
+    expect(saved).toEqual([expect.objectContaining({ text: 'Shipped', status: 'done', position: 0 })]);
+    expect(mockSupabase.tables.report_items.map((r) => r.text).sort()).toEqual(['Old plan', 'Shipped']);
+    expect(mockSupabase.tables.report_items.find((r) => r.report_id === 'platform').text).toBe('Shipped');
+  });
+
+  test('keeps the previous items when the insert fails', async () => {
+    mockSupabase.tables.report_items.push({ ...previous });
+    mockSupabase.setRls('report_items', 'insert', true);
+    await expect(saveReportItems('platform', [{ type: 'plan', text: 'New plan' }], { user_id: 'e1' })).rejects.toThrow(
+      /row-level security/
+    );
+    expect(mockSupabase.tables.report_items).toEqual([previous]);
+  });
+
+  test('removes the new rows again when the old ones cannot be deleted', async () => {
+    mockSupabase.tables.report_items.push({ ...previous });
+    // The first delete (the report's old rows) fails; the rollback delete by id goes through
+    let deletes = 0;
+    const from = mockSupabase.from;
+    mockSupabase.from = (table) => {
+      const builder = from(table);
+      const del = builder.delete;
+      builder.delete = () => {
+        deletes += 1;
+        return deletes === 1 ? { eq: () => ({ not: async () => ({ data: null, error: { message: 'network down' } }) }) } : del();
+      };
+      return builder;
+    };
+    await expect(saveReportItems('platform', [{ type: 'plan', text: 'New plan' }], { user_id: 'e1' })).rejects.toThrow('network down');
+    expect(mockSupabase.tables.report_items).toEqual([previous]);
+  });
+
+  test('an empty list clears the items', async () => {
+    mockSupabase.tables.report_items.push({ ...previous });
+    await expect(saveReportItems('platform', [], { user_id: 'e1' })).resolves.toEqual([]);
+    expect(mockSupabase.tables.report_items).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, getApiBase } from './apiClient';
+
+//
+// Reporting windows as read by authors and managers: open and closed windows with their deadline schedules.
+// utils/reportingSchedule.js turns them into due dates; admins manage them in AdminDashboard.
+//
+
+const WINDOW_COLUMNS = 'id, name, start_date, end_date, status, frequency, due_weekday, due_time, timezone, grace_hours, team_ids';
+
+// PUBLIC_INTERFACE
+/**
+ * normalizeWindow - Maps a reporting_windows row (start_date/end_date, due_time as HH:MM:SS) to the API shape.
+ * @param {Object} row
+ * @returns {{ id: string, name: string, start: string, end: string, status: string, frequency: string,
+ *   due_weekday: number, due_time: string, timezone: string, grace_hours: number, team_ids: string[] }}
+ */
+export function normalizeWindow(row) {
+  return {
+    ...row,
+    start: String(row?.start ?? row?.start_date ?? '').slice(0, 10),
+    end: String(row?.end ?? row?.end_date ?? '').slice(0, 10),
+    due_time: row?.due_time ? String(row.due_time).slice(0, 5) : row?.due_time,
+    team_ids: Array.isArray(row?.team_ids) ? row.team_ids : [],
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getReportingWindows - Lists open and closed reporting windows, newest first.
+ * - If REACT_APP_API_BASE is present, uses GET /reporting-windows.
+ * - Otherwise reads public.reporting_windows from Supabase. Before the schedule columns are migrated (or without
+ *   Supabase) this returns [], so every week falls back to the default deadline.
+ *
+ * @returns {Promise<Array<ReturnType<typeof normalizeWindow>>>}
+ */
+export async function getReportingWindows() {
+  if (getApiBase()) {
+    const data = await apiGet('/reporting-windows');
+    return (Array.isArray(data) ? data : data?.items || []).map(normalizeWindow);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('reporting_windows')
+    .select(WINDOW_COLUMNS)
+    .neq('status', 'planned')
+    .order('start_date', { ascending: false });
+  if (error) {
+    // Table or schedule columns not installed yet
+    if (error.code === '42P01' || error.code === '42703') return [];
+    throw new Error(error.message || 'Failed to load reporting windows.');
+  }
+  return (data || []).map(normalizeWindow);
+}
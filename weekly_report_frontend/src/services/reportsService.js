@@ -1,5 +1,6 @@
 import { getSupabase } from '../lib/supabaseClient';
 import { isAuthDisabled } from '../lib/featureFlags';
+import { apiGet, getApiBase } from './apiClient';
 
 /**
  * PUBLIC_INTERFACE
@@ -9,17 +10,24 @@ import { isAuthDisabled } from '../lib/featureFlags';
  * In Test Mode (REACT_APP_DISABLE_AUTH=true), this function allows inserting without a user_id.
  * If Supabase RLS prevents the insert, a descriptive error is thrown to guide local configuration.
  *
+ * Only one report may exist per user and week_start. If the user already has a draft for the week it is
+ * promoted to 'submitted'; if a submitted report exists, an error with code 'REPORT_EXISTS' and the existing
+ * row on `err.existing` is thrown so the UI can offer to update it instead.
+ *
  * @param {Object} params - Report fields
  * @param {string} params.progress - Weekly accomplishments/progress (required)
  * @param {string} params.blockers - Blockers or challenges (optional)
  * @param {string} params.plans - Plan for next week (required)
  * @param {string} params.week_start - ISO date string (YYYY-MM-DD) representing the start of the week (required)
  * @param {string[]|string} [params.tags] - Tags as string[] or comma-separated string (optional)
+ * @param {Object|null} [params.plan_review] - Review of last week's plan (see utils/planReview.js) (optional)
+ * @param {string|null} [params.team_id] - Team the report is filed under (the author's current team) (optional)
  * @param {string|null} params.user_id - The authenticated user's UUID (required for RLS when auth is enabled)
  * @returns {Promise<Object>} The inserted row
- * @throws {Error} If Supabase is not configured, session missing (when auth enabled), validation fails, or insertion error occurs
+ * @throws {Error} If Supabase is not configured, session missing (when auth enabled), validation fails, a report already
+ *   exists for the week (code 'REPORT_EXISTS'), or insertion error occurs
  */
-export async function createWeeklyReport({ progress, blockers, plans, week_start, tags, user_id }) {
+export async function createWeeklyReport({ progress, blockers, plans, week_start, tags, plan_review, team_id, user_id }) {
   const supabase = getSupabase();
 
   if (!supabase) {
@@ -39,27 +47,39 @@ export async function createWeeklyReport({ progress, blockers, plans, week_start
     throw new Error('Week start date is required.');
   }
 
-  // Normalize tags: accept comma-separated string or array
-  let tagsArray = null;
-  if (Array.isArray(tags)) {
-    tagsArray = tags.map((t) => String(t).trim()).filter(Boolean);
-  } else if (typeof tags === 'string') {
-    tagsArray = tags
-      .split(',')
-      .map((t) => t.trim())
-      .filter(Boolean);
-  }
-
   // Build payload; in Test Mode, omit user_id if not provided to attempt insert as anon
   const payload = {
     progress,
     blockers: blockers || null,
     plans,
     week_start, // Expecting 'YYYY-MM-DD'
-    tags: tagsArray || [],
+    tags: normalizeTags(tags),
+    status: 'submitted',
+    submitted_at: new Date().toISOString(),
+    ...(plan_review ? { plan_review } : {}),
+    ...(team_id ? { team_id } : {}),
     ...(user_id ? { user_id } : {}),
   };
 
+  if (user_id) {
+    const existing = await findReportForWeek({ user_id, week_start });
+    if (existing && existing.status === 'draft') {
+      const { data: promoted, error: promoteErr } = await supabase
+        .from('weekly_reports')
+        .update({ ...payload, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single();
+      if (promoteErr) {
+        throw new Error(promoteErr.message || 'Failed to submit weekly report.');
+      }
+      return promoted;
+    }
+    if (existing) {
+      throw reportExistsError(existing);
+    }
+  }
+
   const { data, error } = await supabase
     .from('weekly_reports')
     .insert([payload])
@@ -67,6 +87,12 @@ export async function createWeeklyReport({ progress, blockers, plans, week_start
     .single();
 
   if (error) {
+    // Unique (user_id, week_start) violation: another tab/device submitted first
+    if (error.code === '23505' && user_id) {
+      const existing = await findReportForWeek({ user_id, week_start });
+      if (existing) throw reportExistsError(existing);
+    }
+
     // Detect common RLS/permission errors and surface a helpful message in Test Mode
     const msg = String(error.message || '').toLowerCase();
     const looksLikeRls =
@@ -93,18 +119,139 @@ export async function createWeeklyReport({ progress, blockers, plans, week_start
 
 /**
  * PUBLIC_INTERFACE
- * getWeeklyReports - Fetches weekly reports from Supabase with ordering and optional limiting.
+ * findReportForWeek - Returns the caller's report (draft or submitted) for a given week, or null.
+ *
+ * @param {{ user_id: string, week_start: string }} params
+ * @returns {Promise<{ id: string, status: string, week_start: string, created_at: string, updated_at: string|null }|null>}
+ */
+export async function findReportForWeek({ user_id, week_start }) {
+  const supabase = getSupabase();
+  if (!supabase || !user_id || !week_start) return null;
+
+  const { data, error } = await supabase
+    .from('weekly_reports')
+    .select('id, status, week_start, created_at, updated_at')
+    .eq('user_id', user_id)
+    .eq('week_start', week_start)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to check for an existing report.');
+  }
+  return data || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getPreviousReport - Returns the caller's most recent submitted report before the given week, or null.
+ * Used to start a new report from last week's plan; skipped weeks fall back to the latest earlier report.
+ *
+ * @param {{ user_id: string, week_start: string }} params
+ * @returns {Promise<{ id: string, week_start: string, plans: string }|null>}
+ */
+export async function getPreviousReport({ user_id, week_start }) {
+  const supabase = getSupabase();
+  if (!supabase || !user_id || !week_start) return null;
+
+  const { data, error } = await supabase
+    .from('weekly_reports')
+    .select('id, week_start, plans')
+    .eq('user_id', user_id)
+    .lt('week_start', week_start)
+    .neq('status', 'draft')
+    .order('week_start', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load the previous report.');
+  }
+  return data || null;
+}
+
+// Builds the error thrown when a submitted report already exists for the week
+function reportExistsError(existing) {
+  const err = new Error(`A report for the week of ${existing.week_start} already exists. Update it instead of submitting a new one.`);
+  err.code = 'REPORT_EXISTS';
+  err.existing = existing;
+  return err;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeTags - Accepts tags as string[] or a comma-separated string and returns a trimmed, non-empty string[].
+ *
+ * @param {string[]|string|null|undefined} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map((t) => String(t).trim()).filter(Boolean);
+  }
+  if (typeof tags === 'string') {
+    return tags
+      .split(',')
+      .map((t) => t.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// Columns History/ManagerReports may sort by (anything else falls back to created_at)
+export const REPORT_SORT_COLUMNS = ['week_start', 'created_at', 'updated_at'];
+
+const REPORT_LIST_COLUMNS = 'id, created_at, updated_at, week_start, progress, blockers, plans, user_id, tags, revision';
+
+/**
+ * PUBLIC_INTERFACE
+ * getWeeklyReports - Fetches weekly reports from Supabase with ordering, filtering and optional limiting.
  * Designed to work with RLS: in authenticated mode you will receive only the caller's rows if policies restrict access.
+ * Drafts (status = 'draft') are excluded; use draftsService to read them.
  * In Test Mode (auth disabled), if anon is blocked by RLS, throws a helpful guidance error.
  *
  * @param {Object} [opts]
- * @param {number} [opts.limit=25] - Maximum number of rows to fetch (for pagination later)
- * @param {string} [opts.orderBy='created_at'] - Column to order by
+ * @param {number} [opts.limit=25] - Maximum number of rows to fetch
+ * @param {number} [opts.offset=0] - Number of rows to skip (range pagination)
+ * @param {string} [opts.orderBy='created_at'] - Column to order by (one of REPORT_SORT_COLUMNS)
  * @param {boolean} [opts.ascending=false] - Sort direction
+ * @param {string} [opts.weekFrom] - Inclusive lower bound for week_start (YYYY-MM-DD)
+ * @param {string} [opts.weekTo] - Inclusive upper bound for week_start (YYYY-MM-DD)
+ * @param {string[]|string} [opts.tags] - Only rows containing all of these tags
+ * @param {string} [opts.q] - Case-insensitive text match against progress, blockers and plans
+ * @param {string} [opts.userId] - Only reports written by this user. RLS alone is not enough for "my reports":
+ *   team-scoped policies also let leads and admins read their teams' reports
  * @returns {Promise<Array>} Array of report rows with fields:
- *   id, created_at, week_start, progress, blockers, plans, user_id, tags
+ *   id, created_at, updated_at, week_start, progress, blockers, plans, user_id, tags, revision
  */
 export async function getWeeklyReports(opts = {}) {
+  const { rows } = await queryWeeklyReports(opts, { withCount: false });
+  return rows;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getWeeklyReportsPage - Page-based variant of getWeeklyReports that also returns the total row count.
+ *
+ * @param {Object} [opts] - Same filters and sorting as getWeeklyReports, plus:
+ * @param {number} [opts.page=1] - 1-based page number
+ * @param {number} [opts.pageSize=25] - Rows per page
+ * @returns {Promise<{ rows: Array, total: number, page: number, pageSize: number, pageCount: number }>}
+ */
+export async function getWeeklyReportsPage(opts = {}) {
+  const page = Math.max(1, parseInt(opts.page, 10) || 1);
+  const pageSize = Math.max(1, parseInt(opts.pageSize, 10) || 25);
+  const { rows, total } = await queryWeeklyReports(
+    { ...opts, limit: pageSize, offset: (page - 1) * pageSize },
+    { withCount: true }
+  );
+  const count = Number.isFinite(total) ? total : rows.length;
+  return { rows, total: count, page, pageSize, pageCount: Math.max(1, Math.ceil(count / pageSize)) };
+}
+
+// Shared query builder for the list functions above
+async function queryWeeklyReports(opts, { withCount }) {
   const supabase = getSupabase();
 
   if (!supabase) {
@@ -115,23 +262,49 @@ export async function getWeeklyReports(opts = {}) {
 
   const {
     limit = 25,
+    offset = 0,
     orderBy = 'created_at',
     ascending = false,
+    weekFrom,
+    weekTo,
+    tags,
+    q,
+    userId,
   } = opts;
 
   let query = supabase
     .from('weekly_reports')
-    .select('id, created_at, week_start, progress, blockers, plans, user_id, tags');
+    .select(REPORT_LIST_COLUMNS, withCount ? { count: 'exact' } : undefined)
+    .neq('status', 'draft');
+
+  if (userId) query = query.eq('user_id', userId);
+  if (weekFrom) query = query.gte('week_start', weekFrom);
+  if (weekTo) query = query.lte('week_start', weekTo);
+
+  const tagList = normalizeTags(tags);
+  if (tagList.length > 0) query = query.contains('tags', tagList);
 
-  if (orderBy) {
-    query = query.order(orderBy, { ascending, nullsFirst: false });
+  // Wildcard and escape characters are stripped; the pattern is double-quoted (with " escaped) so commas,
+  // parentheses and quotes in the search text cannot break out of the or() expression
+  const text = String(q || '').replace(/[%*\\]/g, ' ').trim();
+  if (text) {
+    const pattern = `"%${text.replace(/"/g, '\\"')}%"`;
+    query = query.or(['progress', 'blockers', 'plans'].map((c) => `${c}.ilike.${pattern}`).join(','));
+  }
+
+  const sortColumn = REPORT_SORT_COLUMNS.includes(orderBy) ? orderBy : 'created_at';
+  query = query.order(sortColumn, { ascending, nullsFirst: false });
+  if (sortColumn !== 'created_at') {
+    // Stable secondary order so pages do not shuffle rows with equal sort keys
+    query = query.order('created_at', { ascending: false });
   }
 
   if (Number.isFinite(limit) && limit > 0) {
-    query = query.limit(limit);
+    const start = Number.isFinite(offset) && offset > 0 ? offset : 0;
+    query = query.range(start, start + limit - 1);
   }
 
-  const { data, error } = await query;
+  const { data, error, count } = await query;
 
   if (error) {
     const msg = String(error.message || '').toLowerCase();
@@ -152,5 +325,183 @@ export async function getWeeklyReports(opts = {}) {
     throw new Error(error.message || 'Failed to load weekly reports.');
   }
 
+  return { rows: Array.isArray(data) ? data : [], total: count };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getWeeklyReportById - Fetches a single report by id (subject to RLS), with the name of the team it was filed under.
+ *
+ * @param {string} id - Report UUID
+ * @returns {Promise<Object|null>} The report row plus `team_name`, or null if not found/visible
+ */
+export async function getWeeklyReportById(id) {
+  const supabase = getSupabase();
+
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+  if (!id) {
+    throw new Error('Report id is required.');
+  }
+
+  const { data, error } = await supabase
+    .from('weekly_reports')
+    .select('id, created_at, updated_at, week_start, progress, blockers, plans, user_id, tags, status, revision, plan_review, submitted_at, team_id, teams(name)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load weekly report.');
+  }
+  if (!data) return null;
+  // Flatten the embedded team; it is null when the report has no team or the team row is not visible to the caller
+  const { teams, ...report } = data;
+  return { ...report, team_name: teams?.name || null };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getReportDetail - Loads a report with its author and the same author's previous/next submitted weeks.
+ * - If REACT_APP_API_BASE is present, uses GET /reports/:id (team-scoped access for managers).
+ * - Otherwise reads from Supabase; RLS decides visibility and the author is looked up in public.profiles when available.
+ *
+ * @param {string} id - Report UUID
+ * @returns {Promise<{ report: Object|null, author: { id: string, email?: string }|null,
+ *   previous: { id: string, week_start: string }|null, next: { id: string, week_start: string }|null }>}
+ */
+export async function getReportDetail(id) {
+  if (!id) {
+    throw new Error('Report id is required.');
+  }
+
+  if (getApiBase()) {
+    const data = await apiGet(`/reports/${encodeURIComponent(id)}`);
+    const report = data?.report || (data?.id ? data : null);
+    return {
+      report,
+      author: data?.author || (report?.user_id ? { id: report.user_id } : null),
+      previous: data?.previous || null,
+      next: data?.next || null,
+    };
+  }
+
+  const report = await getWeeklyReportById(id);
+  if (!report) {
+    return { report: null, author: null, previous: null, next: null };
+  }
+
+  const supabase = getSupabase();
+  let previous = null;
+  let next = null;
+  let author = report.user_id ? { id: report.user_id } : null;
+
+  if (report.user_id) {
+    const adjacent = (direction) => {
+      const base = supabase
+        .from('weekly_reports')
+        .select('id, week_start')
+        .eq('user_id', report.user_id)
+        .neq('status', 'draft');
+      const q = direction === 'previous'
+        ? base.lt('week_start', report.week_start).order('week_start', { ascending: false })
+        : base.gt('week_start', report.week_start).order('week_start', { ascending: true });
+      return q.limit(1).maybeSingle();
+    };
+
+    const [prevRes, nextRes, profileRes] = await Promise.all([
+      adjacent('previous'),
+      adjacent('next'),
+      supabase.from('profiles').select('user_id, email').eq('user_id', report.user_id).maybeSingle(),
+    ]);
+    previous = prevRes?.error ? null : prevRes?.data || null;
+    next = nextRes?.error ? null : nextRes?.data || null;
+    // profiles is optional (see docs/roles.md); ignore lookup failures
+    if (!profileRes?.error && profileRes?.data) {
+      author = { id: report.user_id, email: profileRes.data.email || undefined };
+    }
+  }
+
+  return { report, author, previous, next };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updateWeeklyReport - Updates an existing submitted report.
+ * The database trigger on weekly_reports snapshots the previous version into weekly_report_revisions
+ * and bumps `revision`/`updated_at`, so callers only send the new field values.
+ *
+ * @param {string} id - Report UUID
+ * @param {Object} params - Report fields
+ * @param {string} params.progress - Weekly accomplishments/progress (required)
+ * @param {string} [params.blockers] - Blockers or challenges
+ * @param {string} params.plans - Plan for next week (required)
+ * @param {string[]|string} [params.tags] - Tags as string[] or comma-separated string
+ * @returns {Promise<Object>} The updated row
+ * @throws {Error} If Supabase is not configured, validation fails, the row is not editable, or the update errors
+ */
+export async function updateWeeklyReport(id, { progress, blockers, plans, tags }) {
+  const supabase = getSupabase();
+
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+  if (!id) {
+    throw new Error('Report id is required.');
+  }
+  if (!progress || !plans) {
+    throw new Error('Progress and Plans are required.');
+  }
+
+  const { data, error } = await supabase
+    .from('weekly_reports')
+    .update({
+      progress,
+      blockers: blockers || null,
+      plans,
+      tags: normalizeTags(tags),
+    })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to update weekly report.');
+  }
+  if (!data) {
+    // RLS filters out rows the caller may not update, which surfaces as "no row returned"
+    throw new Error('Report not found or you are not allowed to edit it.');
+  }
+  return data;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getReportRevisions - Lists previous versions of a report, newest first.
+ * Each entry is the report content as it was before the edit recorded at `revised_at`.
+ *
+ * @param {string} reportId - Report UUID
+ * @returns {Promise<Array>} Array of revision rows with fields:
+ *   id, report_id, revision, progress, blockers, plans, tags, edited_by, revised_at
+ */
+export async function getReportRevisions(reportId) {
+  const supabase = getSupabase();
+
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+  if (!reportId) {
+    throw new Error('Report id is required.');
+  }
+
+  const { data, error } = await supabase
+    .from('weekly_report_revisions')
+    .select('id, report_id, revision, progress, blockers, plans, tags, edited_by, revised_at')
+    .eq('report_id', reportId)
+    .order('revision', { ascending: false });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load report revisions.');
+  }
   return Array.isArray(data) ? data : [];
 }
@@ -0,0 +1,155 @@
+import { createFakeSupabase } from '../testUtils/fakeSupabase';
+import { createWeeklyReport, getReportDetail, getWeeklyReports, getWeeklyReportsPage } from './reportsService';
+
+let mockSupabase = null;
+let mockAuthDisabled = false;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+jest.mock('../lib/featureFlags', () => ({
+  isAuthDisabled: () => mockAuthDisabled,
+}));
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+
+const report = (over) => ({
+  progress: 'Did things',
+  blockers: null,
+  plans: 'More things',
+  tags: [],
+  status: 'submitted',
+  revision: 1,
+  updated_at: null,
+  ...over,
+});
+
+const fields = { progress: 'Shipped it', plans: 'Ship more', blockers: '', week_start: '2025-03-03', tags: 'a, b' };
+
+beforeEach(() => {
+  mockAuthDisabled = false;
+  mockSupabase = createFakeSupabase({
+    tables: {
+      weekly_reports: [
+        report({ id: 'r1', user_id: ALICE, week_start: '2025-02-17', created_at: '2025-02-20T10:00:00Z', tags: ['api'] }),
+        report({ id: 'r2', user_id: ALICE, week_start: '2025-02-24', created_at: '2025-02-27T10:00:00Z', tags: ['api', 'ui'], progress: 'Fixed the login bug' }),
+        report({ id: 'r3', user_id: ALICE, week_start: '2025-03-03', created_at: '2025-03-04T10:00:00Z', status: 'draft' }),
+        report({ id: 'r4', user_id: BOB, week_start: '2025-02-24', created_at: '2025-02-28T10:00:00Z' }),
+      ],
+    },
+    unique: { weekly_reports: [['user_id', 'week_start']] },
+  });
+});
+
+describe('createWeeklyReport', () => {
+  test('inserts a submitted report with normalized tags', async () => {
+    const row = await createWeeklyReport({ ...fields, week_start: '2025-03-10', user_id: BOB });
+    expect(row).toMatchObject({ user_id: BOB, week_start: '2025-03-10', status: 'submitted', blockers: null, tags: ['a', 'b'] });
+    expect(mockSupabase.tables.weekly_reports).toHaveLength(5);
+  });
+
+  test('promotes an existing draft for the week instead of inserting', async () => {
+    const row = await createWeeklyReport({ ...fields, user_id: ALICE });
+    expect(row).toMatchObject({ id: 'r3', status: 'submitted', progress: 'Shipped it' });
+    expect(mockSupabase.tables.weekly_reports).toHaveLength(4);
+  });
+
+  test('rejects a second submission for the same week with REPORT_EXISTS', async () => {
+    await expect(createWeeklyReport({ ...fields, week_start: '2025-02-24', user_id: ALICE })).rejects.toMatchObject({
+      code: 'REPORT_EXISTS',
+      existing: { id: 'r2' },
+    });
+  });
+
+  test('requires a session when auth is enabled', async () => {
+    await expect(createWeeklyReport({ ...fields, user_id: null })).rejects.toThrow(/Missing user session/);
+  });
+
+  test('in Test Mode, explains how to allow anon inserts when RLS blocks them', async () => {
+    mockAuthDisabled = true;
+    mockSupabase.setRls('weekly_reports', 'insert', (row, { role }) => role === 'authenticated');
+    await expect(createWeeklyReport({ ...fields, user_id: null })).rejects.toThrow(
+      /Insert blocked by Supabase Row Level Security\. In Test Mode, allow anon inserts.*new row violates row-level security policy/
+    );
+  });
+
+  test('outside Test Mode, surfaces the RLS error as is', async () => {
+    mockSupabase.setRls('weekly_reports', 'insert', true);
+    const err = await createWeeklyReport({ ...fields, week_start: '2025-03-10', user_id: BOB }).catch((e) => e);
+    expect(err.message).toBe('new row violates row-level security policy for table "weekly_reports"');
+  });
+
+  test('fails clearly when Supabase is not configured', async () => {
+    mockSupabase = null;
+    await expect(createWeeklyReport({ ...fields, user_id: ALICE })).rejects.toThrow(/Supabase is not configured/);
+  });
+});
+
+describe('getWeeklyReports', () => {
+  test('excludes drafts and orders newest first', async () => {
+    const rows = await getWeeklyReports();
+    expect(rows.map((r) => r.id)).toEqual(['r4', 'r2', 'r1']);
+  });
+
+  test('only returns rows visible under RLS', async () => {
+    mockSupabase.setRls('weekly_reports', 'select', (row) => row.user_id === ALICE);
+    const rows = await getWeeklyReports();
+    expect(rows.map((r) => r.id)).toEqual(['r2', 'r1']);
+  });
+
+  test('filters by author when userId is given', async () => {
+    expect((await getWeeklyReports({ userId: BOB })).map((r) => r.id)).toEqual(['r4']);
+  });
+
+  test('filters by week range, tags and text', async () => {
+    expect((await getWeeklyReports({ weekFrom: '2025-02-24' })).map((r) => r.id)).toEqual(['r4', 'r2']);
+    expect((await getWeeklyReports({ tags: 'api,ui' })).map((r) => r.id)).toEqual(['r2']);
+    expect((await getWeeklyReports({ q: 'LOGIN' })).map((r) => r.id)).toEqual(['r2']);
+  });
+
+  test('matches text containing quotes, commas and parentheses literally', async () => {
+    mockSupabase.tables.weekly_reports[0].progress = 'Reviewed the "auth, v2" spec (draft)';
+    expect((await getWeeklyReports({ q: '"auth, v2" spec (draft)' })).map((r) => r.id)).toEqual(['r1']);
+    expect(await getWeeklyReports({ q: '"),user_id.eq.x' })).toEqual([]);
+  });
+
+  test('in Test Mode, explains how to allow anon reads when RLS blocks them', async () => {
+    mockAuthDisabled = true;
+    mockSupabase.setRls('weekly_reports', 'select', true);
+    await expect(getWeeklyReports()).rejects.toThrow(
+      /Select blocked by Supabase Row Level Security for anon\. In Test Mode, create a dev SELECT policy.*permission denied for table weekly_reports/
+    );
+  });
+
+  test('outside Test Mode, surfaces the RLS error as is', async () => {
+    mockSupabase.setRls('weekly_reports', 'select', true);
+    await expect(getWeeklyReports()).rejects.toThrow(/^permission denied for table weekly_reports$/);
+  });
+});
+
+describe('getWeeklyReportsPage', () => {
+  test('pages by week with a total count', async () => {
+    const page = await getWeeklyReportsPage({ page: 2, pageSize: 2, orderBy: 'week_start', ascending: true });
+    expect(page).toMatchObject({ total: 3, page: 2, pageSize: 2, pageCount: 2 });
+    // Same week_start: newest created_at first
+    expect(page.rows.map((r) => r.id)).toEqual(['r2']);
+  });
+});
+
+describe('getReportDetail', () => {
+  test('carries the team the report was filed under', async () => {
+    mockSupabase.tables.teams = [{ id: 'alpha', name: 'Team Alpha' }];
+    mockSupabase.tables.weekly_reports.find((r) => r.id === 'r2').team_id = 'alpha';
+    const { report, previous } = await getReportDetail('r2');
+    expect(report).toMatchObject({ id: 'r2', team_id: 'alpha', team_name: 'Team Alpha' });
+    expect(report).not.toHaveProperty('teams');
+    expect(previous).toMatchObject({ id: 'r1' });
+  });
+
+  test('leaves team_name empty for reports without a team', async () => {
+    mockSupabase.tables.teams = [];
+    const { report } = await getReportDetail('r1');
+    expect(report).toMatchObject({ id: 'r1', team_id: null, team_name: null });
+  });
+});
@@ -0,0 +1,103 @@
+//
+// Full-text search over weekly reports (progress, blockers, plans and tags).
+// - With a backend (REACT_APP_API_BASE), uses GET /reports/search, which applies the same team/role scoping
+//   as /manager/reports.
+// - Otherwise calls the search_reports RPC in Supabase (RLS decides which rows are visible). If the RPC is not
+//   installed yet, falls back to a textSearch() query on the `search` column with client-side snippets.
+//
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, getApiBase } from './apiClient';
+import { buildSnippet, searchTerms } from '../utils/highlight';
+
+const SNIPPET_FIELDS = ['progress', 'blockers', 'plans'];
+
+// PUBLIC_INTERFACE
+/**
+ * searchReports - Searches submitted reports and returns ranked hits with highlighted snippets.
+ *
+ * @param {Object} params
+ * @param {string} params.q - Websearch-style query (words, "quoted phrases", or, -exclude)
+ * @param {string} [params.from] - Inclusive lower bound for week_start (YYYY-MM-DD)
+ * @param {string} [params.to] - Inclusive upper bound for week_start (YYYY-MM-DD)
+ * @param {string} [params.team] - Team id (backend only; scopes manager searches)
+ * @param {number} [params.limit=50] - Maximum number of hits
+ * @returns {Promise<Array<{ id: string, user_id: string|null, week_start: string, created_at: string, tags: string[],
+ *   rank: number, snippets: Array<{ field: string, snippet: string }> }>>} Snippets mark matches with [[ ]]
+ */
+export async function searchReports({ q, from, to, team, limit = 50 }) {
+  const query = String(q || '').trim();
+  if (!query) return [];
+
+  if (getApiBase()) {
+    const data = await apiGet('/reports/search', {
+      params: { q: query, from: from || undefined, to: to || undefined, team: team || undefined, limit },
+    });
+    const items = Array.isArray(data) ? data : (data?.items || []);
+    return items.map(normalizeHit);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+
+  const { data, error } = await supabase.rpc('search_reports', {
+    q: query,
+    week_from: from || null,
+    week_to: to || null,
+    max_rows: limit,
+  });
+
+  if (!error) {
+    return (Array.isArray(data) ? data : []).map(normalizeHit);
+  }
+
+  // RPC missing (not yet installed from supabase_schema.sql): query the tsvector column directly
+  const missingRpc = error.code === 'PGRST202' || error.code === '42883' || /function .*search_reports/i.test(error.message || '');
+  if (!missingRpc) {
+    throw new Error(error.message || 'Search failed.');
+  }
+
+  let fallback = supabase
+    .from('weekly_reports')
+    .select('id, user_id, week_start, created_at, progress, blockers, plans, tags')
+    .neq('status', 'draft')
+    .textSearch('search', query, { type: 'websearch', config: 'english' })
+    .order('week_start', { ascending: false })
+    .limit(limit);
+  if (from) fallback = fallback.gte('week_start', from);
+  if (to) fallback = fallback.lte('week_start', to);
+
+  const { data: rows, error: fbError } = await fallback;
+  if (fbError) {
+    throw new Error(fbError.message || 'Search failed.');
+  }
+
+  const terms = searchTerms(query);
+  return (Array.isArray(rows) ? rows : []).map((r) =>
+    normalizeHit({
+      ...r,
+      rank: 0,
+      snippets: SNIPPET_FIELDS.map((field) => ({ field, snippet: buildSnippet(r[field], terms) })),
+    })
+  );
+}
+
+// Accepts RPC rows ({ progress_snippet, ... }), backend items ({ snippets: [...] }) or fallback rows
+function normalizeHit(h) {
+  let snippets = Array.isArray(h?.snippets) ? h.snippets : SNIPPET_FIELDS.map((field) => ({
+    field,
+    snippet: h?.[`${field}_snippet`] || '',
+  }));
+  // Keep only snippets that actually contain a match
+  snippets = snippets.filter((s) => s && String(s.snippet || '').includes('[['));
+  return {
+    id: h?.id,
+    user_id: h?.user_id || null,
+    week_start: String(h?.week_start || '').slice(0, 10),
+    created_at: h?.created_at || null,
+    tags: Array.isArray(h?.tags) ? h.tags : [],
+    rank: Number(h?.rank) || 0,
+    snippets,
+  };
+}
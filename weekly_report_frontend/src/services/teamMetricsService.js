@@ -0,0 +1,220 @@
+import { getSupabase } from '../lib/supabaseClient';
+import { apiGet, getApiBase } from './apiClient';
+import { getBlockerSummary } from './blockersService';
+import { getReportingWindows } from './reportingWindowsService';
+import { isReportOnTime, weeksBetween } from '../utils/weeks';
+import { DEFAULT_SCHEDULE, scheduleForWeek } from '../utils/reportingSchedule';
+
+//
+// Team metrics for TeamDashboard: per-week submissions, on-time rate, participation, blockers and tags.
+// Sources, in order: backend GET /manager/metrics, Supabase RPC team_weekly_metrics (supabase_schema.sql),
+// and finally computing in the browser from the rows RLS lets the caller read. On time means submitted before the
+// deadline (grace included) of the reporting window governing the team's week, like NewReport and Compliance.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * computeWeeklyMetrics - Builds per-week metric rows from raw rows.
+ *
+ * @param {{ weeks: string[], memberIds: string[], reports: Array<{ user_id: string, week_start: string,
+ *   submitted_at?: string, created_at?: string, tags?: string[] }>, blockers?: Array<{ opened_week: string,
+ *   resolved_week?: string|null }>, scheduleFor?: (week: string) => Object }} input - scheduleFor returns a week's
+ *   deadline schedule (defaults to DEFAULT_SCHEDULE)
+ * @returns {Array<Object>} rows as described in getTeamMetrics
+ */
+export function computeWeeklyMetrics({ weeks, memberIds, reports, blockers = [], scheduleFor = () => DEFAULT_SCHEDULE }) {
+  const members = new Set(memberIds || []);
+  return weeks.map((week) => {
+    // One report per user and week counts (legacy duplicates are ignored)
+    const byUser = new Map();
+    for (const r of reports || []) {
+      if (String(r.week_start).slice(0, 10) !== week || !r.user_id) continue;
+      if (members.size && !members.has(r.user_id)) continue;
+      if (!byUser.has(r.user_id)) byUser.set(r.user_id, r);
+    }
+    const weekReports = [...byUser.values()];
+    const schedule = scheduleFor(week);
+    const tags = {};
+    for (const r of weekReports) {
+      for (const t of r.tags || []) tags[t] = (tags[t] || 0) + 1;
+    }
+    return finishWeek({
+      week_start: week,
+      members: members.size,
+      submitted: weekReports.length,
+      on_time: weekReports.filter((r) => isReportOnTime(r, schedule)).length,
+      blockers_opened: blockers.filter((b) => String(b.opened_week).slice(0, 10) === week).length,
+      blockers_resolved: blockers.filter((b) => String(b.resolved_week || '').slice(0, 10) === week).length,
+      tags,
+    });
+  });
+}
+
+// Adds derived fields (late, rates) to a week row
+function finishWeek(w) {
+  const members = Number(w.members) || 0;
+  const submitted = Number(w.submitted) || 0;
+  const onTime = Number(w.on_time) || 0;
+  return {
+    week_start: String(w.week_start).slice(0, 10),
+    members,
+    submitted,
+    on_time: onTime,
+    late: Math.max(0, submitted - onTime),
+    participation: members ? Math.min(1, submitted / members) : null,
+    on_time_rate: submitted ? onTime / submitted : null,
+    blockers_opened: Number(w.blockers_opened) || 0,
+    blockers_resolved: Number(w.blockers_resolved) || 0,
+    tags: w.tags && typeof w.tags === 'object' ? w.tags : {},
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * summarizeTeamMetrics - Totals over a range of week rows.
+ *
+ * @param {Array<Object>} weeks - Rows from computeWeeklyMetrics/getTeamMetrics
+ * @returns {{ submitted: number, on_time_rate: number|null, participation: number|null, members: number }}
+ *   participation is the average weekly participation over weeks with known membership.
+ */
+export function summarizeTeamMetrics(weeks) {
+  const rows = weeks || [];
+  const submitted = rows.reduce((n, w) => n + w.submitted, 0);
+  const onTime = rows.reduce((n, w) => n + w.on_time, 0);
+  const withMembers = rows.filter((w) => w.participation != null);
+  return {
+    submitted,
+    on_time_rate: submitted ? onTime / submitted : null,
+    participation: withMembers.length
+      ? withMembers.reduce((n, w) => n + w.participation, 0) / withMembers.length
+      : null,
+    members: rows.length ? rows[rows.length - 1].members : 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getTeamMetrics - Loads metrics for a team over a week range.
+ * - If REACT_APP_API_BASE is present, uses GET /manager/metrics?team&from&to.
+ * - Otherwise calls the team_weekly_metrics / team_open_blockers RPCs; when they are not installed, computes the
+ *   metrics from team_members, weekly_reports and blockers rows (limited by RLS, so employees see their own
+ *   numbers). When the team's members cannot be determined, the weeks are empty and `blockers.available` is false.
+ *
+ * @param {{ team: string, from: string, to: string }} params - Week starts (YYYY-MM-DD), inclusive
+ * @returns {Promise<{ weeks: Array<{ week_start: string, members: number, submitted: number, on_time: number,
+ *   late: number, participation: number|null, on_time_rate: number|null, blockers_opened: number,
+ *   blockers_resolved: number, tags: Object<string, number> }>, totals: Object,
+ *   blockers: { open: number, escalated: number, available?: boolean }, source: 'api'|'rpc'|'client' }>}
+ */
+export async function getTeamMetrics({ team, from, to }) {
+  if (!from || !to) throw new Error('A week range is required.');
+
+  if (getApiBase()) {
+    const data = await apiGet('/manager/metrics', { params: { team: team || undefined, from, to } });
+    const weeks = (data?.weeks || []).map(finishWeek);
+    return {
+      weeks,
+      totals: summarizeTeamMetrics(weeks),
+      blockers: { open: Number(data?.blockers?.open) || 0, escalated: Number(data?.blockers?.escalated) || 0 },
+      source: 'api',
+    };
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY.');
+  }
+
+  const [metricsRes, blockersRes] = await Promise.all([
+    supabase.rpc('team_weekly_metrics', { p_team_id: team, week_from: from, week_to: to }),
+    supabase.rpc('team_open_blockers', { p_team_id: team }),
+  ]);
+
+  if (!metricsRes.error) {
+    const weeks = (metricsRes.data || []).map(finishWeek);
+    const b = Array.isArray(blockersRes.data) ? blockersRes.data[0] : blockersRes.data;
+    return {
+      weeks,
+      totals: summarizeTeamMetrics(weeks),
+      blockers: blockersRes.error
+        ? await getBlockerSummary({ team })
+        : { open: Number(b?.open) || 0, escalated: Number(b?.escalated) || 0 },
+      source: 'rpc',
+    };
+  }
+
+  if (!isMissingFunction(metricsRes.error)) {
+    throw new Error(metricsRes.error.message || 'Failed to load team metrics.');
+  }
+  return computeFromRows(supabase, { team, from, to });
+}
+
+// RPC not installed yet (supabase_schema.sql not applied)
+function isMissingFunction(error) {
+  return error?.code === 'PGRST202' || error?.code === '42883' || /function .*team_/i.test(error?.message || '');
+}
+
+// Loads the team's member ids from public.team_members; null when membership cannot be determined
+async function loadMemberIds(supabase, team) {
+  const { data, error } = await supabase.from('team_members').select('user_id').eq('team_id', team);
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') return null;
+    throw new Error(error.message || 'Failed to load team members.');
+  }
+  const ids = (data || []).map((m) => m.user_id).filter(Boolean);
+  return ids.length ? ids : null;
+}
+
+async function computeFromRows(supabase, { team, from, to }) {
+  // Without a team the rows are the caller's own (RLS); with one they must be limited to its members
+  const memberIds = team ? await loadMemberIds(supabase, team) : [];
+  if (!memberIds) {
+    // Counting every readable row would mislabel other teams' reports and blockers as this team's
+    const weeks = computeWeeklyMetrics({ weeks: weeksBetween(from, to), memberIds: [], reports: [] });
+    return {
+      weeks,
+      totals: summarizeTeamMetrics(weeks),
+      blockers: { open: 0, escalated: 0, available: false },
+      source: 'client',
+    };
+  }
+
+  let reportsQuery = supabase
+    .from('weekly_reports')
+    .select('user_id, week_start, submitted_at, created_at, tags')
+    .eq('status', 'submitted')
+    .gte('week_start', from)
+    .lte('week_start', to);
+  if (memberIds.length) reportsQuery = reportsQuery.in('user_id', memberIds);
+  const { data: reports, error: reportsErr } = await reportsQuery.order('created_at', { ascending: true });
+  if (reportsErr) {
+    throw new Error(reportsErr.message || 'Failed to load team metrics.');
+  }
+
+  // Blockers are optional (table may not exist yet)
+  let blockersQuery = supabase.from('blockers').select('user_id, status, opened_week, resolved_week');
+  if (memberIds.length) blockersQuery = blockersQuery.in('user_id', memberIds);
+  const { data: blockers } = await blockersQuery;
+  const blockerRows = blockers || [];
+
+  // Without windows every week keeps the default deadline
+  const windows = await getReportingWindows().catch(() => []);
+  const scheduleFor = (w) => scheduleForWeek(windows, { weekStart: w, teamId: team || null });
+
+  const weeks = computeWeeklyMetrics({
+    weeks: weeksBetween(from, to),
+    memberIds,
+    reports: reports || [],
+    blockers: blockerRows,
+    scheduleFor,
+  });
+  return {
+    weeks,
+    totals: summarizeTeamMetrics(weeks),
+    blockers: {
+      open: blockerRows.filter((b) => b.status === 'open').length,
+      escalated: blockerRows.filter((b) => b.status === 'escalated').length,
+    },
+    source: 'client',
+  };
+}
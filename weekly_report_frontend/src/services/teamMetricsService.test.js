@@ -0,0 +1,63 @@
+import { createFakeSupabase } from '../testUtils/fakeSupabase';
+import { getTeamMetrics } from './teamMetricsService';
+
+let mockSupabase = null;
+jest.mock('../lib/supabaseClient', () => ({
+  getSupabase: () => mockSupabase,
+  getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+}));
+
+const report = (user_id, week_start) => ({
+  id: `${user_id}-${week_start}`,
+  user_id,
+  week_start,
+  status: 'submitted',
+  submitted_at: `${week_start}T09:00:00Z`,
+  created_at: `${week_start}T09:00:00Z`,
+  tags: [],
+});
+const blocker = (id, user_id, status = 'open') => ({ id, user_id, owner_id: user_id, title: id, status, opened_week: '2025-03-03' });
+
+// Without the team RPCs the metrics are computed from the rows the caller can read (here: every row)
+beforeEach(() => {
+  mockSupabase = createFakeSupabase({
+    tables: {
+      // e2 only belongs to the team through team_members; e3 still has the old single-team profile field
+      profiles: [
+        { user_id: 'e1', team_id: 'platform' },
+        { user_id: 'e3', team_id: 'platform' },
+      ],
+      team_members: [
+        { team_id: 'platform', user_id: 'e1', role: 'member' },
+        { team_id: 'platform', user_id: 'e2', role: 'member' },
+        { team_id: 'mobile', user_id: 'e3', role: 'member' },
+      ],
+      weekly_reports: [report('e1', '2025-03-03'), report('e2', '2025-03-03'), report('e3', '2025-03-03')],
+      blockers: [blocker('b1', 'e2'), blocker('b2', 'e3', 'escalated')],
+      reporting_windows: [],
+    },
+  });
+});
+
+describe('getTeamMetrics without the team RPCs', () => {
+  test('counts the members listed in team_members and only their rows', async () => {
+    const metrics = await getTeamMetrics({ team: 'platform', from: '2025-03-03', to: '2025-03-03' });
+    expect(metrics.source).toBe('client');
+    expect(metrics.weeks[0]).toMatchObject({ members: 2, submitted: 2, participation: 1, blockers_opened: 1 });
+    expect(metrics.blockers).toEqual({ open: 1, escalated: 0 });
+  });
+
+  test("is empty and unavailable when the team has no members, instead of counting everyone's rows", async () => {
+    const metrics = await getTeamMetrics({ team: 'design', from: '2025-03-03', to: '2025-03-03' });
+    expect(metrics.weeks[0]).toMatchObject({ members: 0, submitted: 0, participation: null, blockers_opened: 0 });
+    expect(metrics.totals.submitted).toBe(0);
+    expect(metrics.blockers).toEqual({ open: 0, escalated: 0, available: false });
+  });
+
+  test('is unavailable when team_members is not installed', async () => {
+    delete mockSupabase.tables.team_members;
+    const metrics = await getTeamMetrics({ team: 'platform', from: '2025-03-03', to: '2025-03-03' });
+    expect(metrics.totals.submitted).toBe(0);
+    expect(metrics.blockers.available).toBe(false);
+  });
+});
@@ -2,8 +2,10 @@
 // Team service with graceful fallbacks.
 // Reads REACT_APP_API_BASE (or REACT_APP_BACKEND_URL through apiClient).
 // Provides getTeams, createTeam, setUserTeam with backend integration if available, else local-only behavior.
+// getMyTeams lists the caller's memberships (teams/team_members tables, see supabase_schema.sql).
 // Also includes localStorage helpers for temporary persistence.
 //
+import { getSupabase } from '../lib/supabaseClient';
 import { getApiBase, apiGet, apiPost } from './apiClient';
 
 const LS_TEAM_KEY = 'wr.selectedTeam';
@@ -109,6 +111,49 @@ export async function setUserTeam(teamId) {
   return { available: true, success: ok, message: res?.message };
 }
 
+// PUBLIC_INTERFACE
+/** TEAM_ROLES - Per-team membership roles (team_members.role). Leads manage the team's reports. */
+export const TEAM_ROLES = ['member', 'lead'];
+
+// PUBLIC_INTERFACE
+/**
+ * getMyTeams - Lists the teams the current user belongs to, with their role in each team.
+ * - If REACT_APP_API_BASE is present, uses GET /users/me/teams -> array of { id, name, role } or { items: [...] }.
+ * - Otherwise reads team_members joined with teams from Supabase. When the membership tables are not installed
+ *   (or Supabase is not configured) an empty list is returned with available=false.
+ *
+ * @param {{ user_id?: string|null }} [params] - required for the Supabase path
+ * @returns {Promise<{ available: boolean, teams: Array<{ id: string, name: string, role: string }> }>}
+ */
+export async function getMyTeams({ user_id } = {}) {
+  if (hasTeamApi().available) {
+    const data = await apiGet('/users/me/teams');
+    const items = Array.isArray(data) ? data : (data?.items || []);
+    return { available: true, teams: items.map(normalizeMembership).filter((t) => t.id) };
+  }
+
+  const supabase = getSupabase();
+  if (!supabase || !user_id) {
+    return { available: false, teams: [] };
+  }
+
+  const { data, error } = await supabase
+    .from('team_members')
+    .select('role, team_id, teams(id, name)')
+    .eq('user_id', user_id);
+  if (error) {
+    // Membership tables not installed yet: behave like the single-team setup
+    const missingTable = error.code === '42P01' || error.code === 'PGRST205' || /relation .*team_members/i.test(error.message || '');
+    if (missingTable) return { available: false, teams: [] };
+    throw new Error(error.message || 'Failed to load your teams.');
+  }
+  const teams = (data || [])
+    .map((row) => normalizeMembership({ ...row.teams, id: row.teams?.id ?? row.team_id, role: row.role }))
+    .filter((t) => t.id)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { available: true, teams };
+}
+
 // PUBLIC_INTERFACE
 /**
  * getStoredTeam - Reads the locally stored team selection.
@@ -153,6 +198,11 @@ export function clearStoredTeam() {
 }
 
 // Helpers
+function normalizeMembership(t) {
+  const id = String(t?.id ?? t?.team_id ?? '');
+  const role = TEAM_ROLES.includes(t?.role) ? t.role : 'member';
+  return { id, name: String(t?.name ?? t?.team_name ?? id), role };
+}
 function slugify(str) {
   return String(str)
     .toLowerCase()
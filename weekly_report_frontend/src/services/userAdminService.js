@@ -24,9 +24,10 @@ export function getAdminApiStatus() {
  * Expected backend endpoint(s):
  *  - GET /admin/users -> returns array of users or { items: [...] }
  *
+ * @param {{ fresh?: boolean }} [opts] - fresh bypasses the API client's short-lived response cache
  * @returns {Promise<{available: boolean, users: Array, message?: string}>}
  */
-export async function fetchUsers() {
+export async function fetchUsers({ fresh = false } = {}) {
   const { available } = getAdminApiStatus();
   if (!available) {
     return {
@@ -36,7 +37,7 @@ export async function fetchUsers() {
         'Backend admin API is not configured. Set REACT_APP_API_BASE to enable user listing.',
     };
   }
-  const data = await apiGet('/admin/users');
+  const data = await apiGet('/admin/users', { fresh });
   const users = Array.isArray(data) ? data : (data?.items || []);
   return { available: true, users };
 }
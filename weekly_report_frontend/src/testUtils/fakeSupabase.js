@@ -0,0 +1,454 @@
+//
+// In-memory stand-in for the supabase-js client, for unit tests of code that calls getSupabase() (reportsService,
+// AuthContext, ManagerReports, ...). Tables are plain arrays of rows; queries run against them with PostgREST-like
+// semantics and resolve to { data, error, count } the way supabase-js does, so code paths for errors (RLS denials,
+// unique violations, missing tables) can be exercised without a live project.
+//
+// Inject it by mocking the client module in the test file (jest hoists the call; the factory may only reference
+// variables whose names start with "mock"):
+//
+//   let mockSupabase = null;
+//   jest.mock('../lib/supabaseClient', () => ({
+//     getSupabase: () => mockSupabase,
+//     getSupabaseConfigStatus: () => ({ isConfigured: Boolean(mockSupabase) }),
+//   }));
+//   beforeEach(() => { mockSupabase = createFakeSupabase({ tables: { weekly_reports: [] } }); });
+//
+
+const RLS_CODE = '42501';
+
+// Split on commas that are not inside parentheses: "id, teams(id, name)" -> ['id', 'teams(id, name)']
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let quoted = false;
+  let escaped = false;
+  for (const ch of String(text || '')) {
+    // Double-quoted values may contain commas and parentheses; \" and \\ are escapes inside them
+    if (quoted) {
+      current += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') quoted = false;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    if (ch === '(') depth += 1;
+    if (ch === ')') depth -= 1;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+const likeToRegExp = (pattern, flags) =>
+  new RegExp(`^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+
+// Values in or()/filter() strings arrive as text, optionally double-quoted
+const parseLiteral = (v) => {
+  if (/^"[\s\S]*"$/.test(v)) return v.slice(1, -1).replace(/\\(.)/g, '$1');
+  return v === 'null' ? null : v === 'true' ? true : v === 'false' ? false : v;
+};
+
+// SQL-ish comparison: anything compared with NULL is false (except "is")
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'is':
+      return expected === null ? actual === null || actual === undefined : actual === expected;
+    case 'in': {
+      const list = Array.isArray(expected) ? expected : String(expected).replace(/^\(|\)$/g, '').split(',').map((s) => s.trim());
+      return actual !== null && actual !== undefined && list.map(String).includes(String(actual));
+    }
+    case 'cs':
+    case 'contains': {
+      const wanted = Array.isArray(expected) ? expected : [expected];
+      return Array.isArray(actual) && wanted.every((x) => actual.includes(x));
+    }
+    default:
+      break;
+  }
+  if (actual === null || actual === undefined) return false;
+  switch (op) {
+    case 'eq':
+      return String(actual) === String(expected);
+    case 'neq':
+      return String(actual) !== String(expected);
+    case 'gt':
+      return actual > expected;
+    case 'gte':
+      return actual >= expected;
+    case 'lt':
+      return actual < expected;
+    case 'lte':
+      return actual <= expected;
+    case 'like':
+      return likeToRegExp(expected).test(String(actual));
+    case 'ilike':
+      return likeToRegExp(expected, 'i').test(String(actual));
+    default:
+      throw new Error(`fakeSupabase: unsupported filter operator "${op}"`);
+  }
+}
+
+// "col.op.value" as used by or() and not(), or a nested and(...)/or(...) group
+function parseCondition(expr) {
+  const group = String(expr).match(/^(and|or)\(([\s\S]*)\)$/);
+  if (group) {
+    const conditions = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === 'and' ? (row) => conditions.every((test) => test(row)) : (row) => conditions.some((test) => test(row));
+  }
+  const [column, op, ...rest] = String(expr).split('.');
+  const negate = op === 'not';
+  const realOp = negate ? rest.shift() : op;
+  const value = parseLiteral(rest.join('.'));
+  return (row) => compare(realOp, row[column], value) !== negate;
+}
+
+function sortRows(rows, orders) {
+  if (orders.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+      const x = a[column];
+      const y = b[column];
+      const xNull = x === null || x === undefined;
+      const yNull = y === null || y === undefined;
+      if (xNull || yNull) {
+        if (xNull && yNull) continue;
+        return xNull === nullsFirst ? -1 : 1;
+      }
+      if (x < y) return ascending ? -1 : 1;
+      if (x > y) return ascending ? 1 : -1;
+    }
+    return 0;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * fakeSession - Builds a Supabase-shaped session for a user with the given application role.
+ *
+ * @param {{ id: string, email?: string, role?: string, user_metadata?: Object }} user
+ * @returns {{ access_token: string, user: Object }}
+ */
+export function fakeSession({ id, email = `${id}@example.com`, role = 'employee', user_metadata = {} }) {
+  return {
+    access_token: `fake-token-${id}`,
+    refresh_token: `fake-refresh-${id}`,
+    user: { id, email, app_metadata: role ? { role } : {}, user_metadata },
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * createFakeSupabase - Creates an in-memory Supabase client.
+ *
+ * Query builder: from(table) with select/insert/update/upsert/delete, the filters eq, neq, gt, gte, lt, lte, like,
+ * ilike, is, in, contains, match, not, or and filter, then order, limit, range, single and maybeSingle. Selecting
+ * `{ count: 'exact' }` returns the total before range/limit. Embedded selects such as `teams(id, name)` resolve
+ * through a `team_id` column (to-one) or through rows whose `<table>_id` points back (to-many).
+ * Tables not listed in `tables` fail with Postgres' "relation does not exist" error (42P01).
+ *
+ * RLS: `rls[table][operation]` (operation select/insert/update/delete or '*') is either `true`, which denies the
+ * operation outright (42501), or a predicate `(row, { user, role }) => boolean`: rows failing it are invisible to
+ * select/update/delete, and inserted or updated rows failing it are rejected with "new row violates row-level
+ * security policy" (42501). `role` is 'authenticated' with a session, else 'anon'.
+ *
+ * Auth: getSession, getUser, refreshSession, onAuthStateChange, signOut, signInWithOtp. Tests change the session
+ * with setSession(session, event), which notifies onAuthStateChange listeners.
+ *
+ * @param {Object} [opts]
+ * @param {Object<string, Array<Object>>} [opts.tables] - Initial rows per table (copied)
+ * @param {Object|null} [opts.session] - Initial session (see fakeSession)
+ * @param {Object<string, Object>} [opts.rls] - Policies per table and operation
+ * @param {Object<string, Array<string[]>>} [opts.unique] - Unique column sets per table, enforced with 23505
+ * @param {Object<string, Function>} [opts.functions] - rpc handlers: (args, { user, role }) => data
+ * @returns {Object} The client, plus `tables` (live rows), `calls` (log of { table, operation }), `setSession`
+ *   and `setRls` for tests
+ */
+export function createFakeSupabase({ tables = {}, session = null, rls = {}, unique = {}, functions = {} } = {}) {
+  const db = {};
+  Object.entries(tables).forEach(([name, rows]) => {
+    db[name] = (rows || []).map((r) => ({ ...r }));
+  });
+  const policies = { ...rls };
+  const calls = [];
+  const listeners = new Set();
+  let currentSession = session;
+  let nextId = 0;
+
+  const context = () => ({ user: currentSession?.user || null, role: currentSession ? 'authenticated' : 'anon' });
+  const policyFor = (table, operation) => {
+    const p = policies[table];
+    if (!p) return undefined;
+    return p[operation] !== undefined ? p[operation] : p['*'];
+  };
+  const rlsError = (table, operation) =>
+    operation === 'insert' || operation === 'update'
+      ? { code: RLS_CODE, message: `new row violates row-level security policy for table "${table}"`, details: null, hint: null }
+      : { code: RLS_CODE, message: `permission denied for table ${table}`, details: null, hint: null };
+  const passes = (table, operation, row) => {
+    const p = policyFor(table, operation);
+    return typeof p === 'function' ? Boolean(p(row, context())) : true;
+  };
+
+  const uniqueViolation = (table, candidate, ignore) => {
+    for (const cols of unique[table] || []) {
+      const clash = db[table].some((row) => row !== ignore && cols.every((c) => row[c] !== undefined && row[c] !== null && row[c] === candidate[c]));
+      if (clash) {
+        return { code: '23505', message: `duplicate key value violates unique constraint "${table}_${cols.join('_')}_key"`, details: null, hint: null };
+      }
+    }
+    return null;
+  };
+
+  function project(table, row, columns) {
+    const fields = splitTopLevel(columns || '*');
+    if (fields.length === 0) return { ...row };
+    const out = {};
+    for (const field of fields) {
+      const embed = field.match(/^(\w+)(?:!\w+)?\((.*)\)$/);
+      if (embed) {
+        const [, rel, inner] = embed;
+        const related = db[rel] || [];
+        const fk = `${rel.replace(/s$/, '')}_id`;
+        if (fk in row) {
+          const match = related.find((r) => String(r.id) === String(row[fk]));
+          out[rel] = match ? project(rel, match, inner) : null;
+        } else {
+          const back = `${table.replace(/s$/, '')}_id`;
+          out[rel] = related.filter((r) => String(r[back]) === String(row.id)).map((r) => project(rel, r, inner));
+        }
+      } else if (field === '*') {
+        Object.assign(out, row);
+      } else {
+        const [alias, source] = field.includes(':') ? field.split(':').map((s) => s.trim()) : [field, field];
+        out[alias] = row[source] === undefined ? null : row[source];
+      }
+    }
+    return out;
+  }
+
+  function from(table) {
+    const state = {
+      operation: 'select',
+      columns: '*',
+      returning: false,
+      count: null,
+      head: false,
+      values: null,
+      upsertOptions: null,
+      filters: [],
+      orders: [],
+      limit: null,
+      range: null,
+      single: null, // 'single' | 'maybe'
+    };
+
+    function run() {
+      calls.push({ table, operation: state.operation });
+      if (!db[table]) {
+        return { data: null, error: { code: '42P01', message: `relation "public.${table}" does not exist`, details: null, hint: null }, count: null, status: 404 };
+      }
+      if (policyFor(table, state.operation) === true) {
+        return { data: null, error: rlsError(table, state.operation), count: null, status: 403 };
+      }
+      const matches = (row) => state.filters.every((f) => f(row));
+      let affected;
+
+      if (state.operation === 'insert' || state.operation === 'upsert') {
+        const rows = (Array.isArray(state.values) ? state.values : [state.values]).map((v) => ({ ...v }));
+        const conflictCols = state.upsertOptions?.onConflict ? state.upsertOptions.onConflict.split(',').map((s) => s.trim()) : ['id'];
+        affected = [];
+        for (const row of rows) {
+          const existing =
+            state.operation === 'upsert' && conflictCols.every((c) => row[c] !== undefined)
+              ? db[table].find((r) => conflictCols.every((c) => r[c] === row[c]))
+              : null;
+          const next = existing ? { ...existing, ...row } : { id: `fake-${table}-${(nextId += 1)}`, created_at: new Date().toISOString(), ...row };
+          if (!passes(table, existing ? 'update' : 'insert', next)) {
+            return { data: null, error: rlsError(table, 'insert'), count: null, status: 403 };
+          }
+          const clash = uniqueViolation(table, next, existing);
+          if (clash) return { data: null, error: clash, count: null, status: 409 };
+          if (existing) Object.assign(existing, next);
+          else db[table].push(next);
+          affected.push(existing || next);
+        }
+      } else if (state.operation === 'update') {
+        const targets = db[table].filter((row) => matches(row) && passes(table, 'update', row));
+        for (const row of targets) {
+          const next = { ...row, ...state.values };
+          if (!passes(table, 'update', next)) return { data: null, error: rlsError(table, 'update'), count: null, status: 403 };
+          const clash = uniqueViolation(table, next, row);
+          if (clash) return { data: null, error: clash, count: null, status: 409 };
+        }
+        targets.forEach((row) => Object.assign(row, state.values));
+        affected = targets;
+      } else if (state.operation === 'delete') {
+        affected = db[table].filter((row) => matches(row) && passes(table, 'delete', row));
+        db[table] = db[table].filter((row) => !affected.includes(row));
+      } else {
+        affected = db[table].filter((row) => matches(row) && passes(table, 'select', row));
+      }
+
+      const isRead = state.operation === 'select';
+      if (!isRead && !state.returning) return { data: null, error: null, count: null, status: 204 };
+
+      let rows = sortRows(affected, state.orders);
+      const total = rows.length;
+      if (state.range) rows = rows.slice(state.range[0], state.range[1] + 1);
+      if (state.limit !== null) rows = rows.slice(0, state.limit);
+      const data = rows.map((row) => project(table, row, state.columns));
+      const count = state.count ? total : null;
+
+      if (state.single) {
+        if (data.length > 1 || (data.length === 0 && state.single === 'single')) {
+          return {
+            data: null,
+            error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned', details: `The result contains ${data.length} rows`, hint: null },
+            count,
+            status: 406,
+          };
+        }
+        return { data: data[0] || null, error: null, count, status: 200 };
+      }
+      return { data: state.head ? null : data, error: null, count, status: 200 };
+    }
+
+    const addFilter = (fn) => {
+      state.filters.push(fn);
+      return builder;
+    };
+
+    const builder = {
+      select(columns = '*', { count = null, head = false } = {}) {
+        state.columns = columns;
+        state.count = count;
+        state.head = head;
+        if (state.operation !== 'select') state.returning = true;
+        return builder;
+      },
+      insert(values) {
+        state.operation = 'insert';
+        state.values = values;
+        return builder;
+      },
+      upsert(values, options = {}) {
+        state.operation = 'upsert';
+        state.values = values;
+        state.upsertOptions = options;
+        return builder;
+      },
+      update(values) {
+        state.operation = 'update';
+        state.values = values;
+        return builder;
+      },
+      delete() {
+        state.operation = 'delete';
+        return builder;
+      },
+      eq: (column, value) => addFilter((row) => compare('eq', row[column], value)),
+      neq: (column, value) => addFilter((row) => compare('neq', row[column], value)),
+      gt: (column, value) => addFilter((row) => compare('gt', row[column], value)),
+      gte: (column, value) => addFilter((row) => compare('gte', row[column], value)),
+      lt: (column, value) => addFilter((row) => compare('lt', row[column], value)),
+      lte: (column, value) => addFilter((row) => compare('lte', row[column], value)),
+      like: (column, value) => addFilter((row) => compare('like', row[column], value)),
+      ilike: (column, value) => addFilter((row) => compare('ilike', row[column], value)),
+      is: (column, value) => addFilter((row) => compare('is', row[column], value)),
+      in: (column, values) => addFilter((row) => compare('in', row[column], values)),
+      contains: (column, values) => addFilter((row) => compare('contains', row[column], values)),
+      match: (query) => addFilter((row) => Object.entries(query).every(([c, v]) => compare('eq', row[c], v))),
+      not: (column, op, value) => addFilter((row) => !compare(op, row[column], value)),
+      filter: (column, op, value) => addFilter((row) => compare(op, row[column], typeof value === 'string' ? parseLiteral(value) : value)),
+      or(expression) {
+        const conditions = splitTopLevel(expression).map(parseCondition);
+        return addFilter((row) => conditions.some((test) => test(row)));
+      },
+      order(column, { ascending = true, nullsFirst } = {}) {
+        state.orders.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+        return builder;
+      },
+      limit(n) {
+        state.limit = n;
+        return builder;
+      },
+      range(fromIndex, toIndex) {
+        state.range = [fromIndex, toIndex];
+        return builder;
+      },
+      single() {
+        state.single = 'single';
+        return builder;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return builder;
+      },
+      then(onFulfilled, onRejected) {
+        return Promise.resolve().then(run).then(onFulfilled, onRejected);
+      },
+    };
+    return builder;
+  }
+
+  const notify = (event, next) => Promise.all([...listeners].map((cb) => cb(event, next)));
+
+  return {
+    from,
+    async rpc(name, args = {}) {
+      calls.push({ table: null, operation: 'rpc', name });
+      const fn = functions[name];
+      if (!fn) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name} in the schema cache` } };
+      }
+      try {
+        return { data: await fn(args, context()), error: null };
+      } catch (e) {
+        return { data: null, error: { code: e.code || 'P0001', message: e.message } };
+      }
+    },
+    auth: {
+      async getSession() {
+        return { data: { session: currentSession }, error: null };
+      },
+      async getUser() {
+        return { data: { user: currentSession?.user || null }, error: null };
+      },
+      async refreshSession() {
+        if (!currentSession) return { data: { session: null, user: null }, error: { message: 'Auth session missing!' } };
+        return { data: { session: currentSession, user: currentSession.user }, error: null };
+      },
+      onAuthStateChange(callback) {
+        listeners.add(callback);
+        return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+      },
+      async signOut() {
+        currentSession = null;
+        await notify('SIGNED_OUT', null);
+        return { error: null };
+      },
+      async signInWithOtp() {
+        return { data: { user: null, session: null }, error: null };
+      },
+    },
+
+    // Test helpers
+    tables: db,
+    calls,
+    setSession(next, event = next ? 'SIGNED_IN' : 'SIGNED_OUT') {
+      currentSession = next;
+      return notify(event, next);
+    },
+    setRls(table, operation, policy) {
+      policies[table] = { ...(policies[table] || {}), [operation]: policy };
+    },
+  };
+}
@@ -0,0 +1,88 @@
+//
+// Search highlighting helpers.
+// Snippets mark matches with [[ and ]] (the same markers the search_reports RPC asks ts_headline to emit),
+// so they can be rendered as <mark> elements without ever injecting HTML.
+//
+
+export const HIGHLIGHT_START = '[[';
+export const HIGHLIGHT_STOP = ']]';
+
+// PUBLIC_INTERFACE
+/**
+ * splitHighlights - Splits a marked snippet into plain and highlighted segments.
+ * @param {string} snippet - Text containing [[match]] markers
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function splitHighlights(snippet) {
+  const out = [];
+  let rest = String(snippet || '');
+  while (rest) {
+    const start = rest.indexOf(HIGHLIGHT_START);
+    if (start === -1) {
+      out.push({ text: rest, match: false });
+      break;
+    }
+    const stop = rest.indexOf(HIGHLIGHT_STOP, start + HIGHLIGHT_START.length);
+    if (stop === -1) {
+      out.push({ text: rest, match: false });
+      break;
+    }
+    if (start > 0) out.push({ text: rest.slice(0, start), match: false });
+    out.push({ text: rest.slice(start + HIGHLIGHT_START.length, stop), match: true });
+    rest = rest.slice(stop + HIGHLIGHT_STOP.length);
+  }
+  return out.filter((s) => s.text);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * searchTerms - Extracts lowercase search terms from a websearch-style query.
+ * Quoted phrases are kept together; operators (or, -term) are dropped.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query || ''))) !== null) {
+    const raw = (m[1] || m[2] || '').trim().toLowerCase();
+    if (!raw || raw === 'or' || raw.startsWith('-')) continue;
+    terms.push(raw);
+  }
+  return terms;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * buildSnippet - Client-side fallback for ts_headline: returns a short excerpt around the first match,
+ * with every term occurrence wrapped in [[ ]] markers. Returns '' when no term occurs in the text.
+ * @param {string} text
+ * @param {string[]} terms - Lowercase terms (see searchTerms)
+ * @param {number} [radius=80] - Characters of context on each side of the first match
+ * @returns {string}
+ */
+export function buildSnippet(text, terms, radius = 80) {
+  const source = String(text || '');
+  const lower = source.toLowerCase();
+  const valid = (terms || []).filter(Boolean);
+  if (!source || valid.length === 0) return '';
+
+  let first = -1;
+  for (const t of valid) {
+    const i = lower.indexOf(t);
+    if (i !== -1 && (first === -1 || i < first)) first = i;
+  }
+  if (first === -1) return '';
+
+  const from = Math.max(0, first - radius);
+  const to = Math.min(source.length, first + radius);
+  const excerpt = source.slice(from, to);
+  const pattern = new RegExp(`(${valid.map(escapeRegExp).join('|')})`, 'gi');
+  const marked = excerpt.replace(pattern, `${HIGHLIGHT_START}$1${HIGHLIGHT_STOP}`);
+  return `${from > 0 ? '…' : ''}${marked}${to < source.length ? '…' : ''}`;
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,202 @@
+//
+// Minimal, dependency-free Markdown parser for report text.
+// Produces a small block/inline tree that components/Markdown.jsx renders as React elements, so report
+// content is never injected as HTML. Supported: headings (#, ##, ###), paragraphs, bullet and numbered lists,
+// task items (- [ ] / - [x]), fenced code blocks, inline code, **bold**, *italic*, [links](https://…) and
+// bare http(s) URLs.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * safeUrl - Returns the URL if it uses an allowed scheme (http, https, mailto), else null.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function safeUrl(url) {
+  const u = String(url || '').trim();
+  if (/^(https?:\/\/|mailto:)/i.test(u)) return u;
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * parseMarkdown - Parses Markdown text into block nodes.
+ * Block nodes: { type: 'heading', level, children } | { type: 'paragraph', children }
+ *   | { type: 'list', ordered, items: [{ children, checked? }] } | { type: 'code', text }
+ *   (checked is true/false for task items, undefined for plain items)
+ * Inline nodes: { type: 'text'|'code', text } | { type: 'strong'|'em', children } | { type: 'link', href, children }
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseMarkdown(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block
+    if (/^\s*```/.test(line)) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence (or end of input)
+      blocks.push({ type: 'code', text: body.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+      continue;
+    }
+
+    const listMatch = LIST_ITEM.exec(line);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[2]);
+      const items = [];
+      while (i < lines.length) {
+        const m = LIST_ITEM.exec(lines[i]);
+        if (!m || /\d/.test(m[2]) !== ordered) break;
+        items.push(listItem(m[3]));
+        i += 1;
+        // Indented continuation lines belong to the previous item
+        while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !LIST_ITEM.test(lines[i])) {
+          items[items.length - 1].children.push({ type: 'text', text: ' ' }, ...parseInline(lines[i].trim()));
+          i += 1;
+        }
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    // Paragraph: consecutive non-empty lines that do not start another block
+    const para = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^\s*```/.test(lines[i]) &&
+      !/^#{1,3}\s+/.test(lines[i]) &&
+      !LIST_ITEM.test(lines[i])
+    ) {
+      para.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n')) });
+  }
+
+  return blocks;
+}
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+const TASK_MARKER = /^\[([ xX])\]\s+/;
+
+function listItem(content) {
+  const task = TASK_MARKER.exec(content);
+  if (task) {
+    return { checked: task[1].toLowerCase() === 'x', children: parseInline(content.slice(task[0].length)) };
+  }
+  return { children: parseInline(content) };
+}
+
+// Inline tokens, tried in order at each position
+const INLINE_PATTERNS = [
+  { type: 'code', re: /^`([^`]+)`/ },
+  { type: 'link', re: /^\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: 'strong', re: /^\*\*([^*]+)\*\*/ },
+  { type: 'strong', re: /^__([^_]+)__/ },
+  { type: 'em', re: /^\*([^*\s][^*]*)\*/ },
+  { type: 'em', re: /^_([^_\s][^_]*)_/ },
+  { type: 'autolink', re: /^https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/ },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * parseInline - Parses inline Markdown (code, links, emphasis, bare URLs) into inline nodes.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseInline(text) {
+  const src = String(text || '');
+  const out = [];
+  let buf = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buf) out.push({ type: 'text', text: buf });
+    buf = '';
+  };
+
+  while (i < src.length) {
+    const rest = src.slice(i);
+    // Only try patterns at characters that can start a token
+    const ch = rest[0];
+    let matched = false;
+    if ('`[*_h'.includes(ch)) {
+      for (const p of INLINE_PATTERNS) {
+        const m = p.re.exec(rest);
+        if (!m) continue;
+        // Bare URLs must start a word
+        if (p.type === 'autolink' && buf && /\w$/.test(buf)) continue;
+        flush();
+        if (p.type === 'code') {
+          out.push({ type: 'code', text: m[1] });
+        } else if (p.type === 'link') {
+          const href = safeUrl(m[2]);
+          // Unsafe schemes (javascript:, data:, …) render as plain text
+          out.push(href ? { type: 'link', href, children: parseInline(m[1]) } : { type: 'text', text: m[0] });
+        } else if (p.type === 'autolink') {
+          out.push({ type: 'link', href: m[0], children: [{ type: 'text', text: m[0] }] });
+        } else {
+          out.push({ type: p.type, children: parseInline(m[1]) });
+        }
+        i += m[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      buf += ch;
+      i += 1;
+    }
+  }
+  flush();
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * markdownToPlainText - Strips Markdown syntax for compact previews (tables, tooltips, truncation).
+ * @param {string} text
+ * @returns {string}
+ */
+export function markdownToPlainText(text) {
+  const inlineText = (nodes) =>
+    nodes
+      .map((n) => (n.children ? inlineText(n.children) : n.text || ''))
+      .join('');
+  return parseMarkdown(text)
+    .map((b) => {
+      if (b.type === 'code') return b.text;
+      if (b.type === 'list') {
+        return b.items
+          .map((it) => `${it.checked === undefined ? '•' : it.checked ? '☑' : '☐'} ${inlineText(it.children)}`)
+          .join(' ');
+      }
+      return inlineText(b.children);
+    })
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
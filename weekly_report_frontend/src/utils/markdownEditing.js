@@ -0,0 +1,67 @@
+//
+// Text transformations behind the Markdown editor toolbar.
+// Each function takes the current value and selection and returns the new value and selection,
+// so the editor stays a controlled <textarea> with no DOM-level editing commands.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * MARKDOWN_ACTIONS - Toolbar actions supported by applyMarkdownAction.
+ */
+export const MARKDOWN_ACTIONS = ['bold', 'list', 'link', 'checkbox'];
+
+// PUBLIC_INTERFACE
+/**
+ * applyMarkdownAction - Applies a toolbar action to the selected text.
+ * - bold: wraps the selection in ** (or inserts **bold** placeholder text)
+ * - link: turns the selection into [text](https://) and selects the URL part
+ * - list / checkbox: prefixes every selected line with "- " / "- [ ] " (toggles off if all lines already have it)
+ *
+ * @param {'bold'|'list'|'link'|'checkbox'} action
+ * @param {string} value - Current text
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @returns {{ value: string, selectionStart: number, selectionEnd: number }}
+ */
+export function applyMarkdownAction(action, value, start, end) {
+  const text = String(value || '');
+  const s = Math.max(0, Math.min(start ?? text.length, text.length));
+  const e = Math.max(s, Math.min(end ?? s, text.length));
+  const selected = text.slice(s, e);
+
+  if (action === 'bold') {
+    const inner = selected || 'bold text';
+    const next = `${text.slice(0, s)}**${inner}**${text.slice(e)}`;
+    return { value: next, selectionStart: s + 2, selectionEnd: s + 2 + inner.length };
+  }
+
+  if (action === 'link') {
+    const label = selected || 'link text';
+    const url = 'https://';
+    const next = `${text.slice(0, s)}[${label}](${url})${text.slice(e)}`;
+    const urlStart = s + label.length + 3;
+    return { value: next, selectionStart: urlStart, selectionEnd: urlStart + url.length };
+  }
+
+  if (action === 'list' || action === 'checkbox') {
+    const prefix = action === 'list' ? '- ' : '- [ ] ';
+    const has = action === 'list' ? /^(\s*)[-*+] (?!\[[ xX]\] )/ : /^(\s*)[-*+] \[[ xX]\] /;
+    // Expand the selection to whole lines
+    const lineStart = text.lastIndexOf('\n', s - 1) + 1;
+    const nl = text.indexOf('\n', e);
+    const lineEnd = nl === -1 ? text.length : nl;
+    const lines = text.slice(lineStart, lineEnd).split('\n');
+    const removing = lines.every((l) => !l.trim() || has.test(l)) && lines.some((l) => l.trim());
+    const updated = lines.map((l) => {
+      if (!l.trim()) return l;
+      if (removing) return l.replace(has, '$1');
+      // Replace an existing bullet/checkbox marker instead of stacking markers
+      return l.replace(/^(\s*)(?:[-*+] (?:\[[ xX]\] )?)?/, `$1${prefix}`);
+    });
+    const block = updated.join('\n');
+    const next = `${text.slice(0, lineStart)}${block}${text.slice(lineEnd)}`;
+    return { value: next, selectionStart: lineStart, selectionEnd: lineStart + block.length };
+  }
+
+  return { value: text, selectionStart: s, selectionEnd: e };
+}
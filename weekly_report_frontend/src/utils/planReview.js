@@ -0,0 +1,97 @@
+//
+// Helpers for reviewing last week's plan when starting a new report.
+// A plan review is stored on weekly_reports.plan_review as:
+//   { source_report_id, source_week_start, items: [{ text, status: 'done' | 'carried_over' }] }
+//
+
+const LIST_LINE = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+
+// PUBLIC_INTERFACE
+/**
+ * PLAN_ITEM_STATUSES - Allowed statuses for a reviewed plan item.
+ */
+export const PLAN_ITEM_STATUSES = ['done', 'carried_over'];
+
+// PUBLIC_INTERFACE
+/**
+ * extractPlanItems - Splits a "Next Week Plan" text into individual items.
+ * Bullet, numbered and checklist lines become one item each (Markdown inside an item is kept). Plans written
+ * without any list use one item per non-empty line; headings and code fences are skipped.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractPlanItems(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const listItems = lines
+    .map((l) => LIST_LINE.exec(l))
+    .filter(Boolean)
+    .map((m) => m[1].trim())
+    .filter(Boolean);
+  if (listItems.length > 0) return listItems;
+
+  return lines
+    .map((l) => l.trim())
+    .filter((l) => l && !/^#{1,6}\s/.test(l) && !l.startsWith('```'));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * buildPlanReview - Builds the plan_review value stored with a report.
+ *
+ * @param {{ id: string, week_start: string }} sourceReport - The report whose plan was reviewed
+ * @param {Array<{ text: string, status: string }>} items
+ * @returns {{ source_report_id: string, source_week_start: string, items: Array<{ text: string, status: string }> }}
+ */
+export function buildPlanReview(sourceReport, items) {
+  return {
+    source_report_id: sourceReport?.id || null,
+    source_week_start: String(sourceReport?.week_start || '').slice(0, 10) || null,
+    items: (items || [])
+      .filter((it) => String(it?.text || '').trim())
+      .map((it) => ({
+        text: String(it.text).trim(),
+        status: PLAN_ITEM_STATUSES.includes(it.status) ? it.status : 'carried_over',
+      })),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * planReviewToText - Turns reviewed items into text for the form:
+ * done items become checked tasks for Accomplishments, carried-over items become bullets for Next Week Plan.
+ *
+ * @param {Array<{ text: string, status: string }>} items
+ * @returns {{ accomplishments: string, carriedOver: string }}
+ */
+export function planReviewToText(items) {
+  const list = items || [];
+  return {
+    accomplishments: list
+      .filter((it) => it.status === 'done')
+      .map((it) => `- [x] ${it.text}`)
+      .join('\n'),
+    carriedOver: list
+      .filter((it) => it.status !== 'done')
+      .map((it) => `- ${it.text}`)
+      .join('\n'),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * planCompletion - Summarises a stored plan review.
+ *
+ * @param {{ items?: Array<{ status: string }> }|null} review
+ * @returns {{ total: number, done: number, carriedOver: number, rate: number|null }} rate is done/total (0..1), null if empty
+ */
+export function planCompletion(review) {
+  const items = Array.isArray(review?.items) ? review.items : [];
+  const done = items.filter((it) => it.status === 'done').length;
+  return {
+    total: items.length,
+    done,
+    carriedOver: items.length - done,
+    rate: items.length ? done / items.length : null,
+  };
+}
@@ -0,0 +1,231 @@
+//
+// Report deadlines from reporting windows. A window (public.reporting_windows) covers a date range and carries a
+// weekly schedule: reports for a week are due on `due_weekday` (1 = Monday … 7 = Sunday) of that week at
+// `due_time` (HH:MM, inclusive of that minute) in `timezone`, and count as late once `grace_hours` more have passed.
+// Windows may be limited to some teams (team_ids); an empty list applies to every team.
+// Weeks no open or closed window covers use DEFAULT_SCHEDULE (end of Friday, UTC).
+//
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(?::\d{2})?$/;
+
+// PUBLIC_INTERFACE
+/** WEEKDAYS - Weekday names indexed by due_weekday - 1. */
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// PUBLIC_INTERFACE
+/** RECURRENCES - Supported recurrence rules (reporting_windows.frequency). */
+export const RECURRENCES = ['weekly'];
+
+// PUBLIC_INTERFACE
+/** DEFAULT_SCHEDULE - Deadline used when no reporting window covers a week: Friday 23:59 UTC, no grace period. */
+export const DEFAULT_SCHEDULE = Object.freeze({
+  frequency: 'weekly',
+  due_weekday: 5,
+  due_time: '23:59',
+  timezone: 'UTC',
+  grace_hours: 0,
+});
+
+const parseDay = (iso) => Date.parse(`${String(iso || '').slice(0, 10)}T00:00:00Z`);
+const toIso = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const formatters = new Map();
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// Offset of `timeZone` from UTC at the instant `ms`, in ms (positive east of UTC)
+function zoneOffset(ms, timeZone) {
+  const p = Object.fromEntries(partsFormatter(timeZone).formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  const wall = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour) % 24, Number(p.minute), Number(p.second));
+  return wall - (ms - (ms % 1000));
+}
+
+// UTC instant of a wall-clock time in `timeZone`; the second pass settles DST transitions
+function zonedToUtc(wallMs, timeZone) {
+  const first = wallMs - zoneOffset(wallMs, timeZone);
+  return wallMs - zoneOffset(first, timeZone);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isValidTimeZone - True for IANA time zone names the runtime knows (e.g. 'Europe/Berlin', 'UTC').
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * normalizeSchedule - Fills missing or invalid schedule fields from DEFAULT_SCHEDULE.
+ * @param {Object} [s] - A reporting window or schedule
+ * @returns {{ frequency: string, due_weekday: number, due_time: string, timezone: string, grace_hours: number }}
+ */
+export function normalizeSchedule(s = {}) {
+  const weekday = Number(s?.due_weekday);
+  const time = TIME_RE.exec(String(s?.due_time || ''));
+  const grace = Number(s?.grace_hours);
+  return {
+    frequency: RECURRENCES.includes(s?.frequency) ? s.frequency : DEFAULT_SCHEDULE.frequency,
+    due_weekday: Number.isInteger(weekday) && weekday >= 1 && weekday <= 7 ? weekday : DEFAULT_SCHEDULE.due_weekday,
+    due_time: time ? `${time[1]}:${time[2]}` : DEFAULT_SCHEDULE.due_time,
+    timezone: isValidTimeZone(s?.timezone) ? s.timezone : DEFAULT_SCHEDULE.timezone,
+    grace_hours: Number.isFinite(grace) && grace > 0 ? grace : 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * scheduleDeadline - When the report for a week is due and when it becomes late.
+ *
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {Object} [schedule=DEFAULT_SCHEDULE]
+ * @returns {{ dueDate: string, dueAt: Date, closesAt: Date }} dueDate is the local due day (YYYY-MM-DD); dueAt is the
+ *   end of the due minute and closesAt adds the grace period
+ */
+export function scheduleDeadline(weekStart, schedule = DEFAULT_SCHEDULE) {
+  const s = normalizeSchedule(schedule);
+  const dueDay = parseDay(weekStart) + (s.due_weekday - 1) * DAY_MS;
+  const [hh, mm] = s.due_time.split(':').map(Number);
+  const dueAt = zonedToUtc(dueDay + (hh * 60 + mm + 1) * MINUTE_MS, s.timezone);
+  return { dueDate: toIso(dueDay), dueAt: new Date(dueAt), closesAt: new Date(dueAt + s.grace_hours * 60 * MINUTE_MS) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * windowAppliesToTeam - True when the window has no team list or includes the team.
+ * @param {{ team_ids?: string[] }} window
+ * @param {string|null} teamId
+ * @returns {boolean}
+ */
+export function windowAppliesToTeam(window, teamId) {
+  const ids = Array.isArray(window?.team_ids) ? window.team_ids : [];
+  return ids.length === 0 || (teamId != null && ids.map(String).includes(String(teamId)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * scheduleForWeek - Picks the schedule governing a team's week: the open or closed window whose range contains the
+ * week's due day, preferring windows limited to the team over global ones, then the latest start.
+ * Planned windows are ignored.
+ *
+ * @param {Array<Object>} windows - Reporting windows ({ start, end, status, team_ids, ...schedule fields })
+ * @param {{ weekStart: string, teamId?: string|null }} params
+ * @returns {Object} The normalized schedule plus `window` (the chosen window, or null for DEFAULT_SCHEDULE)
+ */
+export function scheduleForWeek(windows, { weekStart, teamId = null }) {
+  const candidates = (windows || []).filter((w) => {
+    if (!w || w.status === 'planned' || !w.start || !w.end) return false;
+    if (!windowAppliesToTeam(w, teamId)) return false;
+    const { dueDate } = scheduleDeadline(weekStart, w);
+    return String(w.start).slice(0, 10) <= dueDate && dueDate <= String(w.end).slice(0, 10);
+  });
+  const specific = (w) => (Array.isArray(w.team_ids) && w.team_ids.length > 0 ? 1 : 0);
+  candidates.sort((a, b) => specific(b) - specific(a) || String(b.start).localeCompare(String(a.start)));
+  const window = candidates[0] || null;
+  return { ...normalizeSchedule(window || DEFAULT_SCHEDULE), window };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * deadlineStatus - Where a week's report stands against its deadline.
+ * - submitted: 'on_time', or 'late' with lateByMs measured from the due time
+ * - not submitted: 'due' (dueInMs), 'grace' (past due but within the grace period; lateByMs and closesInMs),
+ *   or 'overdue' (lateByMs)
+ *
+ * @param {string} weekStart
+ * @param {Object} [schedule=DEFAULT_SCHEDULE]
+ * @param {{ submittedAt?: string|null, now?: Date }} [opts]
+ * @returns {{ state: string, dueAt: Date, closesAt: Date, dueInMs?: number, lateByMs?: number, closesInMs?: number }}
+ */
+export function deadlineStatus(weekStart, schedule = DEFAULT_SCHEDULE, { submittedAt = null, now = new Date() } = {}) {
+  const { dueAt, closesAt } = scheduleDeadline(weekStart, schedule);
+  const base = { dueAt, closesAt };
+  const submitted = Date.parse(submittedAt || '');
+  if (Number.isFinite(submitted)) {
+    return submitted < closesAt.getTime()
+      ? { ...base, state: 'on_time' }
+      : { ...base, state: 'late', lateByMs: submitted - dueAt.getTime() };
+  }
+  const t = now.getTime();
+  if (t < dueAt.getTime()) return { ...base, state: 'due', dueInMs: dueAt.getTime() - t };
+  if (t < closesAt.getTime()) {
+    return { ...base, state: 'grace', lateByMs: t - dueAt.getTime(), closesInMs: closesAt.getTime() - t };
+  }
+  return { ...base, state: 'overdue', lateByMs: t - dueAt.getTime() };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatDuration - Compact duration for deadline labels: "2d 4h", "3h 20m", "12m".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.floor(ms / MINUTE_MS));
+  if (minutes < 1) return 'less than a minute';
+  const d = Math.floor(minutes / (24 * 60));
+  const h = Math.floor((minutes % (24 * 60)) / 60);
+  const m = minutes % 60;
+  if (d > 0) return h ? `${d}d ${h}h` : `${d}d`;
+  if (h > 0) return m ? `${h}h ${m}m` : `${h}h`;
+  return `${m}m`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatDueAt - A deadline as shown to users, in the schedule's time zone: "Fri, Mar 7, 17:00 GMT+1".
+ * dueAt (see scheduleDeadline) is the end of the due minute, so the minute itself is shown.
+ * @param {Date} dueAt
+ * @param {string} [timeZone='UTC']
+ * @returns {string}
+ */
+export function formatDueAt(dueAt, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    hourCycle: 'h23',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(new Date(dueAt.getTime() - MINUTE_MS));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * describeSchedule - Human-readable schedule, e.g. "Weekly, due Fridays at 17:00 (Europe/Berlin), 2h grace".
+ * @param {Object} schedule
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+  const s = normalizeSchedule(schedule);
+  const grace = s.grace_hours ? `, ${s.grace_hours}h grace` : '';
+  return `Weekly, due ${WEEKDAYS[s.due_weekday - 1]}s at ${s.due_time} (${s.timezone})${grace}`;
+}
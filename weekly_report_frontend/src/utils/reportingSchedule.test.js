@@ -0,0 +1,146 @@
+import {
+  deadlineStatus,
+  describeSchedule,
+  formatDueAt,
+  formatDuration,
+  normalizeSchedule,
+  scheduleDeadline,
+  scheduleForWeek,
+} from './reportingSchedule';
+import * as jobSchedule from '../../scripts/notifications/schedule';
+import { computeCompliance } from '../services/complianceService';
+import { computeWeeklyMetrics } from '../services/teamMetricsService';
+
+const BERLIN = { due_weekday: 5, due_time: '17:00', timezone: 'Europe/Berlin', grace_hours: 2 };
+
+const window = (id, over) => ({
+  id,
+  name: id,
+  start: '2025-01-01',
+  end: '2025-06-30',
+  status: 'open',
+  team_ids: [],
+  ...BERLIN,
+  ...over,
+});
+
+test('without a schedule, reports are due at the end of Friday UTC', () => {
+  const { dueDate, dueAt, closesAt } = scheduleDeadline('2025-03-03');
+  expect(dueDate).toBe('2025-03-07');
+  expect(dueAt.toISOString()).toBe('2025-03-08T00:00:00.000Z');
+  expect(closesAt).toEqual(dueAt);
+});
+
+test('due times follow the schedule time zone across daylight saving changes', () => {
+  // Berlin is UTC+1 in early March and UTC+2 from the last Sunday of March
+  expect(scheduleDeadline('2025-03-03', BERLIN).dueAt.toISOString()).toBe('2025-03-07T16:01:00.000Z');
+  expect(scheduleDeadline('2025-03-31', BERLIN).dueAt.toISOString()).toBe('2025-04-04T15:01:00.000Z');
+  expect(scheduleDeadline('2025-03-03', BERLIN).closesAt.toISOString()).toBe('2025-03-07T18:01:00.000Z');
+});
+
+test('picks the team-specific window covering the due day and ignores planned windows', () => {
+  const windows = [
+    window('all'),
+    window('mobile', { due_weekday: 4, team_ids: ['mobile'] }),
+    window('planned', { status: 'planned', start: '2025-03-01', due_weekday: 1 }),
+  ];
+  expect(scheduleForWeek(windows, { weekStart: '2025-03-03', teamId: 'mobile' }).window.id).toBe('mobile');
+  expect(scheduleForWeek(windows, { weekStart: '2025-03-03', teamId: 'platform' }).window.id).toBe('all');
+  const outside = scheduleForWeek(windows, { weekStart: '2025-07-07', teamId: 'platform' });
+  expect(outside.window).toBeNull();
+  expect(describeSchedule(outside)).toBe('Weekly, due Fridays at 23:59 (UTC)');
+});
+
+test('reports due in, within the grace period, overdue and submitted late', () => {
+  const at = (iso) => ({ now: new Date(iso) });
+  expect(deadlineStatus('2025-03-03', BERLIN, at('2025-03-07T12:01:00Z'))).toMatchObject({ state: 'due', dueInMs: 4 * 3600e3 });
+  expect(deadlineStatus('2025-03-03', BERLIN, at('2025-03-07T17:01:00Z'))).toMatchObject({
+    state: 'grace',
+    lateByMs: 3600e3,
+    closesInMs: 3600e3,
+  });
+  expect(deadlineStatus('2025-03-03', BERLIN, at('2025-03-08T16:01:00Z')).state).toBe('overdue');
+  expect(deadlineStatus('2025-03-03', BERLIN, { submittedAt: '2025-03-07T17:30:00Z' }).state).toBe('on_time');
+  expect(deadlineStatus('2025-03-03', BERLIN, { submittedAt: '2025-03-07T19:01:00Z' })).toMatchObject({
+    state: 'late',
+    lateByMs: 3 * 3600e3,
+  });
+  expect(formatDuration(3 * 3600e3)).toBe('3h');
+  expect(formatDuration(26 * 3600e3 + 5 * 60e3)).toBe('1d 2h');
+});
+
+test('compliance uses the schedule of each week', () => {
+  const { members } = computeCompliance({
+    members: [{ user_id: 'u1' }, { user_id: 'u2' }],
+    weeks: ['2025-03-03'],
+    reports: [{ id: 'r1', user_id: 'u1', week_start: '2025-03-03', submitted_at: '2025-03-07T17:30:00Z' }],
+    now: new Date('2025-03-07T12:01:00Z'),
+    scheduleFor: () => BERLIN,
+  });
+  expect(members[0].cells['2025-03-03']).toMatchObject({ status: 'on_time', late_by_ms: null });
+  expect(members[1].cells['2025-03-03']).toMatchObject({ status: 'pending', due_in_ms: 4 * 3600e3 });
+});
+
+test('team metrics count reports submitted within the window grace period as on time', () => {
+  const input = {
+    weeks: ['2025-03-03'],
+    memberIds: ['u1', 'u2'],
+    reports: [
+      // The Berlin window closes at 18:01 UTC on Friday; both beat the default deadline (Saturday 00:00 UTC)
+      { user_id: 'u1', week_start: '2025-03-03', submitted_at: '2025-03-07T17:30:00Z' },
+      { user_id: 'u2', week_start: '2025-03-03', submitted_at: '2025-03-07T18:30:00Z' },
+    ],
+  };
+  const windows = [window('berlin')];
+  const [week] = computeWeeklyMetrics({ ...input, scheduleFor: (w) => scheduleForWeek(windows, { weekStart: w }) });
+  expect(week).toMatchObject({ submitted: 2, on_time: 1, late: 1 });
+  expect(computeWeeklyMetrics(input)[0]).toMatchObject({ on_time: 2, late: 0 });
+});
+
+// scripts/notifications/schedule.js is a CommonJS copy of this module for the notification job; both must agree
+describe('notification job schedule parity', () => {
+  const schedules = [
+    {},
+    BERLIN,
+    { due_weekday: 1, due_time: '09:30', timezone: 'America/New_York', grace_hours: 36 },
+    { due_weekday: 7, due_time: '00:00', timezone: 'Asia/Kolkata', grace_hours: 0.5 },
+    { due_weekday: 9, due_time: '25:00', timezone: 'Not/AZone', grace_hours: -3 },
+    { due_weekday: '3', due_time: '12:15:00', timezone: 'Australia/Sydney', grace_hours: '4' },
+  ];
+  // Includes the weeks of the 2025 EU/US daylight saving changes
+  const weeks = ['2025-01-06', '2025-03-03', '2025-03-10', '2025-03-24', '2025-03-31', '2025-10-27', '2025-11-03', '2025-12-29'];
+  const windows = [
+    window('all-teams'),
+    window('mobile', { team_ids: ['mobile'], due_weekday: 4, due_time: '12:00', timezone: 'America/New_York' }),
+    window('later', { start: '2025-03-01', end: '2025-12-31', due_weekday: 2, grace_hours: 0 }),
+    window('closed', { start: '2025-10-01', end: '2025-12-31', status: 'closed', timezone: 'UTC' }),
+    window('planned', { start: '2025-01-01', end: '2025-12-31', status: 'planned', team_ids: ['platform'] }),
+  ];
+
+  test.each(schedules.map((s) => [JSON.stringify(s), s]))('normalizeSchedule and scheduleDeadline agree for %s', (_, schedule) => {
+    expect(jobSchedule.normalizeSchedule(schedule)).toEqual(normalizeSchedule(schedule));
+    for (const week of weeks) {
+      expect(jobSchedule.scheduleDeadline(week, schedule)).toEqual(scheduleDeadline(week, schedule));
+    }
+  });
+
+  test('scheduleForWeek picks the same window and schedule', () => {
+    for (const teamId of [null, 'platform', 'mobile']) {
+      for (const weekStart of weeks) {
+        const app = scheduleForWeek(windows, { weekStart, teamId });
+        const job = jobSchedule.scheduleForWeek(windows, { weekStart, teamId });
+        expect({ ...job, window: job.window?.id || null }).toEqual({ ...app, window: app.window?.id || null });
+      }
+    }
+  });
+
+  test('durations and due times are formatted the same way', () => {
+    for (const ms of [0, 59 * 1000, 12 * 60 * 1000, 3 * 3600 * 1000 + 20 * 60 * 1000, 2 * 86400 * 1000 + 4 * 3600 * 1000]) {
+      expect(jobSchedule.formatDuration(ms)).toBe(formatDuration(ms));
+    }
+    for (const schedule of schedules) {
+      const { dueAt } = scheduleDeadline('2025-03-31', schedule);
+      expect(jobSchedule.formatDueAt(dueAt, schedule.timezone)).toBe(formatDueAt(dueAt, schedule.timezone));
+    }
+  });
+});
@@ -0,0 +1,168 @@
+import { DEFAULT_SCHEDULE, RECURRENCES, isValidTimeZone } from './reportingSchedule';
+
+//
+// Reporting window editing rules, mirrored by the backend (weekly_report_backend/src/windows.js):
+// status only moves forward (planned -> open -> closed) except that a closed window can be reopened, and two windows
+// for the same teams (or both for every team) must not overlap. A team-specific window may sit inside a window for
+// every team; it takes precedence for its teams (see scheduleForWeek).
+//
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/** WINDOW_STATUSES - Reporting window lifecycle states. */
+export const WINDOW_STATUSES = ['planned', 'open', 'closed'];
+
+// PUBLIC_INTERFACE
+/** STATUS_TRANSITIONS - Statuses each status may change to. */
+export const STATUS_TRANSITIONS = { planned: ['open', 'closed'], open: ['closed'], closed: ['open'] };
+
+// PUBLIC_INTERFACE
+/** MAX_GRACE_HOURS - Longest grace period a window may have. */
+export const MAX_GRACE_HOURS = 168;
+
+// PUBLIC_INTERFACE
+/**
+ * canTransition - True when a window may move from status `from` to `to` (staying put is always allowed).
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return from === to || Boolean(STATUS_TRANSITIONS[from]?.includes(to));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * windowsOverlap - True when two windows share days and apply to the same teams.
+ * @param {{ start: string, end: string, team_ids?: string[] }} a
+ * @param {{ start: string, end: string, team_ids?: string[] }} b
+ * @returns {boolean}
+ */
+export function windowsOverlap(a, b) {
+  if (a.start > b.end || b.start > a.end) return false;
+  const ta = a.team_ids || [];
+  const tb = b.team_ids || [];
+  if (ta.length === 0 || tb.length === 0) return ta.length === tb.length;
+  return ta.some((t) => tb.includes(t));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * findOverlap - The first of `windows` (other than the one with `excludeId`) that overlaps `window`, or null.
+ * @param {Object} window
+ * @param {Array<Object>} windows
+ * @param {string|null} [excludeId]
+ * @returns {Object|null}
+ */
+export function findOverlap(window, windows, excludeId = null) {
+  return (windows || []).find((w) => w.id !== excludeId && w.start && w.end && windowsOverlap(window, w)) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * windowFormValues - Editor values for a window; without one, a planned window on the default schedule.
+ * @param {Object} [window]
+ * @returns {{ name: string, start: string, end: string, status: string, due_weekday: number, due_time: string,
+ *   timezone: string, grace_hours: number, team_ids: string[] }}
+ */
+export function windowFormValues(window = null) {
+  return {
+    name: window?.name || '',
+    start: window?.start || '',
+    end: window?.end || '',
+    status: window?.status || 'planned',
+    due_weekday: Number(window?.due_weekday ?? DEFAULT_SCHEDULE.due_weekday),
+    due_time: window?.due_time || DEFAULT_SCHEDULE.due_time,
+    timezone: window?.timezone || DEFAULT_SCHEDULE.timezone,
+    grace_hours: Number(window?.grace_hours ?? DEFAULT_SCHEDULE.grace_hours),
+    team_ids: Array.isArray(window?.team_ids) ? [...window.team_ids] : [],
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * duplicateWindowValues - Editor values for a copy of a window: planned, same schedule and teams, covering the same
+ * number of days right after the original ends.
+ * @param {Object} window
+ * @returns {ReturnType<typeof windowFormValues>}
+ */
+export function duplicateWindowValues(window) {
+  const values = windowFormValues(window);
+  const day = (s) => Date.parse(`${s}T00:00:00Z`);
+  const iso = (ms) => new Date(ms).toISOString().slice(0, 10);
+  if (DATE_RE.test(values.start) && DATE_RE.test(values.end)) {
+    const length = day(values.end) - day(values.start);
+    const start = day(values.end) + DAY_MS;
+    values.start = iso(start);
+    values.end = iso(start + length);
+  }
+  return { ...values, name: values.name ? `${values.name} (copy)` : '', status: 'planned' };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateWindow - Checks editor values the way the backend does, plus overlap with the other windows.
+ *
+ * @param {ReturnType<typeof windowFormValues>} values
+ * @param {{ windows?: Array<Object>, original?: Object|null }} [opts] - original is the window being edited
+ * @returns {Object<string, string>} Field name -> message; empty when valid. Overlaps are reported on `start`.
+ */
+export function validateWindow(values, { windows = [], original = null } = {}) {
+  const errors = {};
+  const name = String(values.name || '').trim();
+  if (!name) errors.name = 'Name is required.';
+  else if (name.length > 100) errors.name = 'Name must be at most 100 characters.';
+
+  const validDate = (s) => DATE_RE.test(s || '') && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+  if (!validDate(values.start)) errors.start = 'Start must be a date (YYYY-MM-DD).';
+  if (!validDate(values.end)) errors.end = 'End must be a date (YYYY-MM-DD).';
+  else if (!errors.start && values.end < values.start) errors.end = 'End must not be before start.';
+
+  if (!WINDOW_STATUSES.includes(values.status)) errors.status = 'Choose a status.';
+  else if (original && !canTransition(original.status, values.status)) {
+    errors.status = `A ${original.status} window cannot be changed to ${values.status}.`;
+  }
+
+  const weekday = Number(values.due_weekday);
+  if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) errors.due_weekday = 'Choose a weekday.';
+  if (!TIME_RE.test(values.due_time || '')) errors.due_time = 'Due time must be HH:MM.';
+  if (!isValidTimeZone(String(values.timezone || '').trim())) {
+    errors.timezone = 'Use an IANA time zone such as Europe/Berlin.';
+  }
+  const grace = Number(values.grace_hours);
+  if (values.grace_hours === '' || !Number.isInteger(grace) || grace < 0 || grace > MAX_GRACE_HOURS) {
+    errors.grace_hours = `Grace period must be a whole number of hours from 0 to ${MAX_GRACE_HOURS}.`;
+  }
+
+  if (!errors.start && !errors.end) {
+    const other = findOverlap(values, windows, original?.id ?? null);
+    if (other) {
+      errors.start = `Overlaps "${other.name}" (${other.start} to ${other.end}) for the same teams.`;
+    }
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * toWindowPayload - Request body for POST/PATCH /admin/reporting-windows from editor values.
+ * @param {ReturnType<typeof windowFormValues>} values
+ * @returns {Object}
+ */
+export function toWindowPayload(values) {
+  return {
+    name: String(values.name).trim(),
+    start: values.start,
+    end: values.end,
+    status: values.status,
+    frequency: RECURRENCES[0],
+    due_weekday: Number(values.due_weekday),
+    due_time: values.due_time,
+    timezone: String(values.timezone).trim(),
+    grace_hours: Number(values.grace_hours),
+    team_ids: [...new Set(values.team_ids || [])],
+  };
+}
@@ -0,0 +1,39 @@
+import { canTransition, duplicateWindowValues, findOverlap, toWindowPayload, validateWindow, windowFormValues } from './reportingWindows';
+
+const q1 = { id: 'q1', name: 'Q1', start: '2025-01-01', end: '2025-03-31', status: 'open', team_ids: [] };
+const q1Mobile = { ...q1, id: 'q1m', name: 'Q1 Mobile', team_ids: ['mobile'] };
+
+const values = (over) => ({ ...windowFormValues(), name: 'Q2', start: '2025-04-01', end: '2025-06-30', ...over });
+
+test('status moves forward, and closed windows can be reopened', () => {
+  expect(canTransition('planned', 'open')).toBe(true);
+  expect(canTransition('open', 'closed')).toBe(true);
+  expect(canTransition('closed', 'open')).toBe(true);
+  expect(canTransition('open', 'planned')).toBe(false);
+  expect(validateWindow(values({ status: 'planned' }), { original: { ...q1, status: 'open' } }).status).toMatch(/cannot be changed/);
+});
+
+test('windows overlap when they share days and teams', () => {
+  expect(findOverlap(values({ start: '2025-03-31' }), [q1])?.id).toBe('q1');
+  expect(findOverlap(values(), [q1])).toBeNull();
+  // A team-specific window may sit inside a window for every team
+  expect(findOverlap(values({ start: '2025-02-01', team_ids: ['platform'] }), [q1, q1Mobile])).toBeNull();
+  expect(findOverlap(values({ start: '2025-02-01', team_ids: ['mobile', 'web'] }), [q1, q1Mobile])?.id).toBe('q1m');
+  // Editing a window does not overlap itself
+  expect(validateWindow(windowFormValues(q1), { windows: [q1, q1Mobile], original: q1 })).toEqual({});
+});
+
+test('validates dates, schedule fields and overlap', () => {
+  const errors = validateWindow(
+    values({ name: ' ', end: '2025-03-01', due_time: '7pm', timezone: 'Mars/Base', grace_hours: 200 }),
+    { windows: [q1] }
+  );
+  expect(Object.keys(errors).sort()).toEqual(['due_time', 'end', 'grace_hours', 'name', 'timezone']);
+  expect(validateWindow(values({ start: '2025-03-15' }), { windows: [q1] }).start).toMatch(/Overlaps "Q1"/);
+});
+
+test('duplicates into the following period as a planned window', () => {
+  const copy = duplicateWindowValues({ ...q1, end: '2025-03-30', due_weekday: 4, grace_hours: 2 });
+  expect(copy).toMatchObject({ name: 'Q1 (copy)', start: '2025-03-31', end: '2025-06-27', status: 'planned', due_weekday: 4 });
+  expect(toWindowPayload({ ...copy, team_ids: ['a', 'a'], grace_hours: '2' })).toMatchObject({ team_ids: ['a'], grace_hours: 2 });
+});
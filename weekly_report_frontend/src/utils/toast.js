@@ -48,13 +48,19 @@ export function showApiError(addToast, error, fallbackMessage = 'Request failed'
 // PUBLIC_INTERFACE
 /**
  * parseError - returns a concise human-readable message from an error-like object.
+ * ApiError (services/apiClient) yields the server's message; messages that are raw JSON error bodies
+ * ({"error": "..."}) are unwrapped instead of shown verbatim.
  * @param {unknown} err
  * @returns {string}
  */
 export function parseError(err) {
   if (!err) return '';
-  if (typeof err === 'string') return err;
-  if (err instanceof Error) return err.message || err.toString();
+  if (typeof err === 'string') return fromJsonBody(err) || err;
+  if (err.name === 'ApiError') {
+    const serverMessage = err.body && typeof err.body === 'object' ? err.body.error || err.body.message : null;
+    return typeof serverMessage === 'string' && serverMessage ? serverMessage : err.message || `Request failed (${err.status})`;
+  }
+  if (err instanceof Error) return fromJsonBody(err.message) || err.message || err.toString();
   try {
     if (typeof err === 'object') {
       // common fetch error bodies
@@ -71,6 +77,19 @@ export function parseError(err) {
   }
 }
 
+// Message from a JSON error body string ({ error } / { message }), else null
+function fromJsonBody(text) {
+  const v = String(text || '').trim();
+  if (!v.startsWith('{')) return null;
+  try {
+    const body = JSON.parse(v);
+    const msg = body?.error?.message || body?.error || body?.message;
+    return typeof msg === 'string' && msg ? msg : null;
+  } catch {
+    return null;
+  }
+}
+
 // Trim helper to keep details short
 function trim(s) {
   const v = String(s || '').trim();
@@ -0,0 +1,91 @@
+import { DEFAULT_SCHEDULE, scheduleDeadline } from './reportingSchedule';
+
+//
+// Reporting-week helpers. Weeks are identified by their Monday as a 'YYYY-MM-DD' string (weekly_reports.week_start).
+// Date arithmetic is done in UTC on those strings so results do not shift with the browser's timezone.
+//
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIso = (ms) => new Date(ms).toISOString().slice(0, 10);
+const parseDay = (iso) => Date.parse(`${String(iso || '').slice(0, 10)}T00:00:00Z`);
+
+// PUBLIC_INTERFACE
+/**
+ * weekStartOf - Monday of the week containing the given date, as YYYY-MM-DD (local calendar date).
+ * @param {Date|string} [date=new Date()]
+ * @returns {string}
+ */
+export function weekStartOf(date = new Date()) {
+  // Strings are calendar dates; Date objects use the browser's local calendar day
+  const utc = typeof date === 'string' ? parseDay(date) : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const day = new Date(utc).getUTCDay(); // 0=Sun..6=Sat
+  return toIso(utc + (day === 0 ? -6 : 1 - day) * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * addWeeks - Adds (or subtracts) whole weeks to a YYYY-MM-DD date.
+ * @param {string} weekStart
+ * @param {number} n
+ * @returns {string}
+ */
+export function addWeeks(weekStart, n) {
+  return toIso(parseDay(weekStart) + n * 7 * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * weeksBetween - Lists the week starts from `from` to `to` inclusive (both snapped to Mondays), oldest first.
+ * Capped at 104 weeks.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export function weeksBetween(from, to) {
+  const start = weekStartOf(from);
+  const end = weekStartOf(to);
+  const out = [];
+  for (let w = start; w <= end && out.length < 104; w = addWeeks(w, 1)) {
+    out.push(w);
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * lastWeeks - The `n` most recent week starts ending with the current week: { from, to }.
+ * @param {number} n
+ * @param {Date} [now=new Date()]
+ * @returns {{ from: string, to: string }}
+ */
+export function lastWeeks(n, now = new Date()) {
+  const to = weekStartOf(now);
+  return { from: addWeeks(to, -(Math.max(1, n) - 1)), to };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * reportDueAt - The moment a week's report becomes late under a schedule (due time plus grace period).
+ * See utils/reportingSchedule.js: scheduleForWeek picks the schedule from the reporting windows.
+ * @param {string} weekStart
+ * @param {Object} [schedule=DEFAULT_SCHEDULE] - end of Friday, UTC, when no window applies
+ * @returns {Date}
+ */
+export function reportDueAt(weekStart, schedule = DEFAULT_SCHEDULE) {
+  return scheduleDeadline(weekStart, schedule).closesAt;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isReportOnTime - True when the report was submitted before its week's deadline.
+ * Uses submitted_at, falling back to created_at for reports written before submitted_at existed.
+ * @param {{ week_start: string, submitted_at?: string|null, created_at?: string|null }} report
+ * @param {Object} [schedule=DEFAULT_SCHEDULE]
+ * @returns {boolean}
+ */
+export function isReportOnTime(report, schedule = DEFAULT_SCHEDULE) {
+  const at = Date.parse(report?.submitted_at || report?.created_at || '');
+  if (!Number.isFinite(at) || !report?.week_start) return false;
+  return at < reportDueAt(report.week_start, schedule).getTime();
+}
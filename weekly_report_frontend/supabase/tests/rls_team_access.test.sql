@@ -0,0 +1,189 @@
+-- Team-scoped access matrix for employees, managers and admins (see "Team-scoped access" in supabase_schema.sql).
+--
+-- pgTAP test; runs in a transaction and rolls back, so it is safe against a development database:
+--   supabase test db                      (Supabase CLI, picks up supabase/tests/*.test.sql)
+--   psql "$DATABASE_URL" -f supabase/tests/rls_team_access.test.sql
+-- Requires the pgtap extension and the full supabase_schema.sql applied.
+begin;
+
+create extension if not exists pgtap with schema extensions;
+set search_path = public, extensions;
+
+select plan(35);
+
+-- Fixtures (inserted as the table owner, so RLS does not apply)
+--   alpha: erin (employee, member), mona (manager, lead), liam (employee, lead - leading without the manager role)
+--   beta:  bert (employee, member), max (manager, member - not a lead)
+--   adele: admin, no team
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000e1', 'erin@example.com'),
+  ('00000000-0000-0000-0000-0000000000e2', 'bert@example.com'),
+  ('00000000-0000-0000-0000-0000000000a1', 'mona@example.com'),
+  ('00000000-0000-0000-0000-0000000000a2', 'liam@example.com'),
+  ('00000000-0000-0000-0000-0000000000b1', 'max@example.com'),
+  ('00000000-0000-0000-0000-0000000000ad', 'adele@example.com');
+
+insert into public.teams (id, name) values ('test-alpha', 'Alpha'), ('test-beta', 'Beta');
+
+insert into public.team_members (team_id, user_id, role) values
+  ('test-alpha', '00000000-0000-0000-0000-0000000000e1', 'member'),
+  ('test-alpha', '00000000-0000-0000-0000-0000000000a1', 'lead'),
+  ('test-alpha', '00000000-0000-0000-0000-0000000000a2', 'lead'),
+  ('test-beta', '00000000-0000-0000-0000-0000000000e2', 'member'),
+  ('test-beta', '00000000-0000-0000-0000-0000000000b1', 'member');
+
+insert into public.weekly_reports (id, user_id, team_id, progress, plans, week_start, status, submitted_at) values
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-0000000000e1', 'test-alpha',
+    'Erin progress', 'Erin plans', '2025-01-06', 'submitted', '2025-01-08T10:00:00Z'),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-0000000000e1', 'test-alpha',
+    'Erin draft', 'Erin plans', '2025-01-13', 'draft', null),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-0000000000e2', 'test-beta',
+    'Bert progress', 'Bert plans', '2025-01-06', 'submitted', '2025-01-11T10:00:00Z');
+
+insert into public.report_items (report_id, user_id, type, text) values
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-0000000000e1', 'accomplishment', 'Erin item'),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-0000000000e2', 'accomplishment', 'Bert item');
+
+insert into public.blockers (user_id, owner_id, title, opened_week, last_reported_week) values
+  ('00000000-0000-0000-0000-0000000000e1', '00000000-0000-0000-0000-0000000000e1', 'Erin blocker', '2025-01-06', '2025-01-06'),
+  ('00000000-0000-0000-0000-0000000000e2', '00000000-0000-0000-0000-0000000000e2', 'Bert blocker', '2025-01-06', '2025-01-06');
+
+create schema tests;
+grant usage on schema tests to authenticated;
+
+-- Switches the session to an authenticated user with the given app_metadata.role
+create function tests.login(p_user uuid, p_role text)
+returns void
+language plpgsql
+as $$
+begin
+  perform set_config(
+    'request.jwt.claims',
+    json_build_object('sub', p_user, 'role', 'authenticated', 'app_metadata', json_build_object('role', p_role))::text,
+    true
+  );
+  perform set_config('request.jwt.claim.sub', p_user::text, true);
+  execute 'set local role authenticated';
+end;
+$$;
+
+create function tests.visible_reports()
+returns text[]
+language sql
+as $$
+  select coalesce(array_agg(progress order by progress), '{}') from public.weekly_reports
+  where id::text like '10000000-%';
+$$;
+
+-- Employee: own reports (including drafts) only
+select tests.login('00000000-0000-0000-0000-0000000000e1', 'employee');
+select is(tests.visible_reports(), array['Erin draft', 'Erin progress'], 'employee sees own reports and drafts');
+select is((select count(*) from public.report_items where text like '% item')::int, 1, 'employee sees own report items only');
+select is((select count(*) from public.blockers where title like '% blocker')::int, 1, 'employee sees own blockers only');
+select is((select count(*) from public.team_members where team_id like 'test-%')::int, 1, 'employee sees own membership only');
+select is(public.can_manage_team('test-alpha'), false, 'employee cannot manage own team');
+select is_empty($$ select * from public.team_compliance('test-alpha', '2025-01-06', '2025-01-06') $$,
+  'employee gets no team compliance rows');
+reset role;
+
+-- Employee in another team
+select tests.login('00000000-0000-0000-0000-0000000000e2', 'employee');
+select is(tests.visible_reports(), array['Bert progress'], 'employee does not see other teams');
+reset role;
+
+-- Manager leading alpha: alpha members' submitted work, no drafts, nothing from beta
+select tests.login('00000000-0000-0000-0000-0000000000a1', 'manager');
+select is(tests.visible_reports(), array['Erin progress'], 'lead manager sees submitted reports of their team');
+select is((select count(*) from public.weekly_reports where status = 'draft' and id::text like '10000000-%')::int, 0,
+  'lead manager does not see drafts');
+select is((select array_agg(text) from public.report_items where text like '% item'), array['Erin item'],
+  'lead manager sees report items of their team');
+select is((select array_agg(title) from public.blockers where title like '% blocker'), array['Erin blocker'],
+  'lead manager sees blockers of their team');
+select is((select count(*) from public.team_members where team_id = 'test-alpha')::int, 3, 'lead manager sees the team roster');
+select is((select count(*) from public.team_members where team_id = 'test-beta')::int, 0, 'lead manager does not see other rosters');
+select is(public.can_manage_team('test-alpha'), true, 'lead manager manages their team');
+select is(public.can_manage_team('test-beta'), false, 'lead manager does not manage other teams');
+select is((select count(*) from public.team_compliance('test-alpha', '2025-01-06', '2025-01-06'))::int, 3,
+  'lead manager gets compliance rows for their team');
+select is((select members from public.team_weekly_metrics('test-beta', '2025-01-06', '2025-01-06')), 0,
+  'lead manager gets no metrics for other teams');
+select throws_ok(
+  $$ insert into public.teams (id, name) values ('test-gamma', 'Gamma') $$,
+  '42501', null, 'manager cannot create teams directly'
+);
+reset role;
+
+-- Manager who is only a member (not a lead) of beta
+select tests.login('00000000-0000-0000-0000-0000000000b1', 'manager');
+select is(tests.visible_reports(), '{}'::text[], 'manager without a lead membership sees no team reports');
+select is(public.can_manage_team('test-beta'), false, 'member manager cannot manage the team');
+reset role;
+
+-- Employee marked as lead: leading requires the manager role
+select tests.login('00000000-0000-0000-0000-0000000000a2', 'employee');
+select is(tests.visible_reports(), '{}'::text[], 'lead without the manager role sees no team reports');
+reset role;
+
+-- Admin: every submitted report, item and blocker; drafts stay private
+select tests.login('00000000-0000-0000-0000-0000000000ad', 'admin');
+select is(tests.visible_reports(), array['Bert progress', 'Erin progress'], 'admin sees all submitted reports');
+select is((select count(*) from public.report_items where text like '% item')::int, 2, 'admin sees all report items');
+select is((select count(*) from public.blockers where title like '% blocker')::int, 2, 'admin sees all blockers');
+select is(public.can_manage_team('test-beta'), true, 'admin manages any team');
+select lives_ok(
+  $$ insert into public.team_members (team_id, user_id, role) values ('test-beta', '00000000-0000-0000-0000-0000000000ad', 'lead') $$,
+  'admin can manage memberships'
+);
+reset role;
+
+-- Role claims cannot be forged through user_metadata
+select set_config(
+  'request.jwt.claims',
+  json_build_object('sub', '00000000-0000-0000-0000-0000000000e1', 'role', 'authenticated',
+    'user_metadata', json_build_object('role', 'admin'))::text,
+  true
+);
+set local role authenticated;
+select is(public.is_admin(), false, 'user_metadata.role does not grant admin');
+reset role;
+
+-- Authors edit the content of submitted reports, but not their status, week, team or submission time
+-- (weekly_reports_guard_update). Runs last because it edits Erin's reports.
+select tests.login('00000000-0000-0000-0000-0000000000e1', 'employee');
+select throws_ok(
+  $$ update public.weekly_reports set status = 'draft' where id = '10000000-0000-0000-0000-000000000001' $$,
+  '42501', null, 'author cannot turn a submitted report back into a draft'
+);
+select throws_ok(
+  $$ update public.weekly_reports set submitted_at = '2025-01-06T08:00:00Z' where id = '10000000-0000-0000-0000-000000000001' $$,
+  '42501', null, 'author cannot backdate submitted_at'
+);
+select throws_ok(
+  $$ update public.weekly_reports set team_id = 'test-beta' where id = '10000000-0000-0000-0000-000000000001' $$,
+  '42501', null, 'author cannot move a submitted report to another team'
+);
+select throws_ok(
+  $$ update public.weekly_reports set week_start = '2024-12-30' where id = '10000000-0000-0000-0000-000000000001' $$,
+  '42501', null, 'author cannot move a submitted report to another week'
+);
+select lives_ok(
+  $$ update public.weekly_reports set progress = 'Erin progress (edited)' where id = '10000000-0000-0000-0000-000000000001' $$,
+  'author can still edit the content of a submitted report'
+);
+select results_eq(
+  $$ select status, submitted_at from public.weekly_reports where id = '10000000-0000-0000-0000-000000000001' $$,
+  $$ values ('submitted'::text, '2025-01-08T10:00:00Z'::timestamptz) $$,
+  'submitted report keeps its status and submission time'
+);
+select lives_ok(
+  $$ update public.weekly_reports set status = 'submitted', submitted_at = '2025-01-06T08:00:00Z'
+     where id = '10000000-0000-0000-0000-000000000002' $$,
+  'author can submit a draft'
+);
+select is((select submitted_at from public.weekly_reports where id = '10000000-0000-0000-0000-000000000002'), now(),
+  'submitted_at of a submitted draft is set by the database');
+reset role;
+
+select * from finish();
+rollback;
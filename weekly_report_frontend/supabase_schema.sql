@@ -63,3 +63,971 @@ with check (auth.uid() = user_id);
 -- Example insert (for reference; run in SQL editor while authenticated):
 -- insert into public.weekly_reports (user_id, progress, blockers, plans, week_start, tags)
 -- values (auth.uid(), 'Built login', 'Time constraints', 'Ship reporting UI', '2025-01-06', array['frontend','auth']);
+
+-- ---------------------------------------------------------------------------
+-- Drafts
+-- ---------------------------------------------------------------------------
+-- Reports are saved as drafts (status = 'draft') while being written and promoted to 'submitted' on submit.
+-- Existing rows default to 'submitted'. Drafts are excluded from History and manager views.
+alter table public.weekly_reports
+  add column if not exists status text not null default 'submitted'
+    check (status in ('draft', 'submitted'));
+alter table public.weekly_reports
+  add column if not exists updated_at timestamptz null;
+
+-- At most one draft per user and week
+create unique index if not exists weekly_reports_one_draft_per_week_idx
+  on public.weekly_reports (user_id, week_start)
+  where status = 'draft';
+
+-- Users may keep editing their own drafts (any day) and promote them to 'submitted'
+create policy if not exists "update_own_drafts"
+on public.weekly_reports
+for update
+to authenticated
+using (auth.uid() = user_id and status = 'draft')
+with check (auth.uid() = user_id);
+
+-- Users may delete (discard) their own drafts
+create policy if not exists "delete_own_drafts"
+on public.weekly_reports
+for delete
+to authenticated
+using (auth.uid() = user_id and status = 'draft');
+
+-- Note: when Supabase is unavailable the frontend keeps drafts in localStorage under
+-- 'wr.draft.<user_id|anon>.<week_start>' and syncs them on the next successful save.
+
+-- ---------------------------------------------------------------------------
+-- Editing and revision history
+-- ---------------------------------------------------------------------------
+-- Submitted reports can be edited by their author. Every edit snapshots the previous content into
+-- weekly_report_revisions so managers can see what changed and when.
+alter table public.weekly_reports
+  add column if not exists revision integer not null default 1;
+
+create table if not exists public.weekly_report_revisions (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references public.weekly_reports(id) on delete cascade,
+  revision integer not null,
+  progress text not null,
+  blockers text null,
+  plans text not null,
+  week_start date not null,
+  tags text[] not null default '{}',
+  edited_by uuid null references auth.users(id) on delete set null,
+  revised_at timestamptz not null default now(),
+  unique (report_id, revision)
+);
+
+create index if not exists weekly_report_revisions_report_idx
+  on public.weekly_report_revisions (report_id, revision desc);
+
+-- Snapshot the previous version of a submitted report when its content changes.
+-- Runs as security definer so the insert is not subject to RLS on the revisions table.
+create or replace function public.snapshot_weekly_report_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.status = 'submitted' and (
+    new.progress is distinct from old.progress or
+    new.blockers is distinct from old.blockers or
+    new.plans is distinct from old.plans or
+    new.tags is distinct from old.tags or
+    new.week_start is distinct from old.week_start
+  ) then
+    insert into public.weekly_report_revisions
+      (report_id, revision, progress, blockers, plans, week_start, tags, edited_by)
+    values
+      (old.id, old.revision, old.progress, old.blockers, old.plans, old.week_start, old.tags, auth.uid());
+    new.revision := old.revision + 1;
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists weekly_reports_snapshot_revision on public.weekly_reports;
+create trigger weekly_reports_snapshot_revision
+before update on public.weekly_reports
+for each row execute function public.snapshot_weekly_report_revision();
+
+-- Authors may edit their submitted reports at any time (replaces the same-day example policy above;
+-- the revision trail makes later edits auditable). Which columns may change is enforced by the
+-- weekly_reports_guard_update trigger (see "Teams and memberships" below).
+drop policy if exists "update_own_same_day" on public.weekly_reports;
+create policy if not exists "update_own_reports"
+on public.weekly_reports
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
+
+alter table public.weekly_report_revisions enable row level security;
+
+-- Authors can read the revision history of their own reports.
+-- Team-wide manager access: see "Team-scoped access" below (or the backend, which uses the service role).
+create policy if not exists "select_own_report_revisions"
+on public.weekly_report_revisions
+for select
+to authenticated
+using (
+  exists (
+    select 1 from public.weekly_reports r
+    where r.id = weekly_report_revisions.report_id and r.user_id = auth.uid()
+  )
+);
+
+-- ---------------------------------------------------------------------------
+-- One report per user per week
+-- ---------------------------------------------------------------------------
+-- submitted_at records when a report was submitted (drafts are created earlier, edits happen later);
+-- the migration below ranks duplicates by it and team metrics measure on-time rates against it.
+alter table public.weekly_reports
+  add column if not exists submitted_at timestamptz null;
+
+update public.weekly_reports
+set submitted_at = created_at
+where submitted_at is null and status = 'submitted';
+
+-- Rows removed by the migration are kept here, with their revision history, so nothing is lost.
+-- No policies: only the service role (or the SQL editor) can read or restore them.
+create table if not exists public.weekly_reports_archive (
+  id uuid primary key,                     -- id of the archived report
+  user_id uuid null,
+  week_start date not null,
+  kept_report_id uuid null,                -- the row kept for the same user and week
+  report jsonb not null,                   -- the archived row as it was
+  revisions jsonb not null default '[]',   -- its weekly_report_revisions rows (deleted with the report)
+  archived_at timestamptz not null default now()
+);
+
+alter table public.weekly_reports_archive enable row level security;
+
+-- Migration for existing projects: keep one row per (user_id, week_start), preferring a submitted report over
+-- drafts, then the latest submission, then the latest edit. The other rows are archived, then deleted, in one
+-- statement; the delete is driven by the ranking, so rows archived by an earlier, interrupted run go too. Afterwards the non-unique index is replaced with a unique constraint. Drafts share the same row,
+-- so the partial draft index above is superseded as well.
+with ranked as (
+  select
+    r.id,
+    row_number() over w as rn,
+    first_value(r.id) over w as kept_report_id
+  from public.weekly_reports r
+  where r.user_id is not null
+  window w as (
+    partition by r.user_id, r.week_start
+    order by (r.status = 'submitted') desc,
+      r.submitted_at desc nulls last,
+      coalesce(r.updated_at, r.created_at) desc,
+      r.id desc
+  )
+),
+archived as (
+  insert into public.weekly_reports_archive (id, user_id, week_start, kept_report_id, report, revisions)
+  select
+    r.id,
+    r.user_id,
+    r.week_start,
+    ranked.kept_report_id,
+    to_jsonb(r),
+    coalesce(
+      (select jsonb_agg(to_jsonb(v) order by v.revision)
+       from public.weekly_report_revisions v
+       where v.report_id = r.id),
+      '[]'
+    )
+  from public.weekly_reports r
+  join ranked on ranked.id = r.id
+  where ranked.rn > 1
+  on conflict (id) do nothing
+)
+delete from public.weekly_reports r
+using ranked
+where r.id = ranked.id and ranked.rn > 1;
+
+drop index if exists public.weekly_reports_user_week_idx;
+drop index if exists public.weekly_reports_one_draft_per_week_idx;
+
+alter table public.weekly_reports
+  drop constraint if exists weekly_reports_user_week_key;
+alter table public.weekly_reports
+  add constraint weekly_reports_user_week_key unique (user_id, week_start);
+
+-- The frontend checks for an existing row before inserting and, on a unique violation (SQLSTATE 23505),
+-- offers "Update existing report" instead of failing. Rows with a null user_id (Test Mode anon inserts)
+-- are not constrained because NULLs are distinct in unique constraints.
+
+-- ---------------------------------------------------------------------------
+-- History paging and filters
+-- ---------------------------------------------------------------------------
+-- History pages with range() and exact counts, filters by week_start range and tags (tags @> '{...}'),
+-- and sorts by week_start / created_at / updated_at.
+create index if not exists weekly_reports_week_start_idx on public.weekly_reports (week_start desc, created_at desc);
+create index if not exists weekly_reports_updated_at_idx on public.weekly_reports (updated_at desc nulls last);
+create index if not exists weekly_reports_tags_idx on public.weekly_reports using gin (tags);
+
+-- ---------------------------------------------------------------------------
+-- Full-text search
+-- ---------------------------------------------------------------------------
+-- Weighted search document over progress (A), plans (B), blockers (B) and tags (C).
+-- Generated columns require immutable expressions, so tags are flattened by an immutable helper.
+create or replace function public.weekly_report_search_document(
+  p_progress text, p_blockers text, p_plans text, p_tags text[]
+)
+returns tsvector
+language sql
+immutable
+as $$
+  select
+    setweight(to_tsvector('english', coalesce(p_progress, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(p_plans, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(p_blockers, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(p_tags, ' '), '')), 'C');
+$$;
+
+alter table public.weekly_reports
+  add column if not exists search tsvector
+  generated always as (public.weekly_report_search_document(progress, blockers, plans, tags)) stored;
+
+create index if not exists weekly_reports_search_idx on public.weekly_reports using gin (search);
+
+-- Ranked search with highlighted snippets. Matches are wrapped in [[ ]] (rendered as <mark> by the frontend,
+-- never as HTML). security invoker: RLS on weekly_reports applies, so callers only see rows they may read.
+create or replace function public.search_reports(
+  q text,
+  week_from date default null,
+  week_to date default null,
+  max_rows integer default 50
+)
+returns table (
+  id uuid,
+  user_id uuid,
+  week_start date,
+  created_at timestamptz,
+  tags text[],
+  rank real,
+  progress_snippet text,
+  blockers_snippet text,
+  plans_snippet text
+)
+language sql
+stable
+security invoker
+as $$
+  with query as (select websearch_to_tsquery('english', q) as tsq)
+  select
+    r.id,
+    r.user_id,
+    r.week_start,
+    r.created_at,
+    r.tags,
+    ts_rank(r.search, query.tsq) as rank,
+    ts_headline('english', coalesce(r.progress, ''), query.tsq, 'StartSel=[[, StopSel=]], MaxFragments=2, MaxWords=25, MinWords=8'),
+    ts_headline('english', coalesce(r.blockers, ''), query.tsq, 'StartSel=[[, StopSel=]], MaxFragments=2, MaxWords=25, MinWords=8'),
+    ts_headline('english', coalesce(r.plans, ''), query.tsq, 'StartSel=[[, StopSel=]], MaxFragments=2, MaxWords=25, MinWords=8')
+  from public.weekly_reports r, query
+  where r.status = 'submitted'
+    and r.search @@ query.tsq
+    and (week_from is null or r.week_start >= week_from)
+    and (week_to is null or r.week_start <= week_to)
+  order by rank desc, r.week_start desc
+  limit greatest(1, least(coalesce(max_rows, 50), 200));
+$$;
+
+grant execute on function public.search_reports(text, date, date, integer) to authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Last week's plan review
+-- When a report is started from the previous week's plan, each plan item is marked done or carried over.
+-- plan_review = { "source_report_id": uuid, "source_week_start": date,
+--                 "items": [{ "text": string, "status": "done" | "carried_over" }] }
+-- ---------------------------------------------------------------------------
+alter table public.weekly_reports
+  add column if not exists plan_review jsonb;
+
+-- Plan completion per submitted report (security_invoker so weekly_reports RLS still applies)
+create or replace view public.weekly_plan_completion
+with (security_invoker = true) as
+select
+  r.id as report_id,
+  r.user_id,
+  r.week_start,
+  (r.plan_review ->> 'source_report_id')::uuid as source_report_id,
+  jsonb_array_length(r.plan_review -> 'items') as planned_items,
+  (select count(*) from jsonb_array_elements(r.plan_review -> 'items') i where i ->> 'status' = 'done') as done_items,
+  (select count(*) from jsonb_array_elements(r.plan_review -> 'items') i where i ->> 'status' = 'carried_over') as carried_over_items
+from public.weekly_reports r
+where r.status = 'submitted'
+  and jsonb_typeof(r.plan_review -> 'items') = 'array';
+
+grant select on public.weekly_plan_completion to authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Structured report items
+-- ---------------------------------------------------------------------------
+-- Individual accomplishments, plans and blockers attached to a report, so they can be counted and measured.
+-- The free-text progress/blockers/plans columns stay as the human-readable summary; reports without items
+-- (written before this table existed) are still rendered from their text.
+create table if not exists public.report_items (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references public.weekly_reports(id) on delete cascade,
+  user_id uuid references auth.users(id) on delete set null,
+  type text not null check (type in ('accomplishment', 'plan', 'blocker')),
+  text text not null check (length(trim(text)) > 0),
+  status text not null default 'planned' check (status in ('planned', 'in_progress', 'done', 'blocked', 'dropped')),
+  link text null,
+  effort_hours numeric(6, 2) null check (effort_hours is null or effort_hours >= 0),
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+create index if not exists report_items_report_idx on public.report_items (report_id, position);
+create index if not exists report_items_user_type_idx on public.report_items (user_id, type, status);
+
+alter table public.report_items enable row level security;
+
+-- Authors manage the items of their own reports.
+-- Team-wide manager access: see "Team-scoped access" below (or the backend, which uses the service role).
+create policy if not exists "select_own_report_items"
+on public.report_items
+for select
+to authenticated
+using (
+  exists (select 1 from public.weekly_reports r where r.id = report_items.report_id and r.user_id = auth.uid())
+);
+
+create policy if not exists "insert_own_report_items"
+on public.report_items
+for insert
+to authenticated
+with check (
+  auth.uid() = user_id and
+  exists (select 1 from public.weekly_reports r where r.id = report_items.report_id and r.user_id = auth.uid())
+);
+
+create policy if not exists "update_own_report_items"
+on public.report_items
+for update
+to authenticated
+using (
+  exists (select 1 from public.weekly_reports r where r.id = report_items.report_id and r.user_id = auth.uid())
+)
+with check (auth.uid() = user_id);
+
+create policy if not exists "delete_own_report_items"
+on public.report_items
+for delete
+to authenticated
+using (
+  exists (select 1 from public.weekly_reports r where r.id = report_items.report_id and r.user_id = auth.uid())
+);
+
+-- ---------------------------------------------------------------------------
+-- Blocker tracking
+-- ---------------------------------------------------------------------------
+-- Blockers are tracked across weeks instead of living only in weekly_reports.blockers.
+-- A blocker is opened from a report, carried forward (last_reported_week moves on) while it persists,
+-- can be escalated, and is closed with resolution notes. Age in weeks = last_reported_week - opened_week.
+create table if not exists public.blockers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete set null,   -- reporter
+  owner_id uuid references auth.users(id) on delete set null,  -- person responsible for unblocking (defaults to reporter)
+  title text not null check (length(trim(title)) > 0),
+  status text not null default 'open' check (status in ('open', 'escalated', 'resolved')),
+  opened_week date not null,
+  last_reported_week date not null,
+  source_report_id uuid null references public.weekly_reports(id) on delete set null,
+  escalated_at timestamptz null,
+  resolved_week date null,
+  resolved_at timestamptz null,
+  resolution_notes text null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null,
+  check (status <> 'resolved' or resolved_at is not null)
+);
+
+create index if not exists blockers_user_status_idx on public.blockers (user_id, status);
+create index if not exists blockers_owner_status_idx on public.blockers (owner_id, status);
+
+alter table public.blockers enable row level security;
+
+-- Reporters and owners see and update their blockers.
+-- Team-wide manager access: see "Team-scoped access" below (or the backend, which uses the service role).
+create policy if not exists "select_own_blockers"
+on public.blockers
+for select
+to authenticated
+using (auth.uid() = user_id or auth.uid() = owner_id);
+
+create policy if not exists "insert_own_blockers"
+on public.blockers
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+create policy if not exists "update_own_blockers"
+on public.blockers
+for update
+to authenticated
+using (auth.uid() = user_id or auth.uid() = owner_id)
+with check (auth.uid() = user_id or auth.uid() = owner_id);
+
+-- Applies a submitted report to the blocker records in one transaction: each update is { id, action, notes } with
+-- action carry/escalate/resolve, and p_new_blockers are opened from the report. security invoker: the RLS policies
+-- above apply. Safe to retry: blockers already resolved are skipped, and titles already opened from this report
+-- are not opened again.
+create or replace function public.sync_report_blockers(p_report_id uuid, p_updates jsonb, p_new_blockers text[])
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_week date;
+  v_update jsonb;
+  v_action text;
+  v_title text;
+  v_carried integer := 0;
+  v_escalated integer := 0;
+  v_resolved integer := 0;
+  v_opened integer := 0;
+begin
+  select r.week_start into v_week from public.weekly_reports r where r.id = p_report_id and r.user_id = auth.uid();
+  if v_week is null then
+    raise exception 'Report % not found.', p_report_id using errcode = 'P0002';
+  end if;
+
+  for v_update in select * from jsonb_array_elements(coalesce(p_updates, '[]'::jsonb)) loop
+    v_action := coalesce(v_update->>'action', 'carry');
+    if v_action not in ('carry', 'escalate', 'resolve') then
+      raise exception 'Unknown blocker action "%".', v_action using errcode = '22023';
+    end if;
+    if not exists (select 1 from public.blockers b where b.id = (v_update->>'id')::uuid) then
+      raise exception 'Blocker % not found.', v_update->>'id' using errcode = 'P0002';
+    end if;
+    update public.blockers set
+      last_reported_week = v_week,
+      updated_at = now(),
+      status = case v_action when 'escalate' then 'escalated' when 'resolve' then 'resolved' else status end,
+      escalated_at = case when v_action = 'escalate' then now() else escalated_at end,
+      resolved_week = case when v_action = 'resolve' then v_week else resolved_week end,
+      resolved_at = case when v_action = 'resolve' then now() else resolved_at end,
+      resolution_notes = case when v_action = 'resolve' then nullif(trim(v_update->>'notes'), '') else resolution_notes end
+    where id = (v_update->>'id')::uuid and status <> 'resolved';
+    if found then
+      case v_action
+        when 'carry' then v_carried := v_carried + 1;
+        when 'escalate' then v_escalated := v_escalated + 1;
+        else v_resolved := v_resolved + 1;
+      end case;
+    end if;
+  end loop;
+
+  foreach v_title in array coalesce(p_new_blockers, array[]::text[]) loop
+    v_title := trim(v_title);
+    continue when v_title = '' or exists (
+      select 1 from public.blockers b where b.source_report_id = p_report_id and b.title = v_title
+    );
+    insert into public.blockers (user_id, owner_id, title, status, opened_week, last_reported_week, source_report_id)
+    values (auth.uid(), auth.uid(), v_title, 'open', v_week, v_week, p_report_id);
+    v_opened := v_opened + 1;
+  end loop;
+
+  return jsonb_build_object('carried', v_carried, 'escalated', v_escalated, 'resolved', v_resolved, 'opened', v_opened);
+end;
+$$;
+
+grant execute on function public.sync_report_blockers(uuid, jsonb, text[]) to authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Team metrics
+-- ---------------------------------------------------------------------------
+-- On-time rates are measured against weekly_reports.submitted_at (see "One report per user per week").
+
+-- Per-week submission metrics (team_weekly_metrics) and unresolved blocker counts (team_open_blockers) for one team
+-- are defined under "Team RPCs" below, once team_members and can_manage_team exist.
+
+-- ---------------------------------------------------------------------------
+-- Submission compliance
+-- ---------------------------------------------------------------------------
+-- team_compliance (team members joined with their submitted reports for a range of weeks, so managers can see who
+-- reported on time, late, or not at all) is defined under "Team RPCs" below.
+
+-- ---------------------------------------------------------------------------
+-- Teams and memberships
+-- ---------------------------------------------------------------------------
+-- A user can belong to several teams, with a per-team role ('member' or 'lead').
+-- Team ids are text so existing ids (profiles.team_id, locally chosen slugs such as 'alpha') carry over unchanged.
+-- profiles.team_id/team_name (optional table) remain the user's default team; team_members is the source of truth for membership.
+create table if not exists public.teams (
+  id text primary key default gen_random_uuid()::text,
+  name text not null,
+  created_by uuid null references auth.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.team_members (
+  team_id text not null references public.teams(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  role text not null default 'member' check (role in ('member', 'lead')),
+  created_at timestamptz not null default now(),
+  primary key (team_id, user_id)
+);
+
+create index if not exists team_members_user_idx on public.team_members (user_id);
+
+alter table public.teams enable row level security;
+alter table public.team_members enable row level security;
+
+-- Members can see their own memberships and the teams they belong to
+create policy if not exists "select_own_memberships"
+on public.team_members
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+create policy if not exists "select_member_teams"
+on public.teams
+for select
+to authenticated
+using (exists (select 1 from public.team_members m where m.team_id = teams.id and m.user_id = auth.uid()));
+
+-- Each report is filed under the team its author had selected when writing it
+alter table public.weekly_reports
+  add column if not exists team_id text null references public.teams(id) on delete set null;
+
+create index if not exists weekly_reports_team_week_idx on public.weekly_reports (team_id, week_start);
+
+-- One-off backfill from the single-team profile columns, for projects that have the optional public.profiles table
+-- (docs/roles.md). Dynamic SQL so the block also compiles where the table does not exist.
+do $$
+begin
+  if to_regclass('public.profiles') is null then
+    return;
+  end if;
+
+  execute $sql$
+    insert into public.teams (id, name)
+    select distinct p.team_id::text, coalesce(nullif(p.team_name, ''), p.team_id::text)
+    from public.profiles p
+    where p.team_id is not null
+    on conflict (id) do nothing
+  $sql$;
+
+  execute $sql$
+    insert into public.team_members (team_id, user_id, role)
+    select p.team_id::text, p.user_id, case when p.role in ('manager', 'admin') then 'lead' else 'member' end
+    from public.profiles p
+    where p.team_id is not null
+    on conflict (team_id, user_id) do nothing
+  $sql$;
+
+  execute $sql$
+    update public.weekly_reports r
+    set team_id = p.team_id::text
+    from public.profiles p
+    where r.team_id is null and p.user_id = r.user_id and p.team_id is not null
+  $sql$;
+end;
+$$;
+
+-- What an author may change on a report. update_own_reports only checks ownership, so without this guard an author
+-- could reopen a submitted report as a draft (and then discard it through delete_own_drafts, losing its revision
+-- history), backdate submitted_at (skewing on-time and compliance figures) or move it to another team.
+--   - status only moves from 'draft' to 'submitted'; submitted_at is then set by the database, not the client
+--   - once submitted, status, submitted_at, team_id and week_start are fixed; the content stays editable
+-- Only applies to signed-in users (auth.uid() set): the service role and the SQL editor can still correct rows.
+-- Named so it fires before weekly_reports_snapshot_revision (triggers run in name order).
+create or replace function public.guard_weekly_report_update()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+  if old.status = 'submitted' then
+    if new.status is distinct from old.status then
+      raise exception 'A submitted report cannot be turned back into a draft.' using errcode = '42501';
+    end if;
+    if new.submitted_at is distinct from old.submitted_at
+      or new.team_id is distinct from old.team_id
+      or new.week_start is distinct from old.week_start then
+      raise exception 'The week, team and submission time of a submitted report cannot be changed.'
+        using errcode = '42501';
+    end if;
+  elsif new.status = 'submitted' then
+    new.submitted_at := now();
+  elsif new.submitted_at is distinct from old.submitted_at then
+    raise exception 'submitted_at is set when the report is submitted.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists weekly_reports_guard_update on public.weekly_reports;
+create trigger weekly_reports_guard_update
+before update on public.weekly_reports
+for each row execute function public.guard_weekly_report_update();
+
+-- ---------------------------------------------------------------------------
+-- Team-scoped access
+-- ---------------------------------------------------------------------------
+-- Who may read what, driven by app_metadata.role (employee/manager/admin, see docs/roles.md) and team_members:
+--   - everyone reads their own rows (policies above)
+--   - managers read submitted reports (and their items, revisions and blockers) of members of teams they lead
+--   - admins read everything
+-- Drafts stay private to their author. Writes are unchanged: authors only.
+-- The helpers are security definer so policies on team_members can consult team_members without recursing.
+-- Verified by supabase/tests/rls_team_access.test.sql.
+
+-- Caller's application role from the JWT (app_metadata is only writable with the service role)
+create or replace function public.app_role()
+returns text
+language sql
+stable
+as $$
+  select coalesce(nullif(auth.jwt() -> 'app_metadata' ->> 'role', ''), 'employee');
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+as $$
+  select public.app_role() = 'admin';
+$$;
+
+-- Teams the caller leads. Leading a team only grants access to managers.
+create or replace function public.led_team_ids()
+returns setof text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.team_id
+  from public.team_members m
+  where m.user_id = auth.uid() and m.role = 'lead' and public.app_role() = 'manager';
+$$;
+
+create or replace function public.can_manage_team(p_team_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin() or exists (select 1 from public.led_team_ids() t where t = p_team_id);
+$$;
+
+-- True when the caller may read another user's submitted work: admins, or managers leading one of their teams
+create or replace function public.can_read_member(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin() or exists (
+    select 1
+    from public.team_members m
+    join public.led_team_ids() t on t = m.team_id
+    where m.user_id = p_user_id
+  );
+$$;
+
+grant execute on function public.app_role() to authenticated;
+grant execute on function public.is_admin() to authenticated;
+grant execute on function public.led_team_ids() to authenticated;
+grant execute on function public.can_manage_team(text) to authenticated;
+grant execute on function public.can_read_member(uuid) to authenticated;
+
+-- Reports: a manager sees reports by current members of teams they lead, and reports filed under those teams
+create policy if not exists "select_team_reports"
+on public.weekly_reports
+for select
+to authenticated
+using (
+  status <> 'draft' and (
+    public.can_read_member(user_id) or
+    (team_id is not null and public.can_manage_team(team_id))
+  )
+);
+
+-- Items and revisions follow their report (the subquery is itself subject to the weekly_reports policies)
+create policy if not exists "select_team_report_items"
+on public.report_items
+for select
+to authenticated
+using (
+  exists (select 1 from public.weekly_reports r where r.id = report_items.report_id and r.status <> 'draft')
+);
+
+create policy if not exists "select_team_report_revisions"
+on public.weekly_report_revisions
+for select
+to authenticated
+using (
+  exists (select 1 from public.weekly_reports r where r.id = weekly_report_revisions.report_id)
+);
+
+create policy if not exists "select_team_blockers"
+on public.blockers
+for select
+to authenticated
+using (public.can_read_member(user_id));
+
+-- Managers see the rosters and names of teams they lead; admins see and manage all teams
+create policy if not exists "select_led_team_members"
+on public.team_members
+for select
+to authenticated
+using (public.can_manage_team(team_id));
+
+create policy if not exists "select_led_teams"
+on public.teams
+for select
+to authenticated
+using (public.can_manage_team(id));
+
+create policy if not exists "admin_manage_teams"
+on public.teams
+for all
+to authenticated
+using (public.is_admin())
+with check (public.is_admin());
+
+create policy if not exists "admin_manage_team_members"
+on public.team_members
+for all
+to authenticated
+using (public.is_admin())
+with check (public.is_admin());
+
+-- ---------------------------------------------------------------------------
+-- Reporting windows
+-- ---------------------------------------------------------------------------
+-- Named periods admins open for reporting (AdminDashboard > Reporting Windows). Managed through the backend
+-- (/admin/reporting-windows); readable by every signed-in user, writable by admins only.
+create table if not exists public.reporting_windows (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) > 0),
+  start_date date not null,
+  end_date date not null,
+  status text not null default 'planned' check (status in ('planned', 'open', 'closed')),
+  created_at timestamptz not null default now(),
+  check (end_date >= start_date)
+);
+
+alter table public.reporting_windows enable row level security;
+
+create policy if not exists "select_reporting_windows"
+on public.reporting_windows
+for select
+to authenticated
+using (true);
+
+create policy if not exists "admin_manage_reporting_windows"
+on public.reporting_windows
+for all
+to authenticated
+using (public.is_admin())
+with check (public.is_admin());
+
+-- ---------------------------------------------------------------------------
+-- Reporting window schedules
+-- ---------------------------------------------------------------------------
+-- Windows drive report deadlines (src/utils/reportingSchedule.js): within a window, the report for a week is due on
+-- due_weekday (1 = Monday … 7 = Sunday) of that week at due_time in timezone (IANA name), and late once grace_hours
+-- more have passed. team_ids limits a window to some teams; empty means every team. Weeks no open or closed window
+-- covers keep the default deadline (end of Friday, UTC). Only 'weekly' recurrence exists so far.
+alter table public.reporting_windows
+  add column if not exists frequency text not null default 'weekly' check (frequency in ('weekly'));
+alter table public.reporting_windows
+  add column if not exists due_weekday smallint not null default 5 check (due_weekday between 1 and 7);
+alter table public.reporting_windows
+  add column if not exists due_time time not null default '23:59';
+alter table public.reporting_windows
+  add column if not exists timezone text not null default 'UTC';
+alter table public.reporting_windows
+  add column if not exists grace_hours integer not null default 0 check (grace_hours between 0 and 168);
+alter table public.reporting_windows
+  add column if not exists team_ids text[] not null default '{}';
+
+-- When the report for a team's week becomes late: the due time of the window governing the week plus its grace
+-- period, chosen and computed like scheduleForWeek/scheduleDeadline in src/utils/reportingSchedule.js (the due
+-- minute itself still counts). Weeks no open or closed window covers use the default deadline, end of Friday UTC.
+create or replace function public.report_closes_at(p_team_id text, p_week date)
+returns timestamptz
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select (((p_week + (w.due_weekday - 1)) + w.due_time + interval '1 minute') at time zone w.timezone)
+        + make_interval(hours => w.grace_hours)
+      from public.reporting_windows w
+      where w.status in ('open', 'closed')
+        and (cardinality(w.team_ids) = 0 or p_team_id = any (w.team_ids))
+        and p_week + (w.due_weekday - 1) between w.start_date and w.end_date
+      order by cardinality(w.team_ids) > 0 desc, w.start_date desc
+      limit 1
+    ),
+    (p_week + 5)::timestamp at time zone 'UTC'
+  );
+$$;
+
+grant execute on function public.report_closes_at(text, date) to authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Team RPCs
+-- ---------------------------------------------------------------------------
+-- Membership comes from team_members and access from can_manage_team (admins, or managers leading the team); other
+-- callers get no rows. Security definer so managers can aggregate their team without row access to every report.
+
+-- Per-week submission metrics for one team. A report is on time when submitted before report_closes_at for the
+-- team and week, the same deadline NewReport and Compliance use.
+create or replace function public.team_weekly_metrics(p_team_id text, week_from date, week_to date)
+returns table (
+  week_start date,
+  members integer,
+  submitted integer,
+  on_time integer,
+  blockers_opened integer,
+  blockers_resolved integer,
+  tags jsonb
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with members as (
+    select m.user_id from public.team_members m
+    where m.team_id = p_team_id and public.can_manage_team(p_team_id)
+  ),
+  weeks as (
+    select g.week_start::date as week_start, public.report_closes_at(p_team_id, g.week_start::date) as closes_at
+    from generate_series(
+      date_trunc('week', week_from)::date,
+      date_trunc('week', week_to)::date,
+      interval '7 days'
+    ) as g(week_start)
+  ),
+  reports as (
+    select r.week_start, r.user_id, coalesce(r.submitted_at, r.created_at) as submitted_at, r.tags
+    from public.weekly_reports r
+    join members m on m.user_id = r.user_id
+    where r.status = 'submitted' and r.week_start between week_from and week_to
+  )
+  select
+    w.week_start,
+    (select count(*) from members)::integer,
+    (select count(distinct r.user_id) from reports r where r.week_start = w.week_start)::integer,
+    (select count(distinct r.user_id) from reports r
+      where r.week_start = w.week_start and r.submitted_at < w.closes_at)::integer,
+    (select count(*) from public.blockers b join members m on m.user_id = b.user_id
+      where b.opened_week = w.week_start)::integer,
+    (select count(*) from public.blockers b join members m on m.user_id = b.user_id
+      where b.resolved_week = w.week_start)::integer,
+    coalesce((
+      select jsonb_object_agg(t.tag, t.n)
+      from (
+        select tag, count(*) as n
+        from reports r, unnest(r.tags) as tag
+        where r.week_start = w.week_start
+        group by tag
+      ) t
+    ), '{}'::jsonb)
+  from weeks w
+  order by w.week_start;
+$$;
+
+-- Unresolved blockers for one team
+create or replace function public.team_open_blockers(p_team_id text)
+returns table (open integer, escalated integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    count(*) filter (where b.status = 'open')::integer,
+    count(*) filter (where b.status = 'escalated')::integer
+  from public.blockers b
+  join public.team_members m on m.user_id = b.user_id and m.team_id = p_team_id
+  where public.can_manage_team(p_team_id);
+$$;
+
+-- Team members joined with their submitted reports for a range of weeks. One row per member and week; report
+-- columns are null when missing.
+create or replace function public.team_compliance(p_team_id text, week_from date, week_to date)
+returns table (
+  user_id uuid,
+  email text,
+  week_start date,
+  report_id uuid,
+  submitted_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with members as (
+    select m.user_id, u.email::text as email
+    from public.team_members m
+    left join auth.users u on u.id = m.user_id
+    where m.team_id = p_team_id and public.can_manage_team(p_team_id)
+  ),
+  weeks as (
+    select generate_series(
+      date_trunc('week', week_from)::date,
+      date_trunc('week', week_to)::date,
+      interval '7 days'
+    )::date as week_start
+  )
+  select m.user_id, m.email, w.week_start, r.id, coalesce(r.submitted_at, r.created_at)
+  from members m
+  cross join weeks w
+  left join lateral (
+    select r.id, r.submitted_at, r.created_at
+    from public.weekly_reports r
+    where r.user_id = m.user_id and r.week_start = w.week_start and r.status = 'submitted'
+    order by r.created_at
+    limit 1
+  ) r on true
+  order by m.email, w.week_start;
+$$;
+
+grant execute on function public.team_weekly_metrics(text, date, date) to authenticated;
+grant execute on function public.team_open_blockers(text) to authenticated;
+grant execute on function public.team_compliance(text, date, date) to authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Notification log (reminder and digest emails)
+-- ---------------------------------------------------------------------------
+-- Written by the server-side job scripts/sendNotifications.js (service role) so each reminder or digest is sent at
+-- most once: a key is inserted as 'sending' before the email goes out, then marked 'sent', or 'failed' to be retried
+-- by the next run. No policies: only the service role reads or writes it.
+create table if not exists public.notification_log (
+  key text primary key,
+  kind text not null check (kind in ('reminder', 'digest')),
+  recipient text not null,
+  week_start date not null,
+  status text not null default 'sending' check (status in ('sending', 'sent', 'failed')),
+  error text null,
+  message_id text null,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz null
+);
+
+alter table public.notification_log enable row level security;